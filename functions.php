@@ -101,7 +101,13 @@ function impreza_child_inject_user_data()
 		'registrationPages' => array('prihlaseni', 'registrace'),
 		'ajaxUrl' => admin_url('admin-ajax.php'),
 		'nonce' => wp_create_nonce('mistr_fachman_access_control'),
-		'finalRegistrationFormId' => '292'
+		'finalRegistrationFormId' => '292',
+		'serviceWorkerUrl' => class_exists(\MistrFachman\Services\ServiceWorkerService::class)
+			? \MistrFachman\Services\ServiceWorkerService::getWorkerUrl()
+			: '',
+		'push' => class_exists(\MistrFachman\Services\PushNotificationService::class)
+			? \MistrFachman\Services\PushNotificationService::getClientConfig()
+			: array('enabled' => false, 'local' => false, 'vapidKey' => '')
 	);
 
 	// Inject data into page
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace MistrFachman\Base;
 
+use MistrFachman\Services\DualPointsManager;
 use MistrFachman\Services\ProjectStatusService;
 
 /**
@@ -43,6 +44,18 @@ abstract class AdminCardRendererBase {
      */
     abstract protected function renderDomainDetails(array $field_data): void;
 
+    /**
+     * Render domain-specific warnings below the gallery (none by default)
+     */
+    protected function renderDomainWarnings(\WP_Post $post): void {
+    }
+
+    /**
+     * Render domain-specific history of previous versions (none by default)
+     */
+    protected function renderDomainHistory(\WP_Post $post): void {
+    }
+
     /**
      * Get points value for a post (domain-specific implementation)
      */
@@ -79,6 +92,76 @@ abstract class AdminCardRendererBase {
         $this->load_template('dashboard-wrapper.php', $data);
     }
 
+    /**
+     * Render consolidated dashboard into a string (AJAX refresh after bulk actions)
+     *
+     * @param \WP_User $user User object
+     * @return string Dashboard HTML
+     */
+    public function render_dashboard_html(\WP_User $user): string {
+        ob_start();
+        $this->render_consolidated_dashboard($user);
+        return (string)ob_get_clean();
+    }
+
+    /**
+     * Render the fragments needed to update a single card in place
+     * Used by quick actions so the dashboard does not have to be reloaded.
+     *
+     * @param int $post_id Post ID
+     * @return array Card HTML, target section, stats header HTML and stats
+     */
+    public function render_card_fragments(int $post_id): array {
+        $post = get_post($post_id);
+        if (!$post || $post->post_type !== $this->getPostType()) {
+            return [];
+        }
+
+        $user = get_userdata((int)$post->post_author);
+        if (!$user) {
+            return [];
+        }
+
+        $post_type = $this->getPostType();
+        $renderer = $this;
+        $section = $this->get_section_for_status($post->post_status);
+        $stats = $this->get_user_stats($user->ID);
+
+        // Approved posts use the compact card, same as in the dashboard sections
+        $card_template = $section === 'approved' ? 'post-card-compact.php' : 'post-card-full.php';
+
+        ob_start();
+        $this->load_template($card_template, compact('post', 'post_type', 'renderer'));
+        $card_html = (string)ob_get_clean();
+
+        ob_start();
+        $this->load_template('stats-header.php', compact('stats', 'post_type', 'user'));
+        $stats_html = (string)ob_get_clean();
+
+        return [
+            'post_id' => $post_id,
+            'status' => $post->post_status,
+            'section' => $section,
+            'card_html' => $card_html,
+            'stats_html' => $stats_html,
+            'stats' => $stats
+        ];
+    }
+
+    /**
+     * Map post status to dashboard section slug
+     *
+     * @param string $status Post status
+     * @return string Section slug (pending, approved, rejected)
+     */
+    protected function get_section_for_status(string $status): string {
+        return match ($status) {
+            'publish' => 'approved',
+            'rejected' => 'rejected',
+            default => 'pending'
+        };
+    }
+
     /**
      * Template loading helper with security checks
      * 
@@ -132,7 +215,8 @@ abstract class AdminCardRendererBase {
             'pending' => 0,
             'approved' => 0,
             'rejected' => 0,
-            'total_points' => 0
+            'total_points' => 0,
+            'balance' => $this->get_user_balance($user_id)
         ];
 
         foreach ($stats as $stat) {
@@ -155,6 +239,17 @@ abstract class AdminCardRendererBase {
         return $result;
     }
 
+    /**
+     * Get user's current spendable points balance
+     *
+     * @param int $user_id User ID
+     * @return int Balance (0 when myCred is not active)
+     */
+    protected function get_user_balance(int $user_id): int {
+        $balances = (new DualPointsManager())->getUserBalances($user_id);
+        return (int)($balances['spendable'] ?? 0);
+    }
+
     /**
      * Get posts grouped by status for consolidated dashboard
      *
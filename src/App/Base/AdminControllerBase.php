@@ -6,6 +6,7 @@ namespace MistrFachman\Base;
 
 use MistrFachman\Services\DomainConfigurationService;
 use MistrFachman\Services\ProjectStatusService;
+use MistrFachman\Services\RejectionReasonService;
 
 
 /**
@@ -90,6 +91,14 @@ abstract class AdminControllerBase {
     }
 
 
+    /**
+     * Get the card renderer used for AJAX fragment responses
+     * Override in child classes to enable in-place dashboard updates
+     */
+    protected function getCardRenderer(): ?AdminCardRendererBase {
+        return null;
+    }
+
     /**
      * Render domain-specific user profile card
      */
@@ -164,14 +173,17 @@ abstract class AdminControllerBase {
         $quick_action = "mistr_fachman_{$post_type}_quick_action";
         $bulk_action = "mistr_fachman_bulk_approve_{$post_type}";
         $editor_reject_action = "mistr_fachman_{$post_type}_editor_reject";
+        $selection_action = "mistr_fachman_{$post_type}_bulk_selection";
 
         error_log("[{$domain_debug}:AJAX] Registering AJAX action: wp_ajax_{$quick_action}");
         error_log("[{$domain_debug}:AJAX] Registering AJAX action: wp_ajax_{$bulk_action}");
         error_log("[{$domain_debug}:AJAX] Registering AJAX action: wp_ajax_{$editor_reject_action}");
+        error_log("[{$domain_debug}:AJAX] Registering AJAX action: wp_ajax_{$selection_action}");
 
         add_action("wp_ajax_{$quick_action}", [$this, 'handle_quick_action_ajax']);
         add_action("wp_ajax_{$bulk_action}", [$this, 'handle_bulk_approve_ajax']);
         add_action("wp_ajax_{$editor_reject_action}", [$this, 'handle_editor_reject_ajax']);
+        add_action("wp_ajax_{$selection_action}", [$this, 'handle_bulk_selection_ajax']);
         add_action("wp_ajax_mistr_fachman_update_acf_field", [$this, 'handle_update_acf_field_ajax']);
     }
 
@@ -526,15 +538,16 @@ abstract class AdminControllerBase {
             if ($action === 'approve') {
                 $this->process_approve_action($post_id);
             } else {
-                $rejection_reason = sanitize_textarea_field($_POST['rejection_reason'] ?? '');
+                $rejection_reason = RejectionReasonService::resolvePlaceholders(sanitize_textarea_field($_POST['rejection_reason'] ?? ''), $post);
                 $this->process_reject_action($post_id, $post, $rejection_reason);
+                RejectionReasonService::setPostCategory($post_id, (string)($_POST['rejection_category'] ?? ''));
             }
 
-            // Send success response from base class
-            wp_send_json_success([
+            // Send success response from base class, including re-rendered card for in-place update
+            wp_send_json_success(array_merge([
                 'message' => $action === 'approve' ? 'Akce byla úspěšně provedena.' : 'Položka byla zamítnuta.',
                 'new_status' => $action === 'approve' ? 'publish' : 'rejected'
-            ]);
+            ], $this->get_card_fragments($post_id)));
 
         } catch (\Exception $e) {
             error_log('[' . strtoupper($this->getPostType()) . ':AJAX] Exception: ' . $e->getMessage());
@@ -569,7 +582,8 @@ abstract class AdminControllerBase {
             $approved_count = $this->process_bulk_approve($user_id);
             wp_send_json_success([
                 'message' => sprintf('Schváleno %d %s', $approved_count, $this->getDomainDisplayName()),
-                'approved_count' => $approved_count
+                'approved_count' => $approved_count,
+                'dashboard_html' => $this->get_dashboard_html($user_id)
             ]);
         } catch (\Exception $e) {
             error_log('[' . strtoupper($this->getPostType()) . ':AJAX] Bulk approve exception: ' . $e->getMessage());
@@ -577,6 +591,190 @@ abstract class AdminControllerBase {
         }
     }
 
+    /**
+     * Handle bulk action on a set of selected posts
+     * Every post is processed on its own - one failure does not stop the rest,
+     * the response reports the result per post.
+     */
+    public function handle_bulk_selection_ajax(): void {
+        $this->validateDomainConfiguration();
+
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', $this->getNonceAction('bulk_approve'))) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+        }
+
+        if (!current_user_can('edit_posts')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+        }
+
+        $action = sanitize_text_field($_POST['action_type'] ?? '');
+        $post_ids = array_values(array_unique(array_filter(array_map('intval', (array)($_POST['post_ids'] ?? [])))));
+        $points = json_decode(wp_unslash((string)($_POST['points'] ?? '')), true);
+        $points = is_array($points) ? array_map('intval', $points) : [];
+        $rejection_reason = sanitize_textarea_field($_POST['rejection_reason'] ?? '');
+        $rejection_category = RejectionReasonService::sanitizeCategory($_POST['rejection_category'] ?? '');
+
+        if (!in_array($action, ['approve', 'reject', 'reopen'], true) || empty($post_ids)) {
+            wp_send_json_error(['message' => 'Invalid parameters']);
+        }
+
+        if (count($post_ids) > 200) {
+            wp_send_json_error(['message' => 'Najednou lze zpracovat nejvýše 200 záznamů.']);
+        }
+
+        $results = [];
+        $user_ids = [];
+
+        foreach ($post_ids as $post_id) {
+            $post = get_post($post_id);
+            $result = [
+                'post_id' => $post_id,
+                'title' => $post ? get_the_title($post) : '',
+                'success' => false,
+                'message' => '',
+            ];
+
+            try {
+                if (!$post || $post->post_type !== $this->getPostType()) {
+                    throw new \Exception('Záznam nebyl nalezen.');
+                }
+
+                if (!current_user_can('edit_post', $post_id)) {
+                    throw new \Exception('Nedostatečná oprávnění.');
+                }
+
+                $user_ids[(int)$post->post_author] = true;
+                $this->process_selection_item($post, $action, $rejection_reason, $points[$post_id] ?? 0);
+                if ($action === 'reject') {
+                    RejectionReasonService::setPostCategory($post_id, $rejection_category);
+                }
+
+                $result['success'] = true;
+            } catch (\Exception $e) {
+                error_log('[' . strtoupper($this->getPostType()) . ':AJAX] Bulk selection failed for post ' . $post_id . ': ' . $e->getMessage());
+                $result['message'] = $e->getMessage();
+            }
+
+            $result['status'] = get_post_status($post_id) ?: '';
+            $results[] = $result;
+        }
+
+        $succeeded = count(array_filter($results, static fn(array $result): bool => $result['success']));
+
+        $dashboards = [];
+        foreach (array_keys($user_ids) as $user_id) {
+            $dashboards[$user_id] = $this->get_dashboard_html($user_id);
+        }
+
+        wp_send_json_success([
+            'message' => sprintf('Zpracováno %d z %d záznamů.', $succeeded, count($results)),
+            'action' => $action,
+            'succeeded' => $succeeded,
+            'failed' => count($results) - $succeeded,
+            'results' => $results,
+            'dashboards' => $dashboards
+        ]);
+    }
+
+    /**
+     * Apply one bulk selection action to a post
+     *
+     * @throws \Exception When the post cannot be changed (message is shown to the admin)
+     */
+    protected function process_selection_item(\WP_Post $post, string $action, string $rejection_reason, int $points): void {
+        $post_id = $post->ID;
+
+        switch ($action) {
+            case 'approve':
+                if ($post->post_status === 'publish') {
+                    throw new \Exception('Záznam je již schválen.');
+                }
+
+                if ($points > 0) {
+                    $this->set_points($post_id, $points);
+                } elseif ($this->get_current_points($post_id) === 0) {
+                    $this->set_points($post_id, $this->getCalculatedPoints($post_id));
+                }
+
+                $validation = $this->run_pre_publish_validation($post);
+                if (empty($validation['success'])) {
+                    throw new \Exception($validation['message'] ?? 'Záznam nesplňuje podmínky pro schválení.');
+                }
+
+                $this->process_approve_action($post_id);
+
+                // Publish can still be blocked by domain gatekeepers
+                if (get_post_status($post_id) !== 'publish') {
+                    throw new \Exception('Schválení bylo zablokováno validací.');
+                }
+                break;
+
+            case 'reject':
+                if ($post->post_status === 'rejected') {
+                    throw new \Exception('Záznam je již odmítnut.');
+                }
+
+                // Shared reason - placeholders are resolved for every post separately
+                $this->process_reject_action($post_id, $post, RejectionReasonService::resolvePlaceholders($rejection_reason, $post));
+                break;
+
+            case 'reopen':
+                if ($post->post_status === 'pending') {
+                    throw new \Exception('Záznam již čeká na schválení.');
+                }
+
+                $result = wp_update_post(['ID' => $post_id, 'post_status' => 'pending'], true);
+                if (is_wp_error($result)) {
+                    throw new \Exception($result->get_error_message());
+                }
+                break;
+        }
+    }
+
+    /**
+     * Run pre-publish validation (domain controllers add their own rules)
+     */
+    protected function run_pre_publish_validation(\WP_Post $post): array {
+        return ['success' => true];
+    }
+
+    /**
+     * Render card fragments after a quick action
+     * Rendering problems must not fail an action that was already committed,
+     * the client falls back to a page reload when fragments are missing.
+     */
+    protected function get_card_fragments(int $post_id): array {
+        $renderer = $this->getCardRenderer();
+        if (!$renderer) {
+            return [];
+        }
+
+        try {
+            return $renderer->render_card_fragments($post_id);
+        } catch (\Throwable $e) {
+            error_log('[' . strtoupper($this->getPostType()) . ':AJAX] Card fragment rendering failed: ' . $e->getMessage());
+            return [];
+        }
+    }
+
+    /**
+     * Render the whole user dashboard after a bulk action
+     */
+    protected function get_dashboard_html(int $user_id): string {
+        $renderer = $this->getCardRenderer();
+        $user = get_userdata($user_id);
+        if (!$renderer || !$user) {
+            return '';
+        }
+
+        try {
+            return $renderer->render_dashboard_html($user);
+        } catch (\Throwable $e) {
+            error_log('[' . strtoupper($this->getPostType()) . ':AJAX] Dashboard rendering failed: ' . $e->getMessage());
+            return '';
+        }
+    }
+
     /**
      * Process bulk approve operation
      */
@@ -641,6 +839,11 @@ abstract class AdminControllerBase {
                 wp_send_json_error(['message' => 'Invalid post']);
             }
 
+            if ($field_name === $this->getRejectionReasonFieldSelector()) {
+                $field_value = RejectionReasonService::resolvePlaceholders($field_value, $post);
+                RejectionReasonService::setPostCategory($post_id, (string)($_POST['rejection_category'] ?? ''));
+            }
+
             // Update the ACF field
             if (function_exists('update_field')) {
                 $result = update_field($field_name, $field_value, $post_id);
@@ -689,6 +892,8 @@ abstract class AdminControllerBase {
                 update_post_meta($post_id, $field_selector, $rejection_reason);
             }
 
+            RejectionReasonService::setPostCategory($post_id, (string)($_POST['rejection_category'] ?? ''));
+
             // Update the post status to 'rejected'
             wp_update_post([
                 'ID' => $post_id,
@@ -23,6 +23,11 @@ if (!defined('ABSPATH')) {
 
 abstract class FormHandlerBase {
 
+    /**
+     * Hidden field with the ID of the user who filled in the form (offline outbox)
+     */
+    public const SUBMISSION_USER_FIELD = 'mf_submission_user';
+
     public function __construct(
         protected UserDetectionService $user_detection_service,
         protected $manager // Base manager interface - will be typed properly in DI-Lite phase
@@ -70,6 +75,50 @@ abstract class FormHandlerBase {
      */
     abstract protected function populate_initial_post_meta(int $post_id, array $posted_data): void;
 
+    /**
+     * Abort a submission filled in by another user than the one logged in
+     *
+     * The offline outbox replays queued forms with the login cookie present at
+     * replay time; on a shared device that can be a different user. Aborting
+     * keeps the entry in the outbox instead of reporting it as sent.
+     *
+     * @param \WPCF7_ContactForm $contact_form The WPCF7 form object
+     * @param bool $abort Set to true to stop the submission
+     * @param \WPCF7_Submission|null $submission Current submission
+     */
+    public function abort_foreign_submission(\WPCF7_ContactForm $contact_form, &$abort, $submission = null): void {
+        if ((int)$contact_form->id() !== $this->getFormId() || !$submission instanceof \WPCF7_Submission) {
+            return;
+        }
+
+        $posted_data = $submission->get_posted_data();
+        $user_id = $this->user_detection_service->detectUser($posted_data);
+        if (!$user_id || !$this->isForeignSubmission($posted_data, $user_id)) {
+            return;
+        }
+
+        error_log('[' . strtoupper($this->getPostType()) . ":DEBUG] Submission of another user refused for user ID: {$user_id}");
+        $abort = true;
+        $submission->set_response(__('Záznam byl vyplněn pod jiným účtem. Přihlaste se k němu a odešlete ho znovu.', 'mistr-fachman'));
+    }
+
+    /**
+     * Check whether the form was filled in by another user than the detected one
+     *
+     * @param array $posted_data CF7 posted data
+     * @param int $user_id Detected user ID
+     * @return bool True when the submission user field names someone else
+     */
+    protected function isForeignSubmission(array $posted_data, int $user_id): bool {
+        $value = $posted_data[self::SUBMISSION_USER_FIELD] ?? '';
+        if (is_array($value)) {
+            $value = reset($value);
+        }
+
+        // Forms rendered without the outbox module do not send the field
+        return $value !== '' && absint($value) !== $user_id;
+    }
+
     /**
      * Main handler for WPCF7 form submissions
      *
@@ -121,6 +170,12 @@ abstract class FormHandlerBase {
             return; 
         }
 
+        // Replayed offline submission of another user (see abort_foreign_submission)
+        if ($this->isForeignSubmission($posted_data, $user_id)) {
+            error_log("[{$domain_debug}:DEBUG] Submission user does not match user ID: {$user_id} - aborting");
+            return;
+        }
+
         // Validate user permissions
         if (!$this->validateUserPermissions($user_id, $domain_debug)) {
             return;
@@ -137,12 +192,26 @@ abstract class FormHandlerBase {
         
         error_log("[{$domain_debug}:DEBUG] Post type \"{$this->getPostType()}\" confirmed to exist");
 
-        // Create the post using domain-specific mapping
-        $post_id = $this->createPost($posted_data, $user_id, $domain_debug);
+        // Offline outbox replays carry a client submission ID - skip ones already processed
+        $submission_id = $this->getClientSubmissionId($posted_data);
+        if ($submission_id && $this->findPostBySubmissionId($submission_id, $user_id)) {
+            error_log("[{$domain_debug}:DEBUG] Duplicate submission {$submission_id} ignored - post already exists");
+            return;
+        }
+
+        // Edited existing post (e.g. rejected realizace) or a new one using domain-specific mapping
+        $resubmitted_post_id = $this->getResubmittedPostId($posted_data, $user_id);
+        $post_id = $resubmitted_post_id
+            ? $this->resubmitPost($resubmitted_post_id, $posted_data, $domain_debug)
+            : $this->createPost($posted_data, $user_id, $domain_debug);
         if (!$post_id) {
             return;
         }
 
+        if ($submission_id) {
+            update_post_meta($post_id, '_client_submission_id', $submission_id);
+        }
+
         // Save domain-specific fields
         error_log("[{$domain_debug}:DEBUG] Saving meta data for post ID: {$post_id}");
         $this->saveDomainFields($post_id, $posted_data);
@@ -152,11 +221,79 @@ abstract class FormHandlerBase {
         error_log("[{$domain_debug}:SUCCESS] Initial meta population complete for post ID: {$post_id}");
 
         // Handle file uploads
-        $this->handleFileUploads($post_id, $posted_data, $uploaded_files, $domain_debug);
+        $this->handleFileUploads($post_id, $posted_data, $uploaded_files, $domain_debug, $resubmitted_post_id !== null);
         
         error_log("[{$domain_debug}:SUCCESS] Form processing complete for post ID: {$post_id} - Default points will be auto-populated by PostTypeManagerBase hook");
     }
 
+    /**
+     * Get the client-generated submission ID sent by the offline outbox
+     */
+    protected function getClientSubmissionId(array $posted_data): string {
+        $value = $posted_data['mf_submission_id'] ?? '';
+        if (is_array($value)) {
+            $value = reset($value);
+        }
+
+        $value = sanitize_text_field((string)$value);
+        return preg_match('/^[A-Za-z0-9-]{8,64}$/', $value) ? $value : '';
+    }
+
+    /**
+     * Find a post of this type already created from the given submission ID
+     */
+    protected function findPostBySubmissionId(string $submission_id, int $user_id): ?int {
+        $posts = get_posts([
+            'post_type' => $this->getPostType(),
+            'post_status' => 'any',
+            'author' => $user_id,
+            'fields' => 'ids',
+            'posts_per_page' => 1,
+            'meta_key' => '_client_submission_id',
+            'meta_value' => $submission_id,
+            'no_found_rows' => true
+        ]);
+
+        return !empty($posts) ? (int)$posts[0] : null;
+    }
+
+    /**
+     * Get the existing post a submission edits and sends for approval again
+     * Domains without resubmission always create a new post
+     */
+    protected function getResubmittedPostId(array $posted_data, int $user_id): ?int {
+        return null;
+    }
+
+    /**
+     * Hook for domain-specific processing before a resubmitted post is overwritten
+     */
+    protected function beforeResubmit(int $post_id): void {
+        // No-op by default
+    }
+
+    /**
+     * Update an existing post with mapped data and send it for approval again
+     */
+    protected function resubmitPost(int $post_id, array $posted_data, string $domain_debug): ?int {
+        $this->beforeResubmit($post_id);
+
+        $post_args = array_merge($this->mapFormDataToPost($posted_data), [
+            'ID'          => $post_id,
+            'post_status' => 'pending',
+        ]);
+
+        $result = wp_update_post($post_args, true);
+
+        if (is_wp_error($result)) {
+            error_log("[{$domain_debug}:ERROR] Failed to resubmit post {$post_id} - WP Error: " . $result->get_error_message());
+            return null;
+        }
+
+        error_log("[{$domain_debug}:SUCCESS] Resubmitted post with ID: {$post_id}");
+        return $post_id;
+    }
+
     /**
      * Validate user permissions to submit forms of this type
      */
@@ -215,14 +352,15 @@ abstract class FormHandlerBase {
     /**
      * Handle file uploads (generic implementation)
      */
-    protected function handleFileUploads(int $post_id, array $posted_data, array $uploaded_files, string $domain_debug): void {
+    protected function handleFileUploads(int $post_id, array $posted_data, array $uploaded_files, string $domain_debug, bool $is_resubmission = false): void {
         $gallery_field_name = $this->getGalleryFieldName();
         
         error_log("[{$domain_debug}:DEBUG] Processing file uploads");
         error_log("[{$domain_debug}:DEBUG] Uploaded files structure: " . wp_json_encode($uploaded_files));
         error_log("[{$domain_debug}:DEBUG] Posted data structure for files: " . wp_json_encode($posted_data[$gallery_field_name] ?? 'not set'));
         
-        $gallery_ids = [];
+        // Photos kept from a resubmitted post come first
+        $gallery_ids = $this->getRetainedGalleryIds($post_id, $posted_data);
         
         // Check if files are in posted_data (for drag-drop plugin compatibility)
         $files_data = null;
@@ -261,6 +399,7 @@ abstract class FormHandlerBase {
                     
                     if ($attachment_id) {
                         $gallery_ids[] = $attachment_id;
+                        $this->afterFileAttached($attachment_id, (string)$file_url, $posted_data);
                         error_log("[{$domain_debug}:DEBUG] File processed successfully with attachment ID: {$attachment_id}");
                     } else {
                         error_log("[{$domain_debug}:DEBUG] File processing failed for: {$file_url}");
@@ -273,12 +412,33 @@ abstract class FormHandlerBase {
             error_log("[{$domain_debug}:DEBUG] No files uploaded or {$gallery_field_name} field empty");
         }
         
-        if (!empty($gallery_ids)) {
+        // A resubmission replaces the old gallery even when every photo was removed
+        if (!empty($gallery_ids) || $is_resubmission) {
             $result = $this->saveGalleryData($post_id, $gallery_ids);
             error_log("[{$domain_debug}:DEBUG] Gallery field update result: " . ($result ? 'success' : 'failed') . " with " . count($gallery_ids) . " images");
         }
     }
 
+    /**
+     * Existing gallery attachments to keep when the post is resubmitted
+     * @param int $post_id The post ID
+     * @param array $posted_data CF7 posted data
+     * @return array Attachment IDs
+     */
+    protected function getRetainedGalleryIds(int $post_id, array $posted_data): array {
+        return [];
+    }
+
+    /**
+     * Hook for domain-specific processing of a freshly created attachment
+     * @param int $attachment_id The new attachment ID
+     * @param string $file_ref Uploaded file URL or path as sent by the form
+     * @param array $posted_data CF7 posted data
+     */
+    protected function afterFileAttached(int $attachment_id, string $file_ref, array $posted_data): void {
+        // No-op by default
+    }
+
     /**
      * Helper function to process a single file upload from WPCF7
      * @param string $file_path Temporary path to the uploaded file
@@ -359,6 +359,9 @@ abstract class PointsHandlerBase {
                         $point_difference,
                         $points_to_award
                     ));
+
+                    // Notification centre and other listeners
+                    do_action('mistr_fachman_points_awarded', $post_id, $user_id, $point_difference, $this->getPostType());
                 } else {
                     error_log(sprintf(
                         '[%s:INFO] Dual points adjusted for post %d: %d points (total: %d)',
@@ -381,6 +381,13 @@ class AdminController extends AdminControllerBase {
         return FakturaFieldService::getFileFieldSelector();
     }
 
+    /**
+     * Get the card renderer used for AJAX fragment responses
+     */
+    protected function getCardRenderer(): ?AdminCardRendererBase {
+        return $this->card_renderer;
+    }
+
     /**
      * Render faktury-specific user profile card
      */
@@ -60,6 +60,7 @@ class Manager extends PostTypeManagerBase {
         $this->form_handler = new NewFakturyFormHandler($this->user_detection_service, $this);
         
         // Hook form handler into WPCF7
+        add_action('wpcf7_before_send_mail', [$this->form_handler, 'abort_foreign_submission'], 10, 3);
         add_action('wpcf7_mail_sent', [$this->form_handler, 'handle_submission']);
     }
 
@@ -533,6 +533,13 @@ class AdminController extends AdminControllerBase {
         return ['success' => true];
     }
 
+    /**
+     * Get the card renderer used for AJAX fragment responses
+     */
+    protected function getCardRenderer(): ?AdminCardRendererBase {
+        return $this->card_renderer;
+    }
+
     /**
      * Render realizace-specific user profile card
      */
@@ -86,6 +86,7 @@ class Manager extends PostTypeManagerBase {
         $points_handler->init_hooks();
         
         // Hook form handler into WPCF7
+        add_action('wpcf7_before_send_mail', [$this->form_handler, 'abort_foreign_submission'], 10, 3);
         add_action('wpcf7_mail_sent', [$this->form_handler, 'handle_submission']);
         
         // Hook form field filtering for role-based access
@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace MistrFachman\Realizace;
 
 use MistrFachman\Base\FormHandlerBase;
+use MistrFachman\Services\PhotoDuplicateService;
 use MistrFachman\Services\UserDetectionService;
 
 /**
@@ -24,6 +25,11 @@ if (!defined('ABSPATH')) {
 
 class NewRealizaceFormHandler extends FormHandlerBase {
 
+    /**
+     * ID of the "Přidat realizaci" form (also rendered as the resubmission editor)
+     */
+    public const FORM_ID = 320;
+
     public function __construct(
         UserDetectionService $user_detection_service,
         Manager $manager
@@ -35,8 +41,7 @@ class NewRealizaceFormHandler extends FormHandlerBase {
      * Get the form ID to match for this domain
      */
     protected function getFormId(): int {
-        // ID for "Přidat realizaci" form
-        return 320;
+        return self::FORM_ID;
     }
 
     /**
@@ -167,6 +172,27 @@ class NewRealizaceFormHandler extends FormHandlerBase {
         }
     }
 
+    /**
+     * Rejected realizace edited in the [my_realizace] editor
+     */
+    protected function getResubmittedPostId(array $posted_data, int $user_id): ?int {
+        return ResubmissionService::getRequestedPostId($posted_data, $user_id);
+    }
+
+    /**
+     * Keep the rejected version for the admin history
+     */
+    protected function beforeResubmit(int $post_id): void {
+        ResubmissionService::recordVersion($post_id);
+    }
+
+    /**
+     * Photos the user kept in the editor
+     */
+    protected function getRetainedGalleryIds(int $post_id, array $posted_data): array {
+        return ResubmissionService::getKeptPhotoIds($post_id, $posted_data);
+    }
+
     /**
      * Get the gallery field name from form data
      */
@@ -185,6 +211,15 @@ class NewRealizaceFormHandler extends FormHandlerBase {
         );
     }
 
+    /**
+     * Store perceptual hash of each uploaded photo for duplicate detection
+     */
+    protected function afterFileAttached(int $attachment_id, string $file_ref, array $posted_data): void {
+        if (!PhotoDuplicateService::storeAttachmentHash($attachment_id)) {
+            error_log("[REALIZATION:DEBUG] No perceptual hash stored for attachment {$attachment_id}");
+        }
+    }
+
     /**
      * Populate initial post meta data immediately after post creation
      * For Realizace: Set fixed 2500 points
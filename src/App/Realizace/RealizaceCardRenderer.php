@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace MistrFachman\Realizace;
 
 use MistrFachman\Base\AdminCardRendererBase;
+use MistrFachman\Services\PhotoDuplicateService;
 
 /**
  * Realizace Card Renderer - Domain-Specific Data Provider
@@ -91,6 +92,36 @@ class RealizaceCardRenderer extends AdminCardRendererBase {
         $this->load_template('domain-details/realizace-details.php', compact('field_data'));
     }
 
+    /**
+     * Warn about photos reused from other realizace (delegates to template)
+     */
+    protected function renderDomainWarnings(\WP_Post $post): void {
+        $duplicates = PhotoDuplicateService::findDuplicates($post->ID);
+        if (empty($duplicates)) {
+            return;
+        }
+
+        $this->load_template('domain-details/realizace-duplicates.php', [
+            'post' => $post,
+            'duplicates' => $duplicates,
+            'renderer' => $this,
+        ]);
+    }
+
+    /**
+     * List rejected versions of a resubmitted realizace (delegates to template)
+     */
+    protected function renderDomainHistory(\WP_Post $post): void {
+        $versions = ResubmissionService::getVersions($post->ID);
+        if (empty($versions)) {
+            return;
+        }
+
+        $this->load_template('domain-details/realizace-versions.php', [
+            'versions' => array_reverse($versions),
+        ]);
+    }
+
     /**
      * Legacy method for backwards compatibility
      * Delegates to base class consolidated dashboard
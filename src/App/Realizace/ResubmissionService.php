@@ -0,0 +1,189 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Realizace;
+
+use MistrFachman\Services\DomainConfigurationService;
+use MistrFachman\Services\GalleryDataService;
+
+/**
+ * Realizace Resubmission Service
+ *
+ * Lets the author edit a rejected realizace and send it for approval again
+ * through the regular "Přidat realizaci" form. The form carries the post ID
+ * in a hidden field; before the post is updated, its rejected state is
+ * stored as a version so admins can compare what changed.
+ *
+ * Usage:
+ * - ResubmissionService::canResubmit($post_id, $user_id)
+ * - ResubmissionService::getEditorData($post_id)
+ * - ResubmissionService::getVersions($post_id)
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ResubmissionService {
+
+    /**
+     * Hidden form field with the ID of the edited realizace
+     */
+    public const RESUBMIT_FIELD = 'mf_resubmit_id';
+
+    /**
+     * Hidden form fields with attachment IDs of photos the user kept
+     */
+    public const KEEP_PHOTOS_FIELD = 'mf_keep_photos';
+
+    /**
+     * Post meta with the list of previous versions
+     */
+    private const VERSIONS_META_KEY = '_realizace_versions';
+
+    /**
+     * Domain key for configuration access
+     */
+    private const DOMAIN_KEY = 'realization';
+
+    /**
+     * Check that a user may edit and resubmit a realizace
+     *
+     * @param int $post_id Post ID
+     * @param int $user_id User ID
+     * @return bool True for the author's own rejected realizace
+     */
+    public static function canResubmit(int $post_id, int $user_id): bool {
+        $post = get_post($post_id);
+
+        return $post instanceof \WP_Post
+            && $post->post_type === DomainConfigurationService::getWordPressPostType(self::DOMAIN_KEY)
+            && (int)$post->post_author === $user_id
+            && $post->post_status === 'rejected';
+    }
+
+    /**
+     * Get the realizace being resubmitted by a form submission
+     *
+     * @param array $posted_data CF7 posted data
+     * @param int $user_id Submitting user ID
+     * @return int|null Post ID, or null for a new realizace
+     */
+    public static function getRequestedPostId(array $posted_data, int $user_id): ?int {
+        $value = $posted_data[self::RESUBMIT_FIELD] ?? '';
+        if (is_array($value)) {
+            $value = reset($value);
+        }
+
+        $post_id = absint($value);
+        if (!$post_id) {
+            return null;
+        }
+
+        if (!self::canResubmit($post_id, $user_id)) {
+            error_log("[REALIZATION:DEBUG] Resubmission of post {$post_id} refused for user {$user_id} - creating a new post instead");
+            return null;
+        }
+
+        return $post_id;
+    }
+
+    /**
+     * Current gallery photos the user kept in the editor
+     *
+     * @param int $post_id Post ID
+     * @param array $posted_data CF7 posted data
+     * @return array Attachment IDs (only photos already in the gallery)
+     */
+    public static function getKeptPhotoIds(int $post_id, array $posted_data): array {
+        $kept = array_map('absint', (array)($posted_data[self::KEEP_PHOTOS_FIELD] ?? []));
+        $current = self::getGalleryIds($post_id);
+
+        return array_values(array_intersect($current, $kept));
+    }
+
+    /**
+     * Data for pre-filling the editor
+     *
+     * @param int $post_id Post ID
+     * @return array Editor data
+     */
+    public static function getEditorData(int $post_id): array {
+        $post = get_post($post_id);
+
+        return [
+            'id' => $post_id,
+            'title' => $post ? $post->post_title : '',
+            'description' => $post ? $post->post_content : '',
+            'area' => RealizaceFieldService::getArea($post_id),
+            'construction_types' => array_map('strval', RealizaceFieldService::getConstructionTypeIds($post_id)),
+            'materials' => array_map('strval', RealizaceFieldService::getMaterialIds($post_id)),
+            'rejection_reason' => RealizaceFieldService::getRejectionReason($post_id),
+            'photos' => array_map(
+                static fn(array $item): array => ['id' => $item['id'], 'thumb' => $item['thumb'], 'alt' => $item['alt']],
+                GalleryDataService::getLightboxItems(RealizaceFieldService::getGallery($post_id))
+            ),
+        ];
+    }
+
+    /**
+     * Store the rejected state of a realizace before it is overwritten
+     *
+     * @param int $post_id Post ID
+     */
+    public static function recordVersion(int $post_id): void {
+        $post = get_post($post_id);
+        if (!$post) {
+            return;
+        }
+
+        $versions = self::getVersions($post_id);
+        $versions[] = [
+            'version' => count($versions) + 1,
+            'title' => $post->post_title,
+            'content' => $post->post_content,
+            'area' => RealizaceFieldService::getArea($post_id),
+            'construction_type' => RealizaceFieldService::getConstructionType($post_id),
+            'materials' => RealizaceFieldService::getMaterials($post_id),
+            'gallery' => self::getGalleryIds($post_id),
+            'rejection_reason' => RealizaceFieldService::getRejectionReason($post_id),
+            // Post date stays the original one, later versions start at the previous resubmission
+            'submitted_at' => $versions ? $versions[count($versions) - 1]['resubmitted_at'] : $post->post_date,
+            'resubmitted_at' => current_time('mysql'),
+        ];
+
+        update_post_meta($post_id, self::VERSIONS_META_KEY, $versions);
+
+        // The next rejection gets its own reason
+        RealizaceFieldService::setRejectionReason($post_id, '');
+    }
+
+    /**
+     * Previous versions of a realizace, oldest first
+     *
+     * @param int $post_id Post ID
+     * @return array Versions
+     */
+    public static function getVersions(int $post_id): array {
+        $versions = get_post_meta($post_id, self::VERSIONS_META_KEY, true);
+        return is_array($versions) ? $versions : [];
+    }
+
+    /**
+     * Attachment IDs of the current gallery
+     *
+     * @param int $post_id Post ID
+     * @return array Attachment IDs
+     */
+    private static function getGalleryIds(int $post_id): array {
+        return array_values(array_filter(array_map(
+            static fn($image): int => is_array($image) ? (int)($image['ID'] ?? $image['id'] ?? 0) : (int)$image,
+            RealizaceFieldService::getGallery($post_id)
+        )));
+    }
+}
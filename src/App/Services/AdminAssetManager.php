@@ -208,7 +208,9 @@ final class AdminAssetManager {
             'error_generic' => __('Došlo k chybě při zpracování požadavku.', 'mistr-fachman'),
             'approve_text' => __('Schválit', 'mistr-fachman'),
             'reject_text' => __('Odmítnout', 'mistr-fachman'),
-            'bulk_approve_text' => __('Hromadně schválit', 'mistr-fachman')
+            'bulk_approve_text' => __('Hromadně schválit', 'mistr-fachman'),
+            'rejection_templates' => RejectionReasonService::getTemplatesForPostType($this->config['post_type']),
+            'rejection_categories' => RejectionReasonService::getCategories()
         ];
     }
 
@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+/**
+ * Gallery Data Service
+ *
+ * Prepares image data for the JavaScript lightbox (admin cards and
+ * frontend shortcodes): full-size URL, original upload URL for download,
+ * thumbnail, dimensions, file size and EXIF capture date from attachment
+ * metadata.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class GalleryDataService
+{
+    /**
+     * Build lightbox items from ACF gallery/file values
+     *
+     * @param array $images ACF image arrays or attachment IDs
+     * @return array List of lightbox items (non-image files are skipped)
+     */
+    public static function getLightboxItems(array $images): array
+    {
+        $items = [];
+
+        foreach ($images as $image) {
+            $attachment_id = is_array($image) ? (int)($image['ID'] ?? $image['id'] ?? 0) : (int)$image;
+            if (!$attachment_id || !wp_attachment_is_image($attachment_id)) {
+                continue;
+            }
+
+            $full_url = wp_get_attachment_url($attachment_id);
+            if (!$full_url) {
+                continue;
+            }
+
+            $metadata = wp_get_attachment_metadata($attachment_id) ?: [];
+
+            $items[] = [
+                'id' => $attachment_id,
+                'src' => $full_url,
+                // Large uploads are served as a "-scaled" copy, downloads get the upload itself
+                'original' => wp_get_original_image_url($attachment_id) ?: $full_url,
+                'thumb' => wp_get_attachment_image_url($attachment_id, 'thumbnail') ?: $full_url,
+                'alt' => (string)get_post_meta($attachment_id, '_wp_attachment_image_alt', true),
+                'title' => get_the_title($attachment_id),
+                'width' => (int)($metadata['width'] ?? 0),
+                'height' => (int)($metadata['height'] ?? 0),
+                'filesize' => self::getFileSize($attachment_id, $metadata),
+                'taken_at' => self::getCaptureDate($metadata),
+            ];
+        }
+
+        return $items;
+    }
+
+    /**
+     * Get file size of the original upload
+     *
+     * @param int $attachment_id Attachment ID
+     * @param array $metadata Attachment metadata
+     * @return int Size in bytes (0 when unknown)
+     */
+    private static function getFileSize(int $attachment_id, array $metadata): int
+    {
+        // Metadata file size belongs to the "-scaled" copy when there is one
+        if (!empty($metadata['filesize']) && empty($metadata['original_image'])) {
+            return (int)$metadata['filesize'];
+        }
+
+        $file = wp_get_original_image_path($attachment_id) ?: get_attached_file($attachment_id);
+        return ($file && file_exists($file)) ? (int)filesize($file) : 0;
+    }
+
+    /**
+     * Get EXIF capture date extracted by WordPress on upload
+     *
+     * @param array $metadata Attachment metadata
+     * @return string ISO 8601 date or empty string
+     */
+    private static function getCaptureDate(array $metadata): string
+    {
+        $timestamp = (int)($metadata['image_meta']['created_timestamp'] ?? 0);
+        return $timestamp > 0 ? gmdate('c', $timestamp) : '';
+    }
+}
@@ -32,6 +32,7 @@ class IconHelper
     {
         $icons = [
             'lock' => self::get_lock_icon($attributes),
+            'bell' => self::get_bell_icon($attributes),
             // Add more icons here as needed
         ];
 
@@ -64,6 +65,33 @@ class IconHelper
         );
     }
 
+    /**
+     * Get bell icon SVG
+     *
+     * @param array $attributes Optional attributes
+     * @return string SVG markup
+     */
+    private static function get_bell_icon(array $attributes = []): string
+    {
+        $default_attributes = [
+            'class' => 'bell-icon',
+            'width' => '22',
+            'height' => '22',
+            'viewBox' => '0 0 24 24',
+            'fill' => 'none',
+            'aria-hidden' => 'true',
+            'xmlns' => 'http://www.w3.org/2000/svg'
+        ];
+
+        $attributes = array_merge($default_attributes, $attributes);
+        $attr_string = self::build_attributes($attributes);
+
+        return sprintf(
+            '<svg %s><path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M13.73 21a2 2 0 0 1-3.46 0" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+            $attr_string
+        );
+    }
+
     /**
      * Build HTML attributes string from array
      *
@@ -0,0 +1,247 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+/**
+ * My Posts Filter Service
+ *
+ * Shared filtering for the [my_realizace] and [my_faktury] shortcodes:
+ * status tab, date range, free-text search and sort order. Filters come
+ * from the page URL on the first render (prefixed, e.g. realizace_status)
+ * and from the AJAX request afterwards (unprefixed), so a filtered view
+ * can be bookmarked.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyPostsFilterService
+{
+    /**
+     * Status tabs in display order ('' = all statuses)
+     */
+    public const STATUS_TABS = ['', 'pending', 'publish', 'rejected'];
+
+    /**
+     * Sort options with their labels
+     */
+    public const SORT_OPTIONS = [
+        'date_desc' => 'Nejnovější',
+        'date_asc' => 'Nejstarší',
+        'points_desc' => 'Nejvíce bodů',
+        'points_asc' => 'Nejméně bodů',
+    ];
+
+    /**
+     * Default sort order
+     */
+    public const DEFAULT_SORT = 'date_desc';
+
+    /**
+     * Maximum length of the search phrase
+     */
+    private const SEARCH_MAX_LENGTH = 100;
+
+    /**
+     * Read and sanitize filters from request data
+     *
+     * @param array $source Request data ($_GET or $_POST)
+     * @param string $prefix Parameter prefix ('realizace_' in URLs, '' in AJAX requests)
+     * @return array{status: string, from: string, to: string, search: string, sort: string}
+     */
+    public static function getFilters(array $source, string $prefix = ''): array
+    {
+        $value = static fn(string $key): string => isset($source[$prefix . $key]) && is_string($source[$prefix . $key])
+            ? sanitize_text_field(wp_unslash($source[$prefix . $key]))
+            : '';
+
+        $status = $value('status');
+        $sort = $value('sort');
+        $from = self::sanitizeDate($value('from'));
+        $to = self::sanitizeDate($value('to'));
+
+        // Swapped range is most likely a typo, not an empty result on purpose
+        if ($from !== '' && $to !== '' && $from > $to) {
+            [$from, $to] = [$to, $from];
+        }
+
+        return [
+            'status' => in_array($status, self::STATUS_TABS, true) ? $status : '',
+            'from' => $from,
+            'to' => $to,
+            'search' => mb_substr($value('search'), 0, self::SEARCH_MAX_LENGTH),
+            'sort' => isset(self::SORT_OPTIONS[$sort]) ? $sort : self::DEFAULT_SORT,
+        ];
+    }
+
+    /**
+     * Whether any filter narrows the list (sort order does not)
+     *
+     * @param array $filters Sanitized filters
+     * @return bool
+     */
+    public static function hasActiveFilters(array $filters): bool
+    {
+        return $filters['status'] !== '' || $filters['from'] !== '' || $filters['to'] !== '' || $filters['search'] !== '';
+    }
+
+    /**
+     * Apply filters to WP_Query arguments
+     *
+     * @param array $query_args Base query arguments
+     * @param array $filters Sanitized filters
+     * @param string $domain_key Domain identifier ('realization', 'invoice')
+     * @return array Query arguments
+     */
+    public static function applyToQueryArgs(array $query_args, array $filters, string $domain_key): array
+    {
+        if ($filters['status'] !== '') {
+            $query_args['post_status'] = $filters['status'];
+        }
+
+        if ($filters['from'] !== '' || $filters['to'] !== '') {
+            // Array form so that an inclusive 'before' covers the whole last day
+            $query_args['date_query'] = [array_filter([
+                'after' => self::toDateParts($filters['from']),
+                'before' => self::toDateParts($filters['to']),
+                'inclusive' => true,
+            ])];
+        }
+
+        if ($filters['search'] !== '') {
+            $query_args['s'] = $filters['search'];
+        }
+
+        [$field, $direction] = explode('_', $filters['sort']);
+        $direction = strtoupper($direction);
+
+        if ($field === 'points') {
+            // Posts without points (pending, rejected) stay in the list, sorted as zero
+            $points_key = DomainConfigurationService::getFieldName($domain_key, 'points');
+            $query_args['meta_query'] = [
+                'relation' => 'OR',
+                'points_clause' => [
+                    'key' => $points_key,
+                    'compare' => 'EXISTS',
+                    'type' => 'NUMERIC',
+                ],
+                [
+                    'key' => $points_key,
+                    'compare' => 'NOT EXISTS',
+                ],
+            ];
+            $query_args['orderby'] = ['points_clause' => $direction, 'date' => 'DESC'];
+            unset($query_args['order']);
+        } else {
+            $query_args['orderby'] = 'date';
+            $query_args['order'] = $direction;
+        }
+
+        return $query_args;
+    }
+
+    /**
+     * Page of a list the post is on
+     *
+     * @param array $query_args Query arguments of the list (offset is ignored)
+     * @param int $post_id Post ID
+     * @param int $posts_per_page Posts per page
+     * @return int|null Page number, null when the post is not in the list
+     */
+    public static function getPageOfPost(array $query_args, int $post_id, int $posts_per_page): ?int
+    {
+        $post_ids = get_posts(array_merge($query_args, [
+            'fields' => 'ids',
+            'posts_per_page' => -1,
+            'offset' => 0,
+            'no_found_rows' => true,
+        ]));
+
+        $index = array_search($post_id, array_map('intval', $post_ids), true);
+
+        return $index === false ? null : intdiv($index, max(1, $posts_per_page)) + 1;
+    }
+
+    /**
+     * Count user's posts per status tab
+     *
+     * @param string $post_type WordPress post type
+     * @param int $user_id User ID
+     * @return array Counts keyed by status ('' = all)
+     */
+    public static function getStatusCounts(string $post_type, int $user_id): array
+    {
+        global $wpdb;
+
+        $statuses = ProjectStatusService::getAllValidStatuses();
+        $placeholders = implode(', ', array_fill(0, count($statuses), '%s'));
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT post_status, COUNT(*) AS total
+             FROM {$wpdb->posts}
+             WHERE post_type = %s AND post_author = %d AND post_status IN ({$placeholders})
+             GROUP BY post_status",
+            $post_type,
+            $user_id,
+            ...$statuses
+        ), ARRAY_A);
+
+        $counts = array_fill_keys(self::STATUS_TABS, 0);
+        foreach ($rows ?: [] as $row) {
+            $counts[''] += (int) $row['total'];
+            if (isset($counts[$row['post_status']])) {
+                $counts[$row['post_status']] = (int) $row['total'];
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Label of a status tab
+     *
+     * @param string $status Status slug ('' = all)
+     * @return string
+     */
+    public static function getTabLabel(string $status): string
+    {
+        return $status === '' ? 'Vše' : ProjectStatusService::getStatusLabel($status);
+    }
+
+    /**
+     * Split a Y-m-d date for date_query
+     *
+     * @param string $date
+     * @return array|null
+     */
+    private static function toDateParts(string $date): ?array
+    {
+        if ($date === '') {
+            return null;
+        }
+
+        [$year, $month, $day] = array_map('intval', explode('-', $date));
+
+        return ['year' => $year, 'month' => $month, 'day' => $day];
+    }
+
+    /**
+     * Validate a Y-m-d date
+     *
+     * @param string $date
+     * @return string Date or empty string
+     */
+    private static function sanitizeDate(string $date): string
+    {
+        $parsed = \DateTime::createFromFormat('!Y-m-d', $date);
+
+        return $parsed && $parsed->format('Y-m-d') === $date ? $date : '';
+    }
+}
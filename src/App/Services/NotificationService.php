@@ -0,0 +1,419 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+use MistrFachman\Faktury\FakturaFieldService;
+use MistrFachman\Realizace\RealizaceFieldService;
+
+/**
+ * Notification Service
+ *
+ * Notification centre of the header bell: approval and rejection of the user's
+ * realizace and faktury, awarded points and žebříček position changes. Events
+ * are stored in user meta (newest first, with an incrementing ID per user) and
+ * read by the frontend through a polling endpoint; the ID of the newest event
+ * the user has seen is the unread marker. Rank changes are detected while
+ * polling, by comparing the position with the one from the previous poll.
+ *
+ * Rejection reasons are set after the status change, so they are read when
+ * the notification is displayed, not when it is stored.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class NotificationService
+{
+    public const AJAX_ACTION = 'mistr_fachman_notifications';
+    public const READ_ACTION = 'mistr_fachman_notifications_read';
+
+    private const NOTIFICATIONS_META = '_mf_notifications';
+    private const LAST_ID_META = '_mf_notifications_last_id';
+    private const READ_ID_META = '_mf_notifications_read_id';
+    private const RANK_META = '_mf_notifications_rank';
+
+    /**
+     * Stored notifications per user (older ones are dropped)
+     */
+    private const MAX_STORED = 50;
+
+    /**
+     * Notifications returned by the first poll of a page
+     */
+    private const MAX_RETURNED = 20;
+
+    private const PAGE_URL_TRANSIENT_PREFIX = 'mf_notification_page_';
+
+    /**
+     * Domains with user submissions
+     */
+    private const DOMAINS = [
+        'realization' => [
+            'shortcode' => 'my_realizace',
+            'param_prefix' => 'realizace_',
+            'anchor' => 'realizace',
+            'label' => 'Realizace',
+            'accusative' => 'realizaci',
+        ],
+        'invoice' => [
+            'shortcode' => 'my_faktury',
+            'param_prefix' => 'faktury_',
+            'anchor' => 'faktura',
+            'label' => 'Faktura',
+            'accusative' => 'fakturu',
+        ],
+    ];
+
+    /**
+     * Register WordPress hooks
+     */
+    public static function registerHooks(): void
+    {
+        add_action('transition_post_status', [self::class, 'handleStatusTransition'], 20, 3);
+        add_action('mistr_fachman_points_awarded', [self::class, 'handlePointsAwarded'], 10, 4);
+        add_action('wp_ajax_' . self::AJAX_ACTION, [self::class, 'handlePollAjax']);
+        add_action('wp_ajax_' . self::READ_ACTION, [self::class, 'handleReadAjax']);
+    }
+
+    /**
+     * Record approval and rejection of a submission
+     *
+     * @param string $new_status New post status
+     * @param string $old_status Old post status
+     * @param \WP_Post $post Post
+     */
+    public static function handleStatusTransition(string $new_status, string $old_status, \WP_Post $post): void
+    {
+        $domain = self::getDomainForPostType($post->post_type);
+        if (!$domain || $new_status === $old_status) {
+            return;
+        }
+
+        // Only decisions on submitted posts, not posts created directly in the admin
+        if (!in_array($old_status, ['pending', 'rejected', 'publish'], true)) {
+            return;
+        }
+
+        $type = match ($new_status) {
+            'publish' => 'approved',
+            'rejected' => 'rejected',
+            default => null,
+        };
+
+        if ($type) {
+            self::addNotification((int) $post->post_author, $type, [
+                'domain' => $domain,
+                'post_id' => $post->ID,
+                'title' => $post->post_title,
+            ]);
+        }
+    }
+
+    /**
+     * Record points awarded for a submission
+     *
+     * @param int $post_id Post ID
+     * @param int $user_id Author ID
+     * @param int $points Newly awarded points
+     * @param string $domain Domain key (realization, invoice)
+     */
+    public static function handlePointsAwarded(int $post_id, int $user_id, int $points, string $domain): void
+    {
+        if ($points <= 0 || !isset(self::DOMAINS[$domain])) {
+            return;
+        }
+
+        self::addNotification($user_id, 'points', [
+            'domain' => $domain,
+            'post_id' => $post_id,
+            'title' => get_the_title($post_id),
+            'points' => $points,
+        ]);
+    }
+
+    /**
+     * Handle poll request
+     */
+    public static function handlePollAjax(): void
+    {
+        if (!check_ajax_referer('mistr_fachman_access_control', 'nonce', false)) {
+            wp_send_json_error(['message' => 'Bezpečnostní kontrola selhala.'], 403);
+        }
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(['message' => 'Uživatel není přihlášen.'], 401);
+        }
+
+        self::checkRankChange($user_id);
+
+        $since = absint($_POST['since'] ?? 0);
+        $read_id = (int) get_user_meta($user_id, self::READ_ID_META, true);
+        $notifications = self::getNotifications($user_id);
+
+        $items = $since
+            ? array_filter($notifications, static fn(array $notification): bool => $notification['id'] > $since)
+            : array_slice($notifications, 0, self::MAX_RETURNED);
+
+        wp_send_json_success([
+            'items' => array_values(array_map(
+                static fn(array $notification): array => self::formatNotification($notification, $read_id),
+                $items
+            )),
+            'unread' => self::countUnread($notifications, $read_id),
+            'last_id' => (int) get_user_meta($user_id, self::LAST_ID_META, true),
+        ]);
+    }
+
+    /**
+     * Handle "mark as read" request
+     */
+    public static function handleReadAjax(): void
+    {
+        if (!check_ajax_referer('mistr_fachman_access_control', 'nonce', false)) {
+            wp_send_json_error(['message' => 'Bezpečnostní kontrola selhala.'], 403);
+        }
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(['message' => 'Uživatel není přihlášen.'], 401);
+        }
+
+        $last_id = (int) get_user_meta($user_id, self::LAST_ID_META, true);
+        $read_id = max(
+            (int) get_user_meta($user_id, self::READ_ID_META, true),
+            min(absint($_POST['up_to'] ?? 0), $last_id)
+        );
+        update_user_meta($user_id, self::READ_ID_META, $read_id);
+
+        wp_send_json_success([
+            'unread' => self::countUnread(self::getNotifications($user_id), $read_id),
+        ]);
+    }
+
+    /**
+     * Store a notification for a user
+     *
+     * @param int $user_id Recipient
+     * @param string $type approved, rejected, points, rank
+     * @param array $data Type-specific data
+     */
+    public static function addNotification(int $user_id, string $type, array $data): void
+    {
+        if (!$user_id) {
+            return;
+        }
+
+        $id = (int) get_user_meta($user_id, self::LAST_ID_META, true) + 1;
+        $notification = array_merge($data, [
+            'id' => $id,
+            'type' => $type,
+            'created_at' => current_time('mysql'),
+        ]);
+
+        $notifications = self::getNotifications($user_id);
+        array_unshift($notifications, $notification);
+
+        update_user_meta($user_id, self::NOTIFICATIONS_META, array_slice($notifications, 0, self::MAX_STORED));
+        update_user_meta($user_id, self::LAST_ID_META, $id);
+
+        do_action('mistr_fachman_notification_added', $user_id, self::formatNotification($notification, $id - 1));
+    }
+
+    /**
+     * Stored notifications of a user, newest first
+     *
+     * @param int $user_id User ID
+     * @return array Notifications
+     */
+    public static function getNotifications(int $user_id): array
+    {
+        $notifications = get_user_meta($user_id, self::NOTIFICATIONS_META, true);
+        return is_array($notifications) ? $notifications : [];
+    }
+
+    /**
+     * Notification as displayed by the bell
+     *
+     * @param array $notification Stored notification
+     * @param int $read_id ID of the newest notification the user has seen
+     * @return array [id, type, title, message, detail, url, date, unread]
+     */
+    public static function formatNotification(array $notification, int $read_id): array
+    {
+        $domain = self::DOMAINS[$notification['domain'] ?? ''] ?? null;
+        $post_title = sprintf('„%s“', $notification['title'] ?? '');
+        $detail = '';
+
+        switch ($notification['type']) {
+            case 'approved':
+                $title = $domain['label'] . ' schválena';
+                $message = $post_title;
+                break;
+
+            case 'rejected':
+                $title = $domain['label'] . ' zamítnuta';
+                $message = $post_title;
+                $reason = self::getRejectionReason($notification['domain'], (int) $notification['post_id']);
+                $detail = $reason !== '' ? 'Důvod: ' . $reason : '';
+                break;
+
+            case 'points':
+                $title = sprintf('+%s b.', number_format((int) $notification['points'], 0, ',', ' '));
+                $message = sprintf('Za %s %s', $domain['accusative'], $post_title);
+                break;
+
+            case 'rank':
+                $title = $notification['position'] < $notification['previous_position']
+                    ? 'Posun v žebříčku'
+                    : 'Změna pořadí v žebříčku';
+                $message = sprintf('Jste na %d. místě (dříve %d.)', $notification['position'], $notification['previous_position']);
+                break;
+
+            default:
+                $title = '';
+                $message = '';
+        }
+
+        return [
+            'id' => (int) $notification['id'],
+            'type' => $notification['type'],
+            'title' => $title,
+            'message' => $message,
+            'detail' => $detail,
+            'url' => self::getNotificationUrl($notification),
+            'date' => mysql2date('j.n.Y H:i', $notification['created_at']),
+            'unread' => $notification['id'] > $read_id,
+        ];
+    }
+
+    /**
+     * Record a žebříček position change since the previous check
+     *
+     * @param int $user_id User ID
+     */
+    private static function checkRankChange(int $user_id): void
+    {
+        $year = date('Y');
+        $position = (new ZebricekDataService())->get_user_position($user_id, $year);
+        $previous = get_user_meta($user_id, self::RANK_META, true);
+
+        // 999 = not ranked yet
+        $ranked = $position !== 999;
+        $previous_position = is_array($previous) && ($previous['year'] ?? '') === $year ? (int) $previous['position'] : 0;
+
+        if ($ranked && $previous_position && $previous_position !== $position) {
+            self::addNotification($user_id, 'rank', [
+                'position' => $position,
+                'previous_position' => $previous_position,
+            ]);
+        }
+
+        if ($ranked && $previous_position !== $position) {
+            update_user_meta($user_id, self::RANK_META, ['year' => $year, 'position' => $position]);
+        }
+    }
+
+    /**
+     * Count notifications newer than the read marker
+     *
+     * @param array $notifications Stored notifications
+     * @param int $read_id Read marker
+     * @return int
+     */
+    private static function countUnread(array $notifications, int $read_id): int
+    {
+        return count(array_filter($notifications, static fn(array $notification): bool => $notification['id'] > $read_id));
+    }
+
+    /**
+     * Link of a notification - the card in [my_realizace] / [my_faktury] or the žebříček
+     *
+     * @param array $notification Stored notification
+     * @return string URL
+     */
+    private static function getNotificationUrl(array $notification): string
+    {
+        if ($notification['type'] === 'rank') {
+            return self::getShortcodePageUrl('zebricek_leaderboard');
+        }
+
+        $domain = self::DOMAINS[$notification['domain']];
+        $post_id = (int) $notification['post_id'];
+
+        // The shortcode opens the page of the list the post is on
+        return add_query_arg($domain['param_prefix'] . 'post', $post_id, self::getShortcodePageUrl($domain['shortcode']))
+            . '#' . $domain['anchor'] . '-' . $post_id;
+    }
+
+    /**
+     * URL of the first published page using a shortcode
+     *
+     * @param string $shortcode Shortcode tag
+     * @return string URL (home page when no page uses the shortcode)
+     */
+    private static function getShortcodePageUrl(string $shortcode): string
+    {
+        $transient_key = self::PAGE_URL_TRANSIENT_PREFIX . $shortcode;
+        $url = get_transient($transient_key);
+
+        if ($url === false) {
+            global $wpdb;
+
+            $page_id = (int) $wpdb->get_var($wpdb->prepare(
+                "SELECT ID FROM {$wpdb->posts}
+                 WHERE post_type = 'page' AND post_status = 'publish' AND post_content LIKE %s
+                 ORDER BY menu_order, ID
+                 LIMIT 1",
+                '%' . $wpdb->esc_like('[' . $shortcode) . '%'
+            ));
+
+            $url = $page_id ? (string) get_permalink($page_id) : '';
+            set_transient($transient_key, $url, DAY_IN_SECONDS);
+        }
+
+        return apply_filters('mistr_fachman_notification_page_url', $url ?: home_url('/'), $shortcode);
+    }
+
+    /**
+     * Current rejection reason of a post that is still rejected
+     *
+     * @param string $domain Domain key
+     * @param int $post_id Post ID
+     * @return string
+     */
+    private static function getRejectionReason(string $domain, int $post_id): string
+    {
+        if (get_post_status($post_id) !== 'rejected') {
+            return '';
+        }
+
+        return $domain === 'invoice'
+            ? FakturaFieldService::getRejectionReason($post_id)
+            : RealizaceFieldService::getRejectionReason($post_id);
+    }
+
+    /**
+     * Domain of a WordPress post type
+     *
+     * @param string $post_type Post type slug
+     * @return string|null Domain key
+     */
+    private static function getDomainForPostType(string $post_type): ?string
+    {
+        foreach (array_keys(self::DOMAINS) as $domain) {
+            if (DomainConfigurationService::getWordPressPostType($domain) === $post_type) {
+                return $domain;
+            }
+        }
+
+        return null;
+    }
+}
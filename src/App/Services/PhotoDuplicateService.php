@@ -0,0 +1,361 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+/**
+ * Photo Duplicate Service
+ *
+ * Detects photos reused across realizace submissions. Every uploaded image
+ * gets a 64-bit perceptual hash (dHash) computed here with GD from the
+ * stored file and kept as attachment meta. Photos whose hashes differ in only
+ * a few bits are treated as near-identical (re-encoded, resized or slightly
+ * cropped copies).
+ *
+ * Matches are found once, when the hash is stored, and kept on both
+ * attachments, so the admin card only reads them.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class PhotoDuplicateService
+{
+    /**
+     * Attachment meta key holding the hash
+     */
+    public const META_KEY = '_mf_phash';
+
+    /**
+     * Attachment meta key holding near-identical photos (attachment ID => distance)
+     */
+    public const MATCHES_META_KEY = '_mf_phash_matches';
+
+    /**
+     * Maximum number of differing bits (of 64) to consider photos near-identical
+     */
+    public const MAX_DISTANCE = 10;
+
+    /**
+     * GD support flag for each image type the hash can be computed from
+     */
+    private const GD_TYPES = [
+        IMAGETYPE_JPEG => IMG_JPG,
+        IMAGETYPE_PNG => IMG_PNG,
+        IMAGETYPE_GIF => IMG_GIF,
+        IMAGETYPE_WEBP => IMG_WEBP,
+    ];
+
+    /**
+     * Hash index of all realizace photos, built once per request
+     *
+     * @var array<int, array{hash: string, post_id: int}>|null
+     */
+    private static ?array $index = null;
+
+    /**
+     * Compute and store hash for an uploaded photo, then record its matches
+     *
+     * The hash always comes from the stored file, never from the browser,
+     * otherwise a reused photo could be submitted with any made-up hash.
+     *
+     * @param int $attachment_id Attachment ID
+     * @return bool True when a hash was stored
+     */
+    public static function storeAttachmentHash(int $attachment_id): bool
+    {
+        if (!wp_attachment_is_image($attachment_id)) {
+            return false;
+        }
+
+        $file = get_attached_file($attachment_id);
+        $hash = $file ? self::computeHash($file) : null;
+
+        if (!$hash) {
+            return false;
+        }
+
+        update_post_meta($attachment_id, self::META_KEY, $hash);
+
+        $post_id = (int)get_post_field('post_parent', $attachment_id);
+        $matches = self::findMatches($hash, $post_id);
+        update_post_meta($attachment_id, self::MATCHES_META_KEY, $matches);
+
+        // The older photo gets the new one too - its realizace shows the warning as well
+        foreach ($matches as $match_id => $distance) {
+            $other_matches = get_post_meta($match_id, self::MATCHES_META_KEY, true);
+            if (is_array($other_matches)) {
+                $other_matches[$attachment_id] = $distance;
+                update_post_meta($match_id, self::MATCHES_META_KEY, $other_matches);
+            }
+        }
+
+        if (self::$index !== null) {
+            self::$index[$attachment_id] = ['hash' => $hash, 'post_id' => $post_id];
+        }
+
+        return true;
+    }
+
+    /**
+     * Compute dHash of an image file with GD
+     *
+     * @param string $file_path Absolute file path
+     * @return string|null 16 hex characters or null when GD cannot read the image
+     */
+    public static function computeHash(string $file_path): ?string
+    {
+        if (!function_exists('imagecreatefromstring') || !is_readable($file_path)) {
+            return null;
+        }
+
+        // Only formats this GD build decodes - anything else would only raise warnings
+        $size = wp_getimagesize($file_path);
+        $gd_type = $size ? (self::GD_TYPES[$size[2]] ?? 0) : 0;
+        if (!$gd_type || !(imagetypes() & $gd_type)) {
+            return null;
+        }
+
+        $source = imagecreatefromstring((string)file_get_contents($file_path));
+        if (!$source) {
+            return null;
+        }
+
+        $source = self::applyExifOrientation($source, $file_path);
+
+        $thumb = imagecreatetruecolor(9, 8);
+        imagecopyresampled($thumb, $source, 0, 0, 0, 0, 9, 8, imagesx($source), imagesy($source));
+        imagedestroy($source);
+
+        $hash = '';
+        for ($y = 0; $y < 8; $y++) {
+            $byte = 0;
+            for ($x = 0; $x < 8; $x++) {
+                $byte = ($byte << 1) | (self::luma($thumb, $x, $y) > self::luma($thumb, $x + 1, $y) ? 1 : 0);
+            }
+            $hash .= str_pad(dechex($byte), 2, '0', STR_PAD_LEFT);
+        }
+        imagedestroy($thumb);
+
+        return $hash;
+    }
+
+    /**
+     * Count differing bits between two hashes
+     *
+     * @param string $a First hash
+     * @param string $b Second hash
+     * @return int Hamming distance (0-64)
+     */
+    public static function distance(string $a, string $b): int
+    {
+        $distance = 0;
+
+        // 32-bit halves keep hexdec() in integer range
+        foreach ([0, 8] as $offset) {
+            $xor = hexdec(substr($a, $offset, 8)) ^ hexdec(substr($b, $offset, 8));
+            $distance += substr_count(decbin($xor), '1');
+        }
+
+        return $distance;
+    }
+
+    /**
+     * Find other realizace containing near-identical photos
+     *
+     * Reads the matches recorded by storeAttachmentHash(). Photos hashed before
+     * matches were recorded get them computed here once.
+     *
+     * @param int $post_id Realizace post ID
+     * @return array List of matches grouped by realizace, closest first:
+     *               [post_id, title, author, status, edit_link, pairs => [[photo_id, match_id, distance]]]
+     */
+    public static function findDuplicates(int $post_id): array
+    {
+        global $wpdb;
+
+        $photos = $wpdb->get_results($wpdb->prepare(
+            "SELECT attachment.ID AS attachment_id, hash.meta_value AS hash, matches.meta_value AS matches
+             FROM {$wpdb->posts} attachment
+             INNER JOIN {$wpdb->postmeta} hash ON hash.post_id = attachment.ID AND hash.meta_key = %s
+             LEFT JOIN {$wpdb->postmeta} matches ON matches.post_id = attachment.ID AND matches.meta_key = %s
+             WHERE attachment.post_parent = %d
+               AND attachment.post_type = 'attachment'",
+            self::META_KEY,
+            self::MATCHES_META_KEY,
+            $post_id
+        ));
+
+        $matches = [];
+        foreach ($photos ?: [] as $photo) {
+            $photo_matches = maybe_unserialize($photo->matches);
+
+            if (!is_array($photo_matches)) {
+                if (!self::isValidHash((string)$photo->hash)) {
+                    continue;
+                }
+
+                $photo_matches = self::findMatches((string)$photo->hash, $post_id);
+                update_post_meta((int)$photo->attachment_id, self::MATCHES_META_KEY, $photo_matches);
+            }
+
+            foreach ($photo_matches as $match_id => $distance) {
+                // Matched photo may have been deleted or moved since
+                $other_post_id = (int)get_post_field('post_parent', (int)$match_id);
+                if (!$other_post_id || $other_post_id === $post_id) {
+                    continue;
+                }
+
+                $matches[$other_post_id][] = [
+                    'photo_id' => (int)$photo->attachment_id,
+                    'match_id' => (int)$match_id,
+                    'distance' => (int)$distance,
+                ];
+            }
+        }
+
+        $post_type = DomainConfigurationService::getWordPressPostType('realization');
+
+        $results = [];
+        foreach ($matches as $other_post_id => $pairs) {
+            $other_post = get_post($other_post_id);
+            if (!$other_post || $other_post->post_type !== $post_type || in_array($other_post->post_status, ['trash', 'auto-draft'], true)) {
+                continue;
+            }
+
+            usort($pairs, static fn(array $a, array $b): int => $a['distance'] <=> $b['distance']);
+            $author = get_userdata((int)$other_post->post_author);
+
+            $results[] = [
+                'post_id' => $other_post_id,
+                'title' => get_the_title($other_post),
+                'author' => $author ? $author->display_name : '',
+                'same_author' => (int)$other_post->post_author === (int)get_post_field('post_author', $post_id),
+                'status' => $other_post->post_status,
+                'date' => $other_post->post_date,
+                'edit_link' => (string)get_edit_post_link($other_post_id, 'raw'),
+                'pairs' => $pairs,
+            ];
+        }
+
+        usort($results, static fn(array $a, array $b): int => $a['pairs'][0]['distance'] <=> $b['pairs'][0]['distance']);
+
+        return $results;
+    }
+
+    /**
+     * Compare a hash against photos of all other realizace
+     *
+     * @param string $hash Photo hash
+     * @param int $post_id Realizace the photo belongs to (its own photos are skipped)
+     * @return array<int, int> Matching attachment ID => distance
+     */
+    private static function findMatches(string $hash, int $post_id): array
+    {
+        $matches = [];
+        foreach (self::getIndex() as $other_id => $other) {
+            if ($other['post_id'] === $post_id) {
+                continue;
+            }
+
+            $distance = self::distance($hash, $other['hash']);
+            if ($distance <= self::MAX_DISTANCE) {
+                $matches[$other_id] = $distance;
+            }
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Load hashes of all photos attached to non-trashed realizace
+     *
+     * @return array<int, array{hash: string, post_id: int}> Keyed by attachment ID
+     */
+    private static function getIndex(): array
+    {
+        if (self::$index !== null) {
+            return self::$index;
+        }
+
+        global $wpdb;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT pm.post_id AS attachment_id, pm.meta_value AS hash, parent.ID AS parent_id
+             FROM {$wpdb->postmeta} pm
+             INNER JOIN {$wpdb->posts} attachment ON attachment.ID = pm.post_id
+             INNER JOIN {$wpdb->posts} parent ON parent.ID = attachment.post_parent
+             WHERE pm.meta_key = %s
+               AND parent.post_type = %s
+               AND parent.post_status NOT IN ('trash', 'auto-draft')",
+            self::META_KEY,
+            DomainConfigurationService::getWordPressPostType('realization')
+        ));
+
+        self::$index = [];
+        foreach ($rows ?: [] as $row) {
+            if (self::isValidHash((string)$row->hash)) {
+                self::$index[(int)$row->attachment_id] = [
+                    'hash' => (string)$row->hash,
+                    'post_id' => (int)$row->parent_id,
+                ];
+            }
+        }
+
+        return self::$index;
+    }
+
+    /**
+     * Check hash format (16 lowercase or uppercase hex characters)
+     */
+    private static function isValidHash(string $hash): bool
+    {
+        return (bool)preg_match('/^[0-9a-f]{16}$/i', $hash);
+    }
+
+    /**
+     * Grayscale value of a pixel (ITU-R BT.601)
+     *
+     * @param \GdImage $image GD image
+     */
+    private static function luma($image, int $x, int $y): float
+    {
+        $rgb = imagecolorat($image, $x, $y);
+        return (($rgb >> 16) & 0xFF) * 0.299 + (($rgb >> 8) & 0xFF) * 0.587 + ($rgb & 0xFF) * 0.114;
+    }
+
+    /**
+     * Rotate image according to EXIF orientation (phone photos are often stored sideways)
+     *
+     * @param \GdImage $image GD image
+     * @param string $file_path Original file path
+     * @return \GdImage Upright image
+     */
+    private static function applyExifOrientation($image, string $file_path)
+    {
+        if (!function_exists('wp_read_image_metadata')) {
+            require_once ABSPATH . 'wp-admin/includes/image.php';
+        }
+
+        // WordPress reads EXIF only from the types that carry it
+        $metadata = wp_read_image_metadata($file_path);
+        $angle = [3 => 180, 6 => -90, 8 => 90][(int)($metadata['orientation'] ?? 1)] ?? 0;
+        if ($angle === 0) {
+            return $image;
+        }
+
+        $rotated = imagerotate($image, $angle, 0);
+        if (!$rotated) {
+            return $image;
+        }
+
+        imagedestroy($image);
+        return $rotated;
+    }
+}
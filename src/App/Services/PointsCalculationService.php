@@ -261,6 +261,23 @@ class PointsCalculationService
         return $preview;
     }
 
+    /**
+     * Get rule description for users (frontend previews)
+     *
+     * @param string $rule Calculation rule
+     * @param array $preview Optional previewCalculation() result for value-specific wording
+     * @return string Czech rule description
+     */
+    public static function getRuleLabel(string $rule, array $preview = []): string
+    {
+        return match ($rule) {
+            self::RULE_FIXED_VALUE, self::RULE_DYNAMIC => sprintf('Pevná odměna %s bodů', number_format((int)($preview['default_points'] ?? 0), 0, ',', ' ')),
+            self::RULE_FLOOR_DIVISION_10 => 'Každých 10 Kč = 1 bod (zaokrouhleno dolů)',
+            self::RULE_PERCENTAGE => 'Body podle procenta z částky',
+            default => ''
+        };
+    }
+
     /**
      * Get human-readable formula description
      *
@@ -0,0 +1,136 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+/**
+ * Points Preview Service
+ *
+ * AJAX endpoint for the live points previews in the faktura and realizace forms.
+ * Runs the domain calculation rule on the values being entered
+ * (PointsCalculationService::previewCalculation), projects the result onto the
+ * current user's žebříček position and, for domains with a submission checklist
+ * (ValidationRulesRegistry), reports which recommendations are not met yet.
+ * Nothing is stored - points are only awarded after admin approval.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class PointsPreviewService
+{
+    public const AJAX_ACTION = 'mistr_fachman_points_preview';
+
+    /**
+     * Upper bound for previewed values (well above the monthly faktura limit)
+     */
+    private const MAX_VALUE = 100000000;
+
+    /**
+     * Register WordPress hooks
+     */
+    public static function registerHooks(): void
+    {
+        add_action('wp_ajax_' . self::AJAX_ACTION, [self::class, 'handlePreviewAjax']);
+    }
+
+    /**
+     * Handle preview request
+     */
+    public static function handlePreviewAjax(): void
+    {
+        if (!check_ajax_referer('mistr_fachman_access_control', 'nonce', false)) {
+            wp_send_json_error(['message' => 'Bezpečnostní kontrola selhala.'], 403);
+        }
+
+        $domain = sanitize_key($_POST['domain'] ?? 'invoice');
+        if (!in_array($domain, DomainConfigurationService::getRegisteredDomains(), true)) {
+            wp_send_json_error(['message' => 'Neznámý typ záznamu.'], 400);
+        }
+
+        $value = min(absint($_POST['value'] ?? 0), self::MAX_VALUE);
+
+        try {
+            $preview = self::buildPreview(get_current_user_id(), $domain, $value);
+
+            if (ValidationRulesRegistry::hasRules($domain, 'submission_checklist')) {
+                $preview['checklist'] = ValidationRulesRegistry::evaluateChecklist($domain, self::getChecklistValues());
+            }
+
+            wp_send_json_success($preview);
+        } catch (\Throwable $e) {
+            DebugLogger::log('[PointsPreview] Preview failed', [
+                'domain' => $domain,
+                'value' => $value,
+                'error' => $e->getMessage()
+            ]);
+            wp_send_json_error(['message' => 'Výpočet bodů se nezdařil.'], 500);
+        }
+    }
+
+    /**
+     * Read checklist values sent by the form (keys match the submission_checklist rules)
+     *
+     * @return array Field key => value
+     */
+    private static function getChecklistValues(): array
+    {
+        return [
+            'construction_type' => array_filter(array_map('absint', (array) ($_POST['construction_types'] ?? []))),
+            'materials' => array_filter(array_map('absint', (array) ($_POST['materials'] ?? []))),
+            'gallery' => absint($_POST['photo_count'] ?? 0),
+            'area' => absint($_POST['area'] ?? 0),
+            'description' => sanitize_textarea_field(wp_unslash((string) ($_POST['description'] ?? '')))
+        ];
+    }
+
+    /**
+     * Calculate expected points and their effect on the user's žebříček position
+     *
+     * @param int $user_id Current user ID
+     * @param string $domain Domain identifier (invoice, realization)
+     * @param int $value Entered value in CZK
+     * @return array [value, points, rule, rule_label, leaderboard => [current_points, current_position,
+     *               projected_points, projected_position, positions_gained]]
+     */
+    public static function buildPreview(int $user_id, string $domain, int $value): array
+    {
+        $calculation = PointsCalculationService::previewCalculation($domain, 0, ['value' => $value]);
+        $points = max(0, (int)$calculation['points']);
+
+        $zebricek = new ZebricekDataService();
+        $year = date('Y');
+
+        $current_points = $zebricek->get_user_annual_points($user_id, $year);
+        $projected_points = $current_points + $points;
+
+        // 999 means "not ranked" throughout ZebricekDataService
+        $current_position = $current_points > 0 ? $zebricek->get_user_position($user_id, $year) : 999;
+        $projected_position = $projected_points > 0 ? $zebricek->get_position_for_points($projected_points, $year) : 999;
+
+        $current_position = $current_position < 999 ? $current_position : null;
+        $projected_position = $projected_position < 999 ? $projected_position : null;
+
+        return [
+            'value' => $value,
+            'points' => $points,
+            'rule' => $calculation['rule'],
+            'rule_label' => PointsCalculationService::getRuleLabel($calculation['rule'], $calculation),
+            'leaderboard' => [
+                'current_points' => $current_points,
+                'current_position' => $current_position,
+                'projected_points' => $projected_points,
+                'projected_position' => $projected_position,
+                'positions_gained' => $current_position && $projected_position
+                    ? max(0, $current_position - $projected_position)
+                    : 0
+            ]
+        ];
+    }
+}
@@ -0,0 +1,495 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+/**
+ * Push Notification Service
+ *
+ * Browser push for the notification centre through Firebase Cloud Messaging
+ * (HTTP v1 API). Users opt in on the account dashboard; the browser token is
+ * stored in user meta and every approval, rejection and points notification
+ * from NotificationService is sent to it as a data message, which the theme
+ * service worker shows. Messages are sent from WP-Cron, never during the
+ * request that created the notification.
+ *
+ * Configuration (wp-config.php):
+ * - MISTR_FACHMAN_FCM_VAPID_KEY: Web push certificate key pair (public key)
+ * - MISTR_FACHMAN_FCM_SERVICE_ACCOUNT: path to the service account JSON
+ * - MISTR_FACHMAN_PUSH_LOCAL: local stand-in for development and tests - no
+ *   Firebase needed, messages are written to the debug log and an option
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class PushNotificationService
+{
+    public const REGISTER_ACTION = 'mistr_fachman_push_register';
+    public const UNREGISTER_ACTION = 'mistr_fachman_push_unregister';
+
+    /**
+     * Messages of the local stand-in (newest first)
+     */
+    public const LOCAL_LOG_OPTION = 'mistr_fachman_push_local_log';
+
+    private const TOKENS_META = '_mf_push_tokens';
+
+    /**
+     * Browsers per user (the oldest token is dropped)
+     */
+    private const MAX_TOKENS = 5;
+
+    /**
+     * Notification types sent as push
+     */
+    private const PUSH_TYPES = ['approved', 'rejected', 'points'];
+
+    private const LOCAL_LOG_LIMIT = 50;
+    private const ACCESS_TOKEN_TRANSIENT = 'mf_fcm_access_token';
+    private const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+    private const FCM_SEND_URL = 'https://fcm.googleapis.com/v1/projects/%s/messages:send';
+    private const SEND_EVENT = 'mistr_fachman_send_push';
+    private const TOKEN_PATTERN = '/^[A-Za-z0-9_:.\-]{20,4096}$/';
+
+    /**
+     * Messages waiting for the end of the request
+     *
+     * @var array<int, array{0: int, 1: int}> List of [user_id, notification_id]
+     */
+    private static array $queue = [];
+
+    /**
+     * Register WordPress hooks
+     */
+    public static function registerHooks(): void
+    {
+        add_action('wp_ajax_' . self::REGISTER_ACTION, [self::class, 'handleRegisterAjax']);
+        add_action('wp_ajax_' . self::UNREGISTER_ACTION, [self::class, 'handleUnregisterAjax']);
+        add_action('mistr_fachman_notification_added', [self::class, 'handleNotificationAdded'], 10, 2);
+        add_action(self::SEND_EVENT, [self::class, 'sendScheduled']);
+    }
+
+    /**
+     * Whether push can be offered to users
+     */
+    public static function isAvailable(): bool
+    {
+        return self::isLocal() || (self::getVapidKey() !== '' && self::getServiceAccount() !== null);
+    }
+
+    /**
+     * Configuration for the frontend (mistrFachman.push)
+     *
+     * @return array{enabled: bool, local: bool, vapidKey: string}
+     */
+    public static function getClientConfig(): array
+    {
+        return [
+            'enabled' => self::isAvailable(),
+            'local' => self::isLocal(),
+            'vapidKey' => self::getVapidKey(),
+        ];
+    }
+
+    /**
+     * Handle token registration
+     */
+    public static function handleRegisterAjax(): void
+    {
+        $user_id = self::verifyAjaxRequest();
+
+        $token = self::getPostedToken('token');
+        if ($token === '') {
+            wp_send_json_error(['message' => 'Neplatný token.'], 400);
+        }
+
+        // Token rotated by the browser replaces the old one
+        $previous = self::getPostedToken('previous_token');
+        $tokens = array_filter(
+            self::getTokens($user_id),
+            static fn(array $entry): bool => !in_array($entry['token'], [$token, $previous], true)
+        );
+
+        array_unshift($tokens, ['token' => $token, 'created_at' => current_time('mysql')]);
+        update_user_meta($user_id, self::TOKENS_META, array_slice(array_values($tokens), 0, self::MAX_TOKENS));
+
+        // A shared browser must not receive messages of the previous user
+        self::detachTokenFromOtherUsers($token, $user_id);
+
+        wp_send_json_success(['registered' => true]);
+    }
+
+    /**
+     * Handle token removal (user turned push off)
+     */
+    public static function handleUnregisterAjax(): void
+    {
+        $user_id = self::verifyAjaxRequest();
+
+        $token = self::getPostedToken('token');
+        if ($token !== '') {
+            self::removeToken($user_id, $token);
+        }
+
+        wp_send_json_success(['registered' => false]);
+    }
+
+    /**
+     * Queue a push for a new notification
+     *
+     * @param int $user_id Recipient
+     * @param array $notification Formatted notification (NotificationService::formatNotification)
+     */
+    public static function handleNotificationAdded(int $user_id, array $notification): void
+    {
+        if (!in_array($notification['type'], self::PUSH_TYPES, true) || !self::isAvailable() || !self::getTokens($user_id)) {
+            return;
+        }
+
+        self::$queue[] = [$user_id, (int) $notification['id']];
+
+        // One cron event per request - a bulk approval does not add hundreds
+        if (count(self::$queue) === 1) {
+            add_action('shutdown', [self::class, 'scheduleQueue']);
+        }
+    }
+
+    /**
+     * Hand queued messages over to WP-Cron
+     *
+     * Sending takes an HTTP request per browser; in cron it does not hold up
+     * the admin's approval request, and the rejection reason saved after the
+     * status change is already there.
+     */
+    public static function scheduleQueue(): void
+    {
+        if (!self::$queue) {
+            return;
+        }
+
+        wp_schedule_single_event(time(), self::SEND_EVENT, [self::$queue]);
+        self::$queue = [];
+    }
+
+    /**
+     * Send messages scheduled by scheduleQueue()
+     *
+     * @param array $messages List of [user_id, notification_id]
+     */
+    public static function sendScheduled(array $messages): void
+    {
+        foreach ($messages as [$user_id, $notification_id]) {
+            $notification = self::findNotification((int) $user_id, (int) $notification_id);
+            if (!$notification) {
+                continue;
+            }
+
+            $detail = $notification['detail'] !== '' ? ' – ' . $notification['detail'] : '';
+
+            self::sendToUser((int) $user_id, [
+                'title' => $notification['title'],
+                'body' => $notification['message'] . $detail,
+                'url' => $notification['url'],
+                'tag' => 'mf-notification-' . $notification['id'],
+                'icon' => (string) get_site_icon_url(192),
+            ]);
+        }
+    }
+
+    /**
+     * Stored notification formatted with the current data
+     *
+     * @param int $user_id Recipient
+     * @param int $notification_id Notification ID
+     * @return array|null Formatted notification, null when it is no longer stored
+     */
+    private static function findNotification(int $user_id, int $notification_id): ?array
+    {
+        foreach (NotificationService::getNotifications($user_id) as $stored) {
+            if ((int) ($stored['id'] ?? 0) === $notification_id) {
+                return NotificationService::formatNotification($stored, $notification_id - 1);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Send a data message to all browsers of a user
+     *
+     * @param int $user_id Recipient
+     * @param array<string, string> $data Message data (title, body, url, tag, icon)
+     */
+    public static function sendToUser(int $user_id, array $data): void
+    {
+        foreach (self::getTokens($user_id) as $entry) {
+            $result = self::isLocal()
+                ? self::sendLocal($entry['token'], $data)
+                : self::sendFcm($entry['token'], $data);
+
+            if ($result === 'invalid') {
+                self::removeToken($user_id, $entry['token']);
+            }
+        }
+    }
+
+    /**
+     * Local stand-in: record the message instead of sending it
+     *
+     * @param string $token Browser token
+     * @param array $data Message data
+     * @return string Result (sent)
+     */
+    private static function sendLocal(string $token, array $data): string
+    {
+        $log = get_option(self::LOCAL_LOG_OPTION, []);
+        $log = is_array($log) ? $log : [];
+
+        array_unshift($log, ['token' => $token, 'data' => $data, 'sent_at' => current_time('mysql')]);
+        update_option(self::LOCAL_LOG_OPTION, array_slice($log, 0, self::LOCAL_LOG_LIMIT), false);
+
+        DebugLogger::log('[PushNotification] Local push', ['token' => $token, 'data' => $data]);
+
+        return 'sent';
+    }
+
+    /**
+     * Send a data message through FCM
+     *
+     * @param string $token Browser token
+     * @param array $data Message data
+     * @return string Result (sent, invalid, error)
+     */
+    private static function sendFcm(string $token, array $data): string
+    {
+        $account = self::getServiceAccount();
+        $access_token = $account ? self::getAccessToken($account) : null;
+        if (!$access_token) {
+            return 'error';
+        }
+
+        $response = wp_remote_post(sprintf(self::FCM_SEND_URL, $account['project_id']), [
+            'timeout' => 10,
+            'headers' => [
+                'Authorization' => 'Bearer ' . $access_token,
+                'Content-Type' => 'application/json',
+            ],
+            'body' => wp_json_encode([
+                'message' => [
+                    'token' => $token,
+                    // Data only - the theme service worker shows the notification
+                    'data' => array_map('strval', $data),
+                    'webpush' => [
+                        'headers' => ['TTL' => (string) DAY_IN_SECONDS],
+                    ],
+                ],
+            ]),
+        ]);
+
+        if (is_wp_error($response)) {
+            DebugLogger::log('[PushNotification] FCM request failed', ['error' => $response->get_error_message()]);
+            return 'error';
+        }
+
+        $code = (int) wp_remote_retrieve_response_code($response);
+        if ($code === 200) {
+            return 'sent';
+        }
+
+        $error = json_decode(wp_remote_retrieve_body($response), true)['error'] ?? [];
+        DebugLogger::log('[PushNotification] FCM rejected message', ['code' => $code, 'error' => $error]);
+
+        // Unregistered or malformed tokens will not start working again
+        return in_array($error['status'] ?? '', ['NOT_FOUND', 'UNREGISTERED', 'INVALID_ARGUMENT'], true) ? 'invalid' : 'error';
+    }
+
+    /**
+     * OAuth access token of the service account (cached until it expires)
+     *
+     * @param array $account Service account
+     * @return string|null
+     */
+    private static function getAccessToken(array $account): ?string
+    {
+        $cached = get_transient(self::ACCESS_TOKEN_TRANSIENT);
+        if (is_string($cached) && $cached !== '') {
+            return $cached;
+        }
+
+        $token_uri = $account['token_uri'] ?? 'https://oauth2.googleapis.com/token';
+        $now = time();
+        $segments = [
+            self::base64UrlEncode((string) wp_json_encode(['alg' => 'RS256', 'typ' => 'JWT'])),
+            self::base64UrlEncode((string) wp_json_encode([
+                'iss' => $account['client_email'],
+                'scope' => self::FCM_SCOPE,
+                'aud' => $token_uri,
+                'iat' => $now,
+                'exp' => $now + HOUR_IN_SECONDS,
+            ])),
+        ];
+
+        $signature = '';
+        if (!openssl_sign(implode('.', $segments), $signature, $account['private_key'], OPENSSL_ALGO_SHA256)) {
+            DebugLogger::log('[PushNotification] Signing the service account assertion failed');
+            return null;
+        }
+        $segments[] = self::base64UrlEncode($signature);
+
+        $response = wp_remote_post($token_uri, [
+            'timeout' => 10,
+            'body' => [
+                'grant_type' => 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                'assertion' => implode('.', $segments),
+            ],
+        ]);
+
+        $body = is_wp_error($response) ? [] : json_decode(wp_remote_retrieve_body($response), true);
+        if (empty($body['access_token'])) {
+            DebugLogger::log('[PushNotification] Access token request failed', [
+                'error' => is_wp_error($response) ? $response->get_error_message() : ($body['error'] ?? 'unknown'),
+            ]);
+            return null;
+        }
+
+        set_transient(self::ACCESS_TOKEN_TRANSIENT, $body['access_token'], max(60, (int) ($body['expires_in'] ?? 3600) - 60));
+
+        return $body['access_token'];
+    }
+
+    /**
+     * Check nonce and login of a push AJAX request
+     *
+     * @return int Current user ID
+     */
+    private static function verifyAjaxRequest(): int
+    {
+        if (!check_ajax_referer('mistr_fachman_access_control', 'nonce', false)) {
+            wp_send_json_error(['message' => 'Bezpečnostní kontrola selhala.'], 403);
+        }
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(['message' => 'Uživatel není přihlášen.'], 401);
+        }
+
+        if (!self::isAvailable()) {
+            wp_send_json_error(['message' => 'Oznámení v prohlížeči nejsou dostupná.'], 400);
+        }
+
+        return $user_id;
+    }
+
+    /**
+     * Read and validate a token from the request
+     *
+     * @param string $key POST key
+     * @return string Token or empty string
+     */
+    private static function getPostedToken(string $key): string
+    {
+        $token = isset($_POST[$key]) && is_string($_POST[$key]) ? wp_unslash($_POST[$key]) : '';
+
+        return preg_match(self::TOKEN_PATTERN, $token) ? $token : '';
+    }
+
+    /**
+     * Registered browsers of a user
+     *
+     * @param int $user_id User ID
+     * @return array List of [token, created_at]
+     */
+    private static function getTokens(int $user_id): array
+    {
+        $tokens = get_user_meta($user_id, self::TOKENS_META, true);
+        return is_array($tokens) ? $tokens : [];
+    }
+
+    /**
+     * @param int $user_id User ID
+     * @param string $token Browser token
+     */
+    private static function removeToken(int $user_id, string $token): void
+    {
+        $tokens = array_filter(self::getTokens($user_id), static fn(array $entry): bool => $entry['token'] !== $token);
+        update_user_meta($user_id, self::TOKENS_META, array_values($tokens));
+    }
+
+    /**
+     * Remove a token from all other users
+     *
+     * @param string $token Browser token
+     * @param int $user_id User who registered it
+     */
+    private static function detachTokenFromOtherUsers(string $token, int $user_id): void
+    {
+        global $wpdb;
+
+        $user_ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT user_id FROM {$wpdb->usermeta} WHERE meta_key = %s AND user_id != %d AND meta_value LIKE %s",
+            self::TOKENS_META,
+            $user_id,
+            '%' . $wpdb->esc_like($token) . '%'
+        ));
+
+        foreach ($user_ids as $other_user_id) {
+            self::removeToken((int) $other_user_id, $token);
+        }
+    }
+
+    /**
+     * Whether the local stand-in replaces FCM
+     */
+    private static function isLocal(): bool
+    {
+        return defined('MISTR_FACHMAN_PUSH_LOCAL') && MISTR_FACHMAN_PUSH_LOCAL;
+    }
+
+    /**
+     * Public VAPID key of the Firebase project
+     */
+    private static function getVapidKey(): string
+    {
+        return defined('MISTR_FACHMAN_FCM_VAPID_KEY') ? (string) MISTR_FACHMAN_FCM_VAPID_KEY : '';
+    }
+
+    /**
+     * Service account used to send messages
+     *
+     * @return array|null Decoded JSON with project_id, client_email and private_key
+     */
+    private static function getServiceAccount(): ?array
+    {
+        static $account = false;
+
+        if ($account === false) {
+            $account = null;
+            $path = defined('MISTR_FACHMAN_FCM_SERVICE_ACCOUNT') ? (string) MISTR_FACHMAN_FCM_SERVICE_ACCOUNT : '';
+
+            if ($path !== '' && is_readable($path)) {
+                $data = json_decode((string) file_get_contents($path), true);
+                if (is_array($data) && !empty($data['project_id']) && !empty($data['client_email']) && !empty($data['private_key'])) {
+                    $account = $data;
+                }
+            }
+        }
+
+        return $account;
+    }
+
+    /**
+     * @param string $value
+     * @return string
+     */
+    private static function base64UrlEncode(string $value): string
+    {
+        return rtrim(strtr(base64_encode($value), '+/', '-_'), '=');
+    }
+}
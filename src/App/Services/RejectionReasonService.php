@@ -0,0 +1,393 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+/**
+ * Rejection Reason Service
+ *
+ * Reusable rejection reason templates and structured rejection categories
+ * for realizace and faktury. Templates are managed on the "Důvody odmítnutí"
+ * admin page (Uživatelé menu) and passed to the admin JS through the
+ * localized messages. The category of every rejection is stored as post meta,
+ * which the admin page aggregates into per-category statistics.
+ *
+ * Template placeholders: {jmeno}, {krestni_jmeno}, {nazev}, {datum}, {typ}
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class RejectionReasonService
+{
+    public const OPTION_NAME = 'mistr_fachman_rejection_templates';
+    public const CATEGORY_META = '_rejection_category';
+    public const CATEGORY_DATE_META = '_rejection_category_date';
+    public const PAGE_SLUG = 'mistr-fachman-rejection-reasons';
+    public const SAVE_ACTION = 'mistr_fachman_save_rejection_templates';
+
+    /**
+     * Domains using rejection reasons
+     */
+    private const DOMAINS = ['realization', 'invoice'];
+
+    /**
+     * Register WordPress hooks
+     */
+    public static function registerHooks(): void
+    {
+        add_action('admin_menu', [self::class, 'registerAdminPage']);
+        add_action('admin_post_' . self::SAVE_ACTION, [self::class, 'handleSaveTemplates']);
+    }
+
+    /**
+     * Rejection categories (slug => label)
+     *
+     * @return array<string, string>
+     */
+    public static function getCategories(): array
+    {
+        return apply_filters('mistr_fachman_rejection_categories', [
+            'necitelna_faktura' => 'Nečitelná faktura',
+            'chybi_fotky' => 'Chybí fotky',
+            'duplicitni_zaznam' => 'Duplicitní záznam',
+            'neuplne_udaje' => 'Neúplné údaje',
+            'nesplnuje_podminky' => 'Nesplňuje podmínky programu',
+            'jine' => 'Jiné',
+        ]);
+    }
+
+    /**
+     * Supported placeholders (placeholder => description)
+     *
+     * @return array<string, string>
+     */
+    public static function getPlaceholders(): array
+    {
+        return [
+            '{jmeno}' => 'Celé jméno uživatele',
+            '{krestni_jmeno}' => 'Křestní jméno uživatele',
+            '{nazev}' => 'Název realizace / faktury',
+            '{datum}' => 'Datum odeslání',
+            '{typ}' => 'Typ záznamu (realizace / faktura)',
+        ];
+    }
+
+    /**
+     * Get all templates
+     *
+     * @return array List of [id, category, label, text, post_types]
+     */
+    public static function getTemplates(): array
+    {
+        $templates = get_option(self::OPTION_NAME, null);
+        if (!is_array($templates)) {
+            return self::getDefaultTemplates();
+        }
+
+        return $templates;
+    }
+
+    /**
+     * Get templates usable for a post type
+     *
+     * @param string $post_type Post type slug
+     * @return array Templates
+     */
+    public static function getTemplatesForPostType(string $post_type): array
+    {
+        return array_values(array_filter(
+            self::getTemplates(),
+            static fn(array $template): bool => in_array($post_type, $template['post_types'] ?? [], true)
+        ));
+    }
+
+    /**
+     * Replace placeholders with data of a post and its author
+     *
+     * @param string $text Template or reason text
+     * @param \WP_Post $post Rejected post
+     * @return string Resolved text
+     */
+    public static function resolvePlaceholders(string $text, \WP_Post $post): string
+    {
+        if (!str_contains($text, '{')) {
+            return $text;
+        }
+
+        $author = get_userdata((int)$post->post_author);
+
+        return strtr($text, [
+            '{jmeno}' => $author ? $author->display_name : '',
+            '{krestni_jmeno}' => $author ? ($author->first_name ?: $author->display_name) : '',
+            '{nazev}' => $post->post_title,
+            '{datum}' => mysql2date('j.n.Y', $post->post_date),
+            '{typ}' => self::getPostTypes()[$post->post_type] ?? $post->post_type,
+        ]);
+    }
+
+    /**
+     * Sanitize a submitted category slug
+     *
+     * @param mixed $category Raw value
+     * @return string Known category slug or empty string
+     */
+    public static function sanitizeCategory($category): string
+    {
+        $category = sanitize_key((string)$category);
+        return array_key_exists($category, self::getCategories()) ? $category : '';
+    }
+
+    /**
+     * Store the rejection category of a post
+     *
+     * @param int $post_id Post ID
+     * @param string $category Category slug (empty keeps the current one)
+     */
+    public static function setPostCategory(int $post_id, string $category): void
+    {
+        $category = self::sanitizeCategory($category);
+        if ($category === '') {
+            return;
+        }
+
+        update_post_meta($post_id, self::CATEGORY_META, $category);
+        update_post_meta($post_id, self::CATEGORY_DATE_META, current_time('mysql'));
+    }
+
+    /**
+     * Get the rejection category of a post
+     */
+    public static function getPostCategory(int $post_id): string
+    {
+        return (string)get_post_meta($post_id, self::CATEGORY_META, true);
+    }
+
+    /**
+     * Count categorized rejections per post type and category
+     *
+     * @param int $days Only rejections from the last N days (0 = all time)
+     * @return array<string, array<string, int>> post_type => [category => count]
+     */
+    public static function getStatistics(int $days = 0): array
+    {
+        global $wpdb;
+
+        $post_types = array_keys(self::getPostTypes());
+        $placeholders = implode(', ', array_fill(0, count($post_types), '%s'));
+        $args = array_merge([self::CATEGORY_DATE_META, self::CATEGORY_META], $post_types);
+
+        $date_condition = '';
+        if ($days > 0) {
+            $date_condition = 'AND date_meta.meta_value >= %s';
+            $args[] = wp_date('Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS);
+        }
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT p.post_type, category.meta_value AS category, COUNT(*) AS total
+             FROM {$wpdb->postmeta} category
+             INNER JOIN {$wpdb->posts} p ON p.ID = category.post_id
+             LEFT JOIN {$wpdb->postmeta} date_meta ON date_meta.post_id = category.post_id AND date_meta.meta_key = %s
+             WHERE category.meta_key = %s
+               AND p.post_type IN ({$placeholders})
+               {$date_condition}
+             GROUP BY p.post_type, category.meta_value",
+            ...$args
+        ));
+
+        $stats = array_fill_keys($post_types, []);
+        foreach ($rows ?: [] as $row) {
+            $stats[$row->post_type][$row->category] = (int)$row->total;
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Count currently rejected posts without a category
+     *
+     * @return array<string, int> post_type => count
+     */
+    public static function getUncategorizedCounts(): array
+    {
+        global $wpdb;
+
+        $post_types = array_keys(self::getPostTypes());
+        $placeholders = implode(', ', array_fill(0, count($post_types), '%s'));
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT p.post_type, COUNT(*) AS total
+             FROM {$wpdb->posts} p
+             LEFT JOIN {$wpdb->postmeta} category ON category.post_id = p.ID AND category.meta_key = %s
+             WHERE p.post_status = 'rejected'
+               AND p.post_type IN ({$placeholders})
+               AND category.meta_id IS NULL
+             GROUP BY p.post_type",
+            self::CATEGORY_META,
+            ...$post_types
+        ));
+
+        $counts = array_fill_keys($post_types, 0);
+        foreach ($rows ?: [] as $row) {
+            $counts[$row->post_type] = (int)$row->total;
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Register the admin page under Users
+     */
+    public static function registerAdminPage(): void
+    {
+        $hook_suffix = add_submenu_page(
+            'users.php',
+            'Důvody odmítnutí',
+            'Důvody odmítnutí',
+            'manage_options',
+            self::PAGE_SLUG,
+            [self::class, 'renderAdminPage']
+        );
+
+        if ($hook_suffix) {
+            add_action("admin_print_styles-{$hook_suffix}", static function (): void {
+                // Same handle as AdminAssetManager so the theme CSS is never loaded twice
+                wp_enqueue_style('mistr-admin-css', get_stylesheet_uri(), ['admin-bar'], wp_get_theme()->get('Version'));
+            });
+        }
+    }
+
+    /**
+     * Render template library and statistics
+     */
+    public static function renderAdminPage(): void
+    {
+        if (!current_user_can('manage_options')) {
+            wp_die('Nedostatečná oprávnění.');
+        }
+
+        $template_path = get_stylesheet_directory() . '/templates/admin/rejection-reasons-page.php';
+        if (!file_exists($template_path)) {
+            error_log("[TEMPLATE:ERROR] Template not found: {$template_path}");
+            return;
+        }
+
+        $templates = self::getTemplates();
+        $categories = self::getCategories();
+        $placeholders = self::getPlaceholders();
+        $post_types = self::getPostTypes();
+        $stats_all = self::getStatistics();
+        $stats_recent = self::getStatistics(30);
+        $uncategorized = self::getUncategorizedCounts();
+        $saved = isset($_GET['updated']);
+
+        include $template_path;
+    }
+
+    /**
+     * Save templates submitted from the admin page
+     */
+    public static function handleSaveTemplates(): void
+    {
+        if (!current_user_can('manage_options')) {
+            wp_die('Nedostatečná oprávnění.');
+        }
+
+        check_admin_referer(self::SAVE_ACTION);
+
+        $submitted = wp_unslash((array)($_POST['templates'] ?? []));
+        $templates = [];
+
+        foreach ($submitted as $row) {
+            if (!is_array($row) || !empty($row['delete'])) {
+                continue;
+            }
+
+            $label = sanitize_text_field($row['label'] ?? '');
+            $text = sanitize_textarea_field($row['text'] ?? '');
+            if ($label === '' || $text === '') {
+                continue;
+            }
+
+            $post_types = array_values(array_intersect(
+                array_map('sanitize_key', (array)($row['post_types'] ?? [])),
+                array_keys(self::getPostTypes())
+            ));
+
+            $templates[] = [
+                'id' => sanitize_key($row['id'] ?? '') ?: 'tpl_' . wp_generate_password(8, false, false),
+                'category' => self::sanitizeCategory($row['category'] ?? '') ?: 'jine',
+                'label' => $label,
+                'text' => $text,
+                'post_types' => $post_types ?: array_keys(self::getPostTypes()),
+            ];
+        }
+
+        update_option(self::OPTION_NAME, $templates, false);
+
+        wp_safe_redirect(add_query_arg(['page' => self::PAGE_SLUG, 'updated' => '1'], admin_url('users.php')));
+        exit;
+    }
+
+    /**
+     * Post types using rejection reasons
+     *
+     * @return array<string, string> post_type => lowercase display name (for {typ})
+     */
+    private static function getPostTypes(): array
+    {
+        $post_types = [];
+        foreach (self::DOMAINS as $domain) {
+            $post_type = DomainConfigurationService::getWordPressPostType($domain);
+            $post_types[$post_type] = mb_strtolower(DomainConfigurationService::getDisplayName($domain));
+        }
+
+        return $post_types;
+    }
+
+    /**
+     * Templates used until the admin saves their own library
+     */
+    private static function getDefaultTemplates(): array
+    {
+        $realization = DomainConfigurationService::getWordPressPostType('realization');
+        $invoice = DomainConfigurationService::getWordPressPostType('invoice');
+
+        return [
+            [
+                'id' => 'necitelna_faktura',
+                'category' => 'necitelna_faktura',
+                'label' => 'Nečitelná faktura',
+                'text' => 'Dobrý den, {krestni_jmeno}, nahraná faktura „{nazev}“ není čitelná. Nahrajte ji prosím znovu v lepší kvalitě (celá stránka, bez ořezu).',
+                'post_types' => [$invoice],
+            ],
+            [
+                'id' => 'chybi_fotky',
+                'category' => 'chybi_fotky',
+                'label' => 'Chybí fotky',
+                'text' => 'Dobrý den, {krestni_jmeno}, k realizaci „{nazev}“ chybí fotky z průběhu montáže, na kterých jsou vidět použité materiály. Doplňte je prosím a odešlete realizaci znovu.',
+                'post_types' => [$realization],
+            ],
+            [
+                'id' => 'duplicitni_zaznam',
+                'category' => 'duplicitni_zaznam',
+                'label' => 'Duplicitní záznam',
+                'text' => 'Dobrý den, {krestni_jmeno}, {typ} „{nazev}“ ze dne {datum} již byla odeslána dříve. Duplicitní záznamy nelze ohodnotit.',
+                'post_types' => [$realization, $invoice],
+            ],
+            [
+                'id' => 'neuplne_udaje',
+                'category' => 'neuplne_udaje',
+                'label' => 'Neúplné údaje',
+                'text' => 'Dobrý den, {krestni_jmeno}, u záznamu „{nazev}“ chybí povinné údaje. Doplňte je prosím a odešlete záznam znovu.',
+                'post_types' => [$realization, $invoice],
+            ],
+        ];
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Services;
+
+/**
+ * Service Worker Service
+ *
+ * Serves the built service worker from the site root so it can control
+ * the whole origin (a script under /wp-content/themes/ would only get that path as scope).
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ServiceWorkerService
+{
+    public const QUERY_VAR = 'mf_service_worker';
+
+    /**
+     * Register WordPress hooks
+     */
+    public static function registerHooks(): void
+    {
+        add_filter('query_vars', [self::class, 'registerQueryVar']);
+        add_action('parse_request', [self::class, 'maybeServeWorker']);
+    }
+
+    /**
+     * Public URL of the service worker script
+     */
+    public static function getWorkerUrl(): string
+    {
+        return add_query_arg(self::QUERY_VAR, '1', home_url('/'));
+    }
+
+    /**
+     * Add the service worker query var
+     *
+     * @param array $vars Registered query vars
+     * @return array
+     */
+    public static function registerQueryVar(array $vars): array
+    {
+        $vars[] = self::QUERY_VAR;
+        return $vars;
+    }
+
+    /**
+     * Output the service worker script when requested
+     *
+     * @param \WP $wp Current WordPress environment
+     */
+    public static function maybeServeWorker(\WP $wp): void
+    {
+        if (empty($wp->query_vars[self::QUERY_VAR])) {
+            return;
+        }
+
+        $worker_file = get_stylesheet_directory() . '/build/js/service-worker.js';
+        if (!file_exists($worker_file)) {
+            status_header(404);
+            exit;
+        }
+
+        header('Content-Type: application/javascript; charset=utf-8');
+        header('Service-Worker-Allowed: /');
+        header('Cache-Control: no-cache');
+
+        readfile($worker_file);
+        exit;
+    }
+}
@@ -38,6 +38,7 @@ class ValidationRulesRegistry
     public const RULE_UNIQUE_INVOICE_NUMBER = 'unique_invoice_number';
     public const RULE_MIN_LENGTH = 'min_length';
     public const RULE_MAX_LENGTH = 'max_length';
+    public const RULE_MIN_COUNT = 'min_count';
 
     /**
      * Validation rules registry by domain
@@ -85,6 +86,52 @@ class ValidationRulesRegistry
                         'message' => __('Plocha musí být kladné číslo.', 'mistr-fachman')
                     ]
                 ]
+            ],
+            // Recommendations shown while filling in the form (see evaluateChecklist).
+            // Not enforced on submission or approval - pre_publish has no realizace rules
+            'submission_checklist' => [
+                'construction_type' => [
+                    'label' => __('Typ konstrukce', 'mistr-fachman'),
+                    'rules' => [
+                        self::RULE_REQUIRED => [
+                            'message' => __('Vyberte alespoň jeden typ konstrukce.', 'mistr-fachman')
+                        ]
+                    ]
+                ],
+                'materials' => [
+                    'label' => __('Použité materiály', 'mistr-fachman'),
+                    'rules' => [
+                        self::RULE_REQUIRED => [
+                            'message' => __('Vyberte použité materiály.', 'mistr-fachman')
+                        ]
+                    ]
+                ],
+                'gallery' => [
+                    'label' => __('Fotky z realizace', 'mistr-fachman'),
+                    'rules' => [
+                        self::RULE_MIN_COUNT => [
+                            'message' => __('Doporučujeme nahrát alespoň %d fotky.', 'mistr-fachman'),
+                            'count' => 3
+                        ]
+                    ]
+                ],
+                'area' => [
+                    'label' => __('Plocha (m²)', 'mistr-fachman'),
+                    'rules' => [
+                        self::RULE_NUMERIC_POSITIVE => [
+                            'message' => __('Vyplňte plochu realizace.', 'mistr-fachman')
+                        ]
+                    ]
+                ],
+                'description' => [
+                    'label' => __('Popis projektu', 'mistr-fachman'),
+                    'rules' => [
+                        self::RULE_MIN_LENGTH => [
+                            'message' => __('Doporučujeme popis o délce alespoň %d znaků.', 'mistr-fachman'),
+                            'length' => 80
+                        ]
+                    ]
+                ]
             ]
         ];
     }
@@ -237,6 +284,44 @@ class ValidationRulesRegistry
         return ['success' => true];
     }
 
+    /**
+     * Evaluate the submission checklist (recommendations) of a domain
+     *
+     * @param string $domain_key Domain identifier
+     * @param array $values Field key => current form value
+     * @return array [items => [[key, label, met, message]], score => 0-100, complete => bool]
+     */
+    public static function evaluateChecklist(string $domain_key, array $values): array
+    {
+        $items = [];
+
+        foreach (self::getRules($domain_key, 'submission_checklist') as $field_key => $definition) {
+            $message = '';
+            foreach ($definition['rules'] ?? [] as $rule_type => $rule_config) {
+                $result = self::applyValidationRule($rule_type, $values[$field_key] ?? '', $rule_config, ['values' => $values]);
+                if (!$result['success']) {
+                    $message = $result['message'];
+                    break;
+                }
+            }
+
+            $items[] = [
+                'key' => $field_key,
+                'label' => $definition['label'] ?? $field_key,
+                'met' => $message === '',
+                'message' => $message
+            ];
+        }
+
+        $met = count(array_filter($items, static fn(array $item): bool => $item['met']));
+
+        return [
+            'items' => $items,
+            'score' => $items ? (int) round($met / count($items) * 100) : 100,
+            'complete' => $met === count($items)
+        ];
+    }
+
     /**
      * Apply a specific validation rule
      *
@@ -256,6 +341,7 @@ class ValidationRulesRegistry
             self::RULE_UNIQUE_INVOICE_NUMBER => self::validateUniqueInvoiceNumber($value, $rule_config, $context),
             self::RULE_MIN_LENGTH => self::validateMinLength($value, $rule_config),
             self::RULE_MAX_LENGTH => self::validateMaxLength($value, $rule_config),
+            self::RULE_MIN_COUNT => self::validateMinCount($value, $rule_config),
             default => ['success' => true, 'message' => '']
         };
     }
@@ -397,7 +483,7 @@ class ValidationRulesRegistry
     {
         // Sanitize input before length check
         $value = sanitize_text_field($value);
-        $length = strlen((string) $value);
+        $length = mb_strlen((string) $value);
         $min_length = $config['length'];
         $is_valid = $length >= $min_length;
         
@@ -414,7 +500,7 @@ class ValidationRulesRegistry
     {
         // Sanitize input before length check
         $value = sanitize_text_field($value);
-        $length = strlen((string) $value);
+        $length = mb_strlen((string) $value);
         $max_length = $config['length'];
         $is_valid = $length <= $max_length;
         
@@ -424,6 +510,21 @@ class ValidationRulesRegistry
         ];
     }
 
+    /**
+     * Validate minimum number of items (array or count)
+     */
+    private static function validateMinCount($value, array $config): array
+    {
+        $count = is_array($value) ? count(array_filter($value)) : (int) $value;
+        $min_count = $config['count'];
+        $is_valid = $count >= $min_count;
+
+        return [
+            'success' => $is_valid,
+            'message' => $is_valid ? '' : sprintf($config['message'], $min_count)
+        ];
+    }
+
     /**
      * Get field value for validation from various sources
      */
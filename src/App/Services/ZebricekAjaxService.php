@@ -7,8 +7,8 @@ namespace MistrFachman\Services;
 /**
  * Žebříček AJAX Service
  *
- * Handles AJAX requests for leaderboard pagination functionality.
- * Provides secure endpoints for loading more users using ZebricekDataService.
+ * Handles AJAX requests for leaderboard pagination, year switching, search
+ * and live updates. Provides secure endpoints using ZebricekDataService.
  *
  * @package mistr-fachman
  * @since 1.0.0
@@ -21,6 +21,16 @@ if (!defined('ABSPATH')) {
 
 class ZebricekAjaxService
 {
+    /**
+     * Maximum number of rows refreshed by one live update
+     */
+    private const LIVE_MAX_ROWS = 100;
+
+    /**
+     * Maximum number of search results
+     */
+    private const SEARCH_MAX_RESULTS = 10;
+
     private UserService $user_service;
     private ZebricekDataService $zebricek_service;
 
@@ -36,6 +46,16 @@ class ZebricekAjaxService
     {
         add_action('wp_ajax_zebricek_load_more', [$this, 'handle_load_more']);
         add_action('wp_ajax_nopriv_zebricek_load_more', [$this, 'handle_load_more']);
+
+        // Live updates (polling; an SSE stream can deliver the same payload)
+        add_action('wp_ajax_zebricek_changes_since', [$this, 'handle_changes_since']);
+        add_action('wp_ajax_nopriv_zebricek_changes_since', [$this, 'handle_changes_since']);
+
+        // Search and page window around a user ("Moje pozice")
+        add_action('wp_ajax_zebricek_search', [$this, 'handle_search']);
+        add_action('wp_ajax_nopriv_zebricek_search', [$this, 'handle_search']);
+        add_action('wp_ajax_zebricek_window', [$this, 'handle_window']);
+        add_action('wp_ajax_nopriv_zebricek_window', [$this, 'handle_window']);
         
         // Enqueue scripts and localize AJAX data
         add_action('wp_enqueue_scripts', [$this, 'enqueue_scripts']);
@@ -51,9 +71,11 @@ class ZebricekAjaxService
             return;
         }
 
-        wp_localize_script('mistr-fachman-main', 'zebricekAjax', [
+        wp_localize_script('theme-main-js', 'zebricekAjax', [
             'nonce' => wp_create_nonce('zebricek_ajax_nonce'),
-            'ajaxurl' => admin_url('admin-ajax.php')
+            'ajaxurl' => admin_url('admin-ajax.php'),
+            // Optional Server-Sent Events endpoint emitting zebricek_changes_since payloads
+            'stream_url' => (string)apply_filters('mistr_fachman_zebricek_stream_url', '')
         ]);
     }
 
@@ -94,21 +116,19 @@ class ZebricekAjaxService
             // Sanitize and validate input
             $offset = max(0, absint($_POST['offset'] ?? 0));
             $limit = max(1, min(50, absint($_POST['limit'] ?? 30))); // Max 50 at once
+            $year = $this->get_requested_year();
             
             // Get user access level
-            $user_id = get_current_user_id();
-            $status = $this->user_service->get_user_registration_status($user_id);
-            $is_full_member = $status === 'full_member' || $status === 'other';
+            $is_full_member = $this->is_full_member();
             
             // Get leaderboard data via service - no caching for AJAX
-            $current_year = date('Y');
-            $leaderboard_data = $this->zebricek_service->get_leaderboard_data($limit, $offset, $current_year);
+            $leaderboard_data = $this->zebricek_service->get_leaderboard_data($limit, $offset, $year);
             
             // Render rows using templates
             $user_rows_html = $this->render_user_rows($leaderboard_data, $offset, $is_full_member);
             
             // Check if there are more users available
-            $has_more = $this->check_has_more_users($offset + $limit, $current_year);
+            $has_more = $this->check_has_more_users($offset + $limit, $year);
 
             wp_send_json_success([
                 'html' => $user_rows_html,
@@ -128,6 +148,209 @@ class ZebricekAjaxService
         }
     }
 
+    /**
+     * Handle live update request
+     *
+     * Returns the refreshed top rows only when leaderboard points were logged
+     * after the client's cursor (ID of the newest myCred log entry it has seen).
+     */
+    public function handle_changes_since(): void
+    {
+        try {
+            if (!wp_verify_nonce($_POST['nonce'] ?? '', 'zebricek_ajax_nonce')) {
+                wp_send_json_error(['message' => 'Security check failed'], 403);
+            }
+
+            $since = absint($_POST['since'] ?? 0);
+            $limit = max(1, min(self::LIVE_MAX_ROWS, absint($_POST['limit'] ?? 30)));
+            $cursor = $this->zebricek_service->get_latest_log_id();
+
+            // Nothing new - the cheapest possible answer (a cursor ahead of the log means the log was pruned)
+            if ($since > 0 && $cursor === $since) {
+                wp_send_json_success([
+                    'changed' => false,
+                    'cursor' => $cursor
+                ]);
+            }
+
+            $is_full_member = $this->is_full_member();
+
+            $current_year = date('Y');
+            $leaderboard_data = $this->zebricek_service->get_leaderboard_data($limit, 0, $current_year, $cursor);
+
+            $rows = [];
+            foreach ($leaderboard_data as $index => $user_data) {
+                $rows[] = [
+                    'user_id' => (int)$user_data['user_id'],
+                    'position' => $index + 1,
+                    // Points are only visible to full members
+                    'points' => $is_full_member ? (int)$user_data['points'] : null,
+                    'html' => $this->render_user_rows([$user_data], $index, $is_full_member)
+                ];
+            }
+
+            $deltas = $is_full_member && $since > 0 && $since < $cursor
+                ? $this->zebricek_service->get_point_changes_since($since, $current_year)
+                : [];
+
+            wp_send_json_success([
+                'changed' => true,
+                'cursor' => $cursor,
+                'rows' => $rows,
+                'deltas' => (object)$deltas,
+                'has_more' => $this->check_has_more_users($limit, $current_year)
+            ]);
+
+        } catch (\Exception $e) {
+            mycred_debug('Zebricek live update error', [
+                'error' => $e->getMessage()
+            ], 'zebricek_ajax', 'error');
+
+            wp_send_json_error([
+                'message' => 'Nepodařilo se aktualizovat žebříček.'
+            ]);
+        }
+    }
+
+    /**
+     * Handle leaderboard search request
+     *
+     * Searches names (and companies for full members - pending users do not
+     * see companies in the leaderboard either) within the requested year.
+     */
+    public function handle_search(): void
+    {
+        try {
+            if (!wp_verify_nonce($_POST['nonce'] ?? '', 'zebricek_ajax_nonce')) {
+                wp_send_json_error(['message' => 'Security check failed'], 403);
+            }
+
+            $query = sanitize_text_field(wp_unslash($_POST['query'] ?? ''));
+            if (mb_strlen($query) < 2) {
+                wp_send_json_success(['results' => []]);
+            }
+
+            $year = $this->get_requested_year();
+            $is_full_member = $this->is_full_member();
+            $users = $this->zebricek_service->search_leaderboard_users(
+                mb_substr($query, 0, 100),
+                $year,
+                $is_full_member,
+                self::SEARCH_MAX_RESULTS
+            );
+
+            $results = [];
+            foreach ($users as $user_data) {
+                $results[] = [
+                    'user_id' => $user_data['user_id'],
+                    'name' => $this->get_user_name($user_data),
+                    'company' => $is_full_member ? $user_data['company'] : null,
+                    'points' => $is_full_member ? $user_data['formatted_points'] : null,
+                    'position' => $user_data['offset'] + 1
+                ];
+            }
+
+            wp_send_json_success(['results' => $results]);
+
+        } catch (\Exception $e) {
+            mycred_debug('Zebricek search error', [
+                'error' => $e->getMessage()
+            ], 'zebricek_ajax', 'error');
+
+            wp_send_json_error([
+                'message' => 'Vyhledávání v žebříčku se nezdařilo.'
+            ]);
+        }
+    }
+
+    /**
+     * Handle page window request
+     *
+     * Returns one page of rows with the given position (or the current user's
+     * row for around=me) in the middle, so the client can show it in place of
+     * the list.
+     */
+    public function handle_window(): void
+    {
+        try {
+            if (!wp_verify_nonce($_POST['nonce'] ?? '', 'zebricek_ajax_nonce')) {
+                wp_send_json_error(['message' => 'Security check failed'], 403);
+            }
+
+            $limit = max(1, min(50, absint($_POST['limit'] ?? 30)));
+            $year = $this->get_requested_year();
+            $around = sanitize_key(wp_unslash($_POST['around'] ?? ''));
+            $target_user_id = 0;
+
+            if ($around === 'me') {
+                $target_user_id = get_current_user_id();
+                if (!$target_user_id) {
+                    wp_send_json_error(['message' => 'Pro zobrazení své pozice se přihlaste.']);
+                }
+
+                $row_offset = $this->zebricek_service->get_user_row_offset($target_user_id, $year);
+                if ($row_offset === null) {
+                    wp_send_json_error([
+                        'message' => sprintf('V roce %s zatím nemáte v žebříčku žádné body.', $year)
+                    ]);
+                }
+            } else {
+                $row_offset = max(0, absint($around) - 1);
+            }
+
+            $offset = max(0, $row_offset - intdiv($limit, 2));
+            $leaderboard_data = $this->zebricek_service->get_leaderboard_data($limit, $offset, $year);
+
+            wp_send_json_success([
+                'html' => $this->render_user_rows($leaderboard_data, $offset, $this->is_full_member()),
+                'offset' => $offset,
+                'next_offset' => $offset + $limit,
+                'has_more' => $this->check_has_more_users($offset + $limit, $year),
+                'position' => $row_offset + 1,
+                'user_id' => $target_user_id
+            ]);
+
+        } catch (\Exception $e) {
+            mycred_debug('Zebricek window error', [
+                'error' => $e->getMessage()
+            ], 'zebricek_ajax', 'error');
+
+            wp_send_json_error([
+                'message' => 'Nepodařilo se načíst pozici v žebříčku.'
+            ]);
+        }
+    }
+
+    /**
+     * Get requested leaderboard year, falling back to the current year
+     */
+    private function get_requested_year(): string
+    {
+        $year = sanitize_text_field(wp_unslash($_POST['year'] ?? ''));
+
+        return in_array($year, $this->zebricek_service->get_available_years(), true) ? $year : date('Y');
+    }
+
+    /**
+     * Whether the current user sees companies and points
+     */
+    private function is_full_member(): bool
+    {
+        $status = $this->user_service->get_user_registration_status(get_current_user_id());
+
+        return $status === 'full_member' || $status === 'other';
+    }
+
+    /**
+     * Get user name the same way the row template shows it
+     */
+    private function get_user_name(array $user_data): string
+    {
+        $user_name = trim(($user_data['first_name'] ?? '') . ' ' . ($user_data['last_name'] ?? ''));
+
+        return $user_name !== '' ? $user_name : (string)($user_data['display_name'] ?? 'Neznámý uživatel');
+    }
+
     /**
      * Render user rows using templates
      */
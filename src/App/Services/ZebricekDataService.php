@@ -62,11 +62,15 @@ class ZebricekDataService {
 
     /**
      * Get leaderboard data for current year
+     *
+     * @param int $cursor Latest myCred log ID (live updates) - cached per cursor, so new points are never served stale
      */
-    public function get_leaderboard_data(int $limit = 30, int $offset = 0, string $year = ''): array
+    public function get_leaderboard_data(int $limit = 30, int $offset = 0, string $year = '', int $cursor = 0): array
     {
         $year = $year ?: date('Y');
-        $cache_key = self::CACHE_KEY_PREFIX . "leaderboard_{$year}_{$limit}_{$offset}";
+        $cache_key = self::CACHE_KEY_PREFIX . ($cursor > 0
+            ? "leaderboard_{$year}_{$limit}_c{$cursor}"
+            : "leaderboard_{$year}_{$limit}_{$offset}");
         
         // Try cache first
         $cached_data = get_transient($cache_key);
@@ -136,6 +140,255 @@ class ZebricekDataService {
         return $position;
     }
 
+    /**
+     * Get position a user would hold with the given annual points
+     * Used for "what if" previews (e.g. points of a faktura not yet approved)
+     *
+     * @param int $points Hypothetical annual points
+     * @param string $year Year to check (defaults to current year)
+     * @return int Position (999 when the myCred log table is unavailable)
+     */
+    public function get_position_for_points(int $points, string $year = ''): int
+    {
+        global $wpdb;
+
+        $year = $year ?: date('Y');
+        $log_table = $this->find_mycred_log_table();
+        if (!$log_table) {
+            return 999;
+        }
+
+        $year_start = strtotime($year . '-01-01 00:00:00');
+        $year_end = strtotime(($year + 1) . '-01-01 00:00:00');
+
+        $position = $wpdb->get_var($wpdb->prepare("
+            SELECT COUNT(*) + 1
+            FROM (
+                SELECT log.user_id, SUM(log.creds) as total_points
+                FROM {$log_table} log
+                INNER JOIN {$wpdb->users} u ON log.user_id = u.ID
+                WHERE log.time >= %d
+                    AND log.time < %d
+                    AND log.ctype = %s
+                GROUP BY log.user_id
+                HAVING total_points > %d
+            ) as better_users
+        ", $year_start, $year_end, PointTypeConstants::getLeaderboardPointType(), $points));
+
+        return max(1, (int)$position);
+    }
+
+    /**
+     * Get ID of the newest leaderboard points log entry
+     * Serves as the change cursor for live leaderboard updates
+     *
+     * @return int Log entry ID (0 when the log is empty or unavailable)
+     */
+    public function get_latest_log_id(): int
+    {
+        global $wpdb;
+
+        $log_table = $this->find_mycred_log_table();
+        if (!$log_table) {
+            return 0;
+        }
+
+        return (int)$wpdb->get_var($wpdb->prepare(
+            "SELECT MAX(id) FROM {$log_table} WHERE ctype = %s",
+            PointTypeConstants::getLeaderboardPointType()
+        ));
+    }
+
+    /**
+     * Get per-user point changes logged after a cursor
+     *
+     * @param int $since_id Log entry ID the client has already seen
+     * @param string $year Year to check (defaults to current year)
+     * @return array<int, int> User ID => net points change
+     */
+    public function get_point_changes_since(int $since_id, string $year = ''): array
+    {
+        global $wpdb;
+
+        $year = $year ?: date('Y');
+        $log_table = $this->find_mycred_log_table();
+        if (!$log_table) {
+            return [];
+        }
+
+        $year_start = strtotime($year . '-01-01 00:00:00');
+        $year_end = strtotime(($year + 1) . '-01-01 00:00:00');
+
+        $results = $wpdb->get_results($wpdb->prepare("
+            SELECT user_id, SUM(creds) as delta
+            FROM {$log_table}
+            WHERE id > %d
+                AND time >= %d
+                AND time < %d
+                AND ctype = %s
+            GROUP BY user_id
+        ", $since_id, $year_start, $year_end, PointTypeConstants::getLeaderboardPointType()));
+
+        $changes = [];
+        foreach ($results ?: [] as $row) {
+            if ((int)$row->delta !== 0) {
+                $changes[(int)$row->user_id] = (int)$row->delta;
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Get zero-based row index of a user in the leaderboard listing
+     * Unlike get_user_position() ties are broken the same way as the listing
+     * (lower user ID first), so the row is guaranteed to be on the page
+     * starting at this offset.
+     *
+     * @param int $user_id User ID
+     * @param string $year Year to check (defaults to current year)
+     * @param int|null $points User's annual points when already known
+     * @return int|null Row index, null when the user has no points in the year
+     */
+    public function get_user_row_offset(int $user_id, string $year = '', ?int $points = null): ?int
+    {
+        global $wpdb;
+
+        $year = $year ?: date('Y');
+        $log_table = $this->find_mycred_log_table();
+        $points ??= $this->get_user_annual_points($user_id, $year);
+        if (!$log_table || $points <= 0) {
+            return null;
+        }
+
+        $year_start = strtotime($year . '-01-01 00:00:00');
+        $year_end = strtotime(($year + 1) . '-01-01 00:00:00');
+
+        $offset = $wpdb->get_var($wpdb->prepare("
+            SELECT COUNT(*)
+            FROM (
+                SELECT log.user_id, SUM(log.creds) as total_points
+                FROM {$log_table} log
+                INNER JOIN {$wpdb->users} u ON log.user_id = u.ID
+                WHERE log.time >= %d
+                    AND log.time < %d
+                    AND log.ctype = %s
+                GROUP BY log.user_id
+                HAVING total_points > %d OR (total_points = %d AND log.user_id < %d)
+            ) as users_above
+        ", $year_start, $year_end, PointTypeConstants::getLeaderboardPointType(), $points, $points, $user_id));
+
+        return (int)$offset;
+    }
+
+    /**
+     * Search leaderboard users by name (and company)
+     *
+     * Every word of the query has to match the first name, last name or -
+     * with $include_company - the company or display name (which contains
+     * the company for synced profiles).
+     *
+     * @param string $query Search query
+     * @param string $year Year to search (defaults to current year)
+     * @param bool $include_company Whether company names are searched (full members only)
+     * @param int $limit Maximum number of results
+     * @return array Leaderboard rows (see get_leaderboard_data()) with 'offset' - row index in the listing
+     */
+    public function search_leaderboard_users(string $query, string $year = '', bool $include_company = false, int $limit = 10): array
+    {
+        global $wpdb;
+
+        $year = $year ?: date('Y');
+        $log_table = $this->find_mycred_log_table();
+        $words = array_slice(array_filter(preg_split('/\s+/u', trim($query)) ?: []), 0, 5);
+        if (!$log_table || empty($words)) {
+            return [];
+        }
+
+        $year_start = strtotime($year . '-01-01 00:00:00');
+        $year_end = strtotime(($year + 1) . '-01-01 00:00:00');
+
+        $conditions = [];
+        $params = [$year_start, $year_end, PointTypeConstants::getLeaderboardPointType()];
+        foreach ($words as $word) {
+            $like = '%' . $wpdb->esc_like($word) . '%';
+            $columns = $include_company
+                ? ['first_name.meta_value', 'last_name.meta_value', 'company.meta_value', 'u.display_name']
+                : ['first_name.meta_value', 'last_name.meta_value'];
+            $conditions[] = '(' . implode(' OR ', array_map(static fn(string $column): string => "{$column} LIKE %s", $columns)) . ')';
+            array_push($params, ...array_fill(0, count($columns), $like));
+        }
+        $params[] = $limit;
+
+        $results = $wpdb->get_results($wpdb->prepare("
+            SELECT log.user_id, u.display_name, SUM(log.creds) as total_points
+            FROM {$log_table} log
+            INNER JOIN {$wpdb->users} u ON log.user_id = u.ID
+            LEFT JOIN {$wpdb->usermeta} first_name ON first_name.user_id = u.ID AND first_name.meta_key = 'first_name'
+            LEFT JOIN {$wpdb->usermeta} last_name ON last_name.user_id = u.ID AND last_name.meta_key = 'last_name'
+            LEFT JOIN {$wpdb->usermeta} company ON company.user_id = u.ID AND company.meta_key = 'billing_company'
+            WHERE log.time >= %d
+                AND log.time < %d
+                AND log.ctype = %s
+                AND " . implode(' AND ', $conditions) . "
+            GROUP BY log.user_id
+            HAVING total_points > 0
+            ORDER BY total_points DESC, log.user_id ASC
+            LIMIT %d
+        ", ...$params));
+
+        if ($wpdb->last_error) {
+            error_log("[ZebricekDataService] Search error: " . $wpdb->last_error);
+            return [];
+        }
+
+        $users = [];
+        foreach ($results ?: [] as $user_data) {
+            $user_id = (int)$user_data->user_id;
+            $points = (int)$user_data->total_points;
+
+            $users[] = [
+                'user_id' => $user_id,
+                'display_name' => $user_data->display_name,
+                'first_name' => get_user_meta($user_id, 'first_name', true) ?: '',
+                'last_name' => get_user_meta($user_id, 'last_name', true) ?: '',
+                'company' => get_user_meta($user_id, 'billing_company', true) ?: 'Samostatný řemeslník',
+                'points' => $points,
+                'formatted_points' => number_format($points, 0, ',', ' ') . ' b.',
+                'offset' => (int)$this->get_user_row_offset($user_id, $year, $points)
+            ];
+        }
+
+        return $users;
+    }
+
+    /**
+     * Get years with leaderboard points, newest first
+     *
+     * @return string[] Years from the first logged points to the current year
+     */
+    public function get_available_years(): array
+    {
+        global $wpdb;
+
+        $current_year = (int)date('Y');
+        $cache_key = self::CACHE_KEY_PREFIX . 'years';
+
+        $first_year = get_transient($cache_key);
+        if ($first_year === false) {
+            $log_table = $this->find_mycred_log_table();
+            $first_time = $log_table ? (int)$wpdb->get_var($wpdb->prepare(
+                "SELECT MIN(time) FROM {$log_table} WHERE ctype = %s",
+                PointTypeConstants::getLeaderboardPointType()
+            )) : 0;
+
+            $first_year = $first_time > 0 ? (int)date('Y', $first_time) : $current_year;
+            set_transient($cache_key, $first_year, self::CACHE_DURATION);
+        }
+
+        return array_map('strval', range($current_year, min((int)$first_year, $current_year)));
+    }
+
     /**
      * Get user's total leaderboard points balance
      */
@@ -364,7 +617,7 @@ class ZebricekDataService {
                 AND log.ctype = %s
             GROUP BY log.user_id
             HAVING total_points > 0
-            ORDER BY total_points DESC
+            ORDER BY total_points DESC, log.user_id ASC
             LIMIT %d OFFSET %d
         ", $year_start, $year_end, PointTypeConstants::getLeaderboardPointType(), $limit, $offset);
         
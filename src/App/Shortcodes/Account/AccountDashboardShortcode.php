@@ -7,6 +7,7 @@ namespace MistrFachman\Shortcodes\Account;
 use MistrFachman\Shortcodes\ShortcodeBase;
 use MistrFachman\MyCred\ECommerce\Manager;
 use MistrFachman\Services\ProductService;
+use MistrFachman\Services\PushNotificationService;
 use MistrFachman\Services\UserService;
 use MistrFachman\Services\ZebricekDataService;
 
@@ -14,7 +15,8 @@ use MistrFachman\Services\ZebricekDataService;
  * Account Dashboard Shortcode Component
  *
  * Main dashboard container that renders all account components in a 3-row layout.
- * Integrates progress guide, points balance, product grid, and leaderboard components.
+ * Integrates progress guide, points balance, product grid, and leaderboard components,
+ * plus the browser push opt-in for approved members.
  *
  * Usage: [account_dashboard]
  *
@@ -87,9 +89,12 @@ class AccountDashboardShortcode extends ShortcodeBase
             $show_progress_guide = !$has_made_purchase;
         }
 
+        $show_leaderboard = ($user_status === 'full_member' || $user_status === 'other');
+
         return [
             'show_progress_guide' => $show_progress_guide,
-            'show_leaderboard' => ($user_status === 'full_member' || $user_status === 'other'),
+            'show_leaderboard' => $show_leaderboard,
+            'show_push_notifications' => $show_leaderboard && PushNotificationService::isAvailable(),
             'has_made_purchase' => $has_made_purchase,
             'user_status' => $user_status
         ];
@@ -161,7 +166,7 @@ class AccountDashboardShortcode extends ShortcodeBase
 
                             <!-- Center: Current Position -->
                             <div class="dashboard-section position-section">
-                                <?= do_shortcode('[zebricek_position]') ?>
+                                <?= do_shortcode('[zebricek_position show_share="true"]') ?>
                             </div>
 
                             <!-- Right: Progress to Next Position -->
@@ -187,6 +192,15 @@ class AccountDashboardShortcode extends ShortcodeBase
                     </div>
                 <?php endif; ?>
 
+                <?php if ($config['show_push_notifications']): ?>
+                    <!-- Row 4: Browser Push Opt-in -->
+                    <div class="dashboard-row push-row">
+                        <div class="dashboard-section full-width">
+                            <?= $this->load_template('shortcodes/push-notifications.php') ?>
+                        </div>
+                    </div>
+                <?php endif; ?>
+
             </div>
         </div>
 
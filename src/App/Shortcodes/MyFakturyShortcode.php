@@ -6,6 +6,7 @@ namespace MistrFachman\Shortcodes;
 
 use MistrFachman\Services\ProjectStatusService;
 use MistrFachman\Services\DomainConfigurationService;
+use MistrFachman\Services\MyPostsFilterService;
 
 /**
  * My Faktury Shortcode - User Invoice View
@@ -31,6 +32,7 @@ class MyFakturyShortcode extends ShortcodeBase
 		'posts_per_page' => '6',
 		'show_content' => 'false',
 		'enable_pagination' => 'true',
+		'show_filters' => 'true',
 	];
 
 	private ProjectStatusService $project_status_service;
@@ -75,15 +77,37 @@ class MyFakturyShortcode extends ShortcodeBase
 
 		$user_id = get_current_user_id();
 
+		// Filters from the URL, so that filtered views can be bookmarked
+		$filters = MyPostsFilterService::getFilters($_GET, 'faktury_');
+
+		// Page from the URL, so that a reload or a shared link opens the same page
+		$page = $attributes['enable_pagination'] === 'true' ? max(1, absint($_GET['faktury_page'] ?? 1)) : 1;
+
+		// Notification links point at a post - open the page it is on
+		$linked_post_id = absint($_GET['faktury_post'] ?? 0);
+		if ($linked_post_id && $attributes['enable_pagination'] === 'true' && !isset($_GET['faktury_page'])) {
+			$page = MyPostsFilterService::getPageOfPost(
+				$this->get_query_args($attributes, $user_id, 0, $filters),
+				$linked_post_id,
+				(int) $attributes['posts_per_page']
+			) ?? $page;
+		}
+
 		// Query user's faktury posts
-		$query_args = $this->get_query_args($attributes, $user_id);
+		$query_args = $this->get_query_args($attributes, $user_id, ($page - 1) * (int) $attributes['posts_per_page'], $filters);
 		$query = new \WP_Query($query_args);
 
-		if (!$query->have_posts()) {
+		// Page out of range (e.g. an old link) falls back to the first one
+		if (!$query->have_posts() && $page > 1) {
+			$page = 1;
+			$query = new \WP_Query($this->get_query_args($attributes, $user_id, 0, $filters));
+		}
+
+		if (!$query->have_posts() && !MyPostsFilterService::hasActiveFilters($filters)) {
 			return $this->render_no_posts_message();
 		}
 
-		$output = $this->render_posts_container($query, $attributes);
+		$output = $this->render_posts_container($query, $attributes, $filters, $user_id, $page);
 
 		wp_reset_postdata();
 
@@ -123,17 +147,32 @@ class MyFakturyShortcode extends ShortcodeBase
 		<?php return ob_get_clean();
 	}
 
+	/**
+	 * Render message when no posts match the filters
+	 *
+	 * @return string HTML output
+	 */
+	private function render_no_results_message(): string
+	{
+		ob_start(); ?>
+		<div class="my-posts-empty bg-gray-50 border border-gray-200 p-6 text-center md:col-span-2">
+			<p class="text-gray-600">Filtrům neodpovídají žádné faktury.</p>
+		</div>
+		<?php return ob_get_clean();
+	}
+
 	/**
 	 * Get query arguments for posts
 	 *
 	 * @param array $attributes Shortcode attributes
 	 * @param int $user_id User ID
 	 * @param int $offset Pagination offset
+	 * @param array $filters Sanitized filters from MyPostsFilterService
 	 * @return array Query arguments
 	 */
-	private function get_query_args(array $attributes, int $user_id, int $offset = 0): array
+	private function get_query_args(array $attributes, int $user_id, int $offset = 0, array $filters = []): array
 	{
-		return [
+		$query_args = [
 			'post_type' => DomainConfigurationService::getWordPressPostType('invoice'),
 			'author' => $user_id,
 			'post_status' => ProjectStatusService::getAllValidStatuses(),
@@ -142,6 +181,12 @@ class MyFakturyShortcode extends ShortcodeBase
 			'orderby' => 'date',
 			'order' => 'DESC',
 		];
+
+		if (empty($filters)) {
+			return $query_args;
+		}
+
+		return MyPostsFilterService::applyToQueryArgs($query_args, $filters, 'invoice');
 	}
 
 	/**
@@ -171,14 +216,17 @@ class MyFakturyShortcode extends ShortcodeBase
 			'show_content' => sanitize_text_field($_POST['show_content'] ?? 'false'),
 		];
 
-		$query_args = $this->get_query_args($attributes, $user_id, $offset);
+		$filters = MyPostsFilterService::getFilters($_POST);
+
+		$query_args = $this->get_query_args($attributes, $user_id, $offset, $filters);
 		$query = new \WP_Query($query_args);
 
 		if (!$query->have_posts()) {
 			wp_send_json_success([
-				'html' => '',
+				'html' => $this->render_no_results_message(),
 				'has_more' => false,
 				'total_pages' => 0,
+				'found_posts' => 0,
 			]);
 			return;
 		}
@@ -192,43 +240,59 @@ class MyFakturyShortcode extends ShortcodeBase
 			'html' => $html,
 			'has_more' => $has_more,
 			'total_pages' => $query->max_num_pages,
+			'found_posts' => $query->found_posts,
+			'status_counts' => MyPostsFilterService::getStatusCounts(DomainConfigurationService::getWordPressPostType('invoice'), $user_id),
 		]);
 	}
 
 	/**
-	 * Render the main posts container with pagination
+	 * Render the main posts container with filters and pagination
 	 *
 	 * @param \WP_Query $query Query object
 	 * @param array $attributes Shortcode attributes
+	 * @param array $filters Sanitized filters from MyPostsFilterService
+	 * @param int $user_id User ID
+	 * @param int $page Current page
 	 * @return string HTML output
 	 */
-	private function render_posts_container(\WP_Query $query, array $attributes): string
+	private function render_posts_container(\WP_Query $query, array $attributes, array $filters, int $user_id, int $page = 1): string
 	{
 		$nonce = wp_create_nonce('my_faktury_nonce');
 		$enable_pagination = $attributes['enable_pagination'] === 'true';
-		
+
 		ob_start(); ?>
-		<div class="my-faktury-shortcode" 
+		<div class="my-faktury-shortcode"
 			 data-nonce="<?php echo esc_attr($nonce); ?>"
 			 data-posts-per-page="<?php echo esc_attr($attributes['posts_per_page']); ?>"
 			 data-show-content="<?php echo esc_attr($attributes['show_content']); ?>"
 			 data-enable-pagination="<?php echo esc_attr($attributes['enable_pagination']); ?>"
-			 data-total-pages="<?php echo esc_attr($query->max_num_pages); ?>">
-			
+			 data-total-pages="<?php echo esc_attr($query->max_num_pages); ?>"
+			 data-current-page="<?php echo esc_attr($page); ?>"
+			 data-found-posts="<?php echo esc_attr($query->found_posts); ?>">
+
+			<?php if ($attributes['show_filters'] === 'true') : ?>
+				<?php echo $this->load_template('shortcodes/my-posts-filters.php', [
+					'param_prefix' => 'faktury_',
+					'filters' => $filters,
+					'status_counts' => MyPostsFilterService::getStatusCounts(DomainConfigurationService::getWordPressPostType('invoice'), $user_id),
+					'found_posts' => $query->found_posts,
+				]); ?>
+			<?php endif; ?>
+
 			<div class="my-faktury-posts grid grid-cols-1 md:grid-cols-2 gap-4">
-				<?php echo $this->render_posts_list($query, $attributes); ?>
+				<?php echo $query->have_posts() ? $this->render_posts_list($query, $attributes) : $this->render_no_results_message(); ?>
 			</div>
-			
-			<?php if ($enable_pagination && $query->max_num_pages > 1) : ?>
+
+			<?php if ($enable_pagination) : ?>
 				<div class="my-faktury-pagination mt-6 text-center">
 					<!-- Pagination will be rendered by JavaScript -->
 				</div>
-				<div class="my-faktury-loading hidden text-center mt-4">
-					<div class="inline-flex items-center px-4 py-2 text-sm">
-						Načítání...
-					</div>
-				</div>
 			<?php endif; ?>
+			<div class="my-faktury-loading hidden text-center mt-4">
+				<div class="inline-flex items-center px-4 py-2 text-sm">
+					Načítání...
+				</div>
+			</div>
 		</div>
 		<?php return ob_get_clean();
 	}
@@ -270,7 +334,7 @@ class MyFakturyShortcode extends ShortcodeBase
 		$column_span = $this->get_post_column_span($attributes);
 
 		ob_start(); ?>
-		<div class="bg-white border <?php echo esc_attr($status_colors['border']); ?> p-4 shadow-sm <?php echo $column_span; ?>" data-debug-span="<?php echo esc_attr($column_span); ?>" data-debug-total="<?php echo esc_attr(wp_cache_get('my_faktury_total_posts', 'shortcode')); ?>" data-debug-current="<?php echo esc_attr(wp_cache_get('my_faktury_post_index', 'shortcode')); ?>">
+		<div id="faktura-<?php echo esc_attr((string) $post_id); ?>" class="bg-white border <?php echo esc_attr($status_colors['border']); ?> p-4 shadow-sm <?php echo $column_span; ?>" data-debug-span="<?php echo esc_attr($column_span); ?>" data-debug-total="<?php echo esc_attr(wp_cache_get('my_faktury_total_posts', 'shortcode')); ?>" data-debug-current="<?php echo esc_attr(wp_cache_get('my_faktury_post_index', 'shortcode')); ?>">
 			<h3 class="text-lg font-semibold text-gray-900 mb-2"><?php echo esc_html($title); ?></h3>
 			
 			<div class="inline-flex items-center px-2.5 py-0.5 text-xs font-medium <?php echo esc_attr($status_colors['badge']); ?> mb-2">
@@ -363,6 +427,7 @@ class MyFakturyShortcode extends ShortcodeBase
 				'posts_per_page' => (int) $value,
 				'show_content' => in_array($value, ['true', 'false'], true) ? $value : 'false',
 				'enable_pagination' => in_array($value, ['true', 'false'], true) ? $value : 'false',
+				'show_filters' => in_array($value, ['true', 'false'], true) ? $value : 'true',
 				default => sanitize_text_field($value)
 			};
 		}
@@ -6,12 +6,17 @@ namespace MistrFachman\Shortcodes;
 
 use MistrFachman\Services\ProjectStatusService;
 use MistrFachman\Services\DomainConfigurationService;
+use MistrFachman\Services\MyPostsFilterService;
+use MistrFachman\Services\GalleryDataService;
+use MistrFachman\Realizace\NewRealizaceFormHandler;
+use MistrFachman\Realizace\ResubmissionService;
 
 /**
  * My Realizace Shortcode - User Submission View
  *
  * Provides the user-facing view of their realizace submissions.
  * Shows submission status, rejection reasons, and points awarded.
+ * Rejected realizace can be edited inline and sent for approval again.
  *
  * Usage: [my_realizace]
  *
@@ -31,6 +36,7 @@ class MyRealizaceShortcode extends ShortcodeBase
 		'posts_per_page' => '6',
 		'show_content' => 'false',
 		'enable_pagination' => 'true',
+		'show_filters' => 'true',
 	];
 
 	private ProjectStatusService $project_status_service;
@@ -47,6 +53,7 @@ class MyRealizaceShortcode extends ShortcodeBase
 	{
 		add_action('wp_ajax_my_realizace_load_page', [$this, 'handle_load_page']);
 		add_action('wp_ajax_nopriv_my_realizace_load_page', [$this, 'handle_load_page']);
+		add_action('wp_ajax_my_realizace_edit_data', [$this, 'handle_edit_data']);
 	}
 
 	/**
@@ -75,15 +82,37 @@ class MyRealizaceShortcode extends ShortcodeBase
 
 		$user_id = get_current_user_id();
 
+		// Filters from the URL, so that filtered views can be bookmarked
+		$filters = MyPostsFilterService::getFilters($_GET, 'realizace_');
+
+		// Page from the URL, so that a reload or a shared link opens the same page
+		$page = $attributes['enable_pagination'] === 'true' ? max(1, absint($_GET['realizace_page'] ?? 1)) : 1;
+
+		// Notification links point at a post - open the page it is on
+		$linked_post_id = absint($_GET['realizace_post'] ?? 0);
+		if ($linked_post_id && $attributes['enable_pagination'] === 'true' && !isset($_GET['realizace_page'])) {
+			$page = MyPostsFilterService::getPageOfPost(
+				$this->get_query_args($attributes, $user_id, 0, $filters),
+				$linked_post_id,
+				(int) $attributes['posts_per_page']
+			) ?? $page;
+		}
+
 		// Query user's realizace posts
-		$query_args = $this->get_query_args($attributes, $user_id);
+		$query_args = $this->get_query_args($attributes, $user_id, ($page - 1) * (int) $attributes['posts_per_page'], $filters);
 		$query = new \WP_Query($query_args);
 
-		if (!$query->have_posts()) {
+		// Page out of range (e.g. an old link) falls back to the first one
+		if (!$query->have_posts() && $page > 1) {
+			$page = 1;
+			$query = new \WP_Query($this->get_query_args($attributes, $user_id, 0, $filters));
+		}
+
+		if (!$query->have_posts() && !MyPostsFilterService::hasActiveFilters($filters)) {
 			return $this->render_no_posts_message();
 		}
 
-		$output = $this->render_posts_container($query, $attributes);
+		$output = $this->render_posts_container($query, $attributes, $filters, $user_id, $page);
 
 		wp_reset_postdata();
 
@@ -96,11 +125,12 @@ class MyRealizaceShortcode extends ShortcodeBase
 	 * @param array $attributes Shortcode attributes
 	 * @param int $user_id User ID
 	 * @param int $offset Pagination offset
+	 * @param array $filters Sanitized filters from MyPostsFilterService
 	 * @return array Query arguments
 	 */
-	private function get_query_args(array $attributes, int $user_id, int $offset = 0): array
+	private function get_query_args(array $attributes, int $user_id, int $offset = 0, array $filters = []): array
 	{
-		return [
+		$query_args = [
 			'post_type' => DomainConfigurationService::getWordPressPostType('realization'),
 			'author' => $user_id,
 			'post_status' => ProjectStatusService::getAllValidStatuses(),
@@ -109,6 +139,12 @@ class MyRealizaceShortcode extends ShortcodeBase
 			'orderby' => 'date',
 			'order' => 'DESC',
 		];
+
+		if (empty($filters)) {
+			return $query_args;
+		}
+
+		return MyPostsFilterService::applyToQueryArgs($query_args, $filters, 'realization');
 	}
 
 	/**
@@ -138,14 +174,17 @@ class MyRealizaceShortcode extends ShortcodeBase
 			'show_content' => sanitize_text_field($_POST['show_content'] ?? 'false'),
 		];
 
-		$query_args = $this->get_query_args($attributes, $user_id, $offset);
+		$filters = MyPostsFilterService::getFilters($_POST);
+
+		$query_args = $this->get_query_args($attributes, $user_id, $offset, $filters);
 		$query = new \WP_Query($query_args);
 
 		if (!$query->have_posts()) {
 			wp_send_json_success([
-				'html' => '',
+				'html' => $this->render_no_results_message(),
 				'has_more' => false,
 				'total_pages' => 0,
+				'found_posts' => 0,
 			]);
 			return;
 		}
@@ -159,9 +198,31 @@ class MyRealizaceShortcode extends ShortcodeBase
 			'html' => $html,
 			'has_more' => $has_more,
 			'total_pages' => $query->max_num_pages,
+			'found_posts' => $query->found_posts,
+			'status_counts' => MyPostsFilterService::getStatusCounts(DomainConfigurationService::getWordPressPostType('realization'), $user_id),
 		]);
 	}
 
+	/**
+	 * Handle AJAX request for data of a rejected realizace opened in the editor
+	 */
+	public function handle_edit_data(): void
+	{
+		if (!check_ajax_referer('my_realizace_nonce', 'nonce', false)) {
+			wp_send_json_error(['message' => 'Invalid nonce']);
+			return;
+		}
+
+		$post_id = absint($_POST['post_id'] ?? 0);
+
+		if (!ResubmissionService::canResubmit($post_id, get_current_user_id())) {
+			wp_send_json_error(['message' => 'Tuto realizaci nelze upravit.']);
+			return;
+		}
+
+		wp_send_json_success(ResubmissionService::getEditorData($post_id));
+	}
+
 	/**
 	 * Render login message for non-logged-in users
 	 *
@@ -196,16 +257,34 @@ class MyRealizaceShortcode extends ShortcodeBase
 	}
 
 	/**
-	 * Render the main posts container with pagination
+	 * Render message when no posts match the filters
+	 *
+	 * @return string HTML output
+	 */
+	private function render_no_results_message(): string
+	{
+		ob_start(); ?>
+		<div class="my-posts-empty bg-gray-50 border border-gray-200 p-6 text-center md:col-span-2">
+			<p class="text-gray-600">Filtrům neodpovídají žádné realizace.</p>
+		</div>
+		<?php return ob_get_clean();
+	}
+
+	/**
+	 * Render the main posts container with filters and pagination
 	 *
 	 * @param \WP_Query $query Query object
 	 * @param array $attributes Shortcode attributes
+	 * @param array $filters Sanitized filters from MyPostsFilterService
+	 * @param int $user_id User ID
+	 * @param int $page Current page
 	 * @return string HTML output
 	 */
-	private function render_posts_container(\WP_Query $query, array $attributes): string
+	private function render_posts_container(\WP_Query $query, array $attributes, array $filters, int $user_id, int $page = 1): string
 	{
 		$nonce = wp_create_nonce('my_realizace_nonce');
 		$enable_pagination = $attributes['enable_pagination'] === 'true';
+		$status_counts = MyPostsFilterService::getStatusCounts(DomainConfigurationService::getWordPressPostType('realization'), $user_id);
 
 		ob_start(); ?>
 		<div class="my-realizace-shortcode"
@@ -213,21 +292,38 @@ class MyRealizaceShortcode extends ShortcodeBase
 			 data-posts-per-page="<?php echo esc_attr($attributes['posts_per_page']); ?>"
 			 data-show-content="<?php echo esc_attr($attributes['show_content']); ?>"
 			 data-enable-pagination="<?php echo esc_attr($attributes['enable_pagination']); ?>"
-			 data-total-pages="<?php echo esc_attr($query->max_num_pages); ?>">
+			 data-total-pages="<?php echo esc_attr($query->max_num_pages); ?>"
+			 data-current-page="<?php echo esc_attr($page); ?>"
+			 data-found-posts="<?php echo esc_attr($query->found_posts); ?>">
+
+			<?php if ($attributes['show_filters'] === 'true') : ?>
+				<?php echo $this->load_template('shortcodes/my-posts-filters.php', [
+					'param_prefix' => 'realizace_',
+					'filters' => $filters,
+					'status_counts' => $status_counts,
+					'found_posts' => $query->found_posts,
+				]); ?>
+			<?php endif; ?>
 
 			<div class="my-realizace-posts grid grid-cols-1 md:grid-cols-2 gap-4">
-				<?php echo $this->render_posts_list($query, $attributes); ?>
+				<?php echo $query->have_posts() ? $this->render_posts_list($query, $attributes) : $this->render_no_results_message(); ?>
 			</div>
 
-			<?php if ($enable_pagination && $query->max_num_pages > 1) : ?>
+			<?php if ($enable_pagination) : ?>
 				<div class="my-realizace-pagination mt-6 text-center">
 					<!-- Pagination will be rendered by JavaScript -->
 				</div>
-				<div class="my-realizace-loading hidden text-center mt-4">
-					<div class="inline-flex items-center px-4 py-2 text-sm">
-						Načítání...
-					</div>
+			<?php endif; ?>
+			<div class="my-realizace-loading hidden text-center mt-4">
+				<div class="inline-flex items-center px-4 py-2 text-sm">
+					Načítání...
 				</div>
+			</div>
+
+			<?php if ($status_counts['rejected'] > 0) : ?>
+				<?php echo $this->load_template('shortcodes/my-realizace-editor.php', [
+					'form_id' => NewRealizaceFormHandler::FORM_ID,
+				]); ?>
 			<?php endif; ?>
 		</div>
 		<?php return ob_get_clean();
@@ -270,7 +366,7 @@ class MyRealizaceShortcode extends ShortcodeBase
 		$column_span = $this->get_post_column_span($attributes);
 
 		ob_start(); ?>
-		<div class="bg-white border <?php echo esc_attr($status_colors['border']); ?> p-4 shadow-sm <?php echo $column_span; ?>" data-debug-span="<?php echo esc_attr($column_span); ?>">
+		<div id="realizace-<?php echo esc_attr((string) $post_id); ?>" class="bg-white border <?php echo esc_attr($status_colors['border']); ?> p-4 shadow-sm <?php echo $column_span; ?>" data-debug-span="<?php echo esc_attr($column_span); ?>">
 			<h3 class="text-lg font-semibold text-gray-900 mb-2"><?php echo esc_html($title); ?></h3>
 
 			<div class="inline-flex items-center px-2.5 py-0.5 text-xs font-medium <?php echo esc_attr($status_colors['badge']); ?> mb-2">
@@ -281,6 +377,22 @@ class MyRealizaceShortcode extends ShortcodeBase
 				Přidáno: <?php echo esc_html($date); ?>
 			</div>
 
+			<?php $gallery_items = GalleryDataService::getLightboxItems(\MistrFachman\Realizace\RealizaceFieldService::getGallery($post_id)); ?>
+			<?php if (!empty($gallery_items)) : ?>
+				<div class="my-realizace-gallery flex flex-wrap gap-2 mb-2" data-lightbox-gallery="<?php echo esc_attr(wp_json_encode($gallery_items)); ?>">
+					<?php foreach (array_slice($gallery_items, 0, 4) as $index => $item) : ?>
+						<button type="button" class="my-realizace-thumb" data-lightbox-index="<?php echo esc_attr((string) $index); ?>" aria-label="<?php echo esc_attr(sprintf('Zobrazit fotku %d', $index + 1)); ?>">
+							<img src="<?php echo esc_url($item['thumb']); ?>" alt="<?php echo esc_attr($item['alt']); ?>" loading="lazy" class="w-16 h-16 object-cover">
+						</button>
+					<?php endforeach; ?>
+					<?php if (count($gallery_items) > 4) : ?>
+						<button type="button" class="my-realizace-thumb my-realizace-thumb-more w-16 h-16 text-sm text-gray-600" data-lightbox-index="4">
+							+<?php echo esc_html((string) (count($gallery_items) - 4)); ?>
+						</button>
+					<?php endif; ?>
+				</div>
+			<?php endif; ?>
+
 			<?php if ($status === 'publish') : ?>
 				<?php $points = \MistrFachman\Realizace\RealizaceFieldService::getPoints($post_id); ?>
 				<?php if ($points > 0) : ?>
@@ -298,6 +410,9 @@ class MyRealizaceShortcode extends ShortcodeBase
 						<span class="text-red-700"><?php echo wp_kses_post($rejection_reason); ?></span>
 					</div>
 				<?php endif; ?>
+				<button type="button" class="my-realizace-resubmit mt-2 px-3 py-2 text-sm font-medium" data-post-id="<?php echo esc_attr((string) $post_id); ?>">
+					Upravit a znovu odeslat
+				</button>
 			<?php endif; ?>
 
 			<?php if ($attributes['show_content'] === 'true') : ?>
@@ -356,6 +471,7 @@ class MyRealizaceShortcode extends ShortcodeBase
 				'posts_per_page' => (int) $value,
 				'show_content' => in_array($value, ['true', 'false'], true) ? $value : 'false',
 				'enable_pagination' => in_array($value, ['true', 'false'], true) ? $value : 'false',
+				'show_filters' => in_array($value, ['true', 'false'], true) ? $value : 'true',
 				default => sanitize_text_field($value)
 			};
 		}
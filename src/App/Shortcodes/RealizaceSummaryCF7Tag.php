@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Shortcodes;
+
+use MistrFachman\Services\PointsCalculationService;
+use MistrFachman\Services\ValidationRulesRegistry;
+
+/**
+ * Contact Form 7 Custom Form Tag: Realizace Summary
+ *
+ * Renders a reactive summary panel with the expected points, completeness
+ * score and a checklist of recommendations that make approval easier (they
+ * are not enforced on submission or approval). The panel is
+ * recalculated through the points preview endpoint (PointsPreviewService)
+ * whenever the selections, uploaded photos or text fields change.
+ *
+ * Usage in CF7: [realizace_summary]
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class RealizaceSummaryCF7Tag extends CF7FormTagBase {
+
+    private const ALPINE_COMPONENT_NAME = 'realizaceSummary';
+
+    /**
+     * Get the CF7 form tag name
+     */
+    public function get_cf7_tag(): string {
+        return 'realizace_summary';
+    }
+
+    /**
+     * Register without a name - the panel is not a form field
+     */
+    public function register_cf7_tag(): void {
+        if (!function_exists('wpcf7_add_form_tag')) {
+            return;
+        }
+
+        wpcf7_add_form_tag($this->get_cf7_tag(), [$this, 'cf7_tag_handler']);
+    }
+
+    /**
+     * Render the form tag output
+     */
+    protected function render(array $attributes, ?string $content = null): string {
+        CF7AssetManager::enqueue_realizace_components();
+
+        // Initial state so the panel is meaningful before the first preview request
+        $preview = PointsCalculationService::previewCalculation('realization');
+        $checklist = ValidationRulesRegistry::evaluateChecklist('realization', []);
+
+        ob_start();
+        ?>
+        <div class="realizace-summary"
+             x-data="<?= esc_attr(self::ALPINE_COMPONENT_NAME) ?>"
+             data-points="<?= esc_attr((string) $preview['points']) ?>"
+             data-checklist="<?= esc_attr(wp_json_encode($checklist)) ?>"
+             :class="{ 'is-loading': loading, 'is-complete': complete }">
+            <div class="realizace-summary__header">
+                <span class="realizace-summary__title">Shrnutí realizace</span>
+                <span class="realizace-summary__score" x-text="score + ' %'"></span>
+            </div>
+            <div class="realizace-summary__progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" :aria-valuenow="score">
+                <span :style="{ width: score + '%' }"></span>
+            </div>
+            <div class="realizace-summary__points">
+                <span>Očekávané body</span>
+                <strong x-text="pointsLabel"></strong>
+            </div>
+            <p class="realizace-summary__position" x-show="positionText" x-text="positionText"></p>
+            <ul class="realizace-summary__checklist" aria-live="polite">
+                <template x-for="item in items" :key="item.key">
+                    <li :class="{ 'is-met': item.met }">
+                        <span class="realizace-summary__label" x-text="item.label"></span>
+                        <span class="realizace-summary__hint" x-show="!item.met" x-text="item.message"></span>
+                    </li>
+                </template>
+            </ul>
+            <p class="realizace-summary__note" x-text="complete ? 'Realizace splňuje všechna doporučení. Body budou připsány po schválení realizace.' : 'Body budou připsány po schválení realizace. Doporučení nejsou povinná, ale usnadní schválení.'"></p>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+}
@@ -21,7 +21,7 @@ use MistrFachman\Services\UserStatusService;
  * - Anonymous: "Přihlášení" with user icon
  * - OTP registered (needs_form): "Dokončete registraci" button
  * - Form submitted (awaiting_review): "Váš účet čeká na schválení" text
- * - Fully registered: User icon + "Přidat realizace" + "Přidat fakturu" buttons
+ * - Fully registered: Notification bell + user icon + "Přidat realizace" + "Přidat fakturu" buttons
  *
  * @package mistr-fachman
  * @since 1.0.0
@@ -53,6 +53,7 @@ class UserHeaderShortcode extends ShortcodeBase
         // Parse attributes with defaults
         $attributes = shortcode_atts([
             'show_icons' => 'true',
+            'show_notifications' => 'true',
             'login_url' => '/prihlaseni',
             'registration_url' => '/registrace',
             'account_url' => '/muj-ucet',
@@ -100,6 +101,10 @@ class UserHeaderShortcode extends ShortcodeBase
             <?php elseif ($status === UserStatusService::STATUS_FULL_MEMBER || $status === UserStatusService::STATUS_OTHER): ?>
                 <!-- Fully registered user (admin, full_member, customer, etc.) -->
                 <div class="user-header-widget__full-member flex">
+                    <?php if ($attributes['show_notifications'] === 'true'): ?>
+                        <?= $this->load_template('shortcodes/notification-bell.php') ?>
+                    <?php endif; ?>
+
                     <div class="user-header-widget__user-account">
                         <?php if ($show_icons): ?>
                             <a href="<?= esc_url($attributes['account_url']) ?>" class="user-header-widget__account-link">
@@ -17,7 +17,9 @@ use MistrFachman\Services\ZebricekDataService;
  * - Pending users: Names only (points hidden)
  * - Full members: Names, companies, and points
  *
- * Usage: [zebricek_leaderboard limit="30" offset="0"]
+ * Usage: [zebricek_leaderboard limit="30" offset="0" live="true" show_controls="true"]
+ * live="true" keeps the rows up to date while the page is open (polling zebricek_changes_since)
+ * show_controls="true" adds year switching, search and the "Moje pozice" button
  *
  * @package mistr-fachman
  * @since 1.0.0
@@ -35,6 +37,8 @@ class ZebricekLeaderboardShortcode extends ShortcodeBase
         'offset' => '0',
         'show_numbers' => 'true ',
         'show_pagination' => 'true',
+        'live' => 'false',
+        'show_controls' => 'true',
         'class' => ''
     ];
 
@@ -76,6 +80,9 @@ class ZebricekLeaderboardShortcode extends ShortcodeBase
             'attributes' => $attributes,
             'is_full_member' => $is_full_member,
             'wrapper_classes' => $this->get_wrapper_classes($attributes),
+            'live_cursor' => $attributes['live'] === 'true' ? $this->zebricek_service->get_latest_log_id() : 0,
+            'current_year' => $current_year,
+            'years' => $attributes['show_controls'] === 'true' ? $this->zebricek_service->get_available_years() : [],
             'renderer' => $this
         ];
 
@@ -125,6 +132,8 @@ class ZebricekLeaderboardShortcode extends ShortcodeBase
         $sanitized['offset'] = max(0, absint($sanitized['offset']));
         $sanitized['show_numbers'] = in_array($sanitized['show_numbers'], ['true', 'false'], true) ? $sanitized['show_numbers'] : 'true';
         $sanitized['show_pagination'] = in_array($sanitized['show_pagination'], ['true', 'false'], true) ? $sanitized['show_pagination'] : 'true';
+        $sanitized['live'] = in_array($sanitized['live'], ['true', 'false'], true) ? $sanitized['live'] : 'false';
+        $sanitized['show_controls'] = in_array($sanitized['show_controls'], ['true', 'false'], true) ? $sanitized['show_controls'] : 'true';
 
         return $sanitized;
     }
@@ -17,7 +17,8 @@ use MistrFachman\Services\DomainConfigurationService;
  * Displays current user's position in the leaderboard and their annual points.
  * Shows different content based on user access level and login status.
  *
- * Usage: [zebricek_position]
+ * Usage: [zebricek_position show_share="true"]
+ * show_share="true" adds a shareable position card (PNG drawn in the browser), off by default
  *
  * @package mistr-fachman
  * @since 1.0.0
@@ -33,6 +34,7 @@ class ZebricekPositionShortcode extends ShortcodeBase
     protected array $default_attributes = [
         'show_annual_points' => 'true',
         'current_year' => '',
+        'show_share' => 'false',
         'class' => ''
     ];
 
@@ -72,9 +74,15 @@ class ZebricekPositionShortcode extends ShortcodeBase
             }
         }
 
+        // Share card only makes sense with a ranking
+        $share_data = $attributes['show_share'] === 'true' && $position_data && $position_data['position'] !== 999
+            ? $this->get_share_data($user_id, $position_data)
+            : null;
+
         // Prepare template data
         $template_data = [
             'position_data' => $position_data,
+            'share_data' => $share_data,
             'attributes' => $attributes,
             'wrapper_classes' => $this->get_wrapper_classes($attributes),
             'user_status' => $user_status,
@@ -108,6 +116,35 @@ class ZebricekPositionShortcode extends ShortcodeBase
         ];
     }
 
+    /**
+     * Get data for the share card drawn by the browser
+     */
+    private function get_share_data(int $user_id, array $position_data): array
+    {
+        $user = get_userdata($user_id);
+        $name = trim(get_user_meta($user_id, 'first_name', true) . ' ' . get_user_meta($user_id, 'last_name', true));
+
+        $next_target = $this->zebricek_service->get_user_next_target(
+            $user_id,
+            $position_data['year'],
+            $position_data['annual_points'],
+            $position_data['position']
+        );
+
+        return [
+            'position' => $position_data['position'],
+            'points' => $position_data['annual_points'],
+            'year' => $position_data['year'],
+            'name' => $name !== '' ? $name : ($user ? $user->display_name : ''),
+            'next_target' => $next_target ? [
+                'position' => $next_target['position'],
+                'points_needed' => $next_target['points_needed']
+            ] : null,
+            'logo_url' => get_stylesheet_directory_uri() . '/src/images/Logo.svg',
+            'site' => (string)wp_parse_url(home_url(), PHP_URL_HOST)
+        ];
+    }
+
     // REMOVED: get_user_realizations_count() and get_user_invoices_count()
     // These methods have been eliminated in favor of centralized service approach
     // All submission counting now handled by ZebricekDataService::get_user_submission_counts()
@@ -133,6 +170,7 @@ class ZebricekPositionShortcode extends ShortcodeBase
         // Sanitize position-specific attributes
         $sanitized['show_annual_points'] = in_array($sanitized['show_annual_points'], ['true', 'false'], true) ? $sanitized['show_annual_points'] : 'true';
         $sanitized['current_year'] = !empty($sanitized['current_year']) ? sanitize_text_field($sanitized['current_year']) : date('Y');
+        $sanitized['show_share'] = in_array($sanitized['show_share'], ['true', 'false'], true) ? $sanitized['show_share'] : 'false';
         
         return $sanitized;
     }
@@ -21,6 +21,24 @@ if (!defined('ABSPATH')) {
 
 class AdminInterface {
 
+    /**
+     * Nonce actions refreshable without edit_users, mapped to the required capability
+     * (null = also available to logged-out visitors)
+     */
+    private const REFRESHABLE_NONCES = [
+        'mistr_fachman_ico_validation_nonce' => null,
+        'zebricek_ajax_nonce' => null,
+        'mistr_fachman_access_control' => 'read',
+        'my_realizace_nonce' => 'read',
+        'my_faktury_nonce' => 'read',
+        // Drag & drop upload plugin - offline outbox replays uploads later
+        'dnd-cf7-security-nonce' => 'read',
+        'mistr_fachman_realization_quick_action' => 'edit_posts',
+        'mistr_fachman_invoice_quick_action' => 'edit_posts',
+        'mistr_fachman_bulk_approve_realization' => 'edit_posts',
+        'mistr_fachman_bulk_approve_invoice' => 'edit_posts',
+    ];
+
     public function __construct(
         private RoleManager $role_manager,
         private RegistrationHooks $registration_hooks,
@@ -52,15 +70,22 @@ class AdminInterface {
 
         // AJAX hooks for business data modal
         add_action('wp_ajax_mistr_fachman_get_business_data', [$this->business_modal, 'handle_get_business_data_ajax']);
+        add_action('wp_ajax_mistr_fachman_compare_business_data_ares', [$this->business_modal, 'handle_compare_ares_ajax']);
+        add_action('wp_ajax_mistr_fachman_apply_business_data_ares', [$this->business_modal, 'handle_apply_ares_ajax']);
 
         // AJAX hook for fresh nonce generation
         add_action('wp_ajax_mistr_fachman_get_fresh_nonce', [$this, 'handle_get_fresh_nonce_ajax']);
+        add_action('wp_ajax_nopriv_mistr_fachman_get_fresh_nonce', [$this, 'handle_get_fresh_nonce_ajax']);
 
         // AJAX hook for IČO validation
         add_action('wp_ajax_mistr_fachman_validate_ico', [$this, 'handle_ico_validation_ajax']);
         // This makes the endpoint accessible to users with custom roles who may not be considered 'admin' users by WordPress
         add_action('wp_ajax_nopriv_mistr_fachman_validate_ico', [$this, 'handle_ico_validation_ajax']);
 
+        // AJAX hook for ARES company name search (registration form autocomplete)
+        add_action('wp_ajax_mistr_fachman_ares_search', [$this, 'handle_ares_search_ajax']);
+        add_action('wp_ajax_nopriv_mistr_fachman_ares_search', [$this, 'handle_ares_search_ajax']);
+
         // Enqueue admin scripts and styles
         add_action('admin_enqueue_scripts', [$this->asset_manager, 'enqueue_admin_assets']);
         error_log('AdminInterface: admin_enqueue_scripts hook registered');
@@ -131,13 +156,20 @@ class AdminInterface {
      * Handle AJAX request for fresh nonce generation
      */
     public function handle_get_fresh_nonce_ajax(): void {
-        // Verify user capabilities
+        // Get action parameter
+        $action = sanitize_key($_POST['action_name'] ?? 'mistr_fachman_business_data');
+
+        // User managers may refresh any nonce, others only whitelisted ones
         if (!current_user_can('edit_users')) {
-            wp_send_json_error(['message' => 'Insufficient permissions']);
-        }
+            if (!array_key_exists($action, self::REFRESHABLE_NONCES)) {
+                wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+            }
 
-        // Get action parameter
-        $action = $_POST['action_name'] ?? 'mistr_fachman_business_data';
+            $capability = self::REFRESHABLE_NONCES[$action];
+            if ($capability !== null && !current_user_can($capability)) {
+                wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+            }
+        }
 
         // Generate fresh nonce
         $fresh_nonce = wp_create_nonce($action);
@@ -186,6 +218,11 @@ class AdminInterface {
 
             // All checks passed. Return success.
             $destructured_address = $this->extract_destructured_address_from_result($ares_result['data']);
+
+            // Step 4: Unreliable VAT payer check (only for registered VAT payers)
+            $dic = (string)($ares_result['data']['dic'] ?? '');
+            $vat_payer = (bool)($ares_result['data']['platceDph'] ?? false);
+            $vat_status = $dic !== '' && $vat_payer ? $this->business_validator->get_vat_payer_status($dic) : null;
             
             wp_send_json_success([
                 'company_name' => $ares_result['data']['obchodniJmeno'],
@@ -193,6 +230,39 @@ class AdminInterface {
                 'street_address' => $destructured_address['street_address'],
                 'city'           => $destructured_address['city'],
                 'postal_code'    => $destructured_address['postal_code'],
+                'dic'            => $dic,
+                'vat_payer'      => $vat_payer,
+                'vat_unreliable' => $vat_status['unreliable'] ?? null,
+            ]);
+
+        } catch (\Exception $e) {
+            $code = is_int($e->getCode()) && $e->getCode() >= 400 ? $e->getCode() : 400;
+            wp_send_json_error(['message' => $e->getMessage()], $code);
+        }
+    }
+
+    /**
+     * Handle AJAX ARES search by company name
+     * Proxy for the registration form autocomplete (results are cached by AresApiClient)
+     */
+    public function handle_ares_search_ajax(): void {
+        try {
+            check_ajax_referer('mistr_fachman_ico_validation_nonce', 'nonce');
+
+            $name = sanitize_text_field(wp_unslash($_POST['name'] ?? ''));
+
+            if (mb_strlen($name) < 3) {
+                throw new \Exception('Zadejte alespoň 3 znaky názvu firmy.', 400);
+            }
+
+            $search_result = $this->business_validator->search_companies_by_name($name);
+            if (!$search_result['valid']) {
+                throw new \Exception($search_result['error'], 422);
+            }
+
+            wp_send_json_success([
+                'query' => $name,
+                'results' => $search_result['data'],
             ]);
 
         } catch (\Exception $e) {
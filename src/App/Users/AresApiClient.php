@@ -21,6 +21,39 @@ if (!defined('ABSPATH')) {
 
 class AresApiClient {
 
+    /**
+     * Cache lifetime of name search results
+     */
+    private const SEARCH_CACHE_DURATION = HOUR_IN_SECONDS;
+
+    /**
+     * Cache lifetime of unreliable VAT payer checks
+     */
+    private const VAT_STATUS_CACHE_DURATION = 6 * HOUR_IN_SECONDS;
+
+    /**
+     * MFČR registry of VAT payers (SOAP service "rozhraniCRPDPH")
+     */
+    private const VAT_REGISTRY_URL = 'https://adisrws.mfcr.cz/dpr/axis2/services/rozhraniCRPDPH.rozhraniCRPDPHSOAP';
+
+    /**
+     * Most common legal forms (ARES číselník "PravniForma") - other codes are shown as-is
+     */
+    private const LEGAL_FORMS = [
+        '100' => 'Podnikající fyzická osoba',
+        '101' => 'Fyzická osoba podnikající dle živnostenského zákona',
+        '102' => 'Fyzická osoba podnikající dle živnostenského zákona (zapsaná v OR)',
+        '105' => 'Fyzická osoba podnikající dle jiných zákonů',
+        '107' => 'Zemědělský podnikatel',
+        '111' => 'Veřejná obchodní společnost',
+        '112' => 'Společnost s ručením omezeným',
+        '113' => 'Komanditní společnost',
+        '121' => 'Akciová společnost',
+        '141' => 'Obecně prospěšná společnost',
+        '205' => 'Družstvo',
+        '706' => 'Spolek',
+    ];
+
     /**
      * Validate IČO with ARES API
      *
@@ -78,11 +111,169 @@ class AresApiClient {
                 'sidlo' => $data['sidlo'] ?? null,
                 'pravniForma' => $data['pravniForma'] ?? null,
                 'datumVzniku' => $data['datumVzniku'] ?? null,
+                // Set once the subject ceased to exist
+                'datumZaniku' => $data['datumZaniku'] ?? null,
+                'dic' => $data['dic'] ?? null,
+                // VAT registration state of the subject (AKTIVNI = registered VAT payer)
+                'platceDph' => ($data['seznamRegistraci']['stavZdrojeDph'] ?? '') === 'AKTIVNI',
                 'verified_at' => current_time('mysql')
             ]
         ];
     }
 
+    /**
+     * Get readable legal form for an ARES "pravniForma" code
+     *
+     * @param string $code Legal form code
+     * @return string Czech label, or the code itself when unknown
+     */
+    public static function get_legal_form_label(string $code): string {
+        return self::LEGAL_FORMS[$code] ?? $code;
+    }
+
+    /**
+     * Search economic subjects by company name
+     *
+     * @param string $name Company name (or its part)
+     * @param int $limit Maximum number of results
+     * @return array Search result with 'valid' boolean and 'data' (list of subjects) or 'error'
+     */
+    public function search_by_name(string $name, int $limit = 10): array {
+        $name = trim(preg_replace('/\s+/u', ' ', $name));
+        $cache_key = 'mistr_ares_search_' . md5(mb_strtolower($name) . '|' . $limit);
+
+        $cached = get_transient($cache_key);
+        if (is_array($cached)) {
+            return ['valid' => true, 'data' => $cached];
+        }
+
+        $response = wp_remote_post('https://ares.gov.cz/ekonomicke-subjekty-v-be/rest/ekonomicke-subjekty/vyhledat', [
+            'timeout' => 15,
+            'headers' => [
+                'Accept' => 'application/json',
+                'Content-Type' => 'application/json',
+                'User-Agent' => 'WordPress/MistrFachman Business Registration'
+            ],
+            'body' => wp_json_encode([
+                'obchodniJmeno' => $name,
+                'start' => 0,
+                'pocet' => $limit
+            ])
+        ]);
+
+        if (is_wp_error($response)) {
+            return [
+                'valid' => false,
+                'error' => 'Chyba připojení k ARES API: ' . $response->get_error_message()
+            ];
+        }
+
+        $status_code = wp_remote_retrieve_response_code($response);
+
+        // ARES answers 400 when the name matches too many subjects
+        if ($status_code === 400) {
+            return [
+                'valid' => false,
+                'error' => 'Příliš mnoho výsledků, upřesněte název firmy.'
+            ];
+        }
+
+        if ($status_code !== 200) {
+            return [
+                'valid' => false,
+                'error' => "ARES API chyba (HTTP {$status_code})"
+            ];
+        }
+
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+        if (!is_array($data)) {
+            return [
+                'valid' => false,
+                'error' => 'Neplatná odpověď z ARES API'
+            ];
+        }
+
+        $subjects = [];
+        foreach ($data['ekonomickeSubjekty'] ?? [] as $subject) {
+            if (empty($subject['ico']) || empty($subject['obchodniJmeno'])) {
+                continue;
+            }
+
+            $legal_form = (string)($subject['pravniForma'] ?? '');
+            $subjects[] = array_merge([
+                'ico' => (string)$subject['ico'],
+                'company_name' => $subject['obchodniJmeno'],
+                'legal_form' => self::get_legal_form_label($legal_form),
+                'address' => $this->extract_ares_address($subject),
+            ], $this->extract_destructured_address($subject));
+        }
+
+        set_transient($cache_key, $subjects, self::SEARCH_CACHE_DURATION);
+
+        return ['valid' => true, 'data' => $subjects];
+    }
+
+    /**
+     * Check whether a VAT payer is listed as unreliable (nespolehlivý plátce DPH)
+     *
+     * ARES only knows whether the subject is registered for VAT, the reliability
+     * is published by the Ministry of Finance. A registry outage is reported as
+     * not checked and must not block the ARES verification.
+     *
+     * @param string $dic DIČ with or without the CZ prefix
+     * @return array ['checked' => bool, 'found' => bool, 'unreliable' => bool|null, 'checked_at' => string|null]
+     */
+    public function get_vat_payer_status(string $dic): array {
+        $not_checked = ['checked' => false, 'found' => false, 'unreliable' => null, 'checked_at' => null];
+
+        $number = preg_replace('/^CZ/i', '', preg_replace('/\s+/', '', $dic));
+        if (!preg_match('/^\d{8,10}$/', $number)) {
+            return $not_checked;
+        }
+
+        $cache_key = 'mistr_vat_status_' . $number;
+        $cached = get_transient($cache_key);
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        $envelope = '<?xml version="1.0" encoding="UTF-8"?>'
+            . '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:roz="http://adis.mfcr.cz/rozhraniCRPDPH/">'
+            . '<soapenv:Body><roz:StatusNespolehlivyPlatceRequest><roz:dic>' . $number . '</roz:dic></roz:StatusNespolehlivyPlatceRequest></soapenv:Body>'
+            . '</soapenv:Envelope>';
+
+        $response = wp_remote_post(self::VAT_REGISTRY_URL, [
+            'timeout' => 10,
+            'headers' => [
+                'Content-Type' => 'text/xml; charset=utf-8',
+                'SOAPAction' => 'http://adis.mfcr.cz/rozhraniCRPDPH/getStatusNespolehlivyPlatce',
+                'User-Agent' => 'WordPress/MistrFachman Business Registration'
+            ],
+            'body' => $envelope
+        ]);
+
+        if (is_wp_error($response) || wp_remote_retrieve_response_code($response) !== 200) {
+            error_log('[ARES] VAT registry check failed for DIČ ' . $number);
+            return $not_checked;
+        }
+
+        // <statusPlatceDPH dic="..." nespolehlivyPlatce="ANO|NE|NENALEZEN">
+        if (!preg_match('/nespolehlivyPlatce="(ANO|NE|NENALEZEN)"/', wp_remote_retrieve_body($response), $match)) {
+            return $not_checked;
+        }
+
+        $status = [
+            'checked' => true,
+            'found' => $match[1] !== 'NENALEZEN',
+            'unreliable' => $match[1] === 'NENALEZEN' ? null : $match[1] === 'ANO',
+            'checked_at' => current_time('mysql')
+        ];
+
+        set_transient($cache_key, $status, self::VAT_STATUS_CACHE_DURATION);
+
+        return $status;
+    }
+
     /**
      * Extract formatted address from ARES data
      *
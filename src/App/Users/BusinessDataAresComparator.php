@@ -0,0 +1,223 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MistrFachman\Users;
+
+/**
+ * Business Data ARES Comparator - Stored business data vs. current ARES record
+ *
+ * Compares what the user entered at registration and what is stored with the
+ * subject as registered in ARES today (company name, seat, legal form, status)
+ * and takes the current ARES values over on admin request.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class BusinessDataAresComparator {
+
+    public function __construct(
+        private AresApiClient $ares_client
+    ) {}
+
+    /**
+     * Fetch the current ARES record for an IČO
+     *
+     * @param string $ico IČO
+     * @return array Validation result with 'valid' boolean and 'data'/'error'
+     */
+    public function fetch_ares_record(string $ico): array {
+        return $this->ares_client->validate_ico_with_ares($ico);
+    }
+
+    /**
+     * Compare stored business data with a current ARES record
+     *
+     * @param array $business_data Stored business data
+     * @param array $ares_data Current ARES data (validate_ico_with_ares()['data'])
+     * @return array ['fields' => list of [key, label, submitted, stored, ares, matches, submitted_matches, applicable],
+     *               'mismatches' => int, 'can_apply' => bool, 'ceased' => bool, 'fetched_at' => string]
+     */
+    public function compare(array $business_data, array $ares_data): array {
+        $snapshot = $business_data['validation']['ares_data'] ?? [];
+        $fields = [];
+
+        $fields[] = $this->build_field(
+            'company_name',
+            'Název společnosti',
+            $this->get_submitted_value($business_data, 'company_name'),
+            (string)($business_data['company_name'] ?? ''),
+            (string)$ares_data['obchodniJmeno']
+        );
+
+        if ($this->has_destructured_address($business_data)) {
+            $ares_address = $this->ares_client->extract_destructured_address($ares_data);
+            $address_fields = [
+                'street_address' => 'Ulice a číslo',
+                'city' => 'Město',
+                'postal_code' => 'PSČ'
+            ];
+
+            foreach ($address_fields as $key => $label) {
+                $fields[] = $this->build_field(
+                    $key,
+                    $label,
+                    $this->get_submitted_value($business_data, $key),
+                    (string)($business_data[$key] ?? ''),
+                    (string)$ares_address[$key]
+                );
+            }
+        } else {
+            $fields[] = $this->build_field(
+                'address',
+                'Sídlo',
+                $this->get_submitted_value($business_data, 'address'),
+                (string)($business_data['address'] ?? ''),
+                $this->ares_client->extract_ares_address($ares_data)
+            );
+        }
+
+        // Legal form and status are only known from ARES - compared with the registration snapshot
+        $fields[] = $this->build_field(
+            'legal_form',
+            'Právní forma',
+            null,
+            AresApiClient::get_legal_form_label((string)($snapshot['pravniForma'] ?? '')),
+            AresApiClient::get_legal_form_label((string)($ares_data['pravniForma'] ?? ''))
+        );
+
+        $ceased = !empty($ares_data['datumZaniku']);
+        $fields[] = $this->build_field(
+            'status',
+            'Stav subjektu',
+            null,
+            $this->describe_status($snapshot),
+            $this->describe_status($ares_data)
+        );
+
+        $mismatches = array_filter($fields, static fn(array $field): bool => !$field['matches']);
+        $applicable = array_filter($mismatches, static fn(array $field): bool => $field['applicable']);
+
+        return [
+            'fields' => $fields,
+            'mismatches' => count($mismatches),
+            'can_apply' => count($applicable) > 0,
+            'ceased' => $ceased,
+            'fetched_at' => current_time('mysql')
+        ];
+    }
+
+    /**
+     * Take company name, seat and DIČ over from the current ARES record
+     *
+     * @param array $business_data Stored business data
+     * @param array $ares_data Current ARES data
+     * @return array Updated business data
+     */
+    public function apply(array $business_data, array $ares_data): array {
+        $business_data['company_name'] = $ares_data['obchodniJmeno'];
+        $business_data['address'] = $this->ares_client->extract_ares_address($ares_data);
+
+        if ($this->has_destructured_address($business_data)) {
+            $business_data = array_merge($business_data, $this->ares_client->extract_destructured_address($ares_data));
+        }
+
+        if (!empty($ares_data['dic'])) {
+            $business_data['dic'] = (string)$ares_data['dic'];
+        }
+
+        $business_data['validation']['ares_data'] = $ares_data;
+        $business_data['validation']['ares_synced_at'] = current_time('mysql');
+        $business_data['validation']['ares_synced_by'] = get_current_user_id();
+
+        return $business_data;
+    }
+
+    /**
+     * Build one comparison row
+     *
+     * @param string $key Field key
+     * @param string $label Czech label
+     * @param string|null $submitted Value entered by the user (null if not entered in the form)
+     * @param string $stored Stored value
+     * @param string $ares Current ARES value
+     * @return array Comparison row
+     */
+    private function build_field(string $key, string $label, ?string $submitted, string $stored, string $ares): array {
+        return [
+            'key' => $key,
+            'label' => $label,
+            'submitted' => $submitted,
+            'stored' => $stored,
+            'ares' => $ares,
+            'matches' => $this->normalize($stored) === $this->normalize($ares),
+            'submitted_matches' => $submitted === null ? null : $this->normalize($submitted) === $this->normalize($ares),
+            // Legal form and status are not editable business data
+            'applicable' => $submitted !== null
+        ];
+    }
+
+    /**
+     * Value the user typed at registration
+     *
+     * Registrations store ARES-enforced values; the typed ones are kept in
+     * validation.submitted (older registrations: only in the discrepancy log).
+     *
+     * @param array $business_data Stored business data
+     * @param string $key Field key
+     * @return string Typed value, or the stored one when nothing differed
+     */
+    private function get_submitted_value(array $business_data, string $key): string {
+        if (isset($business_data['validation']['submitted'][$key])) {
+            return (string)$business_data['validation']['submitted'][$key];
+        }
+
+        foreach ($business_data['validation']['discrepancies'] ?? [] as $discrepancy) {
+            if (($discrepancy['field'] ?? '') === $key) {
+                return (string)$discrepancy['submitted'];
+            }
+        }
+
+        return (string)($business_data[$key] ?? '');
+    }
+
+    /**
+     * Describe subject status (active / ceased with date)
+     *
+     * @param array $ares_data ARES data
+     * @return string
+     */
+    private function describe_status(array $ares_data): string {
+        if (empty($ares_data['datumZaniku'])) {
+            return 'Aktivní';
+        }
+
+        return sprintf('Zaniklý (%s)', mysql2date('j.n.Y', (string)$ares_data['datumZaniku']));
+    }
+
+    /**
+     * Whether the business data uses the destructured address format
+     *
+     * @param array $business_data Stored business data
+     * @return bool
+     */
+    private function has_destructured_address(array $business_data): bool {
+        return !empty($business_data['street_address']) || !empty($business_data['city']) || !empty($business_data['postal_code']);
+    }
+
+    /**
+     * Normalize value for comparison (whitespace only - case differences are real changes in ARES)
+     *
+     * @param string $value
+     * @return string
+     */
+    private function normalize(string $value): string {
+        return trim(preg_replace('/\s+/u', ' ', $value));
+    }
+}
@@ -23,7 +23,10 @@ class BusinessDataModal {
 
     public function __construct(
         private RegistrationHooks $registration_hooks,
-        private BusinessDataModalRenderer $modal_renderer
+        private BusinessDataModalRenderer $modal_renderer,
+        private BusinessDataManager $business_manager,
+        private BusinessDataAresComparator $ares_comparator,
+        private UserProfileSync $profile_sync
     ) {}
 
     /**
@@ -116,4 +119,85 @@ class BusinessDataModal {
         error_log('Generated HTML length: ' . strlen($html));
         wp_send_json_success(['html' => $html]);
     }
-}
\ No newline at end of file
+
+    /**
+     * Handle AJAX request for the comparison with the current ARES record
+     */
+    public function handle_compare_ares_ajax(): void {
+        $user_id = $this->verify_ares_request();
+        $business_data = $this->business_manager->get_business_data($user_id);
+
+        $ares_result = $this->ares_comparator->fetch_ares_record((string)$business_data['ico']);
+        if (!$ares_result['valid']) {
+            wp_send_json_error(['message' => $ares_result['error']], 502);
+        }
+
+        $comparison = $this->ares_comparator->compare($business_data, $ares_result['data']);
+
+        wp_send_json_success([
+            'html' => $this->modal_renderer->generate_ares_diff_html($comparison, $user_id),
+            'mismatches' => $comparison['mismatches']
+        ]);
+    }
+
+    /**
+     * Handle AJAX request to take company data over from ARES ("převzít z ARES")
+     */
+    public function handle_apply_ares_ajax(): void {
+        $user_id = $this->verify_ares_request();
+        $business_data = $this->business_manager->get_business_data($user_id);
+
+        // Always apply the record as it is in ARES now, never values sent by the browser
+        $ares_result = $this->ares_comparator->fetch_ares_record((string)$business_data['ico']);
+        if (!$ares_result['valid']) {
+            wp_send_json_error(['message' => $ares_result['error']], 502);
+        }
+
+        $updated_data = $this->ares_comparator->apply($business_data, $ares_result['data']);
+
+        if (!$this->business_manager->store_business_data($user_id, $updated_data)) {
+            wp_send_json_error(['message' => 'Firemní údaje se nepodařilo uložit.'], 500);
+        }
+
+        // Keep display name and WooCommerce billing in sync with the new company data
+        $this->profile_sync->sync_business_data_to_user_profile($user_id, $updated_data);
+
+        mycred_debug('Business data updated from ARES', [
+            'user_id' => $user_id,
+            'ico' => $updated_data['ico'],
+            'previous_company_name' => $business_data['company_name'],
+            'company_name' => $updated_data['company_name'],
+            'admin_id' => get_current_user_id()
+        ], 'users', 'info');
+
+        $comparison = $this->ares_comparator->compare($updated_data, $ares_result['data']);
+
+        wp_send_json_success([
+            'html' => $this->modal_renderer->generate_business_data_html($updated_data),
+            'diff_html' => $this->modal_renderer->generate_ares_diff_html($comparison, $user_id),
+            'message' => 'Firemní údaje byly převzaty z ARES.'
+        ]);
+    }
+
+    /**
+     * Verify capability, nonce and user for the ARES comparison requests
+     *
+     * @return int User ID with stored business data (sends JSON error otherwise)
+     */
+    private function verify_ares_request(): int {
+        if (!current_user_can('edit_users')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        if (!check_ajax_referer('mistr_fachman_business_data', 'nonce', false)) {
+            wp_send_json_error(['message' => 'Invalid nonce verification'], 403);
+        }
+
+        $user_id = filter_input(INPUT_POST, 'user_id', FILTER_VALIDATE_INT);
+        if (!$user_id || !$this->business_manager->has_business_data($user_id)) {
+            wp_send_json_error(['message' => 'Firemní údaje nenalezeny'], 404);
+        }
+
+        return (int)$user_id;
+    }
+}
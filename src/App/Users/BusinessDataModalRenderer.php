@@ -44,6 +44,14 @@ class BusinessDataModalRenderer {
                             <span class="mistr-ares-status unverified">✗ ARES Neověřeno</span>
                         <?php endif; ?>
                     </div>
+                    <?php $vat_badge = $this->get_vat_status_badge($business_data); ?>
+                    <div class="mistr-data-row">
+                        <label><?php esc_html_e('DIČ:', 'mistr-fachman'); ?></label>
+                        <span class="mistr-dic-value"><?php echo esc_html(!empty($business_data['dic']) ? $business_data['dic'] : '—'); ?></span>
+                        <?php if ($vat_badge): ?>
+                            <span class="mistr-ares-status <?php echo esc_attr($vat_badge['class']); ?>"><?php echo esc_html($vat_badge['label']); ?></span>
+                        <?php endif; ?>
+                    </div>
                     <div class="mistr-data-row">
                         <label><?php esc_html_e('Název společnosti:', 'mistr-fachman'); ?></label>
                         <span><?php echo esc_html($business_data['company_name']); ?></span>
@@ -144,7 +152,7 @@ class BusinessDataModalRenderer {
                         <span><?php echo esc_html(mysql2date('j.n.Y H:i', $business_data['submitted_at'])); ?></span>
                     </div>
                     <div class="mistr-data-row">
-                        <label><?php esc_html_e('ARES validace:', 'mistr-fachman'); ?></label>
+                        <label><?php esc_html_e('Data z ARES k datu:', 'mistr-fachman'); ?></label>
                         <span><?php echo esc_html(mysql2date('j.n.Y H:i', $business_data['validation']['verified_at'])); ?></span>
                     </div>
                 </div>
@@ -154,4 +162,93 @@ class BusinessDataModalRenderer {
         <?php
         return ob_get_clean();
     }
+
+    /**
+     * Generate HTML for the comparison with the current ARES record
+     *
+     * @param array $comparison BusinessDataAresComparator::compare() result
+     * @param int $user_id User the data belongs to
+     * @return string HTML content
+     */
+    public function generate_ares_diff_html(array $comparison, int $user_id): string {
+        ob_start();
+        ?>
+        <section class="mistr-ares-diff">
+            <h3><?php esc_html_e('Porovnání s ARES', 'mistr-fachman'); ?></h3>
+            <p class="mistr-ares-diff-meta">
+                <?php echo esc_html(sprintf('Data z ARES k datu %s', mysql2date('j.n.Y H:i', $comparison['fetched_at']))); ?>
+                <?php if ($comparison['mismatches'] > 0): ?>
+                    <span class="mistr-ares-status unverified"><?php echo esc_html(sprintf('Rozdílů: %d', $comparison['mismatches'])); ?></span>
+                <?php else: ?>
+                    <span class="mistr-ares-status verified">✓ Odpovídá ARES</span>
+                <?php endif; ?>
+            </p>
+
+            <?php if ($comparison['ceased']): ?>
+                <p class="mistr-ares-diff-warning"><?php esc_html_e('Subjekt je v ARES veden jako zaniklý.', 'mistr-fachman'); ?></p>
+            <?php endif; ?>
+
+            <table class="mistr-ares-diff-table">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e('Údaj', 'mistr-fachman'); ?></th>
+                        <th><?php esc_html_e('Zadáno při registraci', 'mistr-fachman'); ?></th>
+                        <th><?php esc_html_e('Uloženo', 'mistr-fachman'); ?></th>
+                        <th><?php esc_html_e('ARES dnes', 'mistr-fachman'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($comparison['fields'] as $field): ?>
+                        <tr class="<?php echo $field['matches'] ? '' : 'is-mismatch'; ?>">
+                            <th scope="row"><?php echo esc_html($field['label']); ?></th>
+                            <td class="<?php echo $field['submitted_matches'] === false ? 'is-different' : ''; ?>">
+                                <?php echo esc_html($field['submitted'] ?? '—'); ?>
+                            </td>
+                            <td class="<?php echo $field['matches'] ? '' : 'is-different'; ?>">
+                                <?php echo esc_html($field['stored'] !== '' ? $field['stored'] : '—'); ?>
+                            </td>
+                            <td><?php echo esc_html($field['ares'] !== '' ? $field['ares'] : '—'); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <?php if ($comparison['can_apply']): ?>
+                <div class="mistr-ares-diff-actions">
+                    <button type="button" class="button button-primary mistr-ares-apply" data-user-id="<?php echo esc_attr((string)$user_id); ?>">
+                        <?php esc_html_e('Převzít z ARES', 'mistr-fachman'); ?>
+                    </button>
+                    <span class="description"><?php esc_html_e('Přepíše uložený název, sídlo a DIČ aktuálními údaji z ARES.', 'mistr-fachman'); ?></span>
+                </div>
+            <?php endif; ?>
+        </section>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Resolve VAT payer badge for the DIČ row
+     *
+     * Registrations made before the VAT check have no 'vat' data - no badge then.
+     *
+     * @param array $business_data Business data array
+     * @return array|null ['class' => string, 'label' => string] or null
+     */
+    private function get_vat_status_badge(array $business_data): ?array {
+        if (!isset($business_data['vat'])) {
+            return null;
+        }
+
+        $vat = $business_data['vat'];
+
+        if (($vat['unreliable'] ?? null) === true) {
+            return ['class' => 'unverified', 'label' => '⚠ Nespolehlivý plátce DPH'];
+        }
+
+        if (!empty($vat['payer'])) {
+            return ['class' => 'verified', 'label' => '✓ Plátce DPH'];
+        }
+
+        return ['class' => 'neutral', 'label' => 'Neplátce DPH'];
+    }
 }
\ No newline at end of file
@@ -60,6 +60,7 @@ class BusinessDataProcessor {
         
         $contact_email = sanitize_email($posted_data['contact-email'] ?? '');
         $promo_code = sanitize_text_field($posted_data['promo-code'] ?? '');
+        $dic = strtoupper(preg_replace('/\s+/', '', sanitize_text_field($posted_data['dic'] ?? '')));
 
         // Handle business criteria acceptances (CF7 acceptance fields come as arrays)
         $zateplovani_raw = $posted_data['zateplovani'] ?? [];
@@ -94,6 +95,11 @@ class BusinessDataProcessor {
         $enforced_company_name = $ares_data['data']['obchodniJmeno'];
         $enforced_address = $this->ares_client->extract_ares_address($ares_data['data']);
         $enforced_destructured_address = $this->ares_client->extract_destructured_address($ares_data['data']);
+
+        // DIČ known to ARES wins over the submitted one, the optional field only fills the gap
+        $enforced_dic = !empty($ares_data['data']['dic']) ? (string)$ares_data['data']['dic'] : $dic;
+        $vat_payer = (bool)($ares_data['data']['platceDph'] ?? false);
+        $vat_status = $enforced_dic !== '' && $vat_payer ? $this->ares_client->get_vat_payer_status($enforced_dic) : null;
         
         // Prepare submitted address for comparison based on form format
         $submitted_address_for_comparison = $has_destructured_address 
@@ -117,6 +123,12 @@ class BusinessDataProcessor {
             'street_address' => $enforced_destructured_address['street_address'],
             'city' => $enforced_destructured_address['city'],
             'postal_code' => $enforced_destructured_address['postal_code'],
+            'dic' => $enforced_dic,
+            'vat' => [
+                'payer' => $vat_payer,
+                'unreliable' => $vat_status['unreliable'] ?? null,
+                'checked_at' => $vat_status['checked_at'] ?? null
+            ],
             'representative' => [
                 'first_name' => $first_name,
                 'last_name' => $last_name,
@@ -134,6 +146,14 @@ class BusinessDataProcessor {
                 'ares_enforced' => true,
                 'discrepancies_found' => count($discrepancies) > 0,
                 'discrepancies' => $discrepancies,
+                // Values as typed by the user (compared with ARES in the admin business data modal)
+                'submitted' => [
+                    'company_name' => $company_name,
+                    'address' => $address,
+                    'street_address' => $street_address,
+                    'city' => $city,
+                    'postal_code' => $postal_code
+                ],
                 'verified_at' => current_time('mysql'),
                 'has_destructured_address' => $has_destructured_address
             ],
@@ -62,6 +62,10 @@ class BusinessDataValidator {
             throw new \Exception('Zadané IČO má neplatný formát.');
         }
 
+        if (!empty($posted_data['dic']) && !$this->validate_dic_format($posted_data['dic'])) {
+            throw new \Exception('Zadané DIČ má neplatný formát.');
+        }
+
         if (!empty($posted_data['contact-email']) && !is_email($posted_data['contact-email'])) {
             throw new \Exception('Zadaný e-mail má neplatný formát.');
         }
@@ -308,6 +312,26 @@ class BusinessDataValidator {
         return $this->ares_client->validate_ico_with_ares($ico);
     }
 
+    /**
+     * Search companies in ARES by name (delegated to AresApiClient)
+     *
+     * @param string $name Company name (or its part)
+     * @return array Search result with 'valid' boolean and 'data'/'error'
+     */
+    public function search_companies_by_name(string $name): array {
+        return $this->ares_client->search_by_name($name);
+    }
+
+    /**
+     * Check unreliable VAT payer status (delegated to AresApiClient)
+     *
+     * @param string $dic DIČ with or without the CZ prefix
+     * @return array VAT payer status
+     */
+    public function get_vat_payer_status(string $dic): array {
+        return $this->ares_client->get_vat_payer_status($dic);
+    }
+
     /**
      * Validate IČO format
      *
@@ -337,4 +361,50 @@ class BusinessDataValidator {
         return ((int)$ico[7]) === $check_digit;
     }
 
+    /**
+     * Validate DIČ format
+     *
+     * CZ + 8 digits (IČO of a legal entity), 9-10 digits (birth number of
+     * a natural person) or 9 digits starting with 6 (assigned by the tax office).
+     * Mirrors validation.dic() in src/js/utils/validation.js.
+     *
+     * @param string $dic DIČ to validate
+     * @return bool True if format is valid
+     */
+    public function validate_dic_format(string $dic): bool {
+        $dic = strtoupper(preg_replace('/\s+/', '', $dic));
+
+        if (!preg_match('/^CZ(\d{8,10})$/', $dic, $match)) {
+            return false;
+        }
+
+        $digits = $match[1];
+
+        if (strlen($digits) === 8) {
+            return $this->validate_ico_format($digits);
+        }
+
+        if (strlen($digits) === 9 && $digits[0] === '6') {
+            return true;
+        }
+
+        // Birth number: month +50 for women, +20/+70 for the extended series
+        $month = ((int)substr($digits, 2, 2)) % 50;
+        $month = $month > 20 ? $month - 20 : $month;
+        $day = (int)substr($digits, 4, 2);
+
+        if ($month < 1 || $month > 12 || $day < 1 || $day > 31) {
+            return false;
+        }
+
+        // 9 digits were issued until 1953, without a check digit
+        if (strlen($digits) === 9) {
+            return ((int)substr($digits, 0, 2)) < 54;
+        }
+
+        $remainder = ((int)substr($digits, 0, 9)) % 11;
+
+        return ((int)$digits[9]) === ($remainder === 10 ? 0 : $remainder);
+    }
+
 }
\ No newline at end of file
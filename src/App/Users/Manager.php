@@ -112,7 +112,13 @@ class Manager {
         $asset_manager = new AdminAssetManager();
         $action_handler = new AdminActionHandler($this->role_manager, $this->user_service);
         $modal_renderer = new BusinessDataModalRenderer();
-        $business_modal = new BusinessDataModal($this->registration_hooks, $modal_renderer);
+        $business_modal = new BusinessDataModal(
+            $this->registration_hooks,
+            $modal_renderer,
+            $this->business_manager,
+            new BusinessDataAresComparator($ares_api_client),
+            $profile_sync
+        );
         
         $this->admin_interface = new AdminInterface(
             $this->role_manager,
@@ -151,8 +151,21 @@ if (!defined('MISTR_FACHMAN_SERVICES_INITIALIZED')) {
     
     // Initialize ProjectStatusService and register hooks for cache invalidation
     \MistrFachman\Services\ProjectStatusService::registerHooks();
+
+    // Serve the service worker (offline outbox) from the site root
+    \MistrFachman\Services\ServiceWorkerService::registerHooks();
+
+    // Rejection reason templates library and statistics page
+    \MistrFachman\Services\RejectionReasonService::registerHooks();
+
+    // Live points preview for the faktura form
+    \MistrFachman\Services\PointsPreviewService::registerHooks();
+
+    // Notification bell (status changes, points, žebříček position)
+    \MistrFachman\Services\NotificationService::registerHooks();
+    \MistrFachman\Services\PushNotificationService::registerHooks();
     
-    mycred_debug('Architecture services initialized (DomainConfiguration, ValidationRules, ProjectStatus)', null, 'bootstrap', 'info');
+    mycred_debug('Architecture services initialized (DomainConfiguration, ValidationRules, ProjectStatus, ServiceWorker, RejectionReasons, PointsPreview, Notifications, PushNotifications)', null, 'bootstrap', 'info');
 
     // Namespace aliases for clarity
     $ECommerceManager = \MistrFachman\MyCred\ECommerce\Manager::class;
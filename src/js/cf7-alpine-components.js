@@ -10,6 +10,8 @@
 
 // Import CF7 number formatting functionality
 import './features/cf7-number-formatting.js';
+import { api, API_ERROR_TYPES } from './utils/api.js';
+import { describePosition } from './features/points-preview.js';
 
 document.addEventListener('alpine:init', () => {
     console.log('[RealizaceAlpine] Alpine.js initializing CF7 components');
@@ -20,15 +22,39 @@ document.addEventListener('alpine:init', () => {
         network_error: 'Chyba při komunikaci se serverem. Zkontrolujte připojení k internetu.'
     };
     
+    /**
+     * Whether a window event is meant for another realizace form on the page
+     * (the inline editor in [my_realizace] next to the regular form)
+     * @param {CustomEvent} event - Event with an optional detail.form
+     * @param {HTMLElement} element - Component root
+     * @returns {boolean}
+     */
+    const targetsOtherForm = (event, element) => {
+        const form = event.detail?.form;
+        return Boolean(form) && form !== element.closest('form');
+    };
+
     Alpine.data('constructionSelector', () => ({
         selectedTypes: [],
         
         init() {
             // Listen for form reset events
-            window.addEventListener('reset-realizace-form', () => {
+            window.addEventListener('reset-realizace-form', (event) => {
+                if (targetsOtherForm(event, this.$el)) return;
                 console.log('[RealizaceAlpine] Construction selector received reset event');
                 this.selectedTypes = [];
             });
+
+            // Restore selection from an autosaved draft
+            window.addEventListener('restore-realizace-draft', (event) => {
+                if (targetsOtherForm(event, this.$el)) return;
+                const { constructionTypes } = event.detail || {};
+                if (!constructionTypes || constructionTypes.length === 0) return;
+
+                console.log('[RealizaceAlpine] Restoring construction types from draft:', constructionTypes);
+                this.selectedTypes = constructionTypes;
+                this.updateMaterials();
+            });
         },
         
         updateMaterials() {
@@ -43,7 +69,7 @@ document.addEventListener('alpine:init', () => {
             
             // Dispatch event for materials selector to listen
             window.dispatchEvent(new CustomEvent('construction-types-changed', {
-                detail: { selectedTypes: validTypes }
+                detail: { selectedTypes: validTypes, form: this.$el.closest('form') }
             }));
             console.log('[RealizaceAlpine] Dispatched construction-types-changed event');
         }
@@ -52,6 +78,7 @@ document.addEventListener('alpine:init', () => {
     Alpine.data('materialsSelector', () => ({
         selectedMaterials: [],
         availableMaterials: [],
+        pendingMaterials: null,
         loading: false,
         errorMessage: '',
         
@@ -60,17 +87,36 @@ document.addEventListener('alpine:init', () => {
             
             // Listen for construction type changes
             window.addEventListener('construction-types-changed', (event) => {
+                if (targetsOtherForm(event, this.$el)) return;
                 console.log('[RealizaceAlpine] Received construction-types-changed event:', event.detail);
                 this.loadMaterials(event.detail.selectedTypes);
             });
             
             // Listen for form reset events
-            window.addEventListener('reset-realizace-form', () => {
+            window.addEventListener('reset-realizace-form', (event) => {
+                if (targetsOtherForm(event, this.$el)) return;
                 console.log('[RealizaceAlpine] Materials selector received reset event');
                 this.selectedMaterials = [];
                 this.availableMaterials = [];
                 this.loading = false;
                 this.errorMessage = '';
+                this.pendingMaterials = null;
+            });
+
+            // Draft materials can only be selected once the options are loaded
+            window.addEventListener('restore-realizace-draft', (event) => {
+                if (targetsOtherForm(event, this.$el)) return;
+                const { materials } = event.detail || {};
+                if (materials && materials.length) {
+                    this.pendingMaterials = materials;
+                }
+            });
+
+            // Selection also changes without DOM events (filtering, draft restore)
+            this.$watch('selectedMaterials', (value) => {
+                window.dispatchEvent(new CustomEvent('materials-changed', {
+                    detail: { selectedMaterials: value }
+                }));
             });
         },
         
@@ -88,63 +134,158 @@ document.addEventListener('alpine:init', () => {
             this.errorMessage = ''; // Clear any previous errors
             
             try {
-                const formData = new FormData();
-                formData.append('action', 'get_allowed_materials');
-                formData.append('nonce', realizaceAjax.nonce);
-                
                 // Handle both single and multiple selection
-                if (Array.isArray(constructionTypes)) {
-                    constructionTypes.forEach(type => {
-                        formData.append('construction_types[]', type);
-                    });
-                } else {
-                    formData.append('construction_types[]', constructionTypes);
-                }
-                
+                const types = Array.isArray(constructionTypes) ? constructionTypes : [constructionTypes];
                 console.log('[RealizaceAlpine] AJAX URL:', realizaceAjax.url);
-                console.log('[RealizaceAlpine] Form data:', Object.fromEntries(formData));
-                
-                const response = await fetch(realizaceAjax.url, {
-                    method: 'POST',
-                    body: formData
-                });
-                
-                console.log('[RealizaceAlpine] AJAX response status:', response.status);
-                const result = await response.json();
-                console.log('[RealizaceAlpine] AJAX response data:', result);
-                
-                if (result.success) {
-                    this.availableMaterials = result.data || [];
-                    console.log('[RealizaceAlpine] Set availableMaterials to:', this.availableMaterials);
-                    // Clear selected materials that are no longer available
-                    this.selectedMaterials = this.selectedMaterials.filter(selected =>
-                        this.availableMaterials.some(available => available.id == selected)
-                    );
-                    // Clear any previous error state
-                    this.errorMessage = '';
-                } else {
-                    console.error('[RealizaceAlpine] Failed to load materials:', result.data);
-                    this.availableMaterials = [];
-                    this.errorMessage = errorMessages.loading_failed;
+
+                const materials = await api.call('getAllowedMaterials', { construction_types: types }, { url: realizaceAjax.url });
+                console.log('[RealizaceAlpine] AJAX response data:', materials);
+
+                this.availableMaterials = materials || [];
+                console.log('[RealizaceAlpine] Set availableMaterials to:', this.availableMaterials);
+                if (this.pendingMaterials) {
+                    this.selectedMaterials = this.pendingMaterials;
+                    this.pendingMaterials = null;
                 }
+                // Clear selected materials that are no longer available
+                this.selectedMaterials = this.selectedMaterials.filter(selected =>
+                    this.availableMaterials.some(available => available.id == selected)
+                );
+                // Clear any previous error state
+                this.errorMessage = '';
             } catch (error) {
                 console.error('[RealizaceAlpine] Error loading materials:', error);
                 this.availableMaterials = [];
-                this.errorMessage = errorMessages.network_error;
+                this.errorMessage = error.type === API_ERROR_TYPES.SERVER
+                    ? errorMessages.loading_failed
+                    : errorMessages.network_error;
             } finally {
                 this.loading = false;
                 console.log('[RealizaceAlpine] AJAX request completed');
             }
         }
     }));
+
+    Alpine.data('realizaceSummary', () => ({
+        points: 0,
+        items: [],
+        score: 0,
+        complete: false,
+        positionText: '',
+        loading: false,
+        form: null,
+        debounceTimer: null,
+        controller: null,
+        cleanupCallbacks: [],
+
+        init() {
+            this.points = parseInt(this.$el.dataset.points, 10) || 0;
+            this.applyChecklist(JSON.parse(this.$el.dataset.checklist || '{}'));
+
+            this.form = this.$el.closest('form');
+            if (!this.form) return;
+
+            const schedule = () => this.schedule();
+            this.listen(this.form, 'input', schedule);
+            this.listen(this.form, 'change', schedule);
+            this.listen(window, 'construction-types-changed', schedule);
+            this.listen(window, 'materials-changed', schedule);
+            this.listen(window, 'reset-realizace-form', schedule);
+
+            // Upload plugin adds/removes photos without firing form events
+            const uploadWrapper = this.form.querySelector('.codedropz-upload-wrapper');
+            if (uploadWrapper) {
+                const observer = new MutationObserver(schedule);
+                observer.observe(uploadWrapper, { childList: true, subtree: true });
+                this.cleanupCallbacks.push(() => observer.disconnect());
+            }
+
+            this.schedule();
+        },
+
+        destroy() {
+            clearTimeout(this.debounceTimer);
+            if (this.controller) this.controller.abort();
+            this.cleanupCallbacks.forEach(callback => callback());
+            this.cleanupCallbacks = [];
+        },
+
+        get pointsLabel() {
+            return `${Number(this.points).toLocaleString('cs-CZ').replace(/,/g, ' ')} b.`;
+        },
+
+        listen(target, event, handler) {
+            target.addEventListener(event, handler);
+            this.cleanupCallbacks.push(() => target.removeEventListener(event, handler));
+        },
+
+        applyChecklist(checklist) {
+            this.items = checklist.items || [];
+            this.score = checklist.score || 0;
+            this.complete = Boolean(checklist.complete);
+        },
+
+        /**
+         * Read the current state of the realizace form
+         */
+        collect() {
+            const selected = selector => Array.from(this.form.querySelectorAll(`${selector} option:checked`))
+                .map(option => option.value)
+                .filter(Boolean);
+
+            // Finished uploads are kept as hidden inputs named after the file field
+            const fileInput = this.form.querySelector('input[type="file"][data-name]');
+            const photoCount = fileInput
+                ? this.form.querySelectorAll(`input[type="hidden"][name="${fileInput.dataset.name}[]"]`).length
+                : 0;
+
+            return {
+                domain: 'realization',
+                construction_types: selected('.realizace-construction-types-select'),
+                materials: selected('.realizace-materials-select'),
+                photo_count: photoCount,
+                area: this.form.querySelector('[name="area_sqm"]')?.value || '',
+                description: this.form.querySelector('[name="popis_projektu"]')?.value || ''
+            };
+        },
+
+        schedule() {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.refresh(), 400);
+        },
+
+        async refresh() {
+            if (this.controller) this.controller.abort();
+            this.controller = new AbortController();
+            this.loading = true;
+
+            try {
+                const preview = await api.call('pointsPreview', this.collect(), {
+                    url: realizaceAjax.url,
+                    signal: this.controller.signal,
+                    retries: 1
+                });
+
+                this.points = preview.points;
+                this.positionText = describePosition(preview.leaderboard, preview.points);
+                if (preview.checklist) this.applyChecklist(preview.checklist);
+                this.loading = false;
+            } catch (error) {
+                // A newer request replaced this one and owns the loading state
+                if (error.type === API_ERROR_TYPES.ABORTED) return;
+                console.warn('[RealizaceAlpine] Summary preview failed:', error);
+                this.loading = false;
+            }
+        }
+    }));
 });
 
 // Handle Contact Form 7 form submission success
-document.addEventListener('wpcf7mailsent', () => {
+document.addEventListener('wpcf7mailsent', (event) => {
     console.log('[RealizaceAlpine] CF7 form submitted successfully, dispatching reset event');
     
     // Dispatch custom event for components to handle their own reset
-    window.dispatchEvent(new CustomEvent('reset-realizace-form'));
+    window.dispatchEvent(new CustomEvent('reset-realizace-form', { detail: { form: event.target } }));
     
     console.log('[RealizaceAlpine] Reset event dispatched');
 });
\ No newline at end of file
@@ -116,7 +116,16 @@ export class FakturyManagement extends AdminManagementBase {
       success_approve: 'Faktura byla úspěšně schválena.',
       success_reject: 'Faktura byla odmítnuta.',
       success_bulk_approve: 'Faktury byly hromadně schváleny.',
-      success_save_rejection: 'Důvod odmítnutí byl uložen.'
+      success_save_rejection: 'Důvod odmítnutí byl uložen.',
+      undo_approve: 'Faktura bude schválena.',
+      undo_reject: 'Faktura bude odmítnuta.',
+      undo_bulk_approve: 'Čekající faktury budou hromadně schváleny.',
+      undo_bulk_reject: 'Čekající faktury budou hromadně odmítnuty.',
+      undo_selection_approve: 'Vybrané faktury budou schváleny.',
+      undo_selection_reject: 'Vybrané faktury budou odmítnuty.',
+      undo_selection_reopen: 'Vybrané faktury budou znovu otevřeny ke kontrole.',
+      rejection_templates: globalMessages.rejection_templates || [],
+      rejection_categories: globalMessages.rejection_categories || {}
     };
   }
 
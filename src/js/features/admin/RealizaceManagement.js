@@ -114,7 +114,16 @@ export class RealizaceManagement extends AdminManagementBase {
       success_approve: 'Realizace byla úspěšně schválena.',
       success_reject: 'Realizace byla odmítnuta.',
       success_bulk_approve: 'Realizace byly hromadně schváleny.',
-      success_save_rejection: 'Důvod odmítnutí byl uložen do ACF pole.'
+      success_save_rejection: 'Důvod odmítnutí byl uložen do ACF pole.',
+      undo_approve: 'Realizace bude schválena.',
+      undo_reject: 'Realizace bude odmítnuta.',
+      undo_bulk_approve: 'Čekající realizace budou hromadně schváleny.',
+      undo_bulk_reject: 'Čekající realizace budou hromadně odmítnuty.',
+      undo_selection_approve: 'Vybrané realizace budou schváleny.',
+      undo_selection_reject: 'Vybrané realizace budou odmítnuty.',
+      undo_selection_reopen: 'Vybrané realizace budou znovu otevřeny ke kontrole.',
+      rejection_templates: globalMessages.rejection_templates || [],
+      rejection_categories: globalMessages.rejection_categories || {}
     };
   }
 
@@ -179,53 +188,10 @@ export class RealizaceManagement extends AdminManagementBase {
     initManager.setInitialized('realization-management', this);
     super.init();
 
-    // Realizace-specific initialization
-    this.initializeGalleryHandlers();
+    // Realizace-specific initialization (gallery lightbox is handled by the base class)
     this.setupRealizaceSpecificEvents();
   }
 
-  /**
-   * Initialize gallery interaction handlers
-   * Domain-specific functionality for Realizace image galleries
-   */
-  initializeGalleryHandlers() {
-    // Add click handlers for gallery images
-    document.addEventListener('click', (event) => {
-      const galleryImage = event.target.closest('.gallery-image img');
-      if (!galleryImage) return;
-
-      // Simple lightbox functionality
-      const modal = document.createElement('div');
-      modal.className = 'realizace-image-modal';
-      modal.style.cssText = `
-        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
-        background: rgba(0,0,0,0.8); z-index: 100000; display: flex;
-        align-items: center; justify-content: center; cursor: pointer;
-      `;
-      
-      const img = document.createElement('img');
-      img.src = galleryImage.src;
-      img.style.cssText = 'max-width: 90%; max-height: 90%; object-fit: contain;';
-      
-      modal.appendChild(img);
-      document.body.appendChild(modal);
-      
-      // Close on click
-      modal.addEventListener('click', () => {
-        modal.remove();
-      });
-      
-      // Close on escape key
-      const handleEscape = (e) => {
-        if (e.key === 'Escape') {
-          modal.remove();
-          document.removeEventListener('keydown', handleEscape);
-        }
-      };
-      document.addEventListener('keydown', handleEscape);
-    });
-  }
-
   /**
    * Setup Realizace-specific event handlers
    */
@@ -67,6 +67,7 @@ export class AdminConfig {
       section: `.${this.domain}-section`,
       quickAction: '.action-approve, .action-reject',
       bulkAction: '.bulk-approve-btn, .bulk-reject-btn',
+      cardSelect: '.card-select-checkbox',
       saveRejection: '.save-rejection-btn',
       sectionToggle: '.section-toggle',
       pointsInput: '.quick-points-input',
@@ -118,7 +119,16 @@ export class AdminConfig {
       success_approve: 'Záznam byl úspěšně schválen.',
       success_reject: 'Záznam byl odmítnut.',
       success_bulk_approve: 'Záznamy byly hromadně schváleny.',
-      success_save_rejection: 'Důvod odmítnutí byl uložen.'
+      success_save_rejection: 'Důvod odmítnutí byl uložen.',
+      undo_approve: 'Záznam bude schválen.',
+      undo_reject: 'Záznam bude odmítnut.',
+      undo_bulk_approve: 'Čekající záznamy budou hromadně schváleny.',
+      undo_bulk_reject: 'Čekající záznamy budou hromadně odmítnuty.',
+      undo_selection_approve: 'Vybrané záznamy budou schváleny.',
+      undo_selection_reject: 'Vybrané záznamy budou odmítnuty.',
+      undo_selection_reopen: 'Vybrané záznamy budou znovu otevřeny ke kontrole.',
+      rejection_templates: [],
+      rejection_categories: {}
     };
 
     return { ...defaults, ...messages };
@@ -158,6 +168,7 @@ export class AdminConfig {
     const defaults = {
       quickAction: `mistr_fachman_${this.domain}_quick_action`,
       bulkAction: `mistr_fachman_bulk_approve_${this.domain}`,
+      bulkSelection: `mistr_fachman_${this.domain}_bulk_selection`,
       updateField: 'mistr_fachman_update_acf_field'
     };
 
@@ -9,6 +9,12 @@
  * @since 1.0.0
  */
 
+import { api, ApiError, API_ERROR_TYPES } from '../../../utils/api.js';
+import { UndoToast } from './UndoToast.js';
+import { ReviewMode } from './ReviewMode.js';
+import { BulkSelection } from './BulkSelection.js';
+import { setupLightbox } from '../../lightbox/index.js';
+
 export class AdminManagementBase {
   /**
    * Constructor for admin management instances
@@ -28,12 +34,24 @@ export class AdminManagementBase {
       activeRequests: new Set(),
       isInitialized: false
     };
+    this.undoToast = new UndoToast();
+    // Set while the page unloads - pending actions are flushed with keepalive requests
+    this.isLeaving = false;
+    this.reviewMode = new ReviewMode(this);
+    this.bulkSelection = new BulkSelection(this);
+    this.lightbox = setupLightbox({ delegate: false });
     
     // Bind methods to maintain context
     this.handleQuickAction = this.handleQuickAction.bind(this);
     this.handleBulkAction = this.handleBulkAction.bind(this);
     this.handleSaveRejection = this.handleSaveRejection.bind(this);
     this.handleSectionToggle = this.handleSectionToggle.bind(this);
+    this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.handlePageShow = this.handlePageShow.bind(this);
+    this.handleReviewToggle = this.handleReviewToggle.bind(this);
+    this.handleGalleryClick = this.handleGalleryClick.bind(this);
+    this.handleTemplateSelect = this.handleTemplateSelect.bind(this);
     
     this.init();
   }
@@ -84,7 +102,25 @@ export class AdminManagementBase {
       
       // Section toggle (collapsible sections)
       container.addEventListener('click', this.handleSectionToggle);
+
+      // Keyboard review mode toggle
+      container.addEventListener('click', this.handleReviewToggle);
+
+      // Gallery thumbnails open the lightbox
+      container.addEventListener('click', this.handleGalleryClick);
+
+      // Card checkboxes and "select all pending"
+      container.addEventListener('click', this.bulkSelection.handleClick);
+
+      // Rejection reason templates
+      container.addEventListener('change', this.handleTemplateSelect);
     });
+
+    // Warn before leaving while an action waits in the undo window
+    window.addEventListener('beforeunload', this.handleBeforeUnload);
+    // Leaving anyway commits the waiting actions instead of dropping them
+    window.addEventListener('pagehide', this.handlePageHide);
+    window.addEventListener('pageshow', this.handlePageShow);
     
     console.log(`[${this.getDomainName()}] ✅ Quick action event listener added`);
     console.log(`[${this.getDomainName()}] ✅ Bulk action event listener added`);
@@ -129,10 +165,11 @@ export class AdminManagementBase {
 
   /**
    * Handle quick action button clicks (approve/reject)
+   * The action waits in the undo window before it is sent to the server.
    * 
    * @param {Event} event - Click event
    */
-  async handleQuickAction(event) {
+  handleQuickAction(event) {
     const button = event.target.closest('button[data-action]');
     if (!button || !['approve', 'reject'].includes(button.dataset.action)) return;
 
@@ -146,17 +183,10 @@ export class AdminManagementBase {
       return;
     }
 
-    const actionText = action === 'approve' ? 'schválit' : 'odmítnout';
     const messages = this.getMessages();
-    const confirmMessage = action === 'approve' ? 
-      messages.confirm_approve : messages.confirm_reject;
-    
-    if (!confirm(confirmMessage || `Opravdu chcete ${actionText} tento záznam?`)) {
-      return;
-    }
+    const itemContainer = this.getCard(postId, button);
 
     // Get points value for approval - find the input associated with the clicked button
-    const itemContainer = button.closest('.realization-item, .invoice-item'); // Find the parent card
     let points = null;
     if (action === 'approve' && itemContainer) {
         const pointsInput = itemContainer.querySelector(`.quick-points-input[data-post-id="${postId}"]`);
@@ -166,30 +196,57 @@ export class AdminManagementBase {
         }
     }
 
-    const originalText = button.textContent;
-    button.disabled = true;
-    button.textContent = messages.processing || 'Zpracovává se...';
+    // Send the reason typed into the card's textarea along with the rejection
+    const reasonInput = itemContainer?.querySelector(`.rejection-reason-input[data-post-id="${postId}"]`);
+    const rejectionReason = action === 'reject' && reasonInput ? reasonInput.value.trim() : '';
+    const categorySelect = itemContainer?.querySelector('.rejection-category-select');
+
+    const requestData = {
+      post_id: postId,
+      [`${this.getPostType()}_action`]: action,
+      points: points,
+      rejection_reason: rejectionReason,
+      rejection_category: action === 'reject' && categorySelect ? categorySelect.value : ''
+    };
+
+    this.scheduleWithUndo(`quick-${postId}`, {
+      message: action === 'approve'
+        ? (messages.undo_approve || 'Záznam bude schválen.')
+        : (messages.undo_reject || 'Záznam bude odmítnut.'),
+      elements: itemContainer ? [itemContainer] : [button],
+      commit: () => this.commitQuickAction(postId, requestData, itemContainer)
+    });
+  }
+
+  /**
+   * Send quick action to the server and update the card in place
+   * 
+   * @param {string} postId - Post ID
+   * @param {Object} requestData - Request payload
+   * @param {HTMLElement|null} card - Card element
+   */
+  async commitQuickAction(postId, requestData, card) {
+    const requestId = `quick-${postId}`;
+    this.state.activeRequests.add(requestId);
 
     try {
-      const response = await this.makeAjaxRequest(this.config.getEndpoint('quickAction'), {
-        post_id: postId,
-        [`${this.getPostType()}_action`]: action,
-        points: points,
-        nonce: this.getNonce('quick_action')
-      });
+      const response = await this.makeAjaxRequest(this.config.getEndpoint('quickAction'), requestData, 'quick_action');
 
       if (response.success) {
         this.showNotification(response.data.message, 'success');
-        this.reloadPage();
+        if (!card || !this.applyCardUpdate(card, response.data)) {
+          this.reloadPage();
+        }
       } else {
         this.showNotification(`Chyba: ${response.data.message}`, 'error');
+        this.setPendingState(card ? [card] : [], false);
       }
     } catch (error) {
       console.error('Quick action error:', error);
-      this.showNotification('Došlo k chybě při zpracování požadavku.', 'error');
+      this.showNotification(api.handleError(error, { default: 'Došlo k chybě při zpracování požadavku.' }), 'error');
+      this.setPendingState(card ? [card] : [], false);
     } finally {
-      button.disabled = false;
-      button.textContent = originalText;
+      this.state.activeRequests.delete(requestId);
     }
   }
 
@@ -198,7 +255,7 @@ export class AdminManagementBase {
    * 
    * @param {Event} event - Click event
    */
-  async handleBulkAction(event) {
+  handleBulkAction(event) {
     console.log('[AdminManagementBase] handleBulkAction called, event target:', event.target);
     const button = event.target.closest('.bulk-approve-btn, .bulk-reject-btn');
     console.log('[AdminManagementBase] Found button:', button);
@@ -225,34 +282,340 @@ export class AdminManagementBase {
       return;
     }
 
+    const dashboard = button.closest('.management-card');
+    const pendingCards = dashboard
+      ? Array.from(dashboard.querySelectorAll(`.${this.getDomainSlug()}-section[data-status="pending"] .${this.getDomainSlug()}-item`))
+      : [];
+
+    const requestData = {
+      user_id: userId,
+      bulk_action: action
+    };
+
+    const undoMessage = messages[`undo_bulk_${action}`] || (action === 'approve'
+      ? 'Čekající záznamy budou hromadně schváleny.'
+      : 'Čekající záznamy budou hromadně odmítnuty.');
+
+    this.scheduleWithUndo(`bulk-${userId}`, {
+      message: `${undoMessage} (${pendingCards.length})`,
+      elements: [button, ...pendingCards],
+      commit: () => this.commitBulkAction(requestData, button, dashboard, pendingCards)
+    });
+  }
+
+  /**
+   * Send bulk action to the server and re-render the dashboard in place
+   * 
+   * @param {Object} requestData - Request payload
+   * @param {HTMLElement} button - Bulk action button
+   * @param {HTMLElement|null} dashboard - Dashboard card element
+   * @param {HTMLElement[]} pendingCards - Cards affected by the action
+   */
+  async commitBulkAction(requestData, button, dashboard, pendingCards) {
+    const messages = this.getMessages();
     const originalText = button.textContent;
-    button.disabled = true;
     button.textContent = messages.processing || 'Zpracovává se...';
 
     try {
-      const requestData = {
-        user_id: userId,
-        bulk_action: action,
-        nonce: this.getNonce('bulk_approve')
-      };
-      
       console.log('[AdminManagementBase] Bulk action request data:', requestData);
       console.log('[AdminManagementBase] Endpoint:', this.config.getEndpoint('bulkAction'));
       
-      const response = await this.makeAjaxRequest(this.config.getEndpoint('bulkAction'), requestData);
+      const response = await this.makeAjaxRequest(this.config.getEndpoint('bulkAction'), requestData, 'bulk_approve');
 
       if (response.success) {
         this.showNotification(response.data.message, 'success');
-        this.reloadPage();
-      } else {
-        this.showNotification(`Chyba: ${response.data.message}`, 'error');
+        if (!dashboard || !this.applyDashboardUpdate(dashboard, response.data.dashboard_html)) {
+          this.reloadPage();
+        }
+        return;
       }
+
+      this.showNotification(`Chyba: ${response.data.message}`, 'error');
     } catch (error) {
       console.error('Bulk action error:', error);
-      this.showNotification('Došlo k chybě při zpracování požadavku.', 'error');
-    } finally {
-      button.disabled = false;
-      button.textContent = originalText;
+      this.showNotification(api.handleError(error, { default: 'Došlo k chybě při zpracování požadavku.' }), 'error');
+    }
+
+    button.textContent = originalText;
+    this.setPendingState([button, ...pendingCards], false);
+  }
+
+  /**
+   * Put an action into the undo window
+   * Affected elements are locked until the action is committed or undone.
+   * 
+   * @param {string} key - Unique action key
+   * @param {Object} action - { message, elements, commit }
+   */
+  scheduleWithUndo(key, { message, elements, commit }) {
+    const scheduled = this.undoToast.schedule(key, {
+      message,
+      onCommit: commit,
+      onUndo: () => this.setPendingState(elements, false)
+    });
+
+    if (scheduled) {
+      this.setPendingState(elements, true);
+    }
+  }
+
+  /**
+   * Toggle the "waiting for commit" state of cards/buttons
+   * 
+   * @param {HTMLElement[]} elements - Cards or buttons
+   * @param {boolean} isPending - Pending state
+   */
+  setPendingState(elements, isPending) {
+    elements.forEach(element => {
+      element.classList.toggle('is-action-pending', isPending);
+      const controls = element.matches('button') ? [element] : element.querySelectorAll('button, input, textarea');
+      controls.forEach(control => {
+        control.disabled = isPending;
+      });
+    });
+  }
+
+  /**
+   * Find the card element of a post
+   * 
+   * @param {string} postId - Post ID
+   * @param {HTMLElement} origin - Element inside the card
+   * @returns {HTMLElement|null} Card element
+   */
+  getCard(postId, origin = null) {
+    const slug = this.getDomainSlug();
+    return origin?.closest(`.${slug}-item, .${slug}-item-compact`) ||
+      document.querySelector(`.${slug}-item[data-post-id="${postId}"], .${slug}-item-compact[data-post-id="${postId}"]`);
+  }
+
+  /**
+   * Replace card with the server-rendered fragment and move it to its new section
+   * 
+   * @param {HTMLElement} card - Current card element
+   * @param {Object} data - Response data { card_html, section, stats_html }
+   * @returns {boolean} False when the response has no fragments (caller reloads)
+   */
+  applyCardUpdate(card, data) {
+    const newCard = this.createElementFromHtml(data.card_html);
+    if (!newCard) {
+      return false;
+    }
+
+    const slug = this.getDomainSlug();
+    const dashboard = card.closest('.management-card');
+    const oldSection = card.closest(`.${slug}-section`);
+    const targetList = dashboard?.querySelector(`.${slug}-section[data-status="${data.section}"] .${slug}-list`);
+
+    if (targetList && oldSection?.dataset.status !== data.section) {
+      card.remove();
+      targetList.prepend(newCard);
+    } else {
+      // Target section is not rendered yet - keep the card where it is
+      card.replaceWith(newCard);
+    }
+
+    if (oldSection) {
+      this.updateSectionCount(oldSection);
+    }
+    if (targetList) {
+      this.updateSectionCount(targetList.closest(`.${slug}-section`));
+    }
+
+    const statsHeader = this.createElementFromHtml(data.stats_html);
+    const currentStats = dashboard?.querySelector('.stats-header');
+    if (statsHeader && currentStats) {
+      currentStats.replaceWith(statsHeader);
+    }
+
+    this.populateDefaultValues();
+    this.makePointsInputReadOnly();
+
+    document.dispatchEvent(new CustomEvent('mistr-admin-card-updated', {
+      detail: { postType: this.getPostType(), postId: String(data.post_id), status: data.status, card: newCard }
+    }));
+
+    return true;
+  }
+
+  /**
+   * Replace dashboard content with freshly rendered markup
+   * 
+   * @param {HTMLElement} dashboard - `.management-card` element
+   * @param {string} html - Dashboard HTML
+   * @returns {boolean} False when no markup was returned
+   */
+  applyDashboardUpdate(dashboard, html) {
+    const fresh = this.createElementFromHtml(html);
+    if (!fresh) {
+      return false;
+    }
+
+    // Keep the element itself so container-level listeners stay attached
+    dashboard.replaceChildren(...fresh.childNodes);
+
+    this.populateDefaultValues();
+    this.makePointsInputReadOnly();
+    this.setupCollapsibleSections();
+
+    document.dispatchEvent(new CustomEvent('mistr-admin-card-updated', {
+      detail: { postType: this.getPostType(), postId: null, status: null, card: null }
+    }));
+
+    return true;
+  }
+
+  /**
+   * Refresh "(n)" counter in a section title, remove the section when empty
+   * 
+   * @param {HTMLElement|null} section - Section element
+   */
+  updateSectionCount(section) {
+    if (!section) return;
+
+    const slug = this.getDomainSlug();
+    const count = section.querySelectorAll(`.${slug}-item, .${slug}-item-compact`).length;
+
+    if (count === 0) {
+      section.remove();
+      return;
+    }
+
+    const title = section.querySelector('.section-title');
+    const textNode = title && Array.from(title.childNodes).reverse().find(node => node.nodeType === Node.TEXT_NODE && /\(\d+\)/.test(node.textContent));
+    if (textNode) {
+      textNode.textContent = textNode.textContent.replace(/\(\d+\)/, `(${count})`);
+    }
+  }
+
+  /**
+   * Parse an HTML fragment into its first element
+   * 
+   * @param {string} html - HTML string
+   * @returns {HTMLElement|null} Element
+   */
+  createElementFromHtml(html) {
+    if (!html || typeof html !== 'string') {
+      return null;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+  }
+
+  /**
+   * Fill the rejection reason from a picked template
+   * Template texts come with placeholders already resolved for the card's post.
+   * 
+   * @param {Event} event - Change event
+   */
+  handleTemplateSelect(event) {
+    const select = event.target.closest('.rejection-template-select');
+    if (!select || !select.value) return;
+
+    const option = select.selectedOptions[0];
+    const card = this.getCard(select.dataset.postId, select);
+    const textarea = card?.querySelector('.rejection-reason-input');
+    const categorySelect = card?.querySelector('.rejection-category-select');
+
+    if (textarea) {
+      textarea.value = option.dataset.text || '';
+      textarea.focus();
+    }
+    if (categorySelect && option.dataset.category) {
+      categorySelect.value = option.dataset.category;
+    }
+
+    select.value = '';
+  }
+
+  /**
+   * Handle review mode toggle button clicks
+   * 
+   * @param {Event} event - Click event
+   */
+  handleReviewToggle(event) {
+    const button = event.target.closest('.review-mode-toggle');
+    if (!button) return;
+
+    event.preventDefault();
+
+    const dashboard = button.closest('.management-card');
+    if (this.reviewMode.isActive && this.reviewMode.dashboard === dashboard) {
+      this.reviewMode.stop();
+    } else if (dashboard) {
+      this.reviewMode.start(dashboard);
+    }
+  }
+
+  /**
+   * Handle gallery thumbnail clicks
+   * 
+   * @param {Event} event - Click event
+   */
+  handleGalleryClick(event) {
+    if (this.lightbox.openFromElement(event.target)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Open gallery (or attached file) of a card
+   * 
+   * @param {HTMLElement|null} card - Card element
+   */
+  openGallery(card) {
+    if (!card) return;
+
+    if (this.lightbox.openGallery(card.querySelector('[data-lightbox-gallery]'))) {
+      return;
+    }
+
+    // Non-image attachments (e.g. invoice PDF) open in a new tab
+    const thumb = card.querySelector('.gallery-thumb');
+    const fileLink = card.querySelector('.file-link');
+    const url = thumb?.dataset.fullSrc || thumb?.src || fileLink?.href;
+
+    if (url) {
+      window.open(url, '_blank', 'noopener');
+    } else {
+      this.showNotification('Záznam nemá žádné fotky ani soubory.', 'info');
+    }
+  }
+
+  /**
+   * Warn before leaving while actions wait in the undo window
+   * 
+   * @param {BeforeUnloadEvent} event - Unload event
+   */
+  handleBeforeUnload(event) {
+    if (this.undoToast.hasPending()) {
+      event.preventDefault();
+      event.returnValue = '';
+    }
+  }
+
+  /**
+   * Commit actions still waiting in the undo window when the page goes away
+   * Requests are sent with keepalive so the browser finishes them after unload.
+   *
+   * @param {PageTransitionEvent} event - Page hide event
+   */
+  handlePageHide(event) {
+    if (!this.undoToast.hasPending()) return;
+
+    this.isLeaving = true;
+    this.undoToast.flush();
+  }
+
+  /**
+   * Page restored from the back/forward cache - requests are regular again
+   *
+   * @param {PageTransitionEvent} event - Page show event
+   */
+  handlePageShow(event) {
+    if (event.persisted) {
+      this.isLeaving = false;
     }
   }
 
@@ -294,12 +657,13 @@ export class AdminManagementBase {
 
     try {
       const fieldNames = this.getFieldNames();
+      const categorySelect = this.getCard(postId, button)?.querySelector('.rejection-category-select');
       const response = await this.makeAjaxRequest('mistr_fachman_update_acf_field', {
         post_id: postId,
         field_name: fieldNames.rejection_reason,
         field_value: rejectionReason,
-        nonce: this.getNonce('quick_action')
-      });
+        rejection_category: categorySelect ? categorySelect.value : ''
+      }, 'quick_action');
 
       if (response.success) {
         this.showNotification('Důvod odmítnutí byl uložen.', 'success');
@@ -312,7 +676,7 @@ export class AdminManagementBase {
       }
     } catch (error) {
       console.error('Save rejection error:', error);
-      this.showNotification('Došlo k chybě při ukládání.', 'error');
+      this.showNotification(api.handleError(error, { default: 'Došlo k chybě při ukládání.' }), 'error');
     } finally {
       this.state.activeRequests.delete(requestId);
       button.disabled = false;
@@ -402,54 +766,39 @@ export class AdminManagementBase {
 
   /**
    * Make AJAX request with error handling
+   * Delegates to the shared API client (nonce refresh, timeouts) and keeps
+   * the `{success, data}` shape the handlers expect. Admin actions are writes,
+   * so they are not retried unless the caller passes `retries`.
    * 
    * @param {string} action - WordPress AJAX action
    * @param {Object} data - Request data
-   * @returns {Promise<Object>} Response data
+   * @param {string} nonceType - Key in globalData.nonces ('quick_action', 'bulk_approve')
+   * @param {Object} options - Options passed to api.call (signal, timeout, retries)
+   * @returns {Promise<Object>} Response object { success, data }
    */
-  async makeAjaxRequest(action, data) {
-    const ajaxUrl = this.config.globalData.ajax_url || window.ajaxurl;
-    if (!ajaxUrl) {
+  async makeAjaxRequest(action, data, nonceType = 'quick_action', options = {}) {
+    const url = this.config.globalData.ajax_url || window.ajaxurl;
+    if (!url) {
       throw new Error('AJAX URL not available');
     }
 
-    console.log('[AJAX:DEBUG] Making request to:', ajaxUrl);
-    console.log('[AJAX:DEBUG] Action:', action);
-    console.log('[AJAX:DEBUG] Data:', data);
-
-    const formData = new FormData();
-    formData.append('action', action);
-    
-    Object.entries(data).forEach(([key, value]) => {
-      if (value !== null && value !== undefined) {
-        formData.append(key, value);
-      }
-    });
-
-    // Log all FormData entries
-    console.log('[AJAX:DEBUG] FormData contents:');
-    for (let [key, value] of formData.entries()) {
-      console.log(`[AJAX:DEBUG]   ${key}: ${value}`);
-    }
+    console.log('[AJAX:DEBUG] Action:', action, 'Data:', data);
 
-    const response = await fetch(ajaxUrl, {
-      method: 'POST',
-      body: formData,
-      credentials: 'same-origin'
-    });
-
-    console.log('[AJAX:DEBUG] Response status:', response.status);
-    console.log('[AJAX:DEBUG] Response headers:', [...response.headers.entries()]);
+    try {
+      const result = await api.call({
+        action,
+        nonce: { action: this.getNonceAction(nonceType), resolve: () => this.getNonce(nonceType) }
+      }, data, { url, ...(this.isLeaving ? { keepalive: true } : {}), ...options });
 
-    if (!response.ok) {
-      const responseText = await response.text();
-      console.error('[AJAX:DEBUG] Error response body:', responseText);
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      console.log('[AJAX:DEBUG] Response data:', result);
+      return { success: true, data: result || {} };
+    } catch (error) {
+      // Handler-level failures (wp_send_json_error) are returned, transport errors thrown
+      if (error instanceof ApiError && error.type === API_ERROR_TYPES.SERVER) {
+        return { success: false, data: error.data && typeof error.data === 'object' ? error.data : { message: error.message } };
+      }
+      throw error;
     }
-
-    const result = await response.json();
-    console.log('[AJAX:DEBUG] Response JSON:', result);
-    return result;
   }
 
   /**
@@ -490,6 +839,19 @@ export class AdminManagementBase {
     return this.config.globalData.nonces?.[action] || '';
   }
 
+  /**
+   * Get WordPress nonce action name (mirrors AdminControllerBase::getNonceAction)
+   * 
+   * @param {string} nonceType - Nonce type key
+   * @returns {string} Nonce action
+   */
+  getNonceAction(nonceType) {
+    const postType = this.getPostType();
+    return nonceType === 'bulk_approve'
+      ? `mistr_fachman_bulk_approve_${postType}`
+      : `mistr_fachman_${postType}_${nonceType}`;
+  }
+
   /**
    * Cleanup event listeners and state
    */
@@ -498,6 +860,13 @@ export class AdminManagementBase {
     document.removeEventListener('click', this.handleBulkAction);
     document.removeEventListener('click', this.handleSaveRejection);
     document.removeEventListener('click', this.handleSectionToggle);
+    document.removeEventListener('change', this.handleTemplateSelect);
+    window.removeEventListener('beforeunload', this.handleBeforeUnload);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    window.removeEventListener('pageshow', this.handlePageShow);
+    this.reviewMode.stop();
+    this.lightbox.cleanup();
+    this.bulkSelection.destroy();
     
     this.state.activeRequests.clear();
     this.state.containers = [];
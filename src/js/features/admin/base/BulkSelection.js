@@ -0,0 +1,407 @@
+/**
+ * Bulk Selection
+ *
+ * Checkbox selection of individual cards for admin management classes.
+ * Supports shift-click ranges and "select all pending", shows a sticky
+ * action bar (approve, reject with shared reason or template, re-open) and a
+ * per-item result report when some of the selected records fail.
+ *
+ * @since 1.0.0
+ */
+
+import { api } from '../../../utils/api.js';
+
+const ACTION_LABELS = {
+  approve: 'Schválit',
+  reject: 'Odmítnout',
+  reopen: 'Znovu otevřít'
+};
+
+// Up to 200 records plus dashboard re-rendering in one request. Never re-sent:
+// a retry after a timeout would hit records the first request already processed
+const COMMIT_OPTIONS = {
+  retries: 0,
+  timeout: 120000
+};
+
+export class BulkSelection {
+  /**
+   * @param {AdminManagementBase} manager - Owning management instance
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.selected = new Set();
+    this.anchorId = null;
+    this.bar = null;
+    this.report = null;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleCardUpdated = this.handleCardUpdated.bind(this);
+
+    document.addEventListener('mistr-admin-card-updated', this.handleCardUpdated);
+  }
+
+  /**
+   * Handle clicks on selection checkboxes and "select all pending"
+   *
+   * @param {MouseEvent} event - Click event from a management container
+   */
+  handleClick(event) {
+    const checkbox = event.target.closest('.card-select-checkbox');
+    if (checkbox) {
+      if (event.shiftKey && this.anchorId) {
+        this.selectRange(this.anchorId, checkbox.value, checkbox.checked);
+      }
+      this.anchorId = checkbox.value;
+      this.sync();
+      return;
+    }
+
+    if (event.target.closest('.select-all-pending')) {
+      event.preventDefault();
+      this.togglePending();
+    }
+  }
+
+  /**
+   * Get selectable checkboxes in document order (cards in the undo window excluded)
+   *
+   * @returns {HTMLInputElement[]}
+   */
+  getCheckboxes() {
+    return Array.from(this.manager.state.containers)
+      .flatMap(container => Array.from(container.querySelectorAll('.card-select-checkbox')))
+      .filter(checkbox => !checkbox.disabled);
+  }
+
+  /**
+   * Set all checkboxes between two posts to the same state
+   *
+   * @param {string} fromId - Anchor post ID
+   * @param {string} toId - Clicked post ID
+   * @param {boolean} checked - Target state
+   */
+  selectRange(fromId, toId, checked) {
+    // Only visible cards - a shift-click should not reach into collapsed sections
+    const checkboxes = this.getCheckboxes().filter(checkbox => !checkbox.closest('.collapsed'));
+    const from = checkboxes.findIndex(checkbox => checkbox.value === fromId);
+    const to = checkboxes.findIndex(checkbox => checkbox.value === toId);
+    if (from === -1 || to === -1) return;
+
+    checkboxes.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(checkbox => {
+      checkbox.checked = checked;
+    });
+  }
+
+  /**
+   * Select all pending cards on the page, or clear them when all are selected
+   */
+  togglePending() {
+    const slug = this.manager.getDomainSlug();
+    const pending = this.getCheckboxes()
+      .filter(checkbox => checkbox.closest(`.${slug}-section[data-status="pending"]`));
+    const select = pending.some(checkbox => !checkbox.checked);
+
+    pending.forEach(checkbox => {
+      checkbox.checked = select;
+    });
+    this.sync();
+  }
+
+  /**
+   * Read selection from checkboxes, update card highlight and action bar
+   */
+  sync() {
+    this.selected = new Set(this.getCheckboxes().filter(checkbox => checkbox.checked).map(checkbox => checkbox.value));
+
+    this.getCheckboxes().forEach(checkbox => {
+      this.manager.getCard(checkbox.value, checkbox)?.classList.toggle('is-selected', checkbox.checked);
+    });
+
+    this.renderBar();
+  }
+
+  /**
+   * Restore checkbox state after cards were re-rendered
+   *
+   * @param {CustomEvent} event - mistr-admin-card-updated event
+   */
+  handleCardUpdated(event) {
+    if (event.detail?.postType !== this.manager.getPostType()) return;
+
+    this.getCheckboxes().forEach(checkbox => {
+      checkbox.checked = this.selected.has(checkbox.value);
+    });
+    this.sync();
+  }
+
+  /**
+   * Clear selection
+   */
+  clear() {
+    this.getCheckboxes().forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    this.anchorId = null;
+    this.sync();
+  }
+
+  /**
+   * Render or update the sticky action bar
+   */
+  renderBar() {
+    if (this.selected.size === 0) {
+      this.bar?.remove();
+      this.bar = null;
+      return;
+    }
+
+    if (!this.bar) {
+      this.bar = this.createBar();
+    }
+
+    this.bar.querySelector('.bulk-selection-count').textContent =
+      `${this.manager.getDomainName()}: vybráno ${this.selected.size}`;
+  }
+
+  /**
+   * Build the action bar inside a shared dock (both domains can have a selection)
+   *
+   * @returns {HTMLElement} Bar element
+   */
+  createBar() {
+    let dock = document.querySelector('.bulk-selection-dock');
+    if (!dock) {
+      dock = document.createElement('div');
+      dock.className = 'bulk-selection-dock';
+      document.body.appendChild(dock);
+    }
+
+    const bar = document.createElement('div');
+    bar.className = 'bulk-selection-bar';
+    bar.setAttribute('role', 'toolbar');
+    bar.innerHTML = `
+      <span class="bulk-selection-count"></span>
+      <button type="button" class="button button-primary button-small" data-selection-action="approve">${ACTION_LABELS.approve}</button>
+      <select class="bulk-selection-template" aria-label="Šablona důvodu"></select>
+      <select class="bulk-selection-category" aria-label="Kategorie odmítnutí"></select>
+      <input type="text" class="bulk-selection-reason" placeholder="Společný důvod odmítnutí..." aria-label="Společný důvod odmítnutí">
+      <button type="button" class="button button-small" data-selection-action="reject">${ACTION_LABELS.reject}</button>
+      <button type="button" class="button button-small" data-selection-action="reopen">${ACTION_LABELS.reopen}</button>
+      <button type="button" class="button-link bulk-selection-clear">Zrušit výběr</button>`;
+
+    this.populateTemplateSelects(bar);
+
+    bar.addEventListener('change', (event) => {
+      const select = event.target.closest('.bulk-selection-template');
+      if (!select || !select.value) return;
+
+      // Placeholders stay in the text - the server resolves them for every post
+      const option = select.selectedOptions[0];
+      bar.querySelector('.bulk-selection-reason').value = option.dataset.text || '';
+      bar.querySelector('.bulk-selection-category').value = option.dataset.category || '';
+      select.value = '';
+    });
+
+    bar.addEventListener('click', (event) => {
+      if (event.target.closest('.bulk-selection-clear')) {
+        this.clear();
+        return;
+      }
+
+      const button = event.target.closest('[data-selection-action]');
+      if (button) {
+        this.run(button.dataset.selectionAction);
+      }
+    });
+
+    dock.appendChild(bar);
+    return bar;
+  }
+
+  /**
+   * Fill template and category selects from the localized messages
+   *
+   * @param {HTMLElement} bar - Action bar
+   */
+  populateTemplateSelects(bar) {
+    const { rejection_templates: templates = [], rejection_categories: categories = {} } = this.manager.getMessages();
+
+    const templateSelect = bar.querySelector('.bulk-selection-template');
+    if (templates.length === 0) {
+      templateSelect.remove();
+    } else {
+      templateSelect.add(new Option('Šablona…', ''));
+      templates.forEach(template => {
+        const option = new Option(template.label, template.id);
+        option.dataset.text = template.text;
+        option.dataset.category = template.category;
+        templateSelect.add(option);
+      });
+    }
+
+    const categorySelect = bar.querySelector('.bulk-selection-category');
+    categorySelect.add(new Option('Kategorie…', ''));
+    Object.entries(categories).forEach(([slug, label]) => {
+      categorySelect.add(new Option(label, slug));
+    });
+  }
+
+  /**
+   * Run an action for the selected set through the undo window
+   *
+   * @param {string} action - 'approve', 'reject' or 'reopen'
+   */
+  run(action) {
+    const postIds = Array.from(this.selected);
+    if (postIds.length === 0) return;
+
+    const messages = this.manager.getMessages();
+    const reasonInput = this.bar?.querySelector('.bulk-selection-reason');
+    const reason = reasonInput ? reasonInput.value.trim() : '';
+    const category = this.bar?.querySelector('.bulk-selection-category')?.value || '';
+
+    if (action === 'reject' && !reason && !confirm('Odmítnout vybrané záznamy bez uvedení důvodu?')) {
+      return;
+    }
+
+    if (!confirm(`${ACTION_LABELS[action]} vybrané záznamy (${postIds.length})?`)) {
+      return;
+    }
+
+    // Points typed into the cards are sent along with approval
+    const points = {};
+    const cards = postIds.map(postId => {
+      const card = this.manager.getCard(postId);
+      const input = card?.querySelector('.quick-points-input');
+      if (input && parseInt(input.value, 10) > 0) {
+        points[postId] = parseInt(input.value, 10);
+      }
+      return card;
+    }).filter(Boolean);
+
+    const requestData = {
+      action_type: action,
+      post_ids: postIds,
+      points,
+      rejection_reason: reason,
+      rejection_category: action === 'reject' ? category : ''
+    };
+
+    this.manager.scheduleWithUndo(`selection-${action}-${postIds.join(',')}`, {
+      message: `${messages[`undo_selection_${action}`] || 'Vybrané záznamy budou zpracovány.'} (${postIds.length})`,
+      elements: cards,
+      commit: () => this.commit(requestData, cards)
+    });
+  }
+
+  /**
+   * Send the action and re-render affected dashboards
+   *
+   * @param {Object} requestData - Request payload
+   * @param {HTMLElement[]} cards - Affected cards
+   */
+  async commit(requestData, cards) {
+    try {
+      const response = await this.manager.makeAjaxRequest(
+        this.manager.config.getEndpoint('bulkSelection'),
+        requestData,
+        'bulk_approve',
+        COMMIT_OPTIONS
+      );
+
+      if (!response.success) {
+        this.manager.showNotification(`Chyba: ${response.data.message}`, 'error');
+        this.manager.setPendingState(cards, false);
+        return;
+      }
+
+      const { results = [], dashboards = {}, failed = 0, message } = response.data;
+
+      // Failed records stay selected so the admin can retry or handle them one by one
+      this.selected = new Set(results.filter(result => !result.success).map(result => String(result.post_id)));
+
+      const slug = this.manager.getDomainSlug();
+      const updated = Object.entries(dashboards).every(([userId, html]) => {
+        const dashboard = document.querySelector(`.${slug}-dashboard[data-user-id="${userId}"]`);
+        return !dashboard || this.manager.applyDashboardUpdate(dashboard, html);
+      });
+
+      if (!updated) {
+        this.manager.reloadPage();
+        return;
+      }
+
+      if (this.bar && failed === 0) {
+        this.bar.querySelector('.bulk-selection-reason').value = '';
+        this.bar.querySelector('.bulk-selection-category').value = '';
+      }
+
+      if (failed > 0) {
+        this.showReport(requestData.action_type, results);
+      } else {
+        this.manager.showNotification(message, 'success');
+      }
+    } catch (error) {
+      console.error('Bulk selection error:', error);
+      this.manager.showNotification(api.handleError(error, { default: 'Došlo k chybě při zpracování požadavku.' }), 'error');
+      this.manager.setPendingState(cards, false);
+    }
+  }
+
+  /**
+   * Show per-item results when some records failed
+   *
+   * @param {string} action - Action that was run
+   * @param {Array} results - [{ post_id, title, success, message }]
+   */
+  showReport(action, results) {
+    this.report?.remove();
+
+    const failed = results.filter(result => !result.success);
+
+    this.report = document.createElement('div');
+    this.report.className = 'bulk-result-report';
+    this.report.setAttribute('role', 'dialog');
+    this.report.setAttribute('aria-label', 'Výsledek hromadné akce');
+    this.report.innerHTML = `
+      <div class="bulk-result-report-content">
+        <h3></h3>
+        <ul class="bulk-result-list"></ul>
+        <button type="button" class="button button-primary bulk-result-close">Zavřít</button>
+      </div>`;
+
+    this.report.querySelector('h3').textContent =
+      `${ACTION_LABELS[action]}: ${results.length - failed.length} z ${results.length} v pořádku, ${failed.length} selhalo`;
+
+    const list = this.report.querySelector('.bulk-result-list');
+    results.forEach(result => {
+      const item = document.createElement('li');
+      item.className = result.success ? 'is-success' : 'is-failed';
+      item.textContent = `${result.success ? '✓' : '✗'} ${result.title || `#${result.post_id}`}${result.message ? ` – ${result.message}` : ''}`;
+      list.appendChild(item);
+    });
+
+    this.report.addEventListener('click', (event) => {
+      if (event.target === this.report || event.target.closest('.bulk-result-close')) {
+        this.report.remove();
+        this.report = null;
+      }
+    });
+
+    document.body.appendChild(this.report);
+    this.report.querySelector('.bulk-result-close').focus();
+  }
+
+  /**
+   * Remove bar, report and listeners
+   */
+  destroy() {
+    document.removeEventListener('mistr-admin-card-updated', this.handleCardUpdated);
+    this.bar?.remove();
+    this.report?.remove();
+    this.bar = null;
+    this.report = null;
+    this.selected.clear();
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * Review Mode
+ *
+ * Keyboard-driven review of pending cards for admin management classes.
+ * Focuses one pending card at a time:
+ * J/K navigate, A approve, R reject with reason prompt, G open gallery,
+ * ? help overlay, Esc exit.
+ *
+ * @since 1.0.0
+ */
+
+const SHORTCUTS = [
+  { key: 'J', description: 'Další záznam' },
+  { key: 'K', description: 'Předchozí záznam' },
+  { key: 'A', description: 'Schválit' },
+  { key: 'R', description: 'Odmítnout s důvodem' },
+  { key: 'G', description: 'Otevřít galerii / soubor' },
+  { key: '?', description: 'Zobrazit / skrýt nápovědu' },
+  { key: 'Esc', description: 'Ukončit režim kontroly' }
+];
+
+export class ReviewMode {
+  /**
+   * @param {AdminManagementBase} manager - Owning management instance
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.isActive = false;
+    this.dashboard = null;
+    this.currentPostId = null;
+    this.processed = new Set();
+    this.progressBar = null;
+    this.helpOverlay = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleCardUpdated = this.handleCardUpdated.bind(this);
+  }
+
+  /**
+   * Enter review mode for a dashboard
+   *
+   * @param {HTMLElement} dashboard - `.management-card` element
+   */
+  start(dashboard) {
+    if (this.isActive) {
+      this.stop();
+    }
+
+    this.dashboard = dashboard;
+    this.processed.clear();
+
+    const cards = this.getCards();
+    if (cards.length === 0) {
+      this.manager.showNotification('Žádné záznamy nečekají na kontrolu.', 'info');
+      return;
+    }
+
+    this.isActive = true;
+    this.dashboard.classList.add('is-review-mode');
+    this.renderProgressBar();
+
+    document.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('mistr-admin-card-updated', this.handleCardUpdated);
+
+    this.focusCard(cards[0]);
+    console.log(`[${this.manager.getDomainName()}] Review mode started with ${cards.length} pending card(s)`);
+  }
+
+  /**
+   * Leave review mode
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('mistr-admin-card-updated', this.handleCardUpdated);
+
+    this.getFocusedCard()?.classList.remove('is-review-focused');
+    this.dashboard?.classList.remove('is-review-mode');
+    this.progressBar?.remove();
+    this.helpOverlay?.remove();
+
+    this.progressBar = null;
+    this.helpOverlay = null;
+    this.currentPostId = null;
+    this.isActive = false;
+  }
+
+  /**
+   * Get pending cards that can still be reviewed (not waiting in undo window)
+   *
+   * @returns {HTMLElement[]} Cards
+   */
+  getCards() {
+    if (!this.dashboard?.isConnected) return [];
+
+    const slug = this.manager.getDomainSlug();
+    return Array.from(this.dashboard.querySelectorAll(`.${slug}-section[data-status="pending"] .${slug}-item`))
+      .filter(card => !card.classList.contains('is-action-pending'));
+  }
+
+  /**
+   * Get the currently focused card element
+   *
+   * @returns {HTMLElement|null}
+   */
+  getFocusedCard() {
+    if (!this.currentPostId || !this.dashboard) return null;
+    return this.dashboard.querySelector(`[data-post-id="${this.currentPostId}"].is-review-focused`) ||
+      this.getCards().find(card => card.dataset.postId === this.currentPostId) ||
+      null;
+  }
+
+  /**
+   * Move focus ring to a card
+   *
+   * @param {HTMLElement} card - Card to focus
+   */
+  focusCard(card) {
+    this.dashboard.querySelectorAll('.is-review-focused').forEach(element => {
+      element.classList.remove('is-review-focused');
+    });
+
+    if (!card) {
+      this.currentPostId = null;
+      this.updateProgress();
+      return;
+    }
+
+    this.currentPostId = card.dataset.postId;
+    card.classList.add('is-review-focused');
+    card.setAttribute('tabindex', '-1');
+    card.focus({ preventScroll: true });
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.updateProgress();
+  }
+
+  /**
+   * Move focus by offset in the pending list
+   *
+   * @param {number} offset - +1 next, -1 previous
+   */
+  move(offset) {
+    const cards = this.getCards();
+    if (cards.length === 0) {
+      this.focusCard(null);
+      return;
+    }
+
+    const index = cards.findIndex(card => card.dataset.postId === this.currentPostId);
+    const nextIndex = index === -1 ? 0 : Math.min(Math.max(index + offset, 0), cards.length - 1);
+    this.focusCard(cards[nextIndex]);
+  }
+
+  /**
+   * Trigger an action button inside the focused card, then advance
+   *
+   * @param {string} action - 'approve' or 'reject'
+   */
+  act(action) {
+    const card = this.getFocusedCard();
+    if (!card) return;
+
+    const button = card.querySelector(`button[data-action="${action}"]`);
+
+    if (action === 'approve' && !button) {
+      // Faktury are approved in the post editor (invoice number and date are required)
+      const editLink = card.querySelector('.points-input a.button-primary');
+      if (editLink) {
+        window.open(editLink.href, '_blank', 'noopener');
+      }
+      return;
+    }
+
+    if (!button) return;
+
+    if (action === 'reject') {
+      const reasonInput = card.querySelector('.rejection-reason-input');
+      const reason = window.prompt('Důvod odmítnutí:', reasonInput?.value || '');
+      if (reason === null) return;
+      if (reasonInput) {
+        reasonInput.value = reason.trim();
+      }
+    }
+
+    const cards = this.getCards();
+    const index = cards.indexOf(card);
+
+    button.click();
+    this.processed.add(card.dataset.postId);
+
+    // Acted card is now locked in the undo window - continue with the next one
+    const remaining = this.getCards();
+    this.focusCard(remaining[Math.min(index, remaining.length - 1)] || null);
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   *
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleKeydown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    // Never steal keys from form fields
+    const target = event.target;
+    if (target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const handlers = {
+      j: () => this.move(1),
+      k: () => this.move(-1),
+      a: () => this.act('approve'),
+      r: () => this.act('reject'),
+      g: () => this.manager.openGallery(this.getFocusedCard()),
+      '?': () => this.toggleHelp(),
+      Escape: () => (this.helpOverlay ? this.toggleHelp(false) : this.stop())
+    };
+
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const handler = handlers[key];
+    if (!handler) return;
+
+    event.preventDefault();
+    handler();
+  }
+
+  /**
+   * Re-focus after cards were re-rendered by the server
+   *
+   * @param {CustomEvent} event - mistr-admin-card-updated event
+   */
+  handleCardUpdated(event) {
+    if (event.detail?.postType !== this.manager.getPostType()) return;
+
+    if (!this.dashboard?.isConnected) {
+      this.stop();
+      return;
+    }
+
+    const focused = this.getFocusedCard();
+    if (focused) {
+      focused.classList.add('is-review-focused');
+      this.updateProgress();
+    } else {
+      this.move(0);
+    }
+  }
+
+  /**
+   * Render fixed progress bar with counter
+   */
+  renderProgressBar() {
+    this.progressBar = document.createElement('div');
+    this.progressBar.className = 'review-mode-bar';
+    this.progressBar.setAttribute('role', 'status');
+    this.progressBar.innerHTML = `
+      <span class="review-mode-progress"></span>
+      <span class="review-mode-hint">? nápověda · Esc ukončit</span>
+      <button type="button" class="button button-small review-mode-exit">Ukončit</button>`;
+    this.progressBar.querySelector('.review-mode-exit').addEventListener('click', () => this.stop());
+    document.body.appendChild(this.progressBar);
+  }
+
+  /**
+   * Update the progress counter
+   */
+  updateProgress() {
+    if (!this.progressBar) return;
+
+    const cards = this.getCards();
+    const index = cards.findIndex(card => card.dataset.postId === this.currentPostId);
+    const label = this.progressBar.querySelector('.review-mode-progress');
+
+    label.textContent = cards.length === 0
+      ? `Hotovo – zpracováno ${this.processed.size} záznamů`
+      : `Záznam ${index + 1} z ${cards.length} · zpracováno ${this.processed.size}`;
+  }
+
+  /**
+   * Show or hide the shortcut help overlay
+   *
+   * @param {boolean} [force] - Force visibility
+   */
+  toggleHelp(force) {
+    const show = typeof force === 'boolean' ? force : !this.helpOverlay;
+
+    if (!show) {
+      this.helpOverlay?.remove();
+      this.helpOverlay = null;
+      return;
+    }
+
+    if (this.helpOverlay) return;
+
+    this.helpOverlay = document.createElement('div');
+    this.helpOverlay.className = 'review-mode-help';
+    this.helpOverlay.setAttribute('role', 'dialog');
+    this.helpOverlay.setAttribute('aria-label', 'Klávesové zkratky');
+
+    const list = SHORTCUTS.map(({ key, description }) => `<li><kbd>${key}</kbd> ${description}</li>`).join('');
+    this.helpOverlay.innerHTML = `
+      <div class="review-mode-help-content">
+        <h3>Klávesové zkratky</h3>
+        <ul>${list}</ul>
+      </div>`;
+    this.helpOverlay.addEventListener('click', () => this.toggleHelp(false));
+    document.body.appendChild(this.helpOverlay);
+  }
+}
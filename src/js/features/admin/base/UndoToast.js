@@ -0,0 +1,132 @@
+/**
+ * Undo Toast
+ *
+ * Delays an admin action for a few seconds and lets the admin take it back.
+ * The action is committed only when the countdown runs out (or on flush).
+ * Uses the shared `.toast-notification` styles from admin notifications SCSS.
+ *
+ * @since 1.0.0
+ */
+
+export class UndoToast {
+  /**
+   * @param {Object} options - Toast options
+   * @param {number} options.duration - Milliseconds before the action is committed
+   * @param {string} options.undoText - Undo button label
+   */
+  constructor(options = {}) {
+    this.options = {
+      duration: 5000,
+      undoText: 'Vrátit zpět',
+      ...options
+    };
+    this.pending = new Map();
+    this.stack = null;
+  }
+
+  /**
+   * Schedule an action with undo possibility
+   *
+   * @param {string} key - Unique key (a second schedule with the same key is ignored)
+   * @param {Object} action - Action definition
+   * @param {string} action.message - Toast message
+   * @param {Function} action.onCommit - Called when the countdown runs out
+   * @param {Function} action.onUndo - Called when the admin clicks undo
+   * @returns {boolean} False when an action with the same key is already pending
+   */
+  schedule(key, { message, onCommit, onUndo }) {
+    if (this.pending.has(key)) {
+      return false;
+    }
+
+    const toast = this.createToast(message);
+    const entry = {
+      toast,
+      onCommit,
+      timer: setTimeout(() => this.commit(key), this.options.duration)
+    };
+
+    toast.querySelector('.toast-undo').addEventListener('click', () => {
+      clearTimeout(entry.timer);
+      this.pending.delete(key);
+      this.removeToast(toast);
+      if (onUndo) onUndo();
+    });
+
+    this.pending.set(key, entry);
+    return true;
+  }
+
+  /**
+   * Commit a pending action immediately
+   *
+   * @param {string} key - Action key
+   */
+  commit(key) {
+    const entry = this.pending.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.pending.delete(key);
+    this.removeToast(entry.toast);
+    entry.onCommit();
+  }
+
+  /**
+   * Commit all pending actions immediately
+   */
+  flush() {
+    Array.from(this.pending.keys()).forEach(key => this.commit(key));
+  }
+
+  /**
+   * Check whether any action is waiting for commit
+   *
+   * @returns {boolean}
+   */
+  hasPending() {
+    return this.pending.size > 0;
+  }
+
+  /**
+   * Build toast element with undo button and countdown bar
+   *
+   * @param {string} message - Toast message
+   * @returns {HTMLElement} Toast element
+   */
+  createToast(message) {
+    if (!this.stack || !this.stack.isConnected) {
+      this.stack = document.createElement('div');
+      this.stack.className = 'toast-stack';
+      document.body.appendChild(this.stack);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'toast-notification toast-info toast-undoable';
+    toast.setAttribute('role', 'status');
+    toast.innerHTML = `
+      <div class="toast-content">
+        <span class="toast-message"></span>
+        <button type="button" class="button button-small toast-undo"></button>
+      </div>
+      <div class="toast-countdown"></div>`;
+    toast.querySelector('.toast-message').textContent = message;
+    toast.querySelector('.toast-undo').textContent = this.options.undoText;
+    toast.querySelector('.toast-countdown').style.animationDuration = `${this.options.duration}ms`;
+
+    this.stack.appendChild(toast);
+    requestAnimationFrame(() => toast.classList.add('toast-visible'));
+
+    return toast;
+  }
+
+  /**
+   * Remove toast element
+   *
+   * @param {HTMLElement} toast - Toast element
+   */
+  removeToast(toast) {
+    toast.classList.remove('toast-visible');
+    setTimeout(() => toast.remove(), 300);
+  }
+}
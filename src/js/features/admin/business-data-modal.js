@@ -2,9 +2,11 @@
  * Business Data Modal - Functional Implementation
  * 
  * Handles business data modal interactions using vanilla JavaScript.
- * No jQuery dependency - uses modern DOM APIs and fetch.
+ * No jQuery dependency - uses modern DOM APIs and the shared API client.
  */
 
+import { api, API_ERROR_TYPES } from '../../utils/api.js';
+
 /**
  * Setup business data modal functionality
  * @param {string|HTMLElement} modalSelector - CSS selector or element for modal
@@ -30,6 +32,8 @@ export function setupBusinessModal(modalSelector = '#business-data-modal', optio
 
   // State variables
   let isInitialized = false;
+  let currentUserId = null;
+  let diffRequest = null;
   const eventListeners = [];
 
   /**
@@ -67,6 +71,14 @@ export function setupBusinessModal(modalSelector = '#business-data-modal', optio
       }
     };
 
+    const handleApplyClick = (e) => {
+      const button = e.target.closest('.mistr-ares-apply');
+      if (button && modal?.contains(button)) {
+        e.preventDefault();
+        applyAresData(button);
+      }
+    };
+
     const handleModalClose = (e) => {
       if (e.target.matches('.mistr-modal-close') || e.target.matches('.mistr-modal-backdrop')) {
         console.log('BusinessDataModal: Close button clicked');
@@ -88,6 +100,9 @@ export function setupBusinessModal(modalSelector = '#business-data-modal', optio
     document.addEventListener('click', handleModalClose);
     eventListeners.push({ element: document, event: 'click', handler: handleModalClose });
 
+    document.addEventListener('click', handleApplyClick);
+    eventListeners.push({ element: document, event: 'click', handler: handleApplyClick });
+
     document.addEventListener('keydown', handleEscapeKey);
     eventListeners.push({ element: document, event: 'keydown', handler: handleEscapeKey });
 
@@ -117,12 +132,14 @@ export function setupBusinessModal(modalSelector = '#business-data-modal', optio
       return;
     }
 
+    currentUserId = userId;
     showModal();
     showLoadingState();
 
     try {
       const businessData = await fetchBusinessData(userId);
       showBusinessData(businessData);
+      loadAresDiff(userId);
     } catch (error) {
       console.error('Failed to load business data:', error);
       showError(error.message || 'Chyba při načítání údajů');
@@ -130,72 +147,118 @@ export function setupBusinessModal(modalSelector = '#business-data-modal', optio
   }
 
   /**
-   * Get fresh nonce for AJAX requests
-   * @param {string} action - Action name
-   * @returns {Promise<string>} Fresh nonce
+   * Fetch business data via AJAX
+   * Stale nonces are refreshed by the API client and the request retried.
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} HTML content
    */
-  async function getFreshNonce(action = 'mistr_fachman_business_data') {
-    const formData = new FormData();
-    formData.append('action', 'mistr_fachman_get_fresh_nonce');
-    formData.append('action_name', action);
+  async function fetchBusinessData(userId) {
+    console.log('BusinessDataModal: fetchBusinessData called for user:', userId);
 
     try {
-      const response = await fetch('/wp-admin/admin-ajax.php', {
-        method: 'POST',
-        body: formData,
-        credentials: 'same-origin'
-      });
-
-      const data = await response.json();
-      
-      if (data.success) {
-        console.log('BusinessDataModal: Fresh nonce obtained:', data.data.nonce);
-        return data.data.nonce;
-      } else {
-        throw new Error('Failed to get fresh nonce');
-      }
+      const data = await api.call('getBusinessData', { user_id: userId });
+      console.log('BusinessDataModal: AJAX response:', data);
+      return data.html;
     } catch (error) {
-      console.warn('BusinessDataModal: Could not get fresh nonce, using cached:', error);
-      return window.mistrFachmanAjax?.nonce || '';
+      console.error('BusinessDataModal: AJAX error:', error);
+      throw new Error(api.handleError(error, { default: 'Neznámá chyba' }));
     }
   }
 
   /**
-   * Fetch business data via AJAX
+   * Get (or create) the slot for the ARES comparison inside the business data
+   * @returns {HTMLElement|null}
+   */
+  function getDiffSlot() {
+    const dataDiv = modal?.querySelector('.mistr-modal-data');
+    if (!dataDiv) return null;
+
+    let slot = dataDiv.querySelector('.mistr-ares-diff-slot');
+    if (!slot) {
+      slot = document.createElement('div');
+      slot.className = 'mistr-ares-diff-slot';
+      (dataDiv.querySelector('.mistr-business-data-review') || dataDiv).appendChild(slot);
+    }
+    return slot;
+  }
+
+  /**
+   * Render a state message in the ARES comparison slot
+   * @param {string} message
+   * @param {string} className - Additional paragraph class
+   */
+  function showDiffMessage(message, className = '') {
+    const slot = getDiffSlot();
+    if (!slot) return;
+
+    slot.innerHTML = `
+      <section class="mistr-ares-diff">
+        <h3>Porovnání s ARES</h3>
+        <p class="mistr-ares-diff-meta ${className}"></p>
+      </section>`;
+    slot.querySelector('.mistr-ares-diff-meta').textContent = message;
+  }
+
+  /**
+   * Load comparison of the stored business data with the current ARES record
    * @param {string} userId - User ID
-   * @returns {Promise<string>} HTML content
    */
-  async function fetchBusinessData(userId) {
-    console.log('BusinessDataModal: fetchBusinessData called for user:', userId);
-    
-    // Get fresh nonce to avoid timing issues
-    const freshNonce = await getFreshNonce('mistr_fachman_business_data');
-    
-    const formData = new FormData();
-    formData.append('action', 'mistr_fachman_get_business_data');
-    formData.append('user_id', userId);
-    formData.append('nonce', freshNonce);
+  async function loadAresDiff(userId) {
+    if (diffRequest) diffRequest.abort();
+    const controller = new AbortController();
+    diffRequest = controller;
 
-    console.log('BusinessDataModal: Using fresh nonce:', freshNonce);
+    showDiffMessage('Načítám aktuální údaje z ARES…');
 
     try {
-      const response = await fetch('/wp-admin/admin-ajax.php', {
-        method: 'POST',
-        body: formData,
-        credentials: 'same-origin'
-      });
+      const data = await api.call('compareBusinessDataAres', { user_id: userId }, { signal: controller.signal });
+      if (userId !== currentUserId) return;
 
-      const data = await response.json();
-      console.log('BusinessDataModal: AJAX response:', data);
+      const slot = getDiffSlot();
+      if (slot) slot.innerHTML = data.html;
+    } catch (error) {
+      if (error.type === API_ERROR_TYPES.ABORTED) return;
+      console.error('BusinessDataModal: ARES comparison failed:', error);
+      showDiffMessage(api.handleError(error, { default: 'Porovnání s ARES se nezdařilo.' }), 'error');
+    } finally {
+      if (diffRequest === controller) diffRequest = null;
+    }
+  }
 
-      if (!data.success) {
-        throw new Error(data.data?.message || 'Neznámá chyba');
-      }
+  /**
+   * Take company data over from ARES ("převzít z ARES")
+   * @param {HTMLButtonElement} button - Apply button with data-user-id
+   */
+  async function applyAresData(button) {
+    const userId = button.dataset.userId;
+    if (!userId || button.disabled) return;
+
+    if (!window.confirm('Přepsat uložený název, sídlo a DIČ aktuálními údaji z ARES?')) {
+      return;
+    }
 
-      return data.data.html;
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Ukládám…';
+
+    try {
+      const data = await api.call('applyBusinessDataAres', { user_id: userId });
+      if (userId !== currentUserId) return;
+
+      showBusinessData(data.html);
+      const slot = getDiffSlot();
+      if (slot) {
+        slot.innerHTML = data.diff_html;
+        const notice = document.createElement('p');
+        notice.className = 'mistr-ares-diff-meta success';
+        notice.textContent = `${data.message} Po zavření okna obnovte stránku pro aktuální údaje v profilu.`;
+        slot.querySelector('.mistr-ares-diff')?.appendChild(notice);
+      }
     } catch (error) {
-      console.error('BusinessDataModal: AJAX error:', error);
-      throw error;
+      console.error('BusinessDataModal: Applying ARES data failed:', error);
+      button.disabled = false;
+      button.textContent = label;
+      window.alert(api.handleError(error, { default: 'Údaje z ARES se nepodařilo převzít.' }));
     }
   }
 
@@ -276,6 +339,12 @@ export function setupBusinessModal(modalSelector = '#business-data-modal', optio
    * Clear modal content
    */
   function clearModalContent() {
+    if (diffRequest) {
+      diffRequest.abort();
+      diffRequest = null;
+    }
+    currentUserId = null;
+
     const dataDiv = modal?.querySelector('.mistr-modal-data');
     if (dataDiv) {
       dataDiv.innerHTML = '';
@@ -374,7 +443,7 @@ export function setupBusinessModal(modalSelector = '#business-data-modal', optio
     isModalOpen,
     getModal: () => modal,
     fetchBusinessData,
-    getFreshNonce
+    loadAresDiff
   };
 }
 
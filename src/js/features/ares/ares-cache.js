@@ -0,0 +1,76 @@
+/**
+ * ARES Cache
+ * sessionStorage cache of IČO lookups, so repeated clicks on "Načíst údaje"
+ * fill the form instantly and only stale entries are revalidated
+ */
+
+const KEY_PREFIX = 'mf_ares';
+
+const CACHE_CONFIG = {
+  // Entries older than this are dropped
+  ttl: 24 * 60 * 60 * 1000,
+  // Entries younger than this are used without revalidation
+  freshFor: 10 * 60 * 1000
+};
+
+/**
+ * Build storage key for an IČO
+ * @param {string} ico
+ * @returns {string}
+ */
+function buildKey(ico) {
+  return `${KEY_PREFIX}_${ico}`;
+}
+
+export const aresCache = {
+  /**
+   * @param {string} ico
+   * @returns {{data: Object, fetchedAt: number, fresh: boolean}|null} Cached lookup
+   */
+  get(ico) {
+    try {
+      const raw = window.sessionStorage.getItem(buildKey(ico));
+      if (!raw) return null;
+
+      const entry = JSON.parse(raw);
+      const age = Date.now() - entry.fetchedAt;
+
+      if (!entry.data || !(age >= 0 && age < CACHE_CONFIG.ttl)) {
+        this.remove(ico);
+        return null;
+      }
+
+      return { data: entry.data, fetchedAt: entry.fetchedAt, fresh: age < CACHE_CONFIG.freshFor };
+    } catch (error) {
+      console.warn('[ARES] Unable to read cached lookup:', error);
+      return null;
+    }
+  },
+
+  /**
+   * @param {string} ico
+   * @param {Object} data - validateIco response data
+   * @returns {number} Fetch timestamp stored with the entry
+   */
+  set(ico, data) {
+    const fetchedAt = Date.now();
+    try {
+      window.sessionStorage.setItem(buildKey(ico), JSON.stringify({ data, fetchedAt }));
+    } catch (error) {
+      // Storage disabled or full - the lookup still works, just uncached
+      console.warn('[ARES] Unable to cache lookup:', error);
+    }
+    return fetchedAt;
+  },
+
+  /**
+   * @param {string} ico
+   */
+  remove(ico) {
+    try {
+      window.sessionStorage.removeItem(buildKey(ico));
+    } catch (error) {
+      console.warn('[ARES] Unable to remove cached lookup:', error);
+    }
+  }
+};
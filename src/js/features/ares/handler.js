@@ -1,9 +1,16 @@
 /**
  * ARES Company Data Handler
- * Handles Czech company registration data lookup and form population
+ * Handles Czech company registration data lookup (by IČO or company name search), DIČ and VAT payer status, and form population
  */
 
 import { validation } from '../../utils/validation.js';
+import { api, API_ERROR_TYPES } from '../../utils/api.js';
+import { aresCache } from './ares-cache.js';
+
+const NAME_SEARCH = {
+  minLength: 3,
+  debounceDelay: 350
+};
 
 /**
  * Initialize ARES form functionality
@@ -27,6 +34,8 @@ export function setupAresForm(formSelector = '.registration-form') {
     streetAddress: form.querySelector('[name="street-address"]'),
     city: form.querySelector('[name="city"]'),
     postalCode: form.querySelector('[name="postal-code"]'),
+    // Optional DIČ field (auto-filled when ARES knows it)
+    dic: form.querySelector('[name="dic"]'),
     status: form.querySelector('#aresStatus'),
     loadButton: form.querySelector('#loadAresData')
   };
@@ -50,8 +59,19 @@ export function setupAresForm(formSelector = '.registration-form') {
   }
 
   let lastFetchedIco = null;
+  let activeRequest = null;
+  let dicFromAres = false;
   const eventListeners = [];
 
+  // Company name search (autocomplete) state
+  const searchCache = new Map();
+  let searchTimer = null;
+  let searchRequest = null;
+  let suggestions = [];
+  let highlightedIndex = -1;
+  const suggestionList = createSuggestionList();
+  const freshnessNote = createFreshnessNote();
+
   // Event handler functions
   const handleLoadClick = (e) => {
     e.preventDefault();
@@ -79,6 +99,37 @@ export function setupAresForm(formSelector = '.registration-form') {
   fields.ico.addEventListener('keypress', handleIcoKeypress);
   eventListeners.push({ element: fields.ico, event: 'keypress', handler: handleIcoKeypress });
 
+  const handleNameInput = () => {
+    scheduleNameSearch();
+  };
+
+  const handleNameKeydown = (e) => {
+    handleSuggestionKeys(e);
+  };
+
+  const handleNameBlur = () => {
+    // Delay so a click on a suggestion is handled first
+    setTimeout(hideSuggestions, 150);
+  };
+
+  fields.companyName.addEventListener('input', handleNameInput);
+  eventListeners.push({ element: fields.companyName, event: 'input', handler: handleNameInput });
+
+  fields.companyName.addEventListener('keydown', handleNameKeydown);
+  eventListeners.push({ element: fields.companyName, event: 'keydown', handler: handleNameKeydown });
+
+  fields.companyName.addEventListener('blur', handleNameBlur);
+  eventListeners.push({ element: fields.companyName, event: 'blur', handler: handleNameBlur });
+
+  if (fields.dic) {
+    const handleDicChange = () => {
+      validateDic();
+    };
+
+    fields.dic.addEventListener('change', handleDicChange);
+    eventListeners.push({ element: fields.dic, event: 'change', handler: handleDicChange });
+  }
+
   /**
    * Load company data from ARES API
    */
@@ -93,41 +144,324 @@ export function setupAresForm(formSelector = '.registration-form') {
       return;
     }
 
-    showStatus('Ověřuji IČO...', 'loading');
+    // Cancel a lookup still in flight for a previous IČO
+    if (activeRequest) activeRequest.abort();
+
+    // Stale-while-revalidate: fill instantly from the session cache,
+    // hit the server only when the cached entry is no longer fresh
+    const cached = aresCache.get(ico);
     clearFields();
-    lastFetchedIco = null;
+
+    if (cached) {
+      handleAresSuccess(cached.data, ico, cached.fetchedAt);
+      if (cached.fresh) return;
+      showFreshness(cached.fetchedAt, 'revalidating');
+    } else {
+      showStatus('Ověřuji IČO...', 'loading');
+      lastFetchedIco = null;
+    }
+
+    const controller = new AbortController();
+    activeRequest = controller;
 
     try {
       // Use WordPress AJAX endpoint instead of direct ARES API call
-      const formData = new FormData();
-      formData.append('action', 'mistr_fachman_validate_ico');
-      formData.append('nonce', window.mistrFachmanAjax?.ico_validation_nonce || '');
-      formData.append('ico', ico);
-
-      const response = await fetch('/wp-admin/admin-ajax.php', {
-        method: 'POST',
-        body: formData,
-        credentials: 'same-origin'
-      });
+      const data = await api.call('validateIco', { ico }, { signal: controller.signal });
+      const fetchedAt = data?.company_name ? aresCache.set(ico, data) : Date.now();
 
-      const responseData = await response.json();
+      // The IČO was changed while the request was running
+      if (fields.ico.value.trim() !== ico) return;
+      handleAresSuccess(data, ico, fetchedAt);
+    } catch (error) {
+      if (error.type === API_ERROR_TYPES.ABORTED) return;
 
-      if (!responseData.success) {
-        throw new Error(responseData.data?.message || 'Neznámá chyba serveru');
+      // ARES unreachable - keep showing the cached data
+      if (cached && error.type !== API_ERROR_TYPES.SERVER) {
+        console.warn('ARES revalidation failed, using cached data:', error);
+        showFreshness(cached.fetchedAt, 'failed');
+        return;
       }
 
-      handleAresSuccess(responseData.data, ico);
-    } catch (error) {
+      aresCache.remove(ico);
+      if (cached) clearFields();
       handleAresError(error);
+    } finally {
+      if (activeRequest === controller) activeRequest = null;
+    }
+  }
+
+  /**
+   * Create the "data z ARES k datu" note below the status message
+   * @returns {HTMLElement}
+   */
+  function createFreshnessNote() {
+    const note = document.createElement('small');
+    note.className = 'ares-freshness';
+    note.hidden = true;
+    fields.status.after(note);
+    return note;
+  }
+
+  /**
+   * Show when the displayed company data were fetched from ARES
+   * @param {number} fetchedAt - Timestamp in ms
+   * @param {string} state - 'current', 'revalidating' or 'failed'
+   */
+  function showFreshness(fetchedAt, state = 'current') {
+    const date = new Date(fetchedAt).toLocaleString('cs-CZ', {
+      day: 'numeric',
+      month: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const suffix = {
+      revalidating: ' · ověřuji aktuálnost…',
+      failed: ' · aktuálnost se nepodařilo ověřit'
+    };
+
+    freshnessNote.textContent = `Data z ARES k datu ${date}${suffix[state] || ''}`;
+    freshnessNote.classList.toggle('is-stale', state === 'failed');
+    freshnessNote.hidden = false;
+  }
+
+  /**
+   * Hide the freshness note
+   */
+  function hideFreshness() {
+    freshnessNote.hidden = true;
+    freshnessNote.textContent = '';
+  }
+
+  /**
+   * Create the suggestion dropdown below the company name field
+   * @returns {HTMLUListElement}
+   */
+  function createSuggestionList() {
+    const list = document.createElement('ul');
+    list.id = 'aresSuggestions';
+    list.className = 'ares-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+
+    const wrap = fields.companyName.closest('.wpcf7-form-control-wrap') || fields.companyName.parentNode;
+    wrap.classList.add('ares-search-wrap');
+    fields.companyName.after(list);
+
+    fields.companyName.setAttribute('role', 'combobox');
+    fields.companyName.setAttribute('aria-autocomplete', 'list');
+    fields.companyName.setAttribute('aria-controls', list.id);
+    fields.companyName.setAttribute('aria-expanded', 'false');
+    fields.companyName.setAttribute('autocomplete', 'off');
+
+    // mousedown fires before the input blurs
+    list.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('.ares-suggestion');
+      if (!item) return;
+      e.preventDefault();
+      selectSuggestion(Number(item.dataset.index));
+    });
+
+    return list;
+  }
+
+  /**
+   * Debounce company name search
+   */
+  function scheduleNameSearch() {
+    clearTimeout(searchTimer);
+    const query = fields.companyName.value.trim();
+
+    // Name search is only useful before the company was loaded by IČO
+    if (query.length < NAME_SEARCH.minLength || fields.companyName.readOnly) {
+      if (searchRequest) searchRequest.abort();
+      hideSuggestions();
+      return;
+    }
+
+    const cacheKey = query.toLowerCase();
+    if (searchCache.has(cacheKey)) {
+      showSuggestions(searchCache.get(cacheKey));
+      return;
+    }
+
+    searchTimer = setTimeout(() => searchByName(query), NAME_SEARCH.debounceDelay);
+  }
+
+  /**
+   * Search ARES subjects by company name
+   * @param {string} query - Company name (or its part)
+   */
+  async function searchByName(query) {
+    if (searchRequest) searchRequest.abort();
+    searchRequest = new AbortController();
+    showStatus('Hledám firmu v ARES...', 'loading');
+
+    try {
+      const data = await api.call('aresSearch', { name: query }, { signal: searchRequest.signal, retries: 1 });
+      const results = Array.isArray(data?.results) ? data.results : [];
+      searchCache.set(query.toLowerCase(), results);
+
+      // The user kept typing - a newer search will follow
+      if (fields.companyName.value.trim() !== query) return;
+      showSuggestions(results);
+    } catch (error) {
+      if (error.type === API_ERROR_TYPES.ABORTED) return;
+      hideSuggestions();
+      showError(api.handleError(error, { default: 'Vyhledávání v ARES se nezdařilo.' }));
+      console.error('ARES Name Search Error:', error);
+    } finally {
+      searchRequest = null;
     }
   }
 
+  /**
+   * Render search results
+   * @param {Object[]} results - Subjects returned by the server
+   */
+  function showSuggestions(results) {
+    suggestions = results;
+    highlightedIndex = -1;
+    suggestionList.replaceChildren();
+
+    if (!results.length) {
+      hideSuggestions();
+      showStatus('V ARES nebyla nalezena žádná firma s tímto názvem. Zkuste zadat IČO.', 'warning');
+      return;
+    }
+
+    results.forEach((subject, index) => {
+      const item = document.createElement('li');
+      item.className = 'ares-suggestion';
+      item.id = `aresSuggestion-${index}`;
+      item.dataset.index = String(index);
+      item.setAttribute('role', 'option');
+
+      const name = document.createElement('strong');
+      name.textContent = subject.company_name;
+
+      const meta = document.createElement('span');
+      meta.className = 'ares-suggestion-meta';
+      meta.textContent = [`IČO ${subject.ico}`, subject.legal_form].filter(Boolean).join(' · ');
+
+      const seat = document.createElement('span');
+      seat.className = 'ares-suggestion-seat';
+      seat.textContent = subject.address || '';
+
+      item.append(name, meta, seat);
+      suggestionList.appendChild(item);
+    });
+
+    suggestionList.hidden = false;
+    fields.companyName.setAttribute('aria-expanded', 'true');
+    showStatus('Vyberte firmu ze seznamu, údaje se doplní automaticky.', 'info');
+  }
+
+  /**
+   * Close the suggestion dropdown
+   */
+  function hideSuggestions() {
+    suggestionList.hidden = true;
+    highlightedIndex = -1;
+    fields.companyName.setAttribute('aria-expanded', 'false');
+    fields.companyName.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Keyboard navigation in the suggestion dropdown
+   * @param {KeyboardEvent} e
+   */
+  function handleSuggestionKeys(e) {
+    if (suggestionList.hidden || !suggestions.length) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      highlightSuggestion((highlightedIndex + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && highlightedIndex >= 0) {
+      e.preventDefault();
+      selectSuggestion(highlightedIndex);
+    } else if (e.key === 'Escape') {
+      hideSuggestions();
+    }
+  }
+
+  /**
+   * Highlight a suggestion
+   * @param {number} index
+   */
+  function highlightSuggestion(index) {
+    highlightedIndex = index;
+    suggestionList.querySelectorAll('.ares-suggestion').forEach((item, i) => {
+      item.classList.toggle('is-highlighted', i === index);
+      item.setAttribute('aria-selected', i === index ? 'true' : 'false');
+    });
+    fields.companyName.setAttribute('aria-activedescendant', `aresSuggestion-${index}`);
+    suggestionList.children[index]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Load the picked subject by its IČO
+   * Search results carry no VAT data, the full lookup verifies the subject
+   * @param {number} index
+   */
+  function selectSuggestion(index) {
+    const subject = suggestions[index];
+    if (!subject) return;
+
+    clearTimeout(searchTimer);
+    hideSuggestions();
+    fields.ico.value = subject.ico;
+    loadAresData();
+  }
+
+  /**
+   * Validate manually entered DIČ
+   * @returns {boolean} True if the field is empty, filled from ARES or valid
+   */
+  function validateDic() {
+    if (!fields.dic || fields.dic.readOnly) return true;
+
+    const value = fields.dic.value.trim();
+    if (!value) {
+      fields.dic.classList.remove('ares-invalid');
+      return true;
+    }
+
+    const result = validation.dic(value);
+    fields.dic.classList.toggle('ares-invalid', !result.valid);
+
+    if (!result.valid) {
+      showError(result.error);
+      return false;
+    }
+
+    fields.dic.value = value.replace(/\s/g, '').toUpperCase();
+    return true;
+  }
+
+  /**
+   * Describe VAT registration of the loaded subject
+   * @param {Object} data - WordPress AJAX response data
+   * @returns {{text: string, type: string}}
+   */
+  function describeVatStatus(data) {
+    if (data.vat_unreliable === true) {
+      return { text: `Pozor: ${data.dic} je nespolehlivý plátce DPH.`, type: 'warning' };
+    }
+    if (data.vat_payer) {
+      return { text: `Plátce DPH (${data.dic}).`, type: 'success' };
+    }
+    return { text: data.dic ? `Neplátce DPH (${data.dic}).` : 'Neplátce DPH.', type: 'success' };
+  }
+
   /**
    * Handle successful ARES API response
    * @param {Object} data - WordPress AJAX response data
    * @param {string} ico - The IČO that was looked up
+   * @param {number} fetchedAt - When the data were fetched from ARES (ms)
    */
-  function handleAresSuccess(data, ico) {
+  function handleAresSuccess(data, ico, fetchedAt = Date.now()) {
     if (data && data.company_name) {
       // Populate company name
       fields.companyName.value = data.company_name;
@@ -143,9 +477,18 @@ export function setupAresForm(formSelector = '.registration-form') {
         fields.address.value = data.address || '';
       }
 
+      // ARES DIČ replaces a manually entered one, otherwise the field stays editable
+      dicFromAres = Boolean(fields.dic && data.dic);
+      if (dicFromAres) {
+        fields.dic.value = data.dic;
+        fields.dic.classList.remove('ares-invalid');
+      }
+
       // Lock fields after successful ARES validation
       lockAresFields();
-      showStatus('Údaje načteny z ARES a ověřeny.', 'success');
+      const vatStatus = describeVatStatus(data);
+      showStatus(`Údaje načteny z ARES a ověřeny. ${vatStatus.text}`, vatStatus.type);
+      showFreshness(fetchedAt);
       lastFetchedIco = ico;
     } else {
       showError('Odpověď ze serveru byla neplatná.');
@@ -158,8 +501,8 @@ export function setupAresForm(formSelector = '.registration-form') {
    * @param {Error} error - Error object
    */
   function handleAresError(error) {
-    // The error message is already user-friendly from the WordPress endpoint
-    const errorMessage = error?.message || 'Došlo k neznámé chybě.';
+    // Server messages are already user-friendly, transport errors are mapped to Czech
+    const errorMessage = api.handleError(error, { default: 'Došlo k neznámé chybě.' });
     showError(errorMessage);
     unlockAresFields();
     console.error('IČO Validation Error:', error);
@@ -181,6 +524,7 @@ export function setupAresForm(formSelector = '.registration-form') {
 
     if (lastFetchedIco && currentIco !== lastFetchedIco && hasCompanyData) {
       showStatus('IČO bylo změněno. Klikněte na "Načíst údaje" pro aktualizaci', 'warning');
+      hideFreshness();
       // Unlock fields when IČO changes after successful fetch
       unlockAresFields();
     } else if (!lastFetchedIco && hasCompanyData && currentIco !== '') {
@@ -224,6 +568,7 @@ export function setupAresForm(formSelector = '.registration-form') {
   function clearStatus() {
     fields.status.textContent = '';
     fields.status.style.color = '';
+    hideFreshness();
   }
 
   /**
@@ -240,9 +585,17 @@ export function setupAresForm(formSelector = '.registration-form') {
     } else if (hasSingleAddress) {
       fields.address.value = '';
     }
+
+    hideFreshness();
+
+    // Keep a manually entered DIČ
+    if (dicFromAres) {
+      fields.dic.value = '';
+    }
     
     // Also unlock fields when clearing
     unlockAresFields();
+    dicFromAres = false;
   }
 
   /**
@@ -258,6 +611,10 @@ export function setupAresForm(formSelector = '.registration-form') {
       fieldsToLock.push(fields.address);
     }
 
+    if (dicFromAres) {
+      fieldsToLock.push(fields.dic);
+    }
+
     fieldsToLock.forEach(field => {
       if (field) {
         field.readOnly = true;
@@ -280,6 +637,10 @@ export function setupAresForm(formSelector = '.registration-form') {
       fieldsToUnlock.push(fields.address);
     }
 
+    if (dicFromAres) {
+      fieldsToUnlock.push(fields.dic);
+    }
+
     fieldsToUnlock.forEach(field => {
       if (field) {
         field.readOnly = false;
@@ -298,6 +659,18 @@ export function setupAresForm(formSelector = '.registration-form') {
       element.removeEventListener(event, handler);
     });
     eventListeners.length = 0;
+    if (activeRequest) {
+      activeRequest.abort();
+      activeRequest = null;
+    }
+    clearTimeout(searchTimer);
+    if (searchRequest) {
+      searchRequest.abort();
+      searchRequest = null;
+    }
+    suggestionList.remove();
+    freshnessNote.remove();
+    searchCache.clear();
     lastFetchedIco = null;
     console.log('ARES Handler cleaned up');
   }
@@ -309,6 +682,7 @@ export function setupAresForm(formSelector = '.registration-form') {
     cleanup,
     isReady: () => true,
     loadAresData,
+    searchByName,
     clearFields,
     showStatus,
     showError,
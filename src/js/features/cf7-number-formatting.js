@@ -83,6 +83,12 @@ class CF7NumberFormatter {
             }
         });
         
+        // Keep display in sync when the value is set programmatically (e.g. draft restore)
+        input.addEventListener('change', () => {
+            const digits = String(input.value).replace(/\D/g, '');
+            displayInput.value = digits ? parseInt(digits).toLocaleString('cs-CZ').replace(/,/g, ' ') : '';
+        });
+
         // Handle validation
         input.addEventListener('invalid', (e) => {
             e.preventDefault();
@@ -0,0 +1,113 @@
+/**
+ * Compression Interceptor Module
+ * Catches files picked or dropped into the upload plugin, compresses them
+ * and re-dispatches them to the plugin as if the user had selected them.
+ */
+
+import { compressImage } from './image-compressor.js';
+
+const REDISPATCH_FLAG = '__mfCompressed';
+
+/**
+ * Setup compression interception for the plugin input and drop zone
+ * @param {HTMLInputElement} fileInput - Plugin file input
+ * @param {HTMLElement} dropZone - Plugin drop zone (.codedropz-upload-handler)
+ * @param {Object} options - Compression options from FILE_UPLOAD_CONFIG.compression
+ * @param {Object} callbacks - { onStart(files), onProgress(index, value), onComplete(results) }
+ * @returns {Object} Interceptor control object
+ */
+export function setupCompressionInterceptor(fileInput, dropZone, options, callbacks = {}) {
+	if (!fileInput || !dropZone || typeof DataTransfer === 'undefined') {
+		console.warn('[CompressionInterceptor] Missing elements or DataTransfer support, compression disabled');
+		return null;
+	}
+
+	const { onStart = () => {}, onProgress = () => {}, onComplete = () => {} } = callbacks;
+	const eventListeners = [];
+	let isProcessing = false;
+
+	/**
+	 * Compress a list of files sequentially (keeps memory usage low on phones)
+	 * @param {File[]} files
+	 * @returns {Promise<Array>}
+	 */
+	async function compressFiles(files) {
+		const results = [];
+		for (let i = 0; i < files.length; i++) {
+			try {
+				results.push(await compressImage(files[i], options, (value) => onProgress(i, value)));
+			} catch (error) {
+				console.warn('[CompressionInterceptor] Compression failed, using original:', files[i].name, error);
+				onProgress(i, 1);
+				results.push({ file: files[i], originalSize: files[i].size, compressedSize: files[i].size, wasCompressed: false });
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Compress files and hand them to the plugin through its input
+	 * @param {FileList|File[]} fileList
+	 */
+	async function processFiles(fileList) {
+		const files = Array.from(fileList || []);
+		if (!files.length) return;
+
+		isProcessing = true;
+		onStart(files);
+
+		const results = await compressFiles(files);
+		const transfer = new DataTransfer();
+		results.forEach(({ file }) => transfer.items.add(file));
+
+		fileInput.files = transfer.files;
+		const changeEvent = new Event('change', { bubbles: true });
+		changeEvent[REDISPATCH_FLAG] = true;
+		fileInput.dispatchEvent(changeEvent);
+
+		isProcessing = false;
+		onComplete(results);
+	}
+
+	// Capture phase on the document runs before the plugin's own input listener
+	const handleChange = (e) => {
+		if (e.target !== fileInput || e[REDISPATCH_FLAG]) return;
+		if (!fileInput.files || !fileInput.files.length) return;
+
+		e.stopImmediatePropagation();
+		processFiles(fileInput.files);
+	};
+
+	const handleDrop = (e) => {
+		const files = e.dataTransfer && e.dataTransfer.files;
+		if (!files || !files.length) return;
+
+		e.preventDefault();
+		e.stopImmediatePropagation();
+		dropZone.classList.remove('drag-over');
+		processFiles(files);
+	};
+
+	document.addEventListener('change', handleChange, true);
+	eventListeners.push({ element: document, event: 'change', handler: handleChange, capture: true });
+
+	dropZone.addEventListener('drop', handleDrop, true);
+	eventListeners.push({ element: dropZone, event: 'drop', handler: handleDrop, capture: true });
+
+	console.log('[CompressionInterceptor] Initialized with options:', options);
+
+	/**
+	 * Remove interception listeners
+	 */
+	function cleanup() {
+		eventListeners.forEach(({ element, event, handler, capture }) => {
+			element.removeEventListener(event, handler, capture);
+		});
+		eventListeners.length = 0;
+	}
+
+	return {
+		cleanup,
+		isProcessing: () => isProcessing
+	};
+}
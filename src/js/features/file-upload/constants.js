@@ -17,6 +17,16 @@ export const FILE_UPLOAD_CONFIG = {
 		dragDrop: "Přetáhněte fotky sem nebo",
 		or: "",
 		browse: "klikněte pro nahrání",
+		compressing: "Zmenšuji fotku",
+	},
+
+	compression: {
+		enabled: true,
+		maxDimension: 2048, // Longest edge in px
+		quality: 0.82,
+		mimeType: "image/jpeg",
+		maxBytesWithoutReencode: 2 * 1024 * 1024, // Upright JPEGs below this are only stripped of EXIF
+		types: ["image/jpeg", "image/png", "image/webp", "image/heic", "image/heif"],
 	},
 
 	animation: {
@@ -0,0 +1,268 @@
+/**
+ * Image Compressor Module
+ * Resizes and re-encodes photos in the browser before they reach the upload plugin.
+ * Honours EXIF orientation and drops all metadata (GPS included).
+ */
+
+const JPEG_SOI = 0xFFD8;
+const JPEG_APP1 = 0xFFE1;
+const JPEG_SOS = 0xFFDA;
+const EXIF_HEADER = 0x45786966; // "Exif"
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Check whether the browser already applies EXIF orientation when decoding images
+ * @returns {boolean}
+ */
+function browserAppliesOrientation() {
+	return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+}
+
+/**
+ * Check if a file is an image type the compressor should handle
+ * @param {File} file
+ * @param {Object} options - Compression options
+ * @returns {boolean}
+ */
+export function isCompressibleImage(file, options) {
+	return Boolean(file && file.type && options.types.includes(file.type.toLowerCase()));
+}
+
+/**
+ * Read EXIF orientation value from a JPEG buffer
+ * @param {ArrayBuffer} buffer
+ * @returns {number} Orientation 1-8 (1 when missing)
+ */
+export function readExifOrientation(buffer) {
+	const view = new DataView(buffer);
+	if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) return 1;
+
+	let offset = 2;
+	while (offset + 4 <= view.byteLength) {
+		const marker = view.getUint16(offset);
+		const length = view.getUint16(offset + 2);
+		if (marker === JPEG_SOS) break;
+
+		if (marker === JPEG_APP1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === EXIF_HEADER) {
+			const tiff = offset + 10;
+			const little = view.getUint16(tiff) === 0x4949;
+			const ifd = tiff + view.getUint32(tiff + 4, little);
+			if (ifd + 2 > view.byteLength) return 1;
+
+			const entries = view.getUint16(ifd, little);
+			for (let i = 0; i < entries; i++) {
+				const entry = ifd + 2 + i * 12;
+				if (entry + 10 > view.byteLength) break;
+				if (view.getUint16(entry, little) === ORIENTATION_TAG) {
+					const value = view.getUint16(entry + 8, little);
+					return value >= 1 && value <= 8 ? value : 1;
+				}
+			}
+			return 1;
+		}
+
+		offset += 2 + length;
+	}
+
+	return 1;
+}
+
+/**
+ * Remove APP1 (EXIF/XMP) segments from a JPEG without re-encoding it
+ * @param {ArrayBuffer} buffer
+ * @returns {Blob|null} Stripped JPEG, or null when the buffer is not a JPEG
+ */
+export function stripJpegMetadata(buffer) {
+	const view = new DataView(buffer);
+	if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) return null;
+
+	const parts = [buffer.slice(0, 2)];
+	let offset = 2;
+
+	while (offset + 4 <= view.byteLength) {
+		const marker = view.getUint16(offset);
+		if (marker === JPEG_SOS) break;
+
+		const end = offset + 2 + view.getUint16(offset + 2);
+		if (marker !== JPEG_APP1) {
+			parts.push(buffer.slice(offset, end));
+		}
+		offset = end;
+	}
+
+	parts.push(buffer.slice(offset));
+	return new Blob(parts, { type: 'image/jpeg' });
+}
+
+/**
+ * Decode an image file into a drawable source
+ * @param {File} file
+ * @returns {Promise<{source: CanvasImageSource, width: number, height: number, release: Function}>}
+ */
+async function decodeImage(file) {
+	if (typeof createImageBitmap === 'function') {
+		try {
+			const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+			return { source: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+		} catch (error) {
+			console.log('[ImageCompressor] createImageBitmap failed, falling back to <img>:', error);
+		}
+	}
+
+	const url = URL.createObjectURL(file);
+	const img = new Image();
+	img.decoding = 'async';
+	img.src = url;
+
+	try {
+		await img.decode();
+	} catch (error) {
+		URL.revokeObjectURL(url);
+		throw error;
+	}
+
+	return { source: img, width: img.naturalWidth, height: img.naturalHeight, release: () => URL.revokeObjectURL(url) };
+}
+
+/**
+ * Draw the source into a canvas scaled to the target size, applying orientation if needed
+ * @param {Object} decoded - Result of decodeImage
+ * @param {number} orientation - EXIF orientation still to be applied (1 = none)
+ * @param {number} maxDimension
+ * @returns {HTMLCanvasElement}
+ */
+function drawToCanvas(decoded, orientation, maxDimension) {
+	const swap = orientation >= 5;
+	const sourceWidth = swap ? decoded.height : decoded.width;
+	const sourceHeight = swap ? decoded.width : decoded.height;
+	const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+	const width = Math.round(sourceWidth * scale);
+	const height = Math.round(sourceHeight * scale);
+
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+	const ctx = canvas.getContext('2d');
+
+	// White background so transparent PNGs do not turn black as JPEG
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(0, 0, width, height);
+
+	const transforms = {
+		2: [-1, 0, 0, 1, width, 0],
+		3: [-1, 0, 0, -1, width, height],
+		4: [1, 0, 0, -1, 0, height],
+		5: [0, 1, 1, 0, 0, 0],
+		6: [0, 1, -1, 0, width, 0],
+		7: [0, -1, -1, 0, width, height],
+		8: [0, -1, 1, 0, 0, height]
+	};
+	if (transforms[orientation]) {
+		ctx.setTransform(...transforms[orientation]);
+	}
+
+	const drawWidth = swap ? height : width;
+	const drawHeight = swap ? width : height;
+	ctx.drawImage(decoded.source, 0, 0, drawWidth, drawHeight);
+
+	return canvas;
+}
+
+/**
+ * Encode canvas to a Blob
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} mimeType
+ * @param {number} quality
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, mimeType, quality) {
+	return new Promise((resolve, reject) => {
+		canvas.toBlob((blob) => {
+			if (blob) {
+				resolve(blob);
+			} else {
+				reject(new Error('Canvas encoding failed'));
+			}
+		}, mimeType, quality);
+	});
+}
+
+/**
+ * Build output filename matching the encoded type
+ * @param {string} name
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function renameForType(name, mimeType) {
+	if (mimeType !== 'image/jpeg' || /\.jpe?g$/i.test(name)) return name;
+	const dot = name.lastIndexOf('.');
+	return `${dot > 0 ? name.substring(0, dot) : name}.jpg`;
+}
+
+/**
+ * Compress a single image file
+ * @param {File} file - Original file
+ * @param {Object} options - Compression options (maxDimension, quality, mimeType, types)
+ * @param {Function} [onProgress] - Called with a 0-1 progress value
+ * @returns {Promise<{file: File, originalSize: number, compressedSize: number, wasCompressed: boolean}>}
+ */
+export async function compressImage(file, options, onProgress = () => {}) {
+	const result = { file, originalSize: file.size, compressedSize: file.size, wasCompressed: false };
+
+	if (!isCompressibleImage(file, options)) {
+		onProgress(1);
+		return result;
+	}
+
+	onProgress(0.1);
+	const buffer = await file.arrayBuffer();
+	const isJpeg = file.type.toLowerCase() === 'image/jpeg';
+	const orientation = isJpeg ? readExifOrientation(buffer) : 1;
+
+	let decoded;
+	try {
+		decoded = await decodeImage(file);
+	} catch (error) {
+		// Formats the browser cannot decode (e.g. HEIC on desktop Chrome) are passed through unchanged
+		console.warn('[ImageCompressor] Unable to decode image, uploading original:', file.name, error);
+		onProgress(1);
+		return result;
+	}
+	onProgress(0.4);
+
+	try {
+		const needsResize = Math.max(decoded.width, decoded.height) > options.maxDimension;
+		const needsRotation = orientation > 1;
+
+		// Small, upright JPEGs are only stripped of metadata to avoid a quality loss
+		if (isJpeg && !needsResize && !needsRotation) {
+			const stripped = stripJpegMetadata(buffer);
+			if (stripped && stripped.size <= options.maxBytesWithoutReencode) {
+				onProgress(1);
+				return {
+					...result,
+					file: new File([stripped], file.name, { type: 'image/jpeg', lastModified: file.lastModified }),
+					compressedSize: stripped.size,
+					wasCompressed: stripped.size < file.size
+				};
+			}
+		}
+
+		const pendingOrientation = browserAppliesOrientation() ? 1 : orientation;
+		const canvas = drawToCanvas(decoded, pendingOrientation, options.maxDimension);
+		onProgress(0.7);
+
+		const blob = await canvasToBlob(canvas, options.mimeType, options.quality);
+		onProgress(1);
+
+		const name = renameForType(file.name, options.mimeType);
+		return {
+			...result,
+			file: new File([blob], name, { type: options.mimeType, lastModified: file.lastModified }),
+			compressedSize: blob.size,
+			wasCompressed: true
+		};
+	} finally {
+		decoded.release();
+	}
+}
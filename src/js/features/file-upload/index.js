@@ -4,8 +4,9 @@
  */
 
 import { FILE_UPLOAD_CONFIG } from "./constants.js";
-import { setupPreviewObserver } from "./preview-manager.js";
+import { setupPreviewObserver, showCompressionProgress, annotateCompression } from "./preview-manager.js";
 import { applyStaggeredAnimation } from "./animation-manager.js";
+import { setupCompressionInterceptor } from "./compression-interceptor.js";
 
 /**
  * Setup enhanced file upload functionality
@@ -40,6 +41,13 @@ export function setupFileUpload(selector = '.codedropz-upload-wrapper', options
 	let isInitialized = false;
 	let observer = null;
 	let previewObserver = null;
+	let compressionInterceptor = null;
+
+	// Before/after sizes keyed by uploaded file name
+	const compressionStats = new Map();
+
+	// Files handed to the plugin, keyed by name (used by the offline outbox)
+	const selectedFiles = new Map();
 
 	// Event listeners for cleanup
 	const eventListeners = [];
@@ -115,6 +123,7 @@ export function setupFileUpload(selector = '.codedropz-upload-wrapper', options
 		enhancePluginUI();
 		setupPreviewManager();
 		setupClickableZone();
+		setupCompression();
 
 		isInitialized = true;
 		console.log("Enhanced File Upload (Plugin UI Mode) initialized successfully");
@@ -203,11 +212,53 @@ export function setupFileUpload(selector = '.codedropz-upload-wrapper', options
 		previewObserver = setupPreviewObserver(originalContainer, (item) => {
 			// Apply animations when item is added
 			applyStaggeredAnimation(item, originalContainer, config);
+
+			const nameSpan = item.querySelector('.name span:first-child');
+			const fileName = nameSpan ? nameSpan.textContent.trim() : null;
+			if (fileName && compressionStats.has(fileName)) {
+				annotateCompression(item, compressionStats.get(fileName));
+			}
 		});
 
 		console.log("[FileUpload] Preview observer initialized");
 	}
 
+	/**
+	 * Setup client-side image compression before files reach the plugin
+	 */
+	function setupCompression() {
+		if (!config.compression || !config.compression.enabled) {
+			const handleChange = () => {
+				Array.from(fileInput.files || []).forEach(file => selectedFiles.set(file.name, file));
+			};
+			fileInput.addEventListener('change', handleChange);
+			eventListeners.push({ element: fileInput, event: 'change', handler: handleChange });
+			return;
+		}
+
+		let progress = null;
+
+		compressionInterceptor = setupCompressionInterceptor(fileInput, pluginDropZoneHandler, config.compression, {
+			onStart: (files) => {
+				progress = showCompressionProgress(originalContainer, files, config.texts);
+			},
+			onProgress: (index, value) => {
+				if (progress) progress.update(index, value);
+			},
+			onComplete: (results) => {
+				if (progress) {
+					progress.remove();
+					progress = null;
+				}
+				results.forEach(({ file, originalSize, compressedSize, wasCompressed }) => {
+					compressionStats.set(file.name, { originalSize, compressedSize, wasCompressed });
+					selectedFiles.set(file.name, file);
+				});
+				console.log("[FileUpload] Compression finished:", results.map(r => `${r.file.name}: ${r.originalSize} -> ${r.compressedSize}`));
+			}
+		});
+	}
+
 	/**
 	 * Setup clickable zone functionality
 	 */
@@ -259,11 +310,28 @@ export function setupFileUpload(selector = '.codedropz-upload-wrapper', options
 		console.log("[FileUpload] Clickable zone setup completed");
 	}
 
+	/**
+	 * Get selected files that still have a preview item (i.e. were not removed)
+	 * @returns {File[]}
+	 */
+	function getPendingFiles() {
+		if (!originalContainer) return [];
+
+		const visibleNames = Array.from(originalContainer.querySelectorAll('.dnd-upload-status .name span:first-child'))
+			.map(span => span.textContent.trim());
+
+		return visibleNames
+			.filter(name => selectedFiles.has(name))
+			.map(name => selectedFiles.get(name));
+	}
+
 	/**
 	 * Handle WPCF7 form submission success
 	 */
 	function onFormSuccess() {
 		// Plugin handles its own reset on form success
+		selectedFiles.clear();
+		compressionStats.clear();
 		console.log("[FileUpload] onFormSuccess - relying on plugin for reset.");
 	}
 
@@ -277,6 +345,13 @@ export function setupFileUpload(selector = '.codedropz-upload-wrapper', options
 		});
 		eventListeners.length = 0;
 
+		if (compressionInterceptor) {
+			compressionInterceptor.cleanup();
+			compressionInterceptor = null;
+		}
+		compressionStats.clear();
+		selectedFiles.clear();
+
 		// Cleanup preview observer
 		if (previewObserver) {
 			previewObserver.stopObserving();
@@ -301,6 +376,7 @@ export function setupFileUpload(selector = '.codedropz-upload-wrapper', options
 		cleanup,
 		isReady: () => isInitialized,
 		onFormSuccess,
+		getPendingFiles,
 		enhancePluginUI,
 		createFileIcon,
 		getContainer: () => originalContainer,
@@ -5,6 +5,7 @@
 
 import { attemptRemoval, findRemoveButton } from './removal-handler.js';
 import { enhanceThumbnail } from './thumbnail-handler.js';
+import { validation } from '../../utils/validation.js';
 
 /**
  * Setup preview observer for a container
@@ -124,3 +125,64 @@ export function setupPreviewObserver(container, onItemAdded) {
 		isObserving: () => observer !== null
 	};
 }
+
+/**
+ * Render per-file compression progress above the plugin previews
+ * @param {HTMLElement} container - Plugin wrapper
+ * @param {File[]} files - Files being compressed
+ * @param {Object} texts - Text configuration
+ * @returns {Object} Progress control object
+ */
+export function showCompressionProgress(container, files, texts) {
+	const list = document.createElement('div');
+	list.className = 'file-compression-progress';
+	list.setAttribute('role', 'status');
+	list.setAttribute('aria-live', 'polite');
+
+	const bars = files.map((file) => {
+		const row = document.createElement('div');
+		row.className = 'file-compression-row';
+
+		const label = document.createElement('span');
+		label.className = 'file-compression-name';
+		label.textContent = `${texts.compressing} ${file.name}`;
+
+		const track = document.createElement('span');
+		track.className = 'file-compression-track';
+		const bar = document.createElement('span');
+		bar.className = 'file-compression-bar';
+		track.appendChild(bar);
+
+		row.append(label, track);
+		list.appendChild(row);
+		return bar;
+	});
+
+	container.appendChild(list);
+
+	return {
+		update(index, value) {
+			if (bars[index]) {
+				bars[index].style.width = `${Math.round(value * 100)}%`;
+			}
+		},
+		remove() {
+			list.remove();
+		}
+	};
+}
+
+/**
+ * Show before/after size on a plugin preview item
+ * @param {HTMLElement} item - Preview item (.dnd-upload-status)
+ * @param {Object} stats - { originalSize, compressedSize, wasCompressed }
+ */
+export function annotateCompression(item, stats) {
+	if (!item || !stats || !stats.wasCompressed || item.querySelector('.file-compression-info')) return;
+
+	const details = item.querySelector('.dnd-upload-details') || item;
+	const info = document.createElement('span');
+	info.className = 'file-compression-info';
+	info.textContent = `${validation.formatFileSize(stats.originalSize)} → ${validation.formatFileSize(stats.compressedSize)}`;
+	details.appendChild(info);
+}
@@ -0,0 +1,59 @@
+/**
+ * Draft Storage
+ * localStorage persistence for form drafts, keyed per user and form
+ */
+
+const KEY_PREFIX = 'mf_form_draft';
+
+/**
+ * Build storage key for a user/form pair
+ * @param {string|number} userId
+ * @param {string} formId
+ * @returns {string}
+ */
+function buildKey(userId, formId) {
+  return `${KEY_PREFIX}_${userId}_${formId}`;
+}
+
+export const draftStorage = {
+  /**
+   * @param {string|number} userId
+   * @param {string} formId
+   * @returns {Object|null} Stored draft
+   */
+  load(userId, formId) {
+    try {
+      const raw = window.localStorage.getItem(buildKey(userId, formId));
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn('[FormDraft] Unable to read draft:', error);
+      return null;
+    }
+  },
+
+  /**
+   * @param {string|number} userId
+   * @param {string} formId
+   * @param {Object} draft
+   */
+  save(userId, formId, draft) {
+    try {
+      window.localStorage.setItem(buildKey(userId, formId), JSON.stringify(draft));
+    } catch (error) {
+      // Quota exceeded or storage disabled (private mode) - autosave is best effort
+      console.warn('[FormDraft] Unable to save draft:', error);
+    }
+  },
+
+  /**
+   * @param {string|number} userId
+   * @param {string} formId
+   */
+  clear(userId, formId) {
+    try {
+      window.localStorage.removeItem(buildKey(userId, formId));
+    } catch (error) {
+      console.warn('[FormDraft] Unable to clear draft:', error);
+    }
+  }
+};
@@ -0,0 +1,362 @@
+/**
+ * Form Draft Autosave Module
+ *
+ * Autosaves realizace/faktura CF7 forms to localStorage (per user and form):
+ * plain field values, Alpine construction/material selections and references
+ * to photos already uploaded by the drag & drop plugin. On the next visit
+ * the user is offered "Obnovit rozpracovaný záznam".
+ */
+
+import { draftStorage } from './draft-storage.js';
+import { findSubmissionForms, getCf7FormId } from '../../utils/cf7-forms.js';
+
+const DRAFT_CONFIG = {
+  saveDelay: 800,
+  // Drag & drop plugin removes temporary uploads after a while; older references are not restored
+  fileReferenceTtl: 60 * 60 * 1000,
+  selectors: {
+    constructionTypes: '.realizace-construction-types-select',
+    materials: '.realizace-materials-select',
+    fileInput: 'input[type="file"][data-name]'
+  },
+  // Technical fields that must never be restored
+  ignoredFields: /^(_wpcf7|_wpnonce|mf_submission_id|g-recaptcha)/,
+  texts: {
+    found: 'Máte rozpracovaný záznam z',
+    restore: 'Obnovit rozpracovaný záznam',
+    discard: 'Zahodit',
+    filesExpired: 'Tyto fotky je potřeba nahrát znovu:'
+  }
+};
+
+/**
+ * Read the current value of a select as stored by Alpine (array for multiple)
+ * @param {HTMLSelectElement|null} select
+ * @returns {string|string[]|null}
+ */
+function readSelectValue(select) {
+  if (!select) return null;
+  if (select.multiple) {
+    return Array.from(select.selectedOptions).map(option => option.value).filter(Boolean);
+  }
+  return select.value || null;
+}
+
+/**
+ * Check whether a draft contains anything worth restoring
+ * @param {Object} draft
+ * @returns {boolean}
+ */
+function hasContent(draft) {
+  const hasFields = Object.values(draft.fields || {}).some(value => Array.isArray(value) ? value.length : value !== '');
+  const alpine = draft.alpine || {};
+  const hasSelections = [alpine.constructionTypes, alpine.materials].some(value => Array.isArray(value) ? value.length : Boolean(value));
+  return hasFields || hasSelections || (draft.files || []).length > 0;
+}
+
+/**
+ * Setup draft autosave for submission forms
+ * @param {Object} options - Configuration options
+ * @returns {Object} Handler object with methods
+ */
+export function setupFormDraft(options = {}) {
+  const config = { ...DRAFT_CONFIG, ...options };
+  const userId = (window.mistrFachman && window.mistrFachman.currentUserId) || 0;
+
+  let isInitialized = false;
+  let forms = [];
+  const saveTimers = new Map();
+  const pausedForms = new Set();
+  const eventListeners = [];
+
+  /**
+   * Initialize autosave
+   */
+  function init() {
+    if (!userId || !('localStorage' in window)) return;
+
+    // Forms marked data-no-draft edit an existing post (my-realizace editor)
+    forms = findSubmissionForms().filter(form => !form.closest('[data-no-draft]'));
+    if (!forms.length) return;
+
+    forms.forEach((form) => {
+      bindForm(form);
+      offerRestore(form);
+    });
+
+    const handleReset = (e) => forms
+      .filter(form => !e.detail?.form || e.detail.form === form)
+      .forEach(clearDraft);
+    window.addEventListener('reset-realizace-form', handleReset);
+    eventListeners.push({ element: window, event: 'reset-realizace-form', handler: handleReset });
+
+    const handleMailSent = (e) => {
+      if (forms.includes(e.target)) clearDraft(e.target);
+    };
+    document.addEventListener('wpcf7mailsent', handleMailSent);
+    eventListeners.push({ element: document, event: 'wpcf7mailsent', handler: handleMailSent });
+
+    // Flush pending saves when the page is being hidden or closed
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') forms.forEach(saveNow);
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    eventListeners.push({ element: document, event: 'visibilitychange', handler: handleVisibility });
+
+    isInitialized = true;
+    console.log(`[FormDraft] Autosave initialized for ${forms.length} form(s)`);
+  }
+
+  /**
+   * Bind autosave listeners to a form
+   * @param {HTMLFormElement} form
+   */
+  function bindForm(form) {
+    const handleChange = () => scheduleSave(form);
+    ['input', 'change'].forEach((event) => {
+      form.addEventListener(event, handleChange);
+      eventListeners.push({ element: form, event, handler: handleChange });
+    });
+
+    // Plugin adds/removes upload previews without firing form events
+    const wrapper = form.querySelector('.codedropz-upload-wrapper');
+    if (wrapper) {
+      const observer = new MutationObserver(() => scheduleSave(form));
+      observer.observe(wrapper, { childList: true, subtree: true });
+      eventListeners.push({ observer });
+    }
+  }
+
+  /**
+   * Debounce saving a form
+   * @param {HTMLFormElement} form
+   */
+  function scheduleSave(form) {
+    if (pausedForms.has(form)) return;
+    clearTimeout(saveTimers.get(form));
+    saveTimers.set(form, setTimeout(() => saveNow(form), config.saveDelay));
+  }
+
+  /**
+   * Collect the current form state
+   * @param {HTMLFormElement} form
+   * @returns {Object} Draft
+   */
+  function collectDraft(form) {
+    const fileInput = form.querySelector(config.selectors.fileInput);
+    const fileField = fileInput ? `${fileInput.dataset.name}[]` : null;
+    const fields = {};
+
+    Array.from(form.elements).forEach((element) => {
+      const { name, type } = element;
+      if (!name || type === 'file' || type === 'submit' || type === 'button') return;
+      if (config.ignoredFields.test(name) || name === fileField || element.hasAttribute('x-model')) return;
+
+      if (type === 'checkbox' || type === 'radio') {
+        if (!(name in fields)) fields[name] = [];
+        if (element.checked) fields[name].push(element.value);
+      } else if (element.tagName === 'SELECT' && element.multiple) {
+        fields[name] = readSelectValue(element);
+      } else {
+        fields[name] = element.value;
+      }
+    });
+
+    const files = fileField
+      ? Array.from(form.querySelectorAll(`input[type="hidden"][name="${fileField}"]`)).map((input) => {
+          const item = input.closest('.dnd-upload-status');
+          const nameSpan = item ? item.querySelector('.name span:first-child') : null;
+          return { value: input.value, name: nameSpan ? nameSpan.textContent.trim() : input.value.split('/').pop() };
+        })
+      : [];
+
+    return {
+      savedAt: Date.now(),
+      fields,
+      alpine: {
+        constructionTypes: readSelectValue(form.querySelector(config.selectors.constructionTypes)),
+        materials: readSelectValue(form.querySelector(config.selectors.materials))
+      },
+      fileField,
+      files
+    };
+  }
+
+  /**
+   * Save a form immediately
+   * @param {HTMLFormElement} form
+   */
+  function saveNow(form) {
+    clearTimeout(saveTimers.get(form));
+    saveTimers.delete(form);
+    if (pausedForms.has(form)) return;
+
+    const draft = collectDraft(form);
+    const formId = getCf7FormId(form);
+
+    if (hasContent(draft)) {
+      draftStorage.save(userId, formId, draft);
+    } else {
+      draftStorage.clear(userId, formId);
+    }
+  }
+
+  /**
+   * Remove stored draft for a form
+   * @param {HTMLFormElement} form
+   */
+  function clearDraft(form) {
+    clearTimeout(saveTimers.get(form));
+    saveTimers.delete(form);
+    draftStorage.clear(userId, getCf7FormId(form));
+    removeBanner(form);
+  }
+
+  /**
+   * Show the restore banner when a draft exists
+   * @param {HTMLFormElement} form
+   */
+  function offerRestore(form) {
+    const draft = draftStorage.load(userId, getCf7FormId(form));
+    if (!draft || !hasContent(draft)) return;
+
+    // Do not overwrite the stored draft until the user decides
+    pausedForms.add(form);
+
+    const banner = document.createElement('div');
+    banner.className = 'form-draft-banner';
+    banner.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = `${config.texts.found} ${new Date(draft.savedAt).toLocaleString('cs-CZ')}.`;
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'form-draft-restore';
+    restoreButton.textContent = config.texts.restore;
+    restoreButton.addEventListener('click', () => {
+      restoreDraft(form, draft);
+      removeBanner(form);
+    });
+
+    const discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.className = 'form-draft-discard';
+    discardButton.textContent = config.texts.discard;
+    discardButton.addEventListener('click', () => {
+      clearDraft(form);
+    });
+
+    banner.append(text, restoreButton, discardButton);
+    form.prepend(banner);
+  }
+
+  /**
+   * Remove restore banner and resume autosave
+   * @param {HTMLFormElement} form
+   */
+  function removeBanner(form) {
+    const banner = form.querySelector('.form-draft-banner');
+    if (banner) banner.remove();
+    pausedForms.delete(form);
+  }
+
+  /**
+   * Apply a draft to the form
+   * @param {HTMLFormElement} form
+   * @param {Object} draft
+   */
+  function restoreDraft(form, draft) {
+    Object.entries(draft.fields || {}).forEach(([name, value]) => {
+      const elements = Array.from(form.elements).filter(element => element.name === name);
+      elements.forEach((element) => {
+        if (element.type === 'checkbox' || element.type === 'radio') {
+          element.checked = Array.isArray(value) && value.includes(element.value);
+        } else if (element.tagName === 'SELECT' && element.multiple) {
+          Array.from(element.options).forEach((option) => {
+            option.selected = Array.isArray(value) && value.includes(option.value);
+          });
+        } else {
+          element.value = value;
+        }
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+    });
+
+    // Alpine components own the construction/material selects
+    window.dispatchEvent(new CustomEvent('restore-realizace-draft', { detail: { ...draft.alpine, form } }));
+
+    restoreFiles(form, draft);
+    console.log('[FormDraft] Draft restored for form', getCf7FormId(form));
+  }
+
+  /**
+   * Re-create upload previews for photos that are still on the server
+   * @param {HTMLFormElement} form
+   * @param {Object} draft
+   */
+  function restoreFiles(form, draft) {
+    const files = draft.files || [];
+    const wrapper = form.querySelector('.codedropz-upload-wrapper');
+    if (!files.length || !wrapper || !draft.fileField) return;
+
+    if (Date.now() - draft.savedAt > config.fileReferenceTtl) {
+      const output = form.querySelector('.wpcf7-response-output');
+      if (output) {
+        output.textContent = `${config.texts.filesExpired} ${files.map(file => file.name).join(', ')}`;
+      }
+      return;
+    }
+
+    files.forEach((file) => {
+      const item = document.createElement('div');
+      item.className = 'dnd-upload-status file-restored';
+      item.innerHTML = `
+        <div class="dnd-upload-image"><span class="file"></span></div>
+        <div class="dnd-upload-details">
+          <span class="name"><span></span></span>
+          <a href="#" class="remove-file" title="Odebrat"><span class="dnd-icon-remove"></span></a>
+        </div>`;
+      item.querySelector('.name span').textContent = file.name;
+
+      const hidden = document.createElement('input');
+      hidden.type = 'hidden';
+      hidden.name = draft.fileField;
+      hidden.value = file.value;
+      item.appendChild(hidden);
+
+      item.querySelector('.remove-file').addEventListener('click', (e) => {
+        e.preventDefault();
+        item.remove();
+      });
+
+      wrapper.appendChild(item);
+    });
+  }
+
+  /**
+   * Clean up listeners and timers
+   */
+  function cleanup() {
+    saveTimers.forEach(timer => clearTimeout(timer));
+    saveTimers.clear();
+    eventListeners.forEach(({ element, event, handler, observer }) => {
+      if (observer) {
+        observer.disconnect();
+      } else {
+        element.removeEventListener(event, handler);
+      }
+    });
+    eventListeners.length = 0;
+    isInitialized = false;
+  }
+
+  init();
+
+  return {
+    cleanup,
+    isReady: () => isInitialized,
+    saveNow: () => forms.forEach(saveNow),
+    clearDrafts: () => forms.forEach(clearDraft)
+  };
+}
@@ -0,0 +1,516 @@
+/**
+ * Gallery Lightbox Module
+ *
+ * Accessible image lightbox shared by admin cards and frontend shortcodes.
+ * Galleries are marked with `data-lightbox-gallery` holding a JSON list of
+ * items prepared by GalleryDataService (src, original, thumb, width, height,
+ * filesize, taken_at); triggers inside carry `data-lightbox-id` or `data-lightbox-index`.
+ *
+ * Features: previous/next, zoom and pan, rotate, download original,
+ * image metadata, swipe on touch devices and focus trapping.
+ */
+
+import { validation } from '../../utils/validation.js';
+
+const LIGHTBOX_CONFIG = {
+  gallerySelector: '[data-lightbox-gallery]',
+  triggerSelector: '[data-lightbox-id], [data-lightbox-index]',
+  minZoom: 1,
+  maxZoom: 4,
+  zoomStep: 0.5,
+  swipeThreshold: 50,
+  // Attach document-level click delegation (admin scopes clicks itself)
+  delegate: true,
+  texts: {
+    dialog: 'Galerie',
+    close: 'Zavřít',
+    prev: 'Předchozí fotka',
+    next: 'Další fotka',
+    zoomIn: 'Přiblížit',
+    zoomOut: 'Oddálit',
+    rotate: 'Otočit',
+    download: 'Stáhnout originál',
+    takenAt: 'Pořízeno',
+    loadError: 'Obrázek se nepodařilo načíst.'
+  }
+};
+
+const FOCUSABLE = 'button:not([disabled]), a[href], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Format EXIF capture date for display
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function formatDate(isoDate) {
+  if (!isoDate) return '';
+  const date = new Date(isoDate);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString('cs-CZ');
+}
+
+/**
+ * Read lightbox items from a gallery element
+ * @param {HTMLElement} gallery
+ * @returns {Object[]}
+ */
+function parseGallery(gallery) {
+  try {
+    const items = JSON.parse(gallery.dataset.lightboxGallery || '[]');
+    return Array.isArray(items) ? items.filter(item => item && item.src) : [];
+  } catch (error) {
+    console.warn('[Lightbox] Invalid gallery data:', error);
+    return [];
+  }
+}
+
+/**
+ * Setup gallery lightbox
+ * @param {Object} options - Configuration options
+ * @returns {Object} Handler object with methods
+ */
+export function setupLightbox(options = {}) {
+  const config = { ...LIGHTBOX_CONFIG, ...options, texts: { ...LIGHTBOX_CONFIG.texts, ...(options.texts || {}) } };
+
+  let isInitialized = false;
+  let dialog = null;
+  let elements = {};
+  let opener = null;
+  const eventListeners = [];
+  const state = {
+    items: [],
+    index: 0,
+    zoom: 1,
+    rotation: 0,
+    panX: 0,
+    panY: 0
+  };
+  const pointer = {
+    id: null,
+    startX: 0,
+    startY: 0,
+    originPanX: 0,
+    originPanY: 0,
+    moved: false
+  };
+
+  /**
+   * Initialize lightbox
+   */
+  function init() {
+    if (config.delegate) {
+      const handleClick = (e) => {
+        if (openFromElement(e.target)) {
+          e.preventDefault();
+        }
+      };
+      document.addEventListener('click', handleClick);
+      eventListeners.push({ element: document, event: 'click', handler: handleClick });
+    }
+
+    isInitialized = true;
+  }
+
+  /**
+   * Open lightbox for a clicked element inside a gallery
+   * @param {HTMLElement} target - Clicked element
+   * @returns {boolean} True when the lightbox was opened
+   */
+  function openFromElement(target) {
+    const trigger = target && target.closest ? target.closest(config.triggerSelector) : null;
+    const gallery = trigger ? trigger.closest(config.gallerySelector) : null;
+    if (!gallery) return false;
+
+    const items = parseGallery(gallery);
+    if (!items.length) return false;
+
+    let index = 0;
+    if (trigger.dataset.lightboxId) {
+      index = Math.max(0, items.findIndex(item => String(item.id) === trigger.dataset.lightboxId));
+    } else if (trigger.dataset.lightboxIndex) {
+      index = parseInt(trigger.dataset.lightboxIndex, 10) || 0;
+    }
+
+    open(items, index, trigger);
+    return true;
+  }
+
+  /**
+   * Open lightbox for all images of a gallery element
+   * @param {HTMLElement} gallery - Element with data-lightbox-gallery
+   * @param {number} index - Start index
+   * @returns {boolean} True when the lightbox was opened
+   */
+  function openGallery(gallery, index = 0) {
+    const items = gallery ? parseGallery(gallery) : [];
+    if (!items.length) return false;
+
+    open(items, index, document.activeElement);
+    return true;
+  }
+
+  /**
+   * Open lightbox with given items
+   * @param {Object[]} items - Lightbox items
+   * @param {number} index - Start index
+   * @param {HTMLElement|null} returnFocus - Element focused after close
+   */
+  function open(items, index = 0, returnFocus = null) {
+    if (!items.length) return;
+
+    if (!dialog) {
+      buildDialog();
+    }
+
+    state.items = items;
+    opener = returnFocus;
+
+    dialog.hidden = false;
+    dialog.classList.add('is-open');
+    document.body.classList.add('gallery-lightbox-open');
+
+    // Capture phase on window so page shortcuts (e.g. admin review mode) never see keys while open
+    window.addEventListener('keydown', handleKeydown, true);
+
+    show(Math.min(Math.max(index, 0), items.length - 1));
+    elements.close.focus();
+  }
+
+  /**
+   * Close lightbox and restore focus
+   */
+  function close() {
+    if (!dialog || dialog.hidden) return;
+
+    window.removeEventListener('keydown', handleKeydown, true);
+
+    dialog.hidden = true;
+    dialog.classList.remove('is-open');
+    document.body.classList.remove('gallery-lightbox-open');
+    elements.image.removeAttribute('src');
+
+    if (opener && opener.isConnected && typeof opener.focus === 'function') {
+      opener.focus();
+    }
+    opener = null;
+  }
+
+  /**
+   * Build dialog markup once and bind its controls
+   */
+  function buildDialog() {
+    const { texts } = config;
+
+    dialog = document.createElement('div');
+    dialog.className = 'gallery-lightbox';
+    dialog.hidden = true;
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', texts.dialog);
+    dialog.innerHTML = `
+      <div class="gallery-lightbox-toolbar">
+        <span class="gallery-lightbox-counter" aria-live="polite"></span>
+        <button type="button" class="gallery-lightbox-button" data-lightbox-action="zoom-out" aria-label="${texts.zoomOut}" title="${texts.zoomOut}">−</button>
+        <button type="button" class="gallery-lightbox-button" data-lightbox-action="zoom-in" aria-label="${texts.zoomIn}" title="${texts.zoomIn}">+</button>
+        <button type="button" class="gallery-lightbox-button" data-lightbox-action="rotate" aria-label="${texts.rotate}" title="${texts.rotate}">⟳</button>
+        <a class="gallery-lightbox-button gallery-lightbox-download" download aria-label="${texts.download}" title="${texts.download}">⤓</a>
+        <button type="button" class="gallery-lightbox-button" data-lightbox-action="close" aria-label="${texts.close}" title="${texts.close}">×</button>
+      </div>
+      <button type="button" class="gallery-lightbox-nav gallery-lightbox-prev" data-lightbox-action="prev" aria-label="${texts.prev}">‹</button>
+      <div class="gallery-lightbox-stage">
+        <img class="gallery-lightbox-image" alt="" draggable="false">
+        <p class="gallery-lightbox-error" hidden>${texts.loadError}</p>
+      </div>
+      <button type="button" class="gallery-lightbox-nav gallery-lightbox-next" data-lightbox-action="next" aria-label="${texts.next}">›</button>
+      <div class="gallery-lightbox-meta"></div>`;
+
+    elements = {
+      counter: dialog.querySelector('.gallery-lightbox-counter'),
+      close: dialog.querySelector('[data-lightbox-action="close"]'),
+      prev: dialog.querySelector('.gallery-lightbox-prev'),
+      next: dialog.querySelector('.gallery-lightbox-next'),
+      download: dialog.querySelector('.gallery-lightbox-download'),
+      stage: dialog.querySelector('.gallery-lightbox-stage'),
+      image: dialog.querySelector('.gallery-lightbox-image'),
+      error: dialog.querySelector('.gallery-lightbox-error'),
+      meta: dialog.querySelector('.gallery-lightbox-meta')
+    };
+
+    const actions = {
+      close,
+      prev: () => show(state.index - 1),
+      next: () => show(state.index + 1),
+      'zoom-in': () => setZoom(state.zoom + config.zoomStep),
+      'zoom-out': () => setZoom(state.zoom - config.zoomStep),
+      rotate: () => {
+        state.rotation = (state.rotation + 90) % 360;
+        applyTransform();
+      }
+    };
+
+    dialog.addEventListener('click', (e) => {
+      const actionButton = e.target.closest('[data-lightbox-action]');
+      if (actionButton) {
+        actions[actionButton.dataset.lightboxAction]();
+        return;
+      }
+      // Click on the dark backdrop closes
+      if ((e.target === dialog || e.target === elements.stage) && !pointer.moved && state.zoom === config.minZoom) {
+        close();
+      }
+    });
+
+    elements.image.addEventListener('load', () => {
+      elements.error.hidden = true;
+      renderMeta();
+    });
+    elements.image.addEventListener('error', () => {
+      elements.error.hidden = false;
+    });
+    elements.image.addEventListener('dblclick', () => {
+      setZoom(state.zoom > config.minZoom ? config.minZoom : 2);
+    });
+
+    elements.stage.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      setZoom(state.zoom + (e.deltaY < 0 ? config.zoomStep : -config.zoomStep));
+    }, { passive: false });
+
+    elements.stage.addEventListener('pointerdown', handlePointerDown);
+    elements.stage.addEventListener('pointermove', handlePointerMove);
+    elements.stage.addEventListener('pointerup', handlePointerUp);
+    elements.stage.addEventListener('pointercancel', handlePointerUp);
+
+    document.body.appendChild(dialog);
+  }
+
+  /**
+   * Show item at index (wraps around)
+   * @param {number} index
+   */
+  function show(index) {
+    const count = state.items.length;
+    state.index = ((index % count) + count) % count;
+    state.zoom = config.minZoom;
+    state.rotation = 0;
+    state.panX = 0;
+    state.panY = 0;
+
+    const item = state.items[state.index];
+    elements.image.src = item.src;
+    elements.image.alt = item.alt || item.title || '';
+    applyTransform();
+
+    elements.counter.textContent = `${state.index + 1} / ${count}`;
+    const original = item.original || item.src;
+    elements.download.href = original;
+    elements.download.setAttribute('download', original.split('/').pop().split('?')[0]);
+
+    const single = count < 2;
+    elements.prev.hidden = single;
+    elements.next.hidden = single;
+
+    renderMeta();
+    preload(state.index + 1);
+    preload(state.index - 1);
+  }
+
+  /**
+   * Preload neighbouring image
+   * @param {number} index
+   */
+  function preload(index) {
+    const count = state.items.length;
+    if (count < 2) return;
+    const item = state.items[((index % count) + count) % count];
+    const image = new Image();
+    image.src = item.src;
+  }
+
+  /**
+   * Render metadata line: title, dimensions, file size, EXIF date
+   */
+  function renderMeta() {
+    const item = state.items[state.index];
+    if (!item) return;
+
+    const width = item.width || elements.image.naturalWidth;
+    const height = item.height || elements.image.naturalHeight;
+    const takenAt = formatDate(item.taken_at);
+
+    const parts = [
+      item.title,
+      width && height ? `${width} × ${height} px` : '',
+      item.filesize ? validation.formatFileSize(item.filesize) : '',
+      takenAt ? `${config.texts.takenAt} ${takenAt}` : ''
+    ].filter(Boolean);
+
+    elements.meta.textContent = parts.join(' · ');
+  }
+
+  /**
+   * Set zoom level (clamped), reset pan when zoomed out
+   * @param {number} zoom
+   */
+  function setZoom(zoom) {
+    state.zoom = Math.min(Math.max(zoom, config.minZoom), config.maxZoom);
+    if (state.zoom === config.minZoom) {
+      state.panX = 0;
+      state.panY = 0;
+    }
+    applyTransform();
+  }
+
+  /**
+   * Apply zoom/pan/rotation to the image
+   */
+  function applyTransform() {
+    elements.image.style.transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom}) rotate(${state.rotation}deg)`;
+    dialog.classList.toggle('is-zoomed', state.zoom > config.minZoom);
+  }
+
+  /**
+   * Start pan (zoomed) or swipe (not zoomed)
+   * @param {PointerEvent} e
+   */
+  function handlePointerDown(e) {
+    if (e.button !== 0 || pointer.id !== null) return;
+
+    pointer.id = e.pointerId;
+    pointer.startX = e.clientX;
+    pointer.startY = e.clientY;
+    pointer.originPanX = state.panX;
+    pointer.originPanY = state.panY;
+    pointer.moved = false;
+
+    // Capture only for panning - captured pointers retarget the following click to the stage
+    if (state.zoom > config.minZoom) {
+      elements.stage.setPointerCapture(e.pointerId);
+    }
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  function handlePointerMove(e) {
+    if (e.pointerId !== pointer.id) return;
+
+    const dx = e.clientX - pointer.startX;
+    const dy = e.clientY - pointer.startY;
+    if (Math.abs(dx) > 3 || Math.abs(dy) > 3) {
+      pointer.moved = true;
+    }
+
+    if (state.zoom > config.minZoom) {
+      state.panX = pointer.originPanX + dx;
+      state.panY = pointer.originPanY + dy;
+      applyTransform();
+    }
+  }
+
+  /**
+   * Finish pan or evaluate swipe gesture
+   * @param {PointerEvent} e
+   */
+  function handlePointerUp(e) {
+    if (e.pointerId !== pointer.id) return;
+
+    const dx = e.clientX - pointer.startX;
+    const dy = e.clientY - pointer.startY;
+    pointer.id = null;
+
+    if (state.zoom === config.minZoom && Math.abs(dx) > config.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+      show(dx < 0 ? state.index + 1 : state.index - 1);
+    }
+
+    // Let the click that follows a drag know it should not close the dialog
+    setTimeout(() => {
+      pointer.moved = false;
+    }, 0);
+  }
+
+  /**
+   * Keyboard handling and focus trap while open
+   * @param {KeyboardEvent} e
+   */
+  function handleKeydown(e) {
+    e.stopPropagation();
+
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        close();
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        show(state.index + 1);
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        show(state.index - 1);
+        break;
+      case '+':
+      case '=':
+        e.preventDefault();
+        setZoom(state.zoom + config.zoomStep);
+        break;
+      case '-':
+        e.preventDefault();
+        setZoom(state.zoom - config.zoomStep);
+        break;
+      case 'Tab':
+        trapFocus(e);
+        break;
+    }
+  }
+
+  /**
+   * Keep Tab focus inside the dialog
+   * @param {KeyboardEvent} e
+   */
+  function trapFocus(e) {
+    const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE)).filter(element => !element.hidden);
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!dialog.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Clean up listeners and dialog
+   */
+  function cleanup() {
+    close();
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+    if (dialog) {
+      dialog.remove();
+      dialog = null;
+    }
+    isInitialized = false;
+  }
+
+  init();
+
+  return {
+    cleanup,
+    isReady: () => isInitialized,
+    isOpen: () => Boolean(dialog && !dialog.hidden),
+    open,
+    openGallery,
+    openFromElement,
+    close
+  };
+}
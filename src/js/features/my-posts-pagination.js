@@ -1,44 +1,306 @@
 /**
  * Unified pagination handler for my-posts shortcodes
  * Handles both my-realizace and my-faktury shortcodes with numbered pagination
+ * and the filter form (status tabs, date range, search, sort). Filters and the
+ * page are kept in the URL query (realizace_status, faktury_page, ...) so a view
+ * can be bookmarked and the back button returns to the previous one. Visited
+ * pages are cached in memory and the next page is prefetched on hover.
+ *
+ * Container events: 'my-posts-before-render' is dispatched before the posts
+ * are replaced; dispatching 'my-posts-changed' (e.g. after a resubmission)
+ * drops the cache and reloads the current page.
  */
 
+import { api } from '../utils/api.js';
+
+const FILTER_KEYS = ['status', 'from', 'to', 'search', 'sort'];
+const DEFAULT_FILTERS = { status: '', from: '', to: '', search: '', sort: 'date_desc' };
+const SEARCH_DELAY = 400;
+// Pages (per filter combination) kept in memory
+const PAGE_CACHE_LIMIT = 30;
+
 export function setupMyPostsPagination() {
     // Handle both realizace and faktury shortcodes
     const shortcodeTypes = ['my-realizace', 'my-faktury'];
+    const handlers = [];
 
     shortcodeTypes.forEach(shortcodeType => {
         const containers = document.querySelectorAll(`.${shortcodeType}-shortcode`);
 
-        containers.forEach(container => {	
-            const paginationEnabled = container.dataset.enablePagination === 'true';
-
-            if (!paginationEnabled) {
-                return;
+        containers.forEach(container => {
+            const handler = setupPaginationForContainer(container, shortcodeType);
+            if (handler) {
+                handlers.push(handler);
             }
-
-            setupPaginationForContainer(container, shortcodeType);
         });
     });
+
+    return {
+        cleanup: () => {
+            handlers.forEach(handler => handler.cleanup());
+            handlers.length = 0;
+        },
+        isReady: () => handlers.length > 0
+    };
+}
+
+/**
+ * Read filters of one shortcode from the URL query
+ * @param {string} paramPrefix - e.g. 'realizace_'
+ * @returns {Object}
+ */
+function readFiltersFromUrl(paramPrefix) {
+    const params = new URLSearchParams(window.location.search);
+    const filters = { ...DEFAULT_FILTERS };
+
+    FILTER_KEYS.forEach(key => {
+        const value = params.get(paramPrefix + key);
+        if (value !== null && value !== '') {
+            filters[key] = value;
+        }
+    });
+
+    return filters;
+}
+
+/**
+ * Read page of one shortcode from the URL query
+ * @param {string} paramPrefix
+ * @returns {number}
+ */
+function readPageFromUrl(paramPrefix) {
+    const page = parseInt(new URLSearchParams(window.location.search).get(`${paramPrefix}page`), 10);
+    return page > 1 ? page : 1;
+}
+
+/**
+ * Current URL with the filters and page of one shortcode (defaults are left out)
+ * @param {string} paramPrefix
+ * @param {Object} filters
+ * @param {number} page
+ * @returns {string}
+ */
+function buildStateUrl(paramPrefix, filters, page) {
+    const url = new URL(window.location.href);
+
+    FILTER_KEYS.forEach(key => {
+        if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) {
+            url.searchParams.set(paramPrefix + key, filters[key]);
+        } else {
+            url.searchParams.delete(paramPrefix + key);
+        }
+    });
+
+    if (page > 1) {
+        url.searchParams.set(`${paramPrefix}page`, String(page));
+    } else {
+        url.searchParams.delete(`${paramPrefix}page`);
+    }
+
+    // Notification link target is only used for the first render
+    url.searchParams.delete(`${paramPrefix}post`);
+    url.hash = '';
+
+    return url.toString();
+}
+
+/**
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameFilters(a, b) {
+    return FILTER_KEYS.every(key => a[key] === b[key]);
 }
 
 function setupPaginationForContainer(container, shortcodeType) {
     const loadingDiv = container.querySelector(`.${shortcodeType}-loading`);
     const postsContainer = container.querySelector(`.${shortcodeType}-posts`);
-    const paginationContainer = container.querySelector(`.${shortcodeType}-pagination`);
+    const paginationEnabled = container.dataset.enablePagination === 'true';
+    const paginationContainer = paginationEnabled ? container.querySelector(`.${shortcodeType}-pagination`) : null;
+    const filterForm = container.querySelector('.my-posts-filters');
 
-    if (!loadingDiv || !postsContainer || !paginationContainer) {
-        return;
+    if (!loadingDiv || !postsContainer || (!paginationContainer && !filterForm)) {
+        return null;
     }
 
-    let currentPage = 1;
+    const paramPrefix = filterForm?.dataset.paramPrefix || `${shortcodeType.replace('my-', '')}_`;
+    const eventListeners = [];
+    // Request promises keyed by page and filters, shared by loads and prefetches
+    const pageCache = new Map();
+    let currentPage = parseInt(container.dataset.currentPage) || 1;
     let totalPages = parseInt(container.dataset.totalPages) || 1;
-    let isLoading = false;
+    let filters = readFiltersFromUrl(paramPrefix);
+    let loadToken = 0;
+    let searchTimer = null;
+
+    // Server-rendered page is the first cache entry
+    pageCache.set(getCacheKey(currentPage), Promise.resolve({
+        html: postsContainer.innerHTML,
+        total_pages: totalPages,
+        found_posts: parseInt(container.dataset.foundPosts)
+    }));
 
-    // Initialize pagination
+    // Initialize pagination and filters
     renderPagination();
+    if (filterForm) {
+        bindFilterEvents();
+    }
+    if (paginationContainer) {
+        listen(paginationContainer, 'pointerenter', () => prefetchPage(currentPage + 1));
+    }
+
+    // Posts changed elsewhere (edited realizace) - cached pages are stale
+    listen(container, 'my-posts-changed', () => {
+        pageCache.clear();
+        loadPage(currentPage, { force: true, scroll: false });
+    });
+
+    // Back/forward between pages and filtered views of this shortcode
+    listen(window, 'popstate', () => {
+        const urlFilters = readFiltersFromUrl(paramPrefix);
+        const urlPage = paginationContainer ? readPageFromUrl(paramPrefix) : 1;
+
+        if (!sameFilters(urlFilters, filters)) {
+            applyFilters(urlFilters, { updateHistory: false, page: urlPage });
+        } else if (urlPage !== currentPage) {
+            loadPage(urlPage, { scroll: false });
+        }
+    });
+
+    /**
+     * Add event listener and remember it for cleanup
+     * @param {EventTarget} element
+     * @param {string} event
+     * @param {Function} handler
+     */
+    function listen(element, event, handler) {
+        element.addEventListener(event, handler);
+        eventListeners.push({ element, event, handler });
+    }
+
+    function bindFilterEvents() {
+        const searchInput = filterForm.querySelector(`[name="${paramPrefix}search"]`);
+        const resetLink = filterForm.querySelector('.my-posts-filters__reset');
+
+        // Tabs are submit buttons so the form also works without JavaScript
+        listen(filterForm, 'submit', (e) => {
+            e.preventDefault();
+            clearTimeout(searchTimer);
+            const status = e.submitter?.name === `${paramPrefix}status` ? e.submitter.value : filters.status;
+            applyFilters({ ...readFiltersFromForm(), status });
+        });
+
+        // Enter in a field would submit through the first tab ("Vše")
+        listen(filterForm, 'keydown', (e) => {
+            if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+            e.preventDefault();
+            clearTimeout(searchTimer);
+            applyFilters({ ...readFiltersFromForm(), status: filters.status });
+        });
+
+        listen(filterForm, 'change', (e) => {
+            if (e.target === searchInput) return;
+            applyFilters({ ...readFiltersFromForm(), status: filters.status });
+        });
+
+        if (searchInput) {
+            listen(searchInput, 'input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => {
+                    applyFilters({ ...readFiltersFromForm(), status: filters.status });
+                }, SEARCH_DELAY);
+            });
+        }
+
+        if (resetLink) {
+            listen(resetLink, 'click', (e) => {
+                e.preventDefault();
+                clearTimeout(searchTimer);
+                applyFilters({ ...DEFAULT_FILTERS, sort: filters.sort });
+            });
+        }
+    }
+
+    /**
+     * Filter values of the form fields (status is tracked separately)
+     * @returns {Object}
+     */
+    function readFiltersFromForm() {
+        const formFilters = { ...DEFAULT_FILTERS };
+
+        ['from', 'to', 'search', 'sort'].forEach(key => {
+            const field = filterForm.querySelector(`[name="${paramPrefix}${key}"]`);
+            if (field) {
+                formFilters[key] = field.value.trim() || DEFAULT_FILTERS[key];
+            }
+        });
+
+        return formFilters;
+    }
+
+    /**
+     * Show filters in the form (after popstate or reset)
+     */
+    function renderFilters() {
+        if (!filterForm) return;
+
+        ['from', 'to', 'search', 'sort'].forEach(key => {
+            const field = filterForm.querySelector(`[name="${paramPrefix}${key}"]`);
+            if (field && field.value !== filters[key]) {
+                field.value = filters[key];
+            }
+        });
+
+        filterForm.querySelectorAll('.my-posts-filters__tab').forEach(tab => {
+            const isActive = tab.value === filters.status;
+            tab.classList.toggle('is-active', isActive);
+            tab.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        const resetLink = filterForm.querySelector('.my-posts-filters__reset');
+        if (resetLink) {
+            resetLink.hidden = sameFilters({ ...filters, sort: DEFAULT_FILTERS.sort }, DEFAULT_FILTERS);
+        }
+    }
+
+    /**
+     * Switch to new filters and load their first page
+     * @param {Object} newFilters
+     * @param {Object} options
+     * @param {boolean} options.updateHistory - Push a history entry for the new filters
+     * @param {number} options.page - Page to load (back navigation to a later page)
+     */
+    function applyFilters(newFilters, { updateHistory = true, page = 1 } = {}) {
+        if (sameFilters(newFilters, filters)) {
+            renderFilters();
+            return;
+        }
+
+        filters = newFilters;
+        renderFilters();
+
+        if (updateHistory) {
+            window.history.pushState(window.history.state, '', buildStateUrl(paramPrefix, filters, page));
+        }
+
+        loadPage(page, { force: true, scroll: false });
+    }
+
+    /**
+     * Open a page from the pagination and add it to the history
+     * @param {number} page
+     */
+    function goToPage(page) {
+        if (page === currentPage) return;
+
+        window.history.pushState(window.history.state, '', buildStateUrl(paramPrefix, filters, page));
+        loadPage(page);
+    }
 
     function renderPagination() {
+        if (!paginationContainer) return;
+
         paginationContainer.innerHTML = '';
 
         if (totalPages <= 1) {
@@ -104,75 +366,163 @@ function setupPaginationForContainer(container, shortcodeType) {
         button.textContent = text;
         button.addEventListener('click', (e) => {
             e.preventDefault();
-            loadPage(page);
+            goToPage(page);
         });
+        button.addEventListener('mouseenter', () => prefetchPage(page));
+        button.addEventListener('focus', () => prefetchPage(page));
         return button;
     }
 
-    async function loadPage(page) {
-        if (isLoading || page === currentPage) return;
+    /**
+     * @param {number} page
+     * @returns {string}
+     */
+    function getCacheKey(page) {
+        return JSON.stringify([page, ...FILTER_KEYS.map(key => filters[key])]);
+    }
 
-        isLoading = true;
-        loadingDiv.classList.remove('hidden');
+    /**
+     * Request a page for the current filters, or reuse the cached request
+     * @param {number} page
+     * @returns {Promise<Object>} Response data { html, total_pages, found_posts }
+     */
+    function fetchPage(page) {
+        const key = getCacheKey(page);
 
-        try {
-            const response = await fetch(window.mistrFachman.ajaxUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    action: `${shortcodeType.replace('-', '_')}_load_page`,
-                    nonce: container.dataset.nonce,
-                    page: page,
-                    posts_per_page: container.dataset.postsPerPage,
-                    show_content: container.dataset.showContent,
-                }),
+        if (!pageCache.has(key)) {
+            const prefix = shortcodeType.replace('-', '_');
+            const request = api.call({
+                action: `${prefix}_load_page`,
+                // Nonce is rendered per container by the shortcode
+                nonce: { action: `${prefix}_nonce`, resolve: () => container.dataset.nonce },
+                idempotent: true
+            }, {
+                page: page,
+                posts_per_page: container.dataset.postsPerPage,
+                show_content: container.dataset.showContent,
+                ...filters
+            }).catch(error => {
+                // Failed requests are not cached
+                pageCache.delete(key);
+                throw error;
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            pageCache.set(key, request);
+
+            // Map keeps insertion order - the oldest page goes first
+            if (pageCache.size > PAGE_CACHE_LIMIT) {
+                pageCache.delete(pageCache.keys().next().value);
             }
+        }
 
-            const data = await response.json();
-
-            if (data.success) {
-                // Replace posts content
-                postsContainer.innerHTML = data.data.html;
-                
-                // Update pagination info
-                currentPage = page;
-                totalPages = data.data.total_pages || totalPages;
-                
-                // Re-render pagination
-                renderPagination();
-                
-                // Scroll to top of posts container
-                postsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        return pageCache.get(key);
+    }
 
-            } else {
-                throw new Error(data.data?.message || 'Unknown error');
+    /**
+     * Load a page in the background so that opening it is instant
+     * @param {number} page
+     */
+    function prefetchPage(page) {
+        if (page < 1 || page > totalPages || page === currentPage) return;
+
+        // Errors are reported when the page is actually opened
+        fetchPage(page).catch(() => {});
+    }
+
+    /**
+     * Load a page of posts for the current filters
+     * @param {number} page
+     * @param {Object} options
+     * @param {boolean} options.force - Load even the current page (filters changed)
+     * @param {boolean} options.scroll - Scroll to the top of the posts
+     */
+    async function loadPage(page, { force = false, scroll = true } = {}) {
+        if (!force && page === currentPage) return;
+
+        // A newer load (another page, changed filters) wins
+        const token = ++loadToken;
+
+        loadingDiv.classList.remove('hidden');
+        container.setAttribute('aria-busy', 'true');
+
+        try {
+            const data = await fetchPage(page);
+            if (token !== loadToken) return;
+
+            // Replace posts content
+            container.dispatchEvent(new CustomEvent('my-posts-before-render'));
+            postsContainer.innerHTML = data.html;
+
+            // Update pagination info
+            currentPage = page;
+            totalPages = data.total_pages ?? totalPages;
+
+            // Re-render pagination
+            renderPagination();
+            updateFoundCount(data.found_posts);
+            updateStatusCounts(data.status_counts);
+
+            // Scroll to top of posts container
+            if (scroll) {
+                postsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
             }
 
         } catch (error) {
+            if (token !== loadToken) return;
+
             console.error('Error loading page:', error);
 
             // Show error message
             const errorDiv = document.createElement('div');
             errorDiv.className = 'bg-red-50 border border-red-200 text-red-700 px-3 py-2 text-sm mt-2';
-            errorDiv.textContent = 'Chyba při načítání příspěvků. Zkuste to prosím znovu.';
+            errorDiv.textContent = api.handleError(error, {
+                server: 'Chyba při načítání příspěvků. Zkuste to prosím znovu.',
+                default: 'Chyba při načítání příspěvků. Zkuste to prosím znovu.'
+            });
             postsContainer.appendChild(errorDiv);
 
         } finally {
-            isLoading = false;
-            loadingDiv.classList.add('hidden');
+            if (token === loadToken) {
+                loadingDiv.classList.add('hidden');
+                container.removeAttribute('aria-busy');
+            }
         }
     }
-}
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', setupMyPostsPagination);
-} else {
-    setupMyPostsPagination();
+    /**
+     * @param {number|undefined} count - Posts matching the filters
+     */
+    function updateFoundCount(count) {
+        const found = filterForm?.querySelector('.my-posts-filters__found');
+        if (found && typeof count === 'number') {
+            found.textContent = `Nalezeno: ${count}`;
+        }
+    }
+
+    /**
+     * @param {Object|undefined} counts - Post counts keyed by status ('' = all)
+     */
+    function updateStatusCounts(counts) {
+        if (!filterForm || !counts) return;
+
+        filterForm.querySelectorAll('.my-posts-filters__tab').forEach(tab => {
+            const count = tab.querySelector('.my-posts-filters__count');
+            if (count && counts[tab.value] !== undefined) {
+                count.textContent = String(counts[tab.value]);
+            }
+        });
+    }
+
+    function cleanup() {
+        clearTimeout(searchTimer);
+        // Ignore responses still on the way
+        loadToken++;
+        pageCache.clear();
+        eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        eventListeners.length = 0;
+    }
+
+    return { cleanup };
 }
@@ -0,0 +1,321 @@
+/**
+ * My Realizace Editor
+ *
+ * "Upravit a znovu odeslat" for rejected realizace in [my_realizace]. The
+ * realizace form rendered by my-realizace-editor.php is moved under the card,
+ * filled with the saved values and given the hidden fields the server reads
+ * (mf_resubmit_id, mf_keep_photos[]). Photos already in the gallery are listed
+ * separately - the upload field only takes new ones.
+ */
+
+import { api } from '../utils/api.js';
+
+const EDITOR_CONFIG = {
+  fields: {
+    title: 'project-title',
+    description: 'popis_projektu',
+    area: 'area_sqm'
+  },
+  texts: {
+    error: 'Realizaci se nepodařilo načíst. Zkuste to prosím znovu.',
+    resubmitted: 'Realizace byla znovu odeslána ke schválení.',
+    removePhoto: 'Odebrat fotku',
+    keepPhoto: 'Vrátit fotku'
+  }
+};
+
+/**
+ * Setup inline editors of [my_realizace] shortcodes
+ * @param {Object} options - Configuration overrides
+ * @returns {Object} Handler object with methods
+ */
+export function setupMyRealizaceEditor(options = {}) {
+  const config = { ...EDITOR_CONFIG, ...options, texts: { ...EDITOR_CONFIG.texts, ...options.texts } };
+  const editors = [];
+  const eventListeners = [];
+  let isInitialized = false;
+
+  /**
+   * Initialize the editor of every shortcode that has one
+   */
+  function init() {
+    document.querySelectorAll('.my-realizace-shortcode').forEach((container) => {
+      const element = container.querySelector('.my-realizace-editor');
+      const form = element?.querySelector('form.wpcf7-form');
+      if (!form) return;
+
+      const editor = { container, element, form, postId: null, button: null, loadToken: 0 };
+      editors.push(editor);
+
+      listen(container, 'click', (e) => {
+        const button = e.target.closest('.my-realizace-resubmit');
+        if (button) open(editor, button);
+      });
+
+      const closeButton = element.querySelector('.my-realizace-editor__close');
+      if (closeButton) {
+        listen(closeButton, 'click', () => close(editor));
+      }
+
+      const photoList = element.querySelector('.my-realizace-editor__photo-list');
+      if (photoList) {
+        listen(photoList, 'click', (e) => {
+          const photo = e.target.closest('.my-realizace-editor__photo');
+          if (photo) togglePhoto(editor, photo);
+        });
+      }
+
+      // The editor sits among the cards - take it out before they are replaced
+      listen(container, 'my-posts-before-render', () => close(editor));
+
+      listen(document, 'wpcf7mailsent', (e) => {
+        if (e.target === form && editor.postId) resubmitted(editor);
+      });
+    });
+
+    isInitialized = editors.length > 0;
+  }
+
+  /**
+   * Add event listener and remember it for cleanup
+   * @param {EventTarget} element
+   * @param {string} event
+   * @param {Function} handler
+   */
+  function listen(element, event, handler) {
+    element.addEventListener(event, handler);
+    eventListeners.push({ element, event, handler });
+  }
+
+  /**
+   * Load a rejected realizace and open the editor under its card
+   * @param {Object} editor
+   * @param {HTMLButtonElement} button - "Upravit a znovu odeslat" button of the card
+   */
+  async function open(editor, button) {
+    const postId = button.dataset.postId;
+    if (!postId || button.getAttribute('aria-busy') === 'true') return;
+
+    close(editor);
+    clearError(button);
+
+    // A newer open (another card) or close wins
+    const token = ++editor.loadToken;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      const data = await api.call('myRealizaceEditData', { post_id: postId });
+      if (token !== editor.loadToken) return;
+
+      const card = button.closest('.my-realizace-posts > *');
+      if (!card) return;
+
+      fill(editor, data);
+      card.after(editor.element);
+      editor.element.hidden = false;
+      editor.postId = String(data.id);
+      editor.button = button;
+      button.hidden = true;
+
+      editor.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+      if (token !== editor.loadToken) return;
+
+      console.error('[MyRealizaceEditor] Loading realizace failed:', error);
+      showError(button, api.handleError(error, { default: config.texts.error }));
+    } finally {
+      button.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Pre-fill the form with the saved realizace
+   * @param {Object} editor
+   * @param {Object} data - Editor data from ResubmissionService::getEditorData()
+   */
+  function fill(editor, data) {
+    const { form, element } = editor;
+
+    setFieldValue(form, config.fields.title, data.title);
+    setFieldValue(form, config.fields.description, data.description);
+    setFieldValue(form, config.fields.area, data.area);
+
+    // Alpine components own the construction/material selects
+    window.dispatchEvent(new CustomEvent('restore-realizace-draft', {
+      detail: { constructionTypes: data.construction_types, materials: data.materials, form }
+    }));
+
+    addHiddenField(form, 'mf_resubmit_id', data.id);
+
+    const reason = element.querySelector('.my-realizace-editor__reason');
+    if (reason) {
+      reason.querySelector('.my-realizace-editor__reason-text').textContent = data.rejection_reason || '';
+      reason.hidden = !data.rejection_reason;
+    }
+
+    const photos = element.querySelector('.my-realizace-editor__photos');
+    const photoList = element.querySelector('.my-realizace-editor__photo-list');
+    if (photos && photoList) {
+      (data.photos || []).forEach((photo) => {
+        addHiddenField(form, 'mf_keep_photos[]', photo.id);
+        photoList.appendChild(createPhotoToggle(photo));
+      });
+      photos.hidden = !photoList.children.length;
+    }
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {string} name
+   * @param {string|number} value
+   */
+  function setFieldValue(form, name, value) {
+    const field = form.querySelector(`[name="${name}"]`);
+    if (!field) return;
+
+    field.value = value ?? '';
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {string} name
+   * @param {string|number} value
+   * @returns {HTMLInputElement}
+   */
+  function addHiddenField(form, name, value) {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = String(value);
+    input.className = 'my-realizace-editor__field';
+    form.appendChild(input);
+    return input;
+  }
+
+  /**
+   * Thumbnail of a current photo that toggles whether it is kept
+   * @param {Object} photo - { id, thumb, alt }
+   * @returns {HTMLButtonElement}
+   */
+  function createPhotoToggle(photo) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'my-realizace-editor__photo';
+    button.setAttribute('aria-pressed', 'false');
+    button.title = config.texts.removePhoto;
+    button.dataset.photoId = String(photo.id);
+
+    const image = document.createElement('img');
+    image.src = photo.thumb;
+    image.alt = photo.alt || '';
+    image.loading = 'lazy';
+    button.appendChild(image);
+
+    return button;
+  }
+
+  /**
+   * Remove a photo from the resubmitted gallery, or keep it again
+   * @param {Object} editor
+   * @param {HTMLButtonElement} photo
+   */
+  function togglePhoto(editor, photo) {
+    const input = editor.form.querySelector(`.my-realizace-editor__field[name="mf_keep_photos[]"][value="${photo.dataset.photoId}"]`);
+    if (!input) return;
+
+    const removed = !photo.classList.contains('is-removed');
+
+    photo.classList.toggle('is-removed', removed);
+    photo.setAttribute('aria-pressed', removed ? 'true' : 'false');
+    photo.title = removed ? config.texts.keepPhoto : config.texts.removePhoto;
+    // Disabled fields are not submitted
+    input.disabled = removed;
+  }
+
+  /**
+   * Close the editor and return the form to its empty state
+   * @param {Object} editor
+   */
+  function close(editor) {
+    editor.loadToken++;
+    if (!editor.postId) return;
+
+    const { container, element, form } = editor;
+
+    form.querySelectorAll('.my-realizace-editor__field').forEach(input => input.remove());
+    form.querySelectorAll('.dnd-upload-status').forEach(item => item.remove());
+    form.reset();
+    window.dispatchEvent(new CustomEvent('reset-realizace-form', { detail: { form } }));
+
+    element.querySelector('.my-realizace-editor__photo-list')?.replaceChildren();
+    element.hidden = true;
+    container.appendChild(element);
+
+    if (editor.button) {
+      editor.button.hidden = false;
+    }
+    editor.postId = null;
+    editor.button = null;
+  }
+
+  /**
+   * Form was accepted - close the editor and reload the list
+   * @param {Object} editor
+   */
+  function resubmitted(editor) {
+    const { container } = editor;
+
+    close(editor);
+
+    const notice = document.createElement('div');
+    notice.className = 'my-realizace-editor__notice bg-green-50 border border-green-200 text-green-800 px-3 py-2 text-sm mb-4';
+    notice.setAttribute('role', 'status');
+    notice.textContent = config.texts.resubmitted;
+    container.querySelector('.my-realizace-editor__notice')?.remove();
+    container.querySelector('.my-realizace-posts')?.before(notice);
+
+    // my-posts-pagination.js reloads the current page and the status counts
+    container.dispatchEvent(new CustomEvent('my-posts-changed'));
+  }
+
+  /**
+   * @param {HTMLButtonElement} button
+   * @param {string} message
+   */
+  function showError(button, message) {
+    const error = document.createElement('div');
+    error.className = 'my-realizace-resubmit-error bg-red-50 border border-red-200 text-red-700 px-3 py-2 text-sm mt-2';
+    error.textContent = message;
+    button.after(error);
+  }
+
+  /**
+   * @param {HTMLButtonElement} button
+   */
+  function clearError(button) {
+    const error = button.nextElementSibling;
+    if (error?.classList.contains('my-realizace-resubmit-error')) error.remove();
+  }
+
+  /**
+   * Clean up listeners and put the editors back
+   */
+  function cleanup() {
+    editors.forEach(close);
+    editors.length = 0;
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+    isInitialized = false;
+  }
+
+  init();
+
+  return {
+    cleanup,
+    isReady: () => isInitialized
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * Notification Bell
+ *
+ * Header notification centre: polls the mistr_fachman_notifications endpoint
+ * for status changes of the user's realizace and faktury (approved, rejected
+ * with reason, points awarded) and žebříček position changes. The badge shows
+ * notifications newer than the last one the user has seen; opening the panel
+ * marks them as read on the server. Each item links to the relevant card.
+ * A web push received while the site is open triggers an immediate poll.
+ */
+
+import { api, API_ERROR_TYPES } from '../utils/api.js';
+
+const BELL_CONFIG = {
+  interval: 60000,
+  hiddenInterval: 300000,
+  maxInterval: 900000,
+  // Items kept in the panel
+  maxItems: 20,
+  texts: {
+    unread: (count) => `Oznámení (${count} nepřečtených)`,
+    read: 'Oznámení'
+  }
+};
+
+/**
+ * Setup the notification bell rendered by [user_header]
+ * @param {Object} options - Configuration overrides
+ * @returns {Object} Handler object with methods
+ */
+export function setupNotificationBell(options = {}) {
+  const config = { ...BELL_CONFIG, ...options, texts: { ...BELL_CONFIG.texts, ...options.texts } };
+  const element = document.querySelector('.notification-bell');
+  const eventListeners = [];
+  let items = [];
+  let lastId = 0;
+  let unread = 0;
+  let timer = null;
+  let controller = null;
+  let failures = 0;
+  let isInitialized = false;
+
+  const toggle = element?.querySelector('.notification-bell__toggle');
+  const panel = element?.querySelector('.notification-bell__panel');
+  const list = element?.querySelector('.notification-bell__list');
+  const badge = element?.querySelector('.notification-bell__badge');
+  const empty = element?.querySelector('.notification-bell__empty');
+
+  /**
+   * Bind the bell and start polling
+   */
+  function init() {
+    if (!toggle || !panel || !list) return;
+
+    listen(toggle, 'click', () => setOpen(panel.hidden));
+
+    listen(document, 'click', (e) => {
+      if (!panel.hidden && !element.contains(e.target)) setOpen(false);
+    });
+
+    listen(document, 'keydown', (e) => {
+      if (e.key === 'Escape' && !panel.hidden) {
+        setOpen(false);
+        toggle.focus();
+      }
+    });
+
+    // push-notifications.js - a push arrived while the site is open
+    listen(window, 'push-notification-received', () => poll());
+
+    listen(document, 'visibilitychange', () => {
+      if (document.hidden) {
+        schedule();
+      } else {
+        poll();
+      }
+    });
+
+    isInitialized = true;
+    poll();
+  }
+
+  /**
+   * Add event listener and remember it for cleanup
+   * @param {EventTarget} target
+   * @param {string} event
+   * @param {Function} handler
+   */
+  function listen(target, event, handler) {
+    target.addEventListener(event, handler);
+    eventListeners.push({ element: target, event, handler });
+  }
+
+  /**
+   * Schedule next poll - longer while hidden, exponential backoff after errors
+   */
+  function schedule() {
+    clearTimeout(timer);
+    if (!isInitialized) return;
+
+    const base = document.hidden ? config.hiddenInterval : config.interval;
+    const delay = Math.min(base * 2 ** failures, config.maxInterval);
+    timer = setTimeout(poll, delay);
+  }
+
+  /**
+   * Ask the server for notifications newer than the last one
+   */
+  async function poll() {
+    clearTimeout(timer);
+    if (!isInitialized) return;
+
+    if (controller) controller.abort();
+    const request = new AbortController();
+    controller = request;
+
+    try {
+      const payload = await api.call('notifications', { since: lastId }, { signal: request.signal, retries: 0 });
+
+      failures = 0;
+      applyPayload(payload);
+    } catch (error) {
+      if (error.type === API_ERROR_TYPES.ABORTED) return;
+      failures++;
+      console.warn('[NotificationBell] Poll failed:', error);
+    } finally {
+      if (controller === request) {
+        controller = null;
+        schedule();
+      }
+    }
+  }
+
+  /**
+   * Merge a poll response into the panel
+   * @param {Object} payload - { items, unread, last_id }
+   */
+  function applyPayload(payload) {
+    if (!payload) return;
+
+    lastId = Math.max(lastId, payload.last_id || 0);
+
+    if (Array.isArray(payload.items) && payload.items.length) {
+      const known = new Set(items.map(item => item.id));
+      const fresh = payload.items.filter(item => !known.has(item.id));
+      items = [...fresh, ...items].slice(0, config.maxItems);
+      renderList();
+
+      // An open panel shows the new items right away - they are read already
+      if (!panel.hidden) markRead();
+    }
+
+    if (panel.hidden) setUnread(payload.unread || 0);
+  }
+
+  /**
+   * Open or close the panel
+   * @param {boolean} open
+   */
+  function setOpen(open) {
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+
+    if (open) {
+      if (unread > 0) markRead();
+    } else {
+      // Highlight stays until the panel is closed
+      items.forEach((item) => { item.unread = false; });
+      renderList();
+    }
+  }
+
+  /**
+   * Mark everything up to the newest notification as read
+   */
+  async function markRead() {
+    setUnread(0);
+
+    try {
+      await api.call('notificationsRead', { up_to: lastId });
+    } catch (error) {
+      console.warn('[NotificationBell] Marking as read failed:', error);
+    }
+  }
+
+  /**
+   * @param {number} count
+   */
+  function setUnread(count) {
+    unread = count;
+
+    if (badge) {
+      badge.textContent = count > 99 ? '99+' : String(count);
+      badge.hidden = count === 0;
+    }
+    toggle.setAttribute('aria-label', count > 0 ? config.texts.unread(count) : config.texts.read);
+  }
+
+  /**
+   * Render the notification list
+   */
+  function renderList() {
+    list.replaceChildren(...items.map(createItem));
+    if (empty) empty.hidden = items.length > 0;
+  }
+
+  /**
+   * @param {Object} item - { id, type, title, message, detail, url, date, unread }
+   * @returns {HTMLLIElement}
+   */
+  function createItem(item) {
+    const li = document.createElement('li');
+    li.className = `notification-bell__item notification-bell__item--${item.type}`;
+    li.classList.toggle('is-unread', Boolean(item.unread));
+
+    const link = document.createElement('a');
+    link.className = 'notification-bell__link';
+    link.href = item.url;
+
+    const title = document.createElement('strong');
+    title.className = 'notification-bell__title';
+    title.textContent = item.title;
+    link.appendChild(title);
+
+    [['message', item.message], ['detail', item.detail], ['date', item.date]].forEach(([key, text]) => {
+      if (!text) return;
+      const span = document.createElement('span');
+      span.className = `notification-bell__${key}`;
+      span.textContent = text;
+      link.appendChild(span);
+    });
+
+    li.appendChild(link);
+    return li;
+  }
+
+  /**
+   * Stop polling and remove listeners
+   */
+  function cleanup() {
+    isInitialized = false;
+    clearTimeout(timer);
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+    eventListeners.forEach(({ element: target, event, handler }) => {
+      target.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+  }
+
+  init();
+
+  return {
+    cleanup,
+    isReady: () => isInitialized
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Offline Outbox Constants
+ * Shared between the page module and the service worker
+ */
+
+export const OUTBOX_CONFIG = {
+  dbName: 'mistr-fachman-outbox',
+  dbVersion: 1,
+  storeName: 'submissions',
+  syncTag: 'mf-outbox-replay',
+
+  // Hidden field used by FormHandlerBase to ignore replayed duplicates
+  submissionIdField: 'mf_submission_id',
+  // Hidden field with the ID of the user who filled in the form - replays
+  // after another user logged in on the same device are refused by the server
+  submissionUserField: 'mf_submission_user',
+  // Nonce action of the drag & drop upload plugin (refreshed before replay)
+  uploadNonceAction: 'dnd-cf7-security-nonce',
+  freshNonceAction: 'mistr_fachman_get_fresh_nonce',
+
+  maxAttempts: 5,
+  // Entries stuck in "sending" longer than this are considered abandoned
+  sendingTimeout: 2 * 60 * 1000,
+
+  texts: {
+    badge: 'čeká na odeslání',
+    badgeFailed: 'odeslání se nezdařilo – klikněte pro nový pokus',
+    queuedOffline: 'Jste offline. Záznam byl uložen a odešle se automaticky, jakmile budete online.',
+    queuedFailed: 'Odeslání se nezdařilo. Záznam byl uložen a zkusíme ho odeslat znovu.',
+    duplicate: 'Tento záznam už čeká na odeslání.',
+    replayed: 'Uložený záznam byl úspěšně odeslán.'
+  }
+};
@@ -0,0 +1,383 @@
+/**
+ * Offline Outbox Module
+ *
+ * Captures realizace/faktura CF7 submissions into IndexedDB when the device
+ * is offline or when sending fails, shows a "čeká na odeslání" badge and
+ * replays the queue when connectivity returns (Background Sync in the
+ * service worker where available, the "online" event otherwise).
+ */
+
+import { OUTBOX_CONFIG } from './constants.js';
+import { outboxStore } from './outbox-store.js';
+import { replayOutbox } from './replay.js';
+import { findSubmissionForms, getCf7FormId } from '../../utils/cf7-forms.js';
+
+/**
+ * Generate a unique submission id
+ * @returns {string}
+ */
+function generateSubmissionId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Compute a fingerprint of the submitted content for duplicate detection
+ * @param {Array} fields - [name, value] pairs
+ * @param {Array} files - Stored files
+ * @returns {Promise<string>}
+ */
+async function computeFingerprint(fields, files) {
+  const content = fields
+    .filter(([name]) => !name.startsWith('_wpcf7') && name !== OUTBOX_CONFIG.submissionIdField)
+    .map(([name, value]) => `${name}=${value}`)
+    .concat(files.map(file => `file:${file.name}:${file.blob.size}`))
+    .sort()
+    .join('\n');
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Setup offline outbox functionality
+ * @param {Object} options - Configuration options
+ * @param {Function} [options.getPendingFiles] - Returns File[] selected in the upload widget
+ * @returns {Object} Handler object with methods
+ */
+export function setupOfflineOutbox(options = {}) {
+  const config = { ...OUTBOX_CONFIG, ...options };
+  const globalData = window.mistrFachman || {};
+
+  let isInitialized = false;
+  let registration = null;
+  let forms = [];
+  const eventListeners = [];
+
+  /**
+   * Initialize the outbox
+   */
+  function init() {
+    if (!('indexedDB' in window) || !window.crypto || !window.crypto.subtle) {
+      console.warn('[OfflineOutbox] IndexedDB or SubtleCrypto unavailable - outbox disabled');
+      return;
+    }
+
+    forms = findSubmissionForms();
+    if (!forms.length) return;
+
+    forms.forEach(prepareForm);
+    bindEvents();
+    registerServiceWorker();
+    refreshBadges();
+
+    isInitialized = true;
+    console.log(`[OfflineOutbox] Initialized for ${forms.length} form(s)`);
+
+    if (navigator.onLine) {
+      triggerReplay();
+    }
+  }
+
+  /**
+   * Add the submission id field and badge to a form
+   * @param {HTMLFormElement} form
+   */
+  function prepareForm(form) {
+    let idField = form.querySelector(`input[name="${config.submissionIdField}"]`);
+    if (!idField) {
+      idField = document.createElement('input');
+      idField.type = 'hidden';
+      idField.name = config.submissionIdField;
+      form.appendChild(idField);
+    }
+    idField.value = generateSubmissionId();
+
+    let userField = form.querySelector(`input[name="${config.submissionUserField}"]`);
+    if (!userField) {
+      userField = document.createElement('input');
+      userField.type = 'hidden';
+      userField.name = config.submissionUserField;
+      form.appendChild(userField);
+    }
+    userField.value = String(globalData.currentUserId || 0);
+
+    if (!form.querySelector('.offline-outbox-badge')) {
+      const badge = document.createElement('button');
+      badge.type = 'button';
+      badge.className = 'offline-outbox-badge';
+      badge.hidden = true;
+      const submit = form.querySelector('.wpcf7-submit');
+      (submit ? submit.parentElement : form).appendChild(badge);
+    }
+  }
+
+  /**
+   * Bind DOM events
+   */
+  function bindEvents() {
+    // Capture phase runs before CF7's own submit listener on the form
+    const handleSubmit = (e) => {
+      const form = e.target;
+      if (!forms.includes(form) || navigator.onLine) return;
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      queueSubmission(form, config.texts.queuedOffline);
+    };
+
+    const handleOnline = () => triggerReplay();
+
+    const handleBadgeClick = async (e) => {
+      if (!e.target.closest('.offline-outbox-badge')) return;
+      const entries = await outboxStore.getAll();
+      await Promise.all(entries
+        .filter(entry => entry.status === 'failed' && String(entry.userId) === String(globalData.currentUserId || 0))
+        .map(entry => outboxStore.put({ ...entry, status: 'pending', attempts: 0 })));
+      triggerReplay();
+    };
+
+    const handleWorkerMessage = (e) => {
+      if (e.data && e.data.type === 'outbox-updated') {
+        handleReplayEvent({ type: e.data.status, entry: e.data.entry });
+      }
+    };
+
+    document.addEventListener('submit', handleSubmit, true);
+    eventListeners.push({ element: document, event: 'submit', handler: handleSubmit, capture: true });
+
+    window.addEventListener('online', handleOnline);
+    eventListeners.push({ element: window, event: 'online', handler: handleOnline });
+
+    document.addEventListener('click', handleBadgeClick);
+    eventListeners.push({ element: document, event: 'click', handler: handleBadgeClick });
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+      eventListeners.push({ element: navigator.serviceWorker, event: 'message', handler: handleWorkerMessage });
+    }
+  }
+
+  /**
+   * Register the service worker served from the site root
+   */
+  async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !globalData.serviceWorkerUrl) return;
+
+    try {
+      registration = await navigator.serviceWorker.register(globalData.serviceWorkerUrl, { scope: '/' });
+      console.log('[OfflineOutbox] Service worker registered');
+    } catch (error) {
+      console.warn('[OfflineOutbox] Service worker registration failed:', error);
+    }
+  }
+
+  /**
+   * Collect everything needed to replay the form later
+   * @param {HTMLFormElement} form
+   * @returns {Promise<Object>} Outbox entry
+   */
+  async function buildEntry(form) {
+    const formData = new FormData(form);
+    const fields = [];
+    formData.forEach((value, name) => {
+      if (typeof value === 'string') fields.push([name, value]);
+    });
+
+    const fileInput = form.querySelector('input[type="file"][data-name]');
+    const fieldName = fileInput ? fileInput.dataset.name : '';
+    const uploadedValues = fields.filter(([name]) => name === `${fieldName}[]`).map(([, value]) => value);
+
+    // Photos the plugin could not upload (e.g. offline) are stored as blobs
+    const pendingFiles = (config.getPendingFiles ? config.getPendingFiles() : [])
+      .filter(file => !uploadedValues.some(value => value.endsWith(file.name)));
+    const files = pendingFiles.map(file => ({ fieldName, name: file.name, type: file.type, blob: file }));
+
+    const uploader = window.dnd_cf7_uploader || {};
+    const formId = formData.get('_wpcf7');
+    const apiRoot = (window.wpcf7 && window.wpcf7.api && window.wpcf7.api.root) || '/wp-json/';
+
+    return {
+      id: formData.get(config.submissionIdField) || generateSubmissionId(),
+      formId,
+      userId: globalData.currentUserId || 0,
+      fields,
+      files,
+      fingerprint: await computeFingerprint(fields, files),
+      createdAt: Date.now(),
+      attempts: 0,
+      status: 'pending',
+      endpoints: {
+        feedbackUrl: `${apiRoot.replace(/\/$/, '')}/contact-form-7/v1/contact-forms/${formId}/feedback`,
+        uploadUrl: uploader.ajax_url || globalData.ajaxUrl || '/wp-admin/admin-ajax.php',
+        uploadNonce: uploader.ajax_nonce || '',
+        supportedType: fileInput ? fileInput.dataset.type || '' : '',
+        sizeLimit: fileInput ? fileInput.dataset.limit || '' : ''
+      }
+    };
+  }
+
+  /**
+   * Store a submission in the outbox
+   * @param {HTMLFormElement} form
+   * @param {string} message - Message shown in the CF7 response area
+   * @returns {Promise<boolean>} True when a new entry was queued
+   */
+  async function queueSubmission(form, message) {
+    try {
+      const entry = await buildEntry(form);
+
+      const existing = await outboxStore.get(entry.id) || await outboxStore.findByFingerprint(entry.fingerprint);
+      if (existing) {
+        showFormMessage(form, config.texts.duplicate);
+        return false;
+      }
+
+      await outboxStore.put(entry);
+      showFormMessage(form, message);
+      resetForm(form);
+      refreshBadges();
+      requestBackgroundSync();
+
+      console.log('[OfflineOutbox] Submission queued:', entry.id);
+      return true;
+    } catch (error) {
+      console.error('[OfflineOutbox] Failed to queue submission:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Queue a submission after CF7 reported wpcf7mailfailed
+   * @param {HTMLFormElement} form
+   */
+  function captureFailedSubmission(form) {
+    if (!forms.includes(form)) return;
+    queueSubmission(form, config.texts.queuedFailed);
+  }
+
+  /**
+   * Write a message into the CF7 response output
+   * @param {HTMLFormElement} form
+   * @param {string} message
+   */
+  function showFormMessage(form, message) {
+    const output = form.querySelector('.wpcf7-response-output');
+    if (output) {
+      output.textContent = message;
+      output.classList.add('offline-outbox-message');
+    }
+  }
+
+  /**
+   * Reset form state so the next record starts clean
+   * @param {HTMLFormElement} form
+   */
+  function resetForm(form) {
+    form.reset();
+    form.querySelectorAll('.dnd-upload-status').forEach(item => item.remove());
+    window.dispatchEvent(new CustomEvent('reset-realizace-form'));
+    prepareForm(form);
+  }
+
+  /**
+   * Called after a successful CF7 submission - issue a fresh submission id
+   * @param {HTMLFormElement} form
+   */
+  function onFormSuccess(form) {
+    if (forms.includes(form)) prepareForm(form);
+  }
+
+  /**
+   * Ask the service worker to replay via Background Sync
+   * @returns {Promise<boolean>} True when the worker took over
+   */
+  async function requestBackgroundSync() {
+    if (!registration || !('sync' in registration)) return false;
+
+    try {
+      await registration.sync.register(config.syncTag);
+      return true;
+    } catch (error) {
+      console.warn('[OfflineOutbox] Background sync registration failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replay the queue, preferring the service worker
+   */
+  async function triggerReplay() {
+    if (!navigator.onLine) return;
+    if (await requestBackgroundSync()) return;
+
+    // Entries of another user wait until that user is logged in again
+    const summary = await replayOutbox(handleReplayEvent, { userId: globalData.currentUserId || 0 });
+    console.log('[OfflineOutbox] Replay finished:', summary);
+  }
+
+  /**
+   * React to replay progress from page or service worker
+   * @param {Object} event - { type, entry }
+   */
+  function handleReplayEvent(event) {
+    if (event.type === 'sent') {
+      const form = forms.find(f => getCf7FormId(f) === String(event.entry.formId));
+      if (form) showFormMessage(form, config.texts.replayed);
+    }
+    refreshBadges();
+  }
+
+  /**
+   * Update badge counts in all tracked forms
+   */
+  async function refreshBadges() {
+    let entries = [];
+    try {
+      entries = await outboxStore.getAll();
+    } catch (error) {
+      console.warn('[OfflineOutbox] Unable to read outbox:', error);
+      return;
+    }
+
+    forms.forEach((form) => {
+      const badge = form.querySelector('.offline-outbox-badge');
+      if (!badge) return;
+
+      const formId = getCf7FormId(form);
+      const own = entries.filter(entry => String(entry.formId) === formId && String(entry.userId) === String(globalData.currentUserId || 0));
+      const failed = own.filter(entry => entry.status === 'failed').length;
+
+      badge.hidden = own.length === 0;
+      badge.classList.toggle('is-failed', failed > 0);
+      badge.disabled = failed === 0;
+      badge.textContent = failed > 0
+        ? `${failed}× ${config.texts.badgeFailed}`
+        : `${own.length}× ${config.texts.badge}`;
+    });
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  function cleanup() {
+    eventListeners.forEach(({ element, event, handler, capture }) => {
+      element.removeEventListener(event, handler, capture);
+    });
+    eventListeners.length = 0;
+    isInitialized = false;
+  }
+
+  init();
+
+  return {
+    cleanup,
+    isReady: () => isInitialized,
+    captureFailedSubmission,
+    onFormSuccess,
+    triggerReplay,
+    refreshBadges
+  };
+}
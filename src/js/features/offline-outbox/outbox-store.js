@@ -0,0 +1,95 @@
+/**
+ * Outbox Store
+ * Minimal IndexedDB wrapper for queued form submissions.
+ * Used from both window and service worker contexts.
+ */
+
+import { OUTBOX_CONFIG } from './constants.js';
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the outbox database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_CONFIG.dbName, OUTBOX_CONFIG.dbVersion);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_CONFIG.storeName)) {
+        const store = db.createObjectStore(OUTBOX_CONFIG.storeName, { keyPath: 'id' });
+        store.createIndex('fingerprint', 'fingerprint', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the store
+ * @param {IDBTransactionMode} mode
+ * @param {Function} callback - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, callback) {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_CONFIG.storeName, mode);
+    const request = callback(tx.objectStore(OUTBOX_CONFIG.storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const outboxStore = {
+  /**
+   * @param {Object} entry - Outbox entry with unique id
+   */
+  put(entry) {
+    return withStore('readwrite', store => store.put(entry));
+  },
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|undefined>}
+   */
+  get(id) {
+    return withStore('readonly', store => store.get(id));
+  },
+
+  /**
+   * @returns {Promise<Object[]>} All entries, oldest first
+   */
+  async getAll() {
+    const entries = await withStore('readonly', store => store.getAll());
+    return (entries || []).sort((a, b) => a.createdAt - b.createdAt);
+  },
+
+  /**
+   * @param {string} fingerprint
+   * @returns {Promise<Object|undefined>}
+   */
+  findByFingerprint(fingerprint) {
+    return withStore('readonly', store => store.index('fingerprint').get(fingerprint));
+  },
+
+  /**
+   * @param {string} id
+   */
+  delete(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+};
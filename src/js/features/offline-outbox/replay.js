@@ -0,0 +1,157 @@
+/**
+ * Outbox Replay
+ * Re-sends queued submissions: uploads pending photos through the
+ * drag & drop plugin endpoint, then posts the form to the CF7 REST API.
+ * Runs in both window and service worker contexts (no DOM access). The
+ * worker cannot tell who is logged in - the server refuses entries queued by
+ * another user (mf_submission_user) and they stay in the outbox as failed.
+ */
+
+import { OUTBOX_CONFIG } from './constants.js';
+import { outboxStore } from './outbox-store.js';
+
+/**
+ * Get a current upload nonce - the one stored with the entry expires after 12-24 h
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<string>} Fresh nonce, or the stored one when the refresh fails
+ */
+async function getUploadNonce(entry) {
+  const formData = new FormData();
+  formData.append('action', OUTBOX_CONFIG.freshNonceAction);
+  formData.append('action_name', OUTBOX_CONFIG.uploadNonceAction);
+
+  try {
+    const response = await fetch(entry.endpoints.uploadUrl, { method: 'POST', body: formData, credentials: 'same-origin' });
+    const result = await response.json();
+    if (result && result.success && result.data && result.data.nonce) {
+      return result.data.nonce;
+    }
+  } catch (error) {
+    if (error instanceof TypeError) throw error;
+  }
+
+  return entry.endpoints.uploadNonce;
+}
+
+/**
+ * Upload one file the same way the drag & drop plugin does
+ * @param {Object} file - Stored file { fieldName, name, type, blob }
+ * @param {Object} entry - Outbox entry
+ * @param {string} uploadNonce - Current upload nonce
+ * @returns {Promise<string>} Value the plugin expects in the hidden "<field>[]" input
+ */
+async function uploadFile(file, entry, uploadNonce) {
+  const { uploadUrl, supportedType, sizeLimit } = entry.endpoints;
+
+  const formData = new FormData();
+  formData.append('action', 'dnd_codedropz_upload');
+  formData.append('type', 'click');
+  formData.append('security', uploadNonce);
+  formData.append('form_id', entry.formId);
+  formData.append('upload_name', file.fieldName);
+  formData.append('supported_type', supportedType || '');
+  formData.append('size_limit', sizeLimit || '');
+  formData.append('upload-file', new File([file.blob], file.name, { type: file.type }));
+
+  const response = await fetch(uploadUrl, { method: 'POST', body: formData, credentials: 'same-origin' });
+  if (!response.ok) {
+    throw Object.assign(new Error(`Upload failed: HTTP ${response.status}`), { retryable: response.status >= 500 });
+  }
+
+  const result = await response.json();
+  if (!result || !result.success || !result.data) {
+    throw Object.assign(new Error('Upload rejected by plugin'), { retryable: false });
+  }
+
+  const { path, file: storedName } = result.data;
+  return path && storedName ? `${path}/${storedName}` : (path || storedName);
+}
+
+/**
+ * Send a single entry
+ * @param {Object} entry
+ * @returns {Promise<string>} CF7 status (e.g. "mail_sent")
+ */
+async function sendEntry(entry) {
+  const formData = new FormData();
+  entry.fields.forEach(([name, value]) => formData.append(name, value));
+
+  // Entries queued before the field existed
+  if (!formData.has(OUTBOX_CONFIG.submissionUserField)) {
+    formData.append(OUTBOX_CONFIG.submissionUserField, String(entry.userId || 0));
+  }
+
+  const uploadNonce = entry.files.length ? await getUploadNonce(entry) : '';
+  for (const file of entry.files) {
+    formData.append(`${file.fieldName}[]`, await uploadFile(file, entry, uploadNonce));
+  }
+
+  const response = await fetch(entry.endpoints.feedbackUrl, {
+    method: 'POST',
+    body: formData,
+    credentials: 'same-origin',
+    headers: { Accept: 'application/json' }
+  });
+
+  if (!response.ok) {
+    throw Object.assign(new Error(`HTTP ${response.status}`), { retryable: response.status >= 500 });
+  }
+
+  const result = await response.json();
+  if (result.status !== 'mail_sent') {
+    // Validation/spam errors will not fix themselves; mail_failed is worth another try
+    throw Object.assign(new Error(result.message || result.status), { retryable: result.status === 'mail_failed' });
+  }
+
+  return result.status;
+}
+
+/**
+ * Replay all queued entries once
+ * @param {Function} [notify] - Called with { type, entry } after each state change
+ * @param {Object} [options] - { userId } - replay only entries of this user (window context)
+ * @returns {Promise<{sent: number, failed: number, pending: number}>}
+ */
+export async function replayOutbox(notify = () => {}, options = {}) {
+  const summary = { sent: 0, failed: 0, pending: 0 };
+  const entries = await outboxStore.getAll();
+
+  for (const entry of entries) {
+    if (options.userId !== undefined && String(entry.userId || 0) !== String(options.userId)) {
+      continue;
+    }
+    if (entry.status === 'failed') {
+      summary.failed++;
+      continue;
+    }
+    if (entry.status === 'sending' && Date.now() - entry.sendingSince < OUTBOX_CONFIG.sendingTimeout) {
+      summary.pending++;
+      continue;
+    }
+
+    await outboxStore.put({ ...entry, status: 'sending', sendingSince: Date.now() });
+
+    try {
+      await sendEntry(entry);
+      await outboxStore.delete(entry.id);
+      summary.sent++;
+      notify({ type: 'sent', entry });
+    } catch (error) {
+      const attempts = (entry.attempts || 0) + 1;
+      const failed = error.retryable === false || attempts >= OUTBOX_CONFIG.maxAttempts;
+      await outboxStore.put({
+        ...entry,
+        attempts,
+        status: failed ? 'failed' : 'pending',
+        lastError: error.message
+      });
+      failed ? summary.failed++ : summary.pending++;
+      notify({ type: failed ? 'failed' : 'retry', entry, error: error.message });
+
+      // Network is gone again - stop and wait for the next "online"/sync
+      if (error instanceof TypeError) break;
+    }
+  }
+
+  return summary;
+}
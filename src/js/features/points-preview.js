@@ -0,0 +1,249 @@
+/**
+ * Faktura Points Preview Module
+ *
+ * Live preview next to the invoice_value input of the faktura form:
+ * expected points, the calculation rule and the effect on the user's
+ * žebříček position. Values are calculated on the server
+ * (PointsCalculationService::previewCalculation), debounced while typing.
+ */
+
+import { api, API_ERROR_TYPES } from '../utils/api.js';
+import { formatNumber } from '../utils/format.js';
+
+const PREVIEW_CONFIG = {
+  domain: 'invoice',
+  debounceDelay: 400,
+  selectors: {
+    input: '.faktura-form input[name="invoice_value"]'
+  },
+  texts: {
+    title: 'Očekávané body',
+    loading: 'Počítám body…',
+    error: 'Body se teď nepodařilo spočítat.',
+    note: 'Body budou připsány po schválení faktury.'
+  }
+};
+
+/**
+ * Describe how the points would move the user in the žebříček
+ * @param {Object} leaderboard - Preview leaderboard data
+ * @param {number} points - Expected points
+ * @returns {string}
+ */
+export function describePosition(leaderboard, points) {
+  const { current_position: current, projected_position: projected, positions_gained: gained } = leaderboard || {};
+  if (!points || !projected) return '';
+
+  if (!current) {
+    return `V žebříčku byste se zařadili na ${projected}. místo.`;
+  }
+  if (gained > 0) {
+    return `Posun v žebříčku z ${current}. na ${projected}. místo (o ${gained} ${gained === 1 ? 'příčku' : gained < 5 ? 'příčky' : 'příček'} výš).`;
+  }
+  return `V žebříčku zůstanete na ${current}. místě.`;
+}
+
+/**
+ * Setup points preview for the faktura form
+ * @param {Object} options - Configuration options
+ * @returns {Object} Handler object with methods
+ */
+export function setupPointsPreview(options = {}) {
+  const config = { ...PREVIEW_CONFIG, ...options, texts: { ...PREVIEW_CONFIG.texts, ...options.texts } };
+
+  let isInitialized = false;
+  let input = null;
+  let widget = null;
+  let debounceTimer = null;
+  let controller = null;
+  const results = new Map();
+  const eventListeners = [];
+
+  /**
+   * Initialize preview widget
+   */
+  function init() {
+    input = document.querySelector(config.selectors.input);
+    if (!input || !input.form) return;
+
+    widget = createWidget();
+    const anchor = input.closest('.wpcf7-form-control-wrap') || input.parentNode;
+    anchor.after(widget);
+
+    // Delegated on the form: the formatted display input updates invoice_value
+    // on 'input', draft restore dispatches 'change' on invoice_value itself
+    const handleChange = (e) => {
+      if (anchor.contains(e.target)) schedule();
+    };
+    ['input', 'change'].forEach((event) => {
+      input.form.addEventListener(event, handleChange);
+      eventListeners.push({ element: input.form, event, handler: handleChange });
+    });
+
+    const handleMailSent = (e) => {
+      if (e.target === input.form) reset();
+    };
+    document.addEventListener('wpcf7mailsent', handleMailSent);
+    eventListeners.push({ element: document, event: 'wpcf7mailsent', handler: handleMailSent });
+
+    // Value may already be filled in (browser autofill, back navigation)
+    if (getValue()) schedule();
+
+    isInitialized = true;
+    console.log('[PointsPreview] Preview initialized for faktura form');
+  }
+
+  /**
+   * Create widget markup
+   * @returns {HTMLElement}
+   */
+  function createWidget() {
+    const element = document.createElement('div');
+    element.className = 'points-preview';
+    element.setAttribute('aria-live', 'polite');
+    element.hidden = true;
+    element.innerHTML = `
+      <div class="points-preview__main">
+        <span class="points-preview__title"></span>
+        <strong class="points-preview__points"></strong>
+      </div>
+      <div class="points-preview__rule"></div>
+      <div class="points-preview__position"></div>
+      <div class="points-preview__note"></div>`;
+    element.querySelector('.points-preview__title').textContent = config.texts.title;
+    element.querySelector('.points-preview__note').textContent = config.texts.note;
+    return element;
+  }
+
+  /**
+   * Current value of invoice_value in CZK
+   * @returns {number}
+   */
+  function getValue() {
+    const digits = String(input.value || '').replace(/\D/g, '');
+    return digits ? parseInt(digits, 10) : 0;
+  }
+
+  /**
+   * Debounce the preview request for the current value
+   */
+  function schedule() {
+    clearTimeout(debounceTimer);
+    const value = getValue();
+
+    if (!value) {
+      abortPending();
+      widget.hidden = true;
+      return;
+    }
+
+    if (results.has(value)) {
+      abortPending();
+      render(results.get(value));
+      return;
+    }
+
+    setState('loading');
+    debounceTimer = setTimeout(() => fetchPreview(value), config.debounceDelay);
+  }
+
+  /**
+   * Request preview from the server
+   * @param {number} value
+   */
+  async function fetchPreview(value) {
+    abortPending();
+    controller = new AbortController();
+
+    try {
+      const result = await api.call('pointsPreview', { domain: config.domain, value }, { signal: controller.signal, retries: 1 });
+      results.set(value, result);
+      if (getValue() === value) render(result);
+    } catch (error) {
+      if (error.type === API_ERROR_TYPES.ABORTED) return;
+      console.warn('[PointsPreview] Preview request failed:', error);
+      if (getValue() === value) setState('error');
+    }
+  }
+
+  /**
+   * Cancel the in-flight request
+   */
+  function abortPending() {
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+  }
+
+  /**
+   * Show loading/error state
+   * @param {'loading'|'error'} state
+   */
+  function setState(state) {
+    widget.hidden = false;
+    widget.classList.toggle('is-loading', state === 'loading');
+    widget.classList.toggle('is-error', state === 'error');
+
+    // Keep the last result visible (dimmed) while loading
+    if (state === 'error' || !widget.dataset.points) {
+      widget.querySelector('.points-preview__points').textContent = state === 'error' ? '–' : '…';
+      widget.querySelector('.points-preview__rule').textContent = state === 'error' ? config.texts.error : config.texts.loading;
+      widget.querySelector('.points-preview__position').textContent = '';
+      delete widget.dataset.points;
+    }
+  }
+
+  /**
+   * Render preview result
+   * @param {Object} result - Server preview
+   */
+  function render(result) {
+    widget.hidden = false;
+    widget.classList.remove('is-loading', 'is-error');
+    widget.dataset.points = String(result.points);
+
+    widget.querySelector('.points-preview__points').textContent = `${formatNumber(result.points)} b.`;
+    widget.querySelector('.points-preview__rule').textContent = result.rule_label || '';
+
+    const position = widget.querySelector('.points-preview__position');
+    position.textContent = describePosition(result.leaderboard, result.points);
+    position.classList.toggle('is-improved', (result.leaderboard?.positions_gained || 0) > 0);
+  }
+
+  /**
+   * Hide preview after the form was sent
+   */
+  function reset() {
+    clearTimeout(debounceTimer);
+    abortPending();
+    // Žebříček data changes with every approval - do not reuse old answers
+    results.clear();
+    widget.hidden = true;
+    delete widget.dataset.points;
+  }
+
+  /**
+   * Clean up listeners, timers and the widget
+   */
+  function cleanup() {
+    clearTimeout(debounceTimer);
+    abortPending();
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+    if (widget) widget.remove();
+    widget = null;
+    results.clear();
+    isInitialized = false;
+  }
+
+  init();
+
+  return {
+    cleanup,
+    isReady: () => isInitialized,
+    refresh: () => isInitialized && schedule()
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Push Notifications
+ *
+ * Opt-in browser push for approvals, rejections and points. The switch on the
+ * account dashboard (push-notifications.php) asks for permission, gets a
+ * Firebase Cloud Messaging token for the theme service worker and registers
+ * it with PushNotificationService. With mistrFachman.push.local the local
+ * stand-in replaces FCM and window.mistrFachmanPush.simulate() shows a test
+ * message.
+ *
+ * Pushes arriving while the site is open are forwarded as the window event
+ * "push-notification-received" so the notification bell can refresh.
+ */
+
+import { api } from '../utils/api.js';
+import { firebaseMessaging } from '../firebase/messaging.js';
+import { localMessaging } from '../firebase/messaging-local.js';
+
+const PUSH_CONFIG = {
+  // Token registered from this browser, per user
+  storageKey: 'mf_push_token',
+  texts: {
+    unsupported: 'Tento prohlížeč oznámení nepodporuje.',
+    denied: 'Oznámení jsou v prohlížeči zablokovaná. Povolte je v nastavení stránky a zkuste to znovu.',
+    enabled: 'Oznámení jsou v tomto prohlížeči zapnutá.',
+    disabled: '',
+    working: 'Čekáme na prohlížeč…',
+    error: 'Oznámení se nepodařilo zapnout. Zkuste to prosím znovu.'
+  }
+};
+
+/**
+ * Setup push notifications
+ * @param {Object} options - Configuration overrides
+ * @returns {Object} Handler object with methods
+ */
+export function setupPushNotifications(options = {}) {
+  const config = { ...PUSH_CONFIG, ...options, texts: { ...PUSH_CONFIG.texts, ...options.texts } };
+  const globalData = window.mistrFachman || {};
+  const pushData = globalData.push || {};
+  const messaging = pushData.local ? localMessaging : firebaseMessaging;
+  const storageKey = `${config.storageKey}_${globalData.currentUserId || 0}`;
+  const element = document.querySelector('.push-optin');
+  const eventListeners = [];
+  let isInitialized = false;
+
+  const status = element?.querySelector('.push-optin__status');
+  const enableButton = element?.querySelector('.push-optin__enable');
+  const disableButton = element?.querySelector('.push-optin__disable');
+
+  /**
+   * Bind the opt-in and the worker messages
+   */
+  async function init() {
+    if (!pushData.enabled || !('serviceWorker' in navigator)) return;
+
+    listen(navigator.serviceWorker, 'message', (e) => {
+      if (e.data?.type === 'push-received') {
+        window.dispatchEvent(new CustomEvent('push-notification-received', { detail: e.data.data }));
+      }
+    });
+
+    if (pushData.local) {
+      window.mistrFachmanPush = { simulate: localMessaging.simulate };
+    }
+
+    if (enableButton) listen(enableButton, 'click', enable);
+    if (disableButton) listen(disableButton, 'click', disable);
+
+    isInitialized = true;
+
+    const supported = 'Notification' in window && await messaging.isSupported();
+    if (!isInitialized) return;
+
+    if (!supported) {
+      render('unsupported');
+      return;
+    }
+
+    render(getState());
+
+    // Tokens rotate - keep the server copy current
+    if (getState() === 'enabled') {
+      refreshToken();
+    }
+  }
+
+  /**
+   * Add event listener and remember it for cleanup
+   * @param {EventTarget} target
+   * @param {string} event
+   * @param {Function} handler
+   */
+  function listen(target, event, handler) {
+    target.addEventListener(event, handler);
+    eventListeners.push({ element: target, event, handler });
+  }
+
+  /**
+   * Current state of this browser
+   * @returns {string} denied, enabled or disabled
+   */
+  function getState() {
+    if (Notification.permission === 'denied') return 'denied';
+    return Notification.permission === 'granted' && localStorage.getItem(storageKey) ? 'enabled' : 'disabled';
+  }
+
+  /**
+   * Update the opt-in
+   * @param {string} state - unsupported, denied, enabled, disabled or working
+   * @param {string} [message] - Status text instead of the state's one
+   */
+  function render(state, message) {
+    if (!element) return;
+
+    element.hidden = false;
+    element.dataset.state = state;
+
+    if (status) status.textContent = message ?? config.texts[state] ?? '';
+    if (enableButton) {
+      enableButton.hidden = state !== 'disabled' && state !== 'working';
+      enableButton.disabled = state === 'working';
+    }
+    if (disableButton) disableButton.hidden = state !== 'enabled';
+  }
+
+  /**
+   * Theme service worker - the same registration the offline outbox uses
+   * @returns {Promise<ServiceWorkerRegistration>}
+   */
+  async function getRegistration() {
+    await navigator.serviceWorker.register(globalData.serviceWorkerUrl, { scope: '/' });
+    return navigator.serviceWorker.ready;
+  }
+
+  /**
+   * Ask for permission and register this browser
+   */
+  async function enable() {
+    render('working');
+
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        render(permission === 'denied' ? 'denied' : 'disabled');
+        return;
+      }
+
+      const token = await messaging.getToken(await getRegistration(), pushData.vapidKey);
+      await api.call('pushRegister', { token });
+      localStorage.setItem(storageKey, token);
+
+      render('enabled');
+    } catch (error) {
+      console.error('[PushNotifications] Enabling failed:', error);
+      render('disabled', api.handleError(error, { default: config.texts.error }));
+    }
+  }
+
+  /**
+   * Stop pushes to this browser
+   */
+  async function disable() {
+    const token = localStorage.getItem(storageKey);
+    localStorage.removeItem(storageKey);
+    render('disabled');
+
+    try {
+      await messaging.deleteToken();
+      if (token) await api.call('pushUnregister', { token });
+    } catch (error) {
+      console.warn('[PushNotifications] Disabling failed:', error);
+    }
+  }
+
+  /**
+   * Register the current token again if the browser replaced it
+   */
+  async function refreshToken() {
+    const previous = localStorage.getItem(storageKey);
+
+    try {
+      const token = await messaging.getToken(await getRegistration(), pushData.vapidKey);
+      if (token && token !== previous) {
+        await api.call('pushRegister', { token, previous_token: previous });
+        localStorage.setItem(storageKey, token);
+      }
+    } catch (error) {
+      console.warn('[PushNotifications] Token refresh failed:', error);
+    }
+  }
+
+  /**
+   * Clean up listeners
+   */
+  function cleanup() {
+    isInitialized = false;
+    eventListeners.forEach(({ element: target, event, handler }) => {
+      target.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+    if (pushData.local) delete window.mistrFachmanPush;
+  }
+
+  init().catch((error) => {
+    console.error('[PushNotifications] Initialization failed:', error);
+  });
+
+  return {
+    cleanup,
+    isReady: () => isInitialized
+  };
+}
@@ -0,0 +1,466 @@
+/**
+ * Žebříček Controls
+ *
+ * Year switch, search and "Moje pozice" for one leaderboard container.
+ * Every view (a year from the top, the page around a search hit or around
+ * the current user) replaces the list with one page of rows rendered by the
+ * server; "Více" continues from the end of that page.
+ */
+
+import { api, API_ERROR_TYPES } from '../../utils/api.js';
+import { parseRows } from './virtual-list.js';
+
+const CONTROLS_CONFIG = {
+  searchDelay: 300,
+  minQueryLength: 2,
+  highlightDuration: 4000,
+  messageDuration: 5000
+};
+
+/**
+ * Point the "Více" button at the end of the current view
+ * @param {HTMLElement} container - .mycred-zebricek-leaderboard element
+ * @param {number} nextOffset - Offset of the first row not loaded yet
+ * @param {boolean} hasMore - Whether rows follow
+ */
+export function updateMoreButton(container, nextOffset, hasMore) {
+  let button = container.querySelector('.zebricek-more-btn');
+
+  // The pagination is only rendered when the first page was full
+  if (!button) {
+    const list = container.querySelector('.zebricek-list');
+    if (!hasMore || !list || container.dataset.showPagination === 'false') return;
+
+    const pagination = document.createElement('div');
+    pagination.className = 'zebricek-pagination mt-6 text-center';
+    pagination.innerHTML = '<button class="zebricek-more-btn px-6 py-2 font-medium">Více</button>';
+    list.after(pagination);
+    button = pagination.querySelector('button');
+  }
+
+  button.dataset.offset = String(nextOffset);
+  button.dataset.limit = container.dataset.limit || button.dataset.limit || '30';
+  button.style.display = hasMore ? '' : 'none';
+}
+
+/**
+ * Setup controls for one leaderboard container
+ * @param {HTMLElement} container - .mycred-zebricek-leaderboard element
+ * @param {Object} options - Configuration overrides
+ * @param {Function} [options.onViewChange] - Called with { year, offset } whenever the list is replaced
+ * @param {Object} [options.virtualList] - Virtual list holding the rows (setupZebricekVirtualList)
+ * @returns {Object|null} Handler object with methods, or null if the container has no controls
+ */
+export function setupZebricekControls(container, options = {}) {
+  const { onViewChange = () => {}, virtualList = null, ...overrides } = options;
+  const config = { ...CONTROLS_CONFIG, ...overrides };
+  const controls = container.querySelector('.zebricek-controls');
+  const list = container.querySelector('.zebricek-list');
+
+  if (!controls || !list) {
+    return null;
+  }
+
+  const yearSelect = controls.querySelector('.zebricek-year-select');
+  const searchBox = controls.querySelector('.zebricek-search');
+  const searchInput = controls.querySelector('.zebricek-search-input');
+  const resultsList = controls.querySelector('.zebricek-search-results');
+  const myPositionButton = controls.querySelector('.zebricek-my-position-btn');
+  const limit = parseInt(container.dataset.limit, 10) || 30;
+
+  let viewController = null;
+  let searchController = null;
+  let searchTimer = null;
+  let highlightTimer = null;
+  let messageTimer = null;
+  let activeIndex = -1;
+  const searchResults = new Map();
+  const eventListeners = [];
+  const windowNotice = createWindowNotice();
+
+  /**
+   * Bind control events
+   */
+  function init() {
+    if (yearSelect) {
+      listen(yearSelect, 'change', () => changeYear(yearSelect.value));
+    }
+
+    if (searchInput && resultsList) {
+      searchInput.setAttribute('aria-expanded', 'false');
+      listen(searchInput, 'input', scheduleSearch);
+      listen(searchInput, 'keydown', handleSearchKeys);
+      listen(resultsList, 'click', (e) => {
+        const item = e.target.closest('.zebricek-search-result');
+        if (item) selectResult(item);
+      });
+      listen(document, 'click', (e) => {
+        if (!searchBox.contains(e.target)) hideResults();
+      });
+    }
+
+    if (myPositionButton) {
+      listen(myPositionButton, 'click', showMyPosition);
+    }
+
+    listen(windowNotice.querySelector('button'), 'click', () => changeYear(getYear()));
+  }
+
+  /**
+   * Add event listener and remember it for cleanup
+   * @param {EventTarget} element
+   * @param {string} event
+   * @param {Function} handler
+   */
+  function listen(element, event, handler) {
+    element.addEventListener(event, handler);
+    eventListeners.push({ element, event, handler });
+  }
+
+  /**
+   * Year shown in the list
+   * @returns {string}
+   */
+  function getYear() {
+    return container.dataset.year || container.dataset.currentYear || '';
+  }
+
+  /**
+   * Show a year from the top
+   * @param {string} year
+   */
+  async function changeYear(year) {
+    container.dataset.year = year;
+    if (yearSelect) yearSelect.value = year;
+    clearSearch();
+
+    const data = await loadView('zebricekLoadMore', { offset: 0 });
+    if (data) {
+      render(data.html, 0, data.has_more);
+    }
+  }
+
+  /**
+   * Show the page around the current user
+   */
+  async function showMyPosition() {
+    const data = await loadView('zebricekWindow', { around: 'me' });
+    if (data) {
+      render(data.html, data.offset, data.has_more);
+      focusRow(data.user_id);
+    }
+  }
+
+  /**
+   * Show the page around a search result
+   * @param {HTMLElement} item - .zebricek-search-result element
+   */
+  async function selectResult(item) {
+    hideResults();
+    searchInput.value = item.dataset.name;
+
+    const data = await loadView('zebricekWindow', { around: item.dataset.position });
+    if (data) {
+      render(data.html, data.offset, data.has_more);
+      focusRow(item.dataset.userId);
+    }
+  }
+
+  /**
+   * Request rows for a new view, cancelling the previous request
+   * @param {string} action - API action name
+   * @param {Object} params - Request data (year and limit are added)
+   * @returns {Promise<Object|null>} Response data, null when aborted or failed
+   */
+  async function loadView(action, params) {
+    if (viewController) viewController.abort();
+    const request = new AbortController();
+    viewController = request;
+    setBusy(true);
+
+    try {
+      return await api.call(action, { ...params, year: getYear(), limit }, { signal: request.signal });
+    } catch (error) {
+      if (error.type !== API_ERROR_TYPES.ABORTED) {
+        console.error('[ZebricekControls] Loading view failed:', error);
+        showMessage(api.handleError(error, {
+          default: 'Žebříček se nepodařilo načíst. Zkuste to prosím znovu.'
+        }));
+      }
+      return null;
+    } finally {
+      if (viewController === request) {
+        viewController = null;
+        setBusy(false);
+      }
+    }
+  }
+
+  /**
+   * Replace the list with one page of rows
+   * @param {string} html - Rendered rows
+   * @param {number} offset - Offset of the first row
+   * @param {boolean} hasMore - Whether rows follow after this page
+   */
+  function render(html, offset, hasMore) {
+    const rows = parseRows(html);
+    showRows(rows, offset, offset + rows.length, hasMore);
+  }
+
+  /**
+   * Show rows of a view (also used to restore a view on back navigation)
+   * @param {HTMLElement[]} rows - Row elements
+   * @param {number} offset - Offset of the first row
+   * @param {number} nextOffset - Offset of the first row not loaded yet
+   * @param {boolean} hasMore - Whether rows follow
+   * @param {string} [year] - Year of the rows (defaults to the year shown)
+   */
+  function showRows(rows, offset, nextOffset, hasMore, year = getYear()) {
+    container.dataset.year = year;
+    if (yearSelect) yearSelect.value = year;
+
+    if (virtualList) {
+      virtualList.setRows(rows);
+    } else {
+      list.replaceChildren(...rows);
+    }
+
+    if (!rows.length) {
+      const empty = document.createElement('div');
+      empty.className = 'zebricek-empty p-4 text-center';
+      empty.innerHTML = '<p class="text-sm"></p>';
+      empty.querySelector('p').textContent = `V roce ${year} žebříček neobsahuje žádné uživatele.`;
+      list.appendChild(empty);
+    }
+
+    updateMoreButton(container, nextOffset, hasMore);
+
+    windowNotice.hidden = offset === 0;
+    windowNotice.querySelector('.zebricek-window-text').textContent = `Zobrazeno od ${offset + 1}. místa`;
+
+    onViewChange({ year: getYear(), offset });
+  }
+
+  /**
+   * Scroll to a row and highlight it
+   * @param {number|string} userId
+   */
+  function focusRow(userId) {
+    const row = userId ? list.querySelector(`.zebricek-row[data-user-id="${userId}"]`) : null;
+    if (!row) return;
+
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    row.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+
+    clearTimeout(highlightTimer);
+    list.querySelectorAll('.zebricek-row--highlight').forEach((element) => element.classList.remove('zebricek-row--highlight'));
+    row.classList.add('zebricek-row--highlight');
+    highlightTimer = setTimeout(() => row.classList.remove('zebricek-row--highlight'), config.highlightDuration);
+  }
+
+  /**
+   * Debounce search while typing
+   */
+  function scheduleSearch() {
+    clearTimeout(searchTimer);
+    const query = searchInput.value.trim();
+
+    if (query.length < config.minQueryLength) {
+      abortSearch();
+      hideResults();
+      return;
+    }
+
+    const cacheKey = `${getYear()}|${query.toLowerCase()}`;
+    if (searchResults.has(cacheKey)) {
+      abortSearch();
+      renderResults(searchResults.get(cacheKey));
+      return;
+    }
+
+    searchTimer = setTimeout(() => runSearch(query, cacheKey), config.searchDelay);
+  }
+
+  /**
+   * Search the leaderboard
+   * @param {string} query
+   * @param {string} cacheKey
+   */
+  async function runSearch(query, cacheKey) {
+    abortSearch();
+    const request = new AbortController();
+    searchController = request;
+
+    try {
+      const data = await api.call('zebricekSearch', { query, year: getYear() }, { signal: request.signal, retries: 1 });
+      searchResults.set(cacheKey, data.results || []);
+      if (searchInput.value.trim() === query) renderResults(data.results || []);
+    } catch (error) {
+      if (error.type === API_ERROR_TYPES.ABORTED) return;
+      console.warn('[ZebricekControls] Search failed:', error);
+      renderResults(null);
+    } finally {
+      if (searchController === request) searchController = null;
+    }
+  }
+
+  /**
+   * Cancel the in-flight search
+   */
+  function abortSearch() {
+    if (searchController) {
+      searchController.abort();
+      searchController = null;
+    }
+  }
+
+  /**
+   * Render search results
+   * @param {Array|null} results - null when the search failed
+   */
+  function renderResults(results) {
+    resultsList.innerHTML = '';
+    activeIndex = -1;
+
+    if (!results || !results.length) {
+      const empty = document.createElement('li');
+      empty.className = 'zebricek-search-empty';
+      empty.textContent = results
+        ? `V žebříčku za rok ${getYear()} nikoho takového nenacházím.`
+        : 'Vyhledávání se nezdařilo. Zkuste to prosím znovu.';
+      resultsList.appendChild(empty);
+    } else {
+      results.forEach((result) => {
+        const item = document.createElement('li');
+        item.className = 'zebricek-search-result';
+        item.setAttribute('role', 'option');
+        item.dataset.userId = String(result.user_id);
+        item.dataset.position = String(result.position);
+        item.dataset.name = result.name;
+        item.innerHTML = `
+          <span class="zebricek-search-position"></span>
+          <span class="zebricek-search-name"></span>
+          <span class="zebricek-search-points"></span>`;
+        item.querySelector('.zebricek-search-position').textContent = `${result.position}.`;
+        item.querySelector('.zebricek-search-name').textContent = result.company ? `${result.name} · ${result.company}` : result.name;
+        item.querySelector('.zebricek-search-points').textContent = result.points || '';
+        resultsList.appendChild(item);
+      });
+    }
+
+    resultsList.hidden = false;
+    searchInput.setAttribute('aria-expanded', 'true');
+  }
+
+  /**
+   * Keyboard navigation in the results
+   * @param {KeyboardEvent} e
+   */
+  function handleSearchKeys(e) {
+    const items = Array.from(resultsList.querySelectorAll('.zebricek-search-result'));
+
+    if (e.key === 'Escape') {
+      hideResults();
+      return;
+    }
+    if (resultsList.hidden || !items.length) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + items.length) % items.length;
+      items.forEach((item, index) => item.setAttribute('aria-selected', String(index === activeIndex)));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      selectResult(items[Math.max(activeIndex, 0)]);
+    }
+  }
+
+  /**
+   * Hide search results
+   */
+  function hideResults() {
+    if (!resultsList) return;
+    resultsList.hidden = true;
+    searchInput.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Reset the search field (results belong to the previous year)
+   */
+  function clearSearch() {
+    if (!searchInput) return;
+    clearTimeout(searchTimer);
+    abortSearch();
+    searchInput.value = '';
+    hideResults();
+  }
+
+  /**
+   * Toggle loading state of the list and the controls
+   * @param {boolean} busy
+   */
+  function setBusy(busy) {
+    container.classList.toggle('zebricek--loading', busy);
+    list.setAttribute('aria-busy', String(busy));
+    if (yearSelect) yearSelect.disabled = busy;
+    if (myPositionButton) myPositionButton.disabled = busy;
+  }
+
+  /**
+   * Show an error message below the controls
+   * @param {string} message
+   */
+  function showMessage(message) {
+    clearTimeout(messageTimer);
+    container.querySelectorAll('.zebricek-controls + .zebricek-error').forEach((element) => element.remove());
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'zebricek-error';
+    errorDiv.setAttribute('role', 'alert');
+    errorDiv.textContent = message;
+    controls.after(errorDiv);
+
+    messageTimer = setTimeout(() => errorDiv.remove(), config.messageDuration);
+  }
+
+  /**
+   * Create the "Zobrazeno od X. místa" notice shown for windows not starting at the top
+   * @returns {HTMLElement}
+   */
+  function createWindowNotice() {
+    const element = document.createElement('div');
+    element.className = 'zebricek-window-notice';
+    element.hidden = true;
+    element.innerHTML = '<span class="zebricek-window-text"></span><button type="button" class="zebricek-top-btn">Zpět na začátek</button>';
+    list.before(element);
+    return element;
+  }
+
+  /**
+   * Remove listeners, timers and the notice
+   */
+  function cleanup() {
+    if (viewController) viewController.abort();
+    abortSearch();
+    clearTimeout(searchTimer);
+    clearTimeout(highlightTimer);
+    clearTimeout(messageTimer);
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+    searchResults.clear();
+    windowNotice.remove();
+  }
+
+  init();
+
+  return {
+    cleanup,
+    changeYear,
+    showRows,
+    showMyPosition,
+    getYear
+  };
+}
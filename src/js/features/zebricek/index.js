@@ -1,8 +1,19 @@
 /**
  * Žebříček (Leaderboard) Feature Module
- * Handles pagination and dynamic loading for leaderboard shortcodes
+ * Handles infinite scroll pagination, windowed rendering, controls (year,
+ * search, "Moje pozice"), live updates and scroll restoration on back
+ * navigation for leaderboard shortcodes
  */
 
+import { api } from '../../utils/api.js';
+import { setupZebricekLive } from './live-updates.js';
+import { setupZebricekControls, updateMoreButton } from './controls.js';
+import { setupZebricekVirtualList, parseRows } from './virtual-list.js';
+import { scrollState } from './scroll-state.js';
+
+// Next page is requested this far before the pagination scrolls into view
+const INFINITE_SCROLL_MARGIN = '600px';
+
 /**
  * Setup function for zebricek features
  * @returns {Object} Module instance with cleanup method
@@ -10,16 +21,48 @@
 export function setupZebricek() {
   const module = {
     isReady: false,
+    virtualLists: new Map(),
+    liveHandlers: new Map(),
+    controlHandlers: new Map(),
+    observers: new Map(),
+    // Containers where infinite scroll stopped after an error (until "Více" is clicked)
+    autoLoadPaused: new Set(),
+    eventListeners: [],
     
     /**
      * Initialize the module
      */
     init() {
+      this.setupVirtualLists();
       this.bindPaginationEvents();
+      this.startLiveUpdates();
+      this.setupControls();
+      this.setupInfiniteScroll();
+      this.restoreScrollState();
       this.isReady = true;
       console.log('Žebříček module initialized');
     },
 
+    /**
+     * Setup windowed rendering and remember rows for back navigation
+     */
+    setupVirtualLists() {
+      document.querySelectorAll('.mycred-zebricek-leaderboard').forEach(container => {
+        const virtualList = setupZebricekVirtualList(container);
+        if (virtualList) {
+          this.virtualLists.set(container, virtualList);
+        }
+      });
+
+      if (!this.virtualLists.size) {
+        return;
+      }
+
+      const handlePageHide = () => this.saveScrollState();
+      window.addEventListener('pagehide', handlePageHide);
+      this.eventListeners.push({ element: window, event: 'pagehide', handler: handlePageHide });
+    },
+
     /**
      * Bind pagination events for "Více" buttons
      */
@@ -33,28 +76,193 @@ export function setupZebricek() {
     },
 
     /**
-     * Initialize pagination for a specific container
-     * @param {HTMLElement} container - Zebricek container element
+     * Start live updates for leaderboards rendered with live="true"
      */
-    initializePagination(container) {
-      const moreButton = container.querySelector('.zebricek-more-btn');
-      
-      if (!moreButton) {
+    startLiveUpdates() {
+      document.querySelectorAll('.mycred-zebricek-leaderboard[data-live="true"]').forEach(container => {
+        const handler = setupZebricekLive(container, { virtualList: this.virtualLists.get(container) });
+        if (handler) {
+          handler.start();
+          this.liveHandlers.set(container, handler);
+        }
+      });
+    },
+
+    /**
+     * Setup year switch, search and "Moje pozice" controls
+     */
+    setupControls() {
+      document.querySelectorAll('.mycred-zebricek-leaderboard').forEach(container => {
+        const handler = setupZebricekControls(container, {
+          virtualList: this.virtualLists.get(container),
+          onViewChange: (view) => {
+            this.updateLiveState(container, view);
+            this.observePagination(container);
+          }
+        });
+        if (handler) {
+          this.controlHandlers.set(container, handler);
+        }
+      });
+    },
+
+    /**
+     * Load the next page when the pagination gets close to the viewport
+     */
+    setupInfiniteScroll() {
+      if (!('IntersectionObserver' in window)) {
         return;
       }
 
-      this.createPaginationHandler(container, moreButton);
+      this.virtualLists.forEach((virtualList, container) => {
+        if (container.dataset.showPagination === 'false') {
+          return;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            const button = entry.target.querySelector('.zebricek-more-btn');
+            if (!entry.isIntersecting || !button || button.disabled || button.style.display === 'none' || this.autoLoadPaused.has(container)) {
+              return;
+            }
+
+            this.loadMoreUsers(container, button, parseInt(button.dataset.offset) || 0, parseInt(button.dataset.limit) || 30);
+          });
+        }, { rootMargin: `${INFINITE_SCROLL_MARGIN} 0px` });
+
+        this.observers.set(container, observer);
+        this.observePagination(container);
+      });
     },
 
     /**
-     * Create pagination handler for a button
+     * (Re)observe the pagination - re-observing reports it again if it is still in view after a load
+     * @param {HTMLElement} container - Container element
+     */
+    observePagination(container) {
+      const observer = this.observers.get(container);
+      const pagination = container.querySelector('.zebricek-pagination');
+
+      if (observer && pagination) {
+        observer.unobserve(pagination);
+        observer.observe(pagination);
+      }
+    },
+
+    /**
+     * Store loaded rows and the scroll anchor of each leaderboard
+     */
+    saveScrollState() {
+      let saved = false;
+
+      this.virtualLists.forEach((virtualList, container) => {
+        const rows = virtualList.getRows();
+        const button = container.querySelector('.zebricek-more-btn');
+        const offset = rows.length ? (parseInt(rows[0].dataset.position) || 1) - 1 : 0;
+
+        saved = scrollState.save(container, {
+          year: container.dataset.year || '',
+          offset,
+          nextOffset: button ? parseInt(button.dataset.offset) || 0 : offset + rows.length,
+          hasMore: !!button && button.style.display !== 'none',
+          anchor: virtualList.getAnchor(),
+          rows
+        }) || saved;
+      });
+
+      // A stored snapshot restores the position itself - the browser would restore it before the rows exist.
+      // Without one (long list, full storage) the browser restoration is all there is.
+      if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = saved ? 'manual' : 'auto';
+      }
+    },
+
+    /**
+     * Bring back rows loaded before leaving the page and scroll to where the user was
+     */
+    restoreScrollState() {
+      if (!scrollState.isHistoryNavigation()) {
+        return;
+      }
+
+      let anchorRestored = false;
+      this.virtualLists.forEach((virtualList, container) => {
+        const state = scrollState.read(container);
+        if (!state) {
+          return;
+        }
+
+        const controls = this.controlHandlers.get(container);
+        if (!controls && state.year !== container.dataset.year) {
+          return;
+        }
+
+        // Same view as rendered by the server: keep its fresh first page, add the rows loaded later
+        const serverRows = virtualList.getRows();
+        const serverOffset = serverRows.length ? (parseInt(serverRows[0].dataset.position) || 1) - 1 : 0;
+        let rows = parseRows(state.rows.join(''));
+
+        if (state.year === container.dataset.year && state.offset === serverOffset) {
+          const serverIds = new Set(serverRows.map(row => row.dataset.userId));
+          const serverEnd = serverOffset + serverRows.length;
+          rows = [...serverRows, ...rows.filter(row => !serverIds.has(row.dataset.userId) && (parseInt(row.dataset.position) || 0) > serverEnd)];
+        }
+
+        if (controls) {
+          controls.showRows(rows, state.offset, state.nextOffset, state.hasMore, state.year);
+        } else {
+          virtualList.setRows(rows);
+          updateMoreButton(container, state.nextOffset, state.hasMore);
+        }
+
+        if (!anchorRestored && state.anchor) {
+          virtualList.restoreAnchor(state.anchor);
+          anchorRestored = true;
+        }
+        this.observePagination(container);
+      });
+    },
+
+    /**
+     * Live updates refresh the top of the current year only - pause them for other views
+     * @param {HTMLElement} container - Container element
+     * @param {Object} view - { year, offset } of the list shown
+     */
+    updateLiveState(container, view) {
+      const handler = this.liveHandlers.get(container);
+      if (!handler) {
+        return;
+      }
+
+      if (view.offset === 0 && view.year === container.dataset.currentYear) {
+        handler.start();
+      } else {
+        handler.stop();
+      }
+    },
+
+    /**
+     * Initialize pagination for a specific container
+     * @param {HTMLElement} container - Zebricek container element
+     */
+    initializePagination(container) {
+      this.createPaginationHandler(container);
+    },
+
+    /**
+     * Create delegated pagination handler - controls may add the button later
      * @param {HTMLElement} container - Container element
-     * @param {HTMLElement} button - More button element
      * @returns {Function} Event handler function
      */
-    createPaginationHandler(container, button) {
+    createPaginationHandler(container) {
       const handler = async (event) => {
+        const button = event.target.closest('.zebricek-more-btn');
+        if (!button || button.disabled) {
+          return;
+        }
+
         event.preventDefault();
+        this.autoLoadPaused.delete(container);
         
         const offset = parseInt(button.dataset.offset) || 0;
         const limit = parseInt(button.dataset.limit) || 30;
@@ -62,7 +270,9 @@ export function setupZebricek() {
         await this.loadMoreUsers(container, button, offset, limit);
       };
 
-      button.addEventListener('click', handler);
+      container.addEventListener('click', handler);
+      this.eventListeners.push({ element: container, event: 'click', handler });
+      return handler;
     },
 
     /**
@@ -73,6 +283,10 @@ export function setupZebricek() {
      * @param {number} limit - Items per page
      */
     async loadMoreUsers(container, button, offset, limit) {
+      if (button.disabled) {
+        return;
+      }
+
       // Show loading state
       this.setLoadingState(button, true);
       
@@ -80,46 +294,36 @@ export function setupZebricek() {
         // Get current shortcode attributes from container
         const shortcodeData = this.extractShortcodeData(container);
         
-        // Prepare AJAX request
-        const response = await fetch(window.ajaxurl || '/wp-admin/admin-ajax.php', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: new URLSearchParams({
-            action: 'zebricek_load_more',
-            nonce: window.zebricekAjax?.nonce || '',
-            offset: offset,
-            limit: limit,
-            ...shortcodeData
-          })
+        const data = await api.call('zebricekLoadMore', {
+          offset: offset,
+          limit: limit,
+          ...shortcodeData
         });
 
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+        // The controls switched to another view meanwhile
+        if (shortcodeData.year !== (container.dataset.year || '') || parseInt(button.dataset.offset) !== offset) {
+          return;
         }
 
-        const data = await response.json();
-        
-        if (data.success) {
-          // Append new users to the list
-          this.appendUsers(container, data.data.html);
-          
-          // Update or hide pagination button
-          if (data.data.has_more) {
-            button.dataset.offset = offset + limit;
-          } else {
-            button.style.display = 'none';
-          }
+        // Append new users to the list
+        this.appendUsers(container, data.html);
+
+        // Update or hide pagination button
+        if (data.has_more) {
+          button.dataset.offset = offset + limit;
         } else {
-          throw new Error(data.data?.message || 'Failed to load more users');
+          button.style.display = 'none';
         }
-        
       } catch (error) {
         console.error('Error loading more users:', error);
-        this.showError(container, 'Nepodařilo se načíst další uživatele. Zkuste to prosím znovu.');
+        this.autoLoadPaused.add(container);
+        this.showError(container, api.handleError(error, {
+          server: 'Nepodařilo se načíst další uživatele. Zkuste to prosím znovu.',
+          default: 'Nepodařilo se načíst další uživatele. Zkuste to prosím znovu.'
+        }));
       } finally {
         this.setLoadingState(button, false);
+        this.observePagination(container);
       }
     },
 
@@ -132,7 +336,8 @@ export function setupZebricek() {
       return {
         show_numbers: container.dataset.showNumbers || 'true',
         show_pagination: container.dataset.showPagination || 'true',
-        class: container.dataset.class || ''
+        class: container.dataset.class || '',
+        year: container.dataset.year || ''
       };
     },
 
@@ -142,27 +347,24 @@ export function setupZebricek() {
      * @param {string} html - HTML content to append
      */
     appendUsers(container, html) {
-      const zebricekList = container.querySelector('.zebricek-list');
+      const virtualList = this.virtualLists.get(container);
       
-      if (zebricekList && html) {
-        // Create temporary container to parse HTML
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
-        
-        // Append each new row
-        const newRows = tempDiv.querySelectorAll('.zebricek-row');
-        newRows.forEach(row => {
-          zebricekList.appendChild(row);
-        });
+      if (virtualList && html) {
+        // Skip rows already loaded - live updates may have moved a user into the loaded part
+        const loadedIds = new Set(virtualList.getRows().map(row => row.dataset.userId));
+        const newRows = parseRows(html).filter(row => !row.dataset.userId || !loadedIds.has(row.dataset.userId));
+
+        // Only the rendered rows are in the DOM, the rest is attached while scrolling
+        virtualList.append(newRows);
         
         // Add animation for new rows
-        this.animateNewRows(newRows);
+        this.animateNewRows(newRows.filter(row => row.isConnected));
       }
     },
 
     /**
      * Animate newly added rows
-     * @param {NodeList} rows - New row elements
+     * @param {HTMLElement[]} rows - New row elements
      */
     animateNewRows(rows) {
       rows.forEach((row, index) => {
@@ -235,7 +437,19 @@ export function setupZebricek() {
      * Cleanup event listeners
      */
     cleanup() {
-      // Event listeners will be cleaned up when elements are removed
+      this.eventListeners.forEach(({ element, event, handler }) => {
+        element.removeEventListener(event, handler);
+      });
+      this.eventListeners = [];
+      this.observers.forEach(observer => observer.disconnect());
+      this.observers = new Map();
+      this.autoLoadPaused.clear();
+      this.controlHandlers.forEach(handler => handler.cleanup());
+      this.controlHandlers = new Map();
+      this.liveHandlers.forEach(handler => handler.cleanup());
+      this.liveHandlers = new Map();
+      this.virtualLists.forEach(virtualList => virtualList.cleanup());
+      this.virtualLists = new Map();
       this.isReady = false;
     },
 
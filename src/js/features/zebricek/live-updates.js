@@ -0,0 +1,360 @@
+/**
+ * Žebříček Live Updates
+ *
+ * Keeps a leaderboard rendered with live="true" up to date: asks the
+ * zebricek_changes_since endpoint for changes after the last seen points log
+ * entry (cursor), moves rows to their new positions with a FLIP animation and
+ * shows rank and point changes. Polling slows down while the tab is hidden.
+ * When zebricekAjax.stream_url is set, the same payloads are read from a
+ * Server-Sent Events stream instead. With a virtual list the rows are
+ * replaced in the list's row set and only the rendered ones are animated.
+ */
+
+import { api, API_ERROR_TYPES } from '../../utils/api.js';
+import { formatNumber } from '../../utils/format.js';
+
+const LIVE_CONFIG = {
+  interval: 15000,
+  hiddenInterval: 120000,
+  maxInterval: 300000,
+  maxRows: 100,
+  // Rows requested while the leaderboard is still empty
+  emptyRows: 30,
+  highlightDuration: 6000
+};
+
+/**
+ * Setup live updates for one leaderboard container
+ * @param {HTMLElement} container - .mycred-zebricek-leaderboard element with data-live="true"
+ * @param {Object} options - Configuration overrides
+ * @param {Object} [options.virtualList] - Virtual list holding the rows (setupZebricekVirtualList)
+ * @returns {Object|null} Handler object with methods, or null if the container has no list
+ */
+export function setupZebricekLive(container, options = {}) {
+  const config = { ...LIVE_CONFIG, ...options };
+  const list = container.querySelector('.zebricek-list');
+
+  if (!list) {
+    console.warn('[ZebricekLive] Leaderboard list not found');
+    return null;
+  }
+
+  let cursor = parseInt(container.dataset.liveCursor, 10) || 0;
+  let timer = null;
+  let controller = null;
+  let stream = null;
+  let streamFailed = false;
+  let failures = 0;
+  let isRunning = false;
+  const highlightTimers = new Set();
+  const eventListeners = [];
+  const statusElement = createStatusElement();
+
+  /**
+   * Start polling (or streaming)
+   */
+  function start() {
+    if (isRunning) return;
+    isRunning = true;
+
+    const handleVisibility = () => {
+      if (document.hidden) {
+        // Streams are closed while hidden, polling continues with a longer interval
+        closeStream();
+        schedule();
+      } else {
+        poll();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    eventListeners.push({ element: document, event: 'visibilitychange', handler: handleVisibility });
+
+    if (!openStream()) schedule();
+  }
+
+  /**
+   * Stop updates
+   */
+  function stop() {
+    isRunning = false;
+    clearTimeout(timer);
+    closeStream();
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+  }
+
+  /**
+   * Schedule next poll - longer while hidden, exponential backoff after errors
+   */
+  function schedule() {
+    clearTimeout(timer);
+    if (!isRunning) return;
+
+    const base = document.hidden ? config.hiddenInterval : config.interval;
+    const delay = Math.min(base * 2 ** failures, config.maxInterval);
+    timer = setTimeout(poll, delay);
+  }
+
+  /**
+   * Ask the server for changes since the cursor
+   */
+  async function poll() {
+    clearTimeout(timer);
+    if (!isRunning) return;
+
+    // A visible tab with a stream configured reads the stream instead
+    if (!document.hidden && openStream()) return;
+
+    if (controller) controller.abort();
+    const request = new AbortController();
+    controller = request;
+
+    try {
+      const payload = await api.call('zebricekChangesSince', {
+        since: cursor,
+        limit: Math.min(getRows().length || config.emptyRows, config.maxRows)
+      }, { signal: request.signal, retries: 0 });
+
+      failures = 0;
+      applyChanges(payload);
+    } catch (error) {
+      if (error.type === API_ERROR_TYPES.ABORTED) return;
+      failures++;
+      console.warn('[ZebricekLive] Update failed:', error);
+      setStatus('error');
+    } finally {
+      if (controller === request) {
+        controller = null;
+        schedule();
+      }
+    }
+  }
+
+  /**
+   * Open the SSE stream if configured
+   * @returns {boolean} True when updates come from a stream
+   */
+  function openStream() {
+    const streamUrl = window.zebricekAjax?.stream_url;
+    if (!streamUrl || streamFailed || !('EventSource' in window)) return false;
+    if (stream) return true;
+
+    const url = new URL(streamUrl, window.location.href);
+    url.searchParams.set('since', String(cursor));
+
+    stream = new EventSource(url.toString(), { withCredentials: true });
+    stream.onmessage = (event) => {
+      try {
+        applyChanges(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('[ZebricekLive] Invalid stream message:', error);
+      }
+    };
+    stream.onerror = () => {
+      // Fall back to polling for the rest of the page life
+      closeStream();
+      streamFailed = true;
+      schedule();
+    };
+
+    return true;
+  }
+
+  /**
+   * Close the SSE stream
+   */
+  function closeStream() {
+    if (stream) {
+      stream.close();
+      stream = null;
+    }
+  }
+
+  /**
+   * Apply a zebricek_changes_since payload
+   * @param {Object} payload - { changed, cursor, rows, deltas, has_more }
+   */
+  function applyChanges(payload) {
+    if (!payload) return;
+    if (payload.cursor) cursor = payload.cursor;
+
+    if (!payload.changed || !Array.isArray(payload.rows) || !payload.rows.length) {
+      setStatus('current');
+      return;
+    }
+
+    const deltas = payload.deltas || {};
+    const previous = new Map();
+    getRows().forEach((row) => {
+      previous.set(row.dataset.userId, {
+        top: row.isConnected ? row.getBoundingClientRect().top : null,
+        position: parseInt(row.dataset.position, 10) || 0
+      });
+    });
+
+    // Rows loaded by "Více" below the live window stay where they are
+    const liveIds = new Set(payload.rows.map((row) => String(row.user_id)));
+    const trailingRows = getRows().slice(payload.rows.length).filter((row) => !liveIds.has(row.dataset.userId));
+
+    const template = document.createElement('template');
+    const newRows = payload.rows.map((rowData) => {
+      template.innerHTML = rowData.html.trim();
+      return template.content.firstElementChild;
+    }).filter(Boolean);
+
+    if (config.virtualList) {
+      config.virtualList.setRows([...newRows, ...trailingRows]);
+    } else {
+      list.replaceChildren(...newRows, ...trailingRows);
+    }
+
+    newRows.forEach((row) => {
+      const before = previous.get(row.dataset.userId);
+      const position = parseInt(row.dataset.position, 10) || 0;
+
+      if (!before) {
+        row.classList.add('zebricek-row--entered');
+      } else {
+        if (before.top !== null && row.isConnected) animateMove(row, before.top);
+        if (before.position && before.position !== position) {
+          markRankChange(row, before.position - position);
+        }
+      }
+
+      const delta = deltas[row.dataset.userId];
+      if (delta) markPointsDelta(row, delta);
+    });
+
+    const moreButton = container.querySelector('.zebricek-more-btn');
+    if (moreButton && payload.has_more === false && !trailingRows.length) {
+      moreButton.style.display = 'none';
+    }
+
+    setStatus('current');
+  }
+
+  /**
+   * FLIP: start the row at its old place and let it slide to the new one
+   * @param {HTMLElement} row
+   * @param {number} previousTop - Top offset before the update
+   */
+  function animateMove(row, previousTop) {
+    const shift = previousTop - row.getBoundingClientRect().top;
+    if (!shift || window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+
+    row.style.transition = 'none';
+    row.style.transform = `translateY(${shift}px)`;
+
+    requestAnimationFrame(() => {
+      row.style.transition = 'transform 0.6s ease';
+      row.style.transform = '';
+    });
+  }
+
+  /**
+   * Show a rank change badge
+   * @param {HTMLElement} row
+   * @param {number} change - Positive = moved up
+   */
+  function markRankChange(row, change) {
+    const badge = document.createElement('span');
+    badge.className = `zebricek-rank-change ${change > 0 ? 'is-up' : 'is-down'}`;
+    badge.textContent = `${change > 0 ? '▲' : '▼'} ${Math.abs(change)}`;
+    badge.title = change > 0 ? `Posun o ${change} výš` : `Posun o ${Math.abs(change)} níž`;
+
+    row.classList.add(change > 0 ? 'zebricek-row--up' : 'zebricek-row--down');
+    (row.querySelector('.zebricek-user-name') || row).appendChild(badge);
+    clearLater(row, badge);
+  }
+
+  /**
+   * Show points gained since the last update (full members only get deltas)
+   * @param {HTMLElement} row
+   * @param {number} delta
+   */
+  function markPointsDelta(row, delta) {
+    const points = row.querySelector('.zebricek-actions');
+    if (!points) return;
+
+    const badge = document.createElement('span');
+    badge.className = `zebricek-delta ${delta > 0 ? 'is-up' : 'is-down'}`;
+    badge.textContent = `${delta > 0 ? '+' : '−'}${formatNumber(Math.abs(delta))} b.`;
+    points.prepend(badge);
+    clearLater(row, badge);
+  }
+
+  /**
+   * Remove highlight classes and a badge after a while
+   * @param {HTMLElement} row
+   * @param {HTMLElement} badge
+   */
+  function clearLater(row, badge) {
+    const highlightTimer = setTimeout(() => {
+      highlightTimers.delete(highlightTimer);
+      badge.remove();
+      row.classList.remove('zebricek-row--up', 'zebricek-row--down', 'zebricek-row--entered');
+    }, config.highlightDuration);
+    highlightTimers.add(highlightTimer);
+  }
+
+  /**
+   * Current leaderboard rows
+   * @returns {HTMLElement[]}
+   */
+  function getRows() {
+    return config.virtualList
+      ? config.virtualList.getRows()
+      : Array.from(list.querySelectorAll('.zebricek-row[data-user-id]'));
+  }
+
+  /**
+   * Create the "Živě" indicator above the list
+   * @returns {HTMLElement}
+   */
+  function createStatusElement() {
+    const element = document.createElement('div');
+    element.className = 'zebricek-live-status';
+    element.setAttribute('aria-live', 'polite');
+    element.innerHTML = '<span class="zebricek-live-dot" aria-hidden="true"></span><span class="zebricek-live-text"></span>';
+    element.querySelector('.zebricek-live-text').textContent = 'Živé výsledky';
+    list.before(element);
+    return element;
+  }
+
+  /**
+   * Update the indicator
+   * @param {'current'|'error'} state
+   */
+  function setStatus(state) {
+    const time = new Date().toLocaleTimeString('cs-CZ', { hour: '2-digit', minute: '2-digit' });
+    statusElement.classList.toggle('is-error', state === 'error');
+    statusElement.querySelector('.zebricek-live-text').textContent = state === 'error'
+      ? 'Živé výsledky jsou dočasně nedostupné, zkusím to znovu.'
+      : `Živé výsledky · aktualizováno ${time}`;
+  }
+
+  /**
+   * Stop updates and remove the indicator
+   */
+  function cleanup() {
+    stop();
+    highlightTimers.forEach((highlightTimer) => clearTimeout(highlightTimer));
+    highlightTimers.clear();
+    statusElement.remove();
+  }
+
+  return {
+    start,
+    stop,
+    cleanup,
+    applyChanges,
+    isRunning: () => isRunning,
+    getCursor: () => cursor
+  };
+}
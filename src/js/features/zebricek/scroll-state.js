@@ -0,0 +1,97 @@
+/**
+ * Žebříček Scroll State
+ * sessionStorage snapshot of the loaded rows and the scroll anchor of a
+ * leaderboard, so back navigation (or reload) returns to the same row
+ * instead of the first page
+ */
+
+const KEY_PREFIX = 'mf_zebricek_state';
+
+const STATE_CONFIG = {
+  // Snapshots older than this are ignored
+  maxAge: 30 * 60 * 1000,
+  // Longer lists are not stored (sessionStorage quota)
+  maxRows: 600
+};
+
+/**
+ * Build storage key for a leaderboard on the current page
+ * @param {HTMLElement} container
+ * @returns {string}
+ */
+function buildKey(container) {
+  const index = Array.from(document.querySelectorAll('.mycred-zebricek-leaderboard')).indexOf(container);
+  return `${KEY_PREFIX}_${window.location.pathname}${window.location.search}_${index}`;
+}
+
+/**
+ * Row markup without live update badges, highlights and animation styles
+ * @param {HTMLElement} row
+ * @returns {string}
+ */
+function serializeRow(row) {
+  const clone = row.cloneNode(true);
+  clone.querySelectorAll('.zebricek-rank-change, .zebricek-delta').forEach((badge) => badge.remove());
+  clone.classList.remove('zebricek-row--up', 'zebricek-row--down', 'zebricek-row--entered', 'zebricek-row--highlight');
+  clone.removeAttribute('style');
+  return clone.outerHTML;
+}
+
+export const scrollState = {
+  /**
+   * Whether the page was opened from history (back/forward) or reloaded
+   * @returns {boolean}
+   */
+  isHistoryNavigation() {
+    const [navigation] = window.performance?.getEntriesByType?.('navigation') || [];
+    return navigation ? ['back_forward', 'reload'].includes(navigation.type) : false;
+  },
+
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} state - { year, offset, nextOffset, hasMore, rows: HTMLElement[], anchor }
+   * @returns {boolean} Whether the snapshot was stored
+   */
+  save(container, state) {
+    try {
+      if (!state.rows.length || state.rows.length > STATE_CONFIG.maxRows) {
+        window.sessionStorage.removeItem(buildKey(container));
+        return false;
+      }
+
+      window.sessionStorage.setItem(buildKey(container), JSON.stringify({
+        ...state,
+        rows: state.rows.map(serializeRow),
+        savedAt: Date.now()
+      }));
+      return true;
+    } catch (error) {
+      // Storage disabled or full - the browser restores the scroll position on its own
+      console.warn('[Zebricek] Unable to store scroll state:', error);
+      return false;
+    }
+  },
+
+  /**
+   * @param {HTMLElement} container
+   * @returns {Object|null} Saved state with rows as HTML strings
+   */
+  read(container) {
+    try {
+      const raw = window.sessionStorage.getItem(buildKey(container));
+      if (!raw) return null;
+
+      const state = JSON.parse(raw);
+      const age = Date.now() - state.savedAt;
+      if (!Array.isArray(state.rows) || !(age >= 0 && age < STATE_CONFIG.maxAge)) {
+        window.sessionStorage.removeItem(buildKey(container));
+        return null;
+      }
+
+      return state;
+    } catch (error) {
+      console.warn('[Zebricek] Unable to read scroll state:', error);
+      return null;
+    }
+  }
+};
@@ -0,0 +1,383 @@
+/**
+ * Žebříček Share Card
+ *
+ * Draws a branded PNG of the user's žebříček position (rank, annual points,
+ * next target) on a canvas and offers it for download or through the Web
+ * Share API. The data come from the data-share-card attribute rendered by
+ * position-share.php - no image processing on the server.
+ */
+
+import { formatNumber } from '../../utils/format.js';
+
+const CARD_CONFIG = {
+  // Open Graph image size, shown uncropped by most social networks
+  width: 1200,
+  height: 630,
+  padding: 80,
+  colors: {
+    primary: '#DB0626',
+    text: '#000000',
+    muted: '#666666',
+    background: '#FFFFFF',
+    soft: '#F2F2F2'
+  },
+  fonts: {
+    primary: "'Avenir Next', sans-serif",
+    secondary: "'General Sans', sans-serif"
+  },
+  texts: {
+    preparing: 'Připravuji obrázek…',
+    error: 'Obrázek se nepodařilo vytvořit.',
+    downloaded: 'Obrázek je stažený, můžete ho sdílet.'
+  }
+};
+
+/**
+ * Headline of the card and the shared text
+ * @param {Object} data - Share card data
+ * @returns {string}
+ */
+export function describePosition(data) {
+  return `Jsem ${data.position}. v žebříčku Mistr Fachman ${data.year}`;
+}
+
+/**
+ * What the user needs for the next place
+ * @param {Object} data - Share card data
+ * @returns {string}
+ */
+export function describeNextTarget(data) {
+  if (data.position === 1) {
+    return 'Vedu žebříček!';
+  }
+  if (!data.next_target) {
+    return '';
+  }
+
+  const { position, points_needed: needed } = data.next_target;
+  return needed > 0
+    ? `Na ${position}. místo mi chybí ${formatNumber(needed)} b.`
+    : `Na ${position}. místě se dělím o body.`;
+}
+
+/**
+ * Load an image (same-origin, so the canvas stays exportable)
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement|null>} null when the image cannot be loaded
+ */
+async function loadImage(url) {
+  if (!url) return null;
+
+  const image = new Image();
+  image.src = url;
+  try {
+    await image.decode();
+    return image;
+  } catch (error) {
+    console.warn('[ZebricekShare] Logo could not be loaded:', error);
+    return null;
+  }
+}
+
+/**
+ * Draw the share card
+ * @param {Object} data - Share card data
+ * @param {Object} [options] - Configuration overrides
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function renderShareCard(data, options = {}) {
+  const config = { ...CARD_CONFIG, ...options };
+  const { width, height, padding, colors, fonts } = config;
+
+  // Theme fonts may not be used on the page yet - the canvas would fall back silently
+  if (document.fonts) {
+    await Promise.all([
+      document.fonts.load(`700 160px ${fonts.secondary}`),
+      document.fonts.load(`500 40px ${fonts.primary}`)
+    ]).catch(() => {});
+  }
+  const logo = await loadImage(data.logo_url);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = colors.background;
+  ctx.fillRect(0, 0, width, height);
+
+  // Brand stripe and rank block
+  ctx.fillStyle = colors.primary;
+  ctx.fillRect(0, 0, 24, height);
+
+  ctx.fillStyle = colors.soft;
+  ctx.fillRect(width - 420, 0, 420, height);
+
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = colors.primary;
+  ctx.font = `700 ${String(data.position).length > 3 ? 150 : 200}px ${fonts.secondary}`;
+  ctx.fillText(`${data.position}.`, width - 210, 340, 360);
+  ctx.fillStyle = colors.muted;
+  ctx.font = `500 32px ${fonts.primary}`;
+  ctx.fillText('místo v žebříčku', width - 210, 400, 360);
+
+  // Headline, points and next target
+  const textWidth = width - 420 - padding * 2;
+  ctx.textAlign = 'left';
+  ctx.fillStyle = colors.text;
+  ctx.font = `700 56px ${fonts.secondary}`;
+  const lines = wrapText(ctx, describePosition(data), textWidth);
+  lines.slice(0, 3).forEach((line, index) => {
+    ctx.fillText(line, padding, 200 + index * 68, textWidth);
+  });
+
+  let y = 200 + Math.min(lines.length, 3) * 68 + 30;
+  ctx.fillStyle = colors.primary;
+  ctx.font = `700 40px ${fonts.primary}`;
+  ctx.fillText(`${formatNumber(data.points)} b. za rok ${data.year}`, padding, y, textWidth);
+
+  const nextTarget = describeNextTarget(data);
+  if (nextTarget) {
+    y += 56;
+    ctx.fillStyle = colors.muted;
+    ctx.font = `500 32px ${fonts.primary}`;
+    ctx.fillText(nextTarget, padding, y, textWidth);
+  }
+
+  // Footer: logo, name and site
+  const footerY = height - padding;
+  if (logo) {
+    const logoHeight = 48;
+    const logoWidth = logo.naturalHeight ? logo.naturalWidth * (logoHeight / logo.naturalHeight) : 260;
+    ctx.drawImage(logo, padding, footerY - logoHeight, logoWidth, logoHeight);
+  } else {
+    ctx.fillStyle = colors.text;
+    ctx.font = `700 36px ${fonts.secondary}`;
+    ctx.fillText('Mistr Fachman', padding, footerY - 8);
+  }
+
+  ctx.fillStyle = colors.muted;
+  ctx.font = `500 28px ${fonts.primary}`;
+  ctx.textAlign = 'right';
+  ctx.fillText([data.name, data.site].filter(Boolean).join(' · '), width - 420 - padding, footerY - 8, textWidth - 300);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+  });
+}
+
+/**
+ * Split text into lines fitting the width
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+function wrapText(ctx, text, maxWidth) {
+  return text.split(' ').reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && ctx.measureText(`${last} ${word}`).width <= maxWidth) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+}
+
+/**
+ * Setup share cards rendered by [zebricek_position]
+ * @param {Object} options - Configuration overrides
+ * @returns {Object} Handler object with methods
+ */
+export function setupZebricekShare(options = {}) {
+  const config = { ...CARD_CONFIG, ...options, texts: { ...CARD_CONFIG.texts, ...options.texts } };
+  const cards = [];
+  const eventListeners = [];
+  let isInitialized = false;
+
+  /**
+   * Initialize all share blocks on the page
+   */
+  function init() {
+    document.querySelectorAll('.zebricek-share[data-share-card]').forEach((element) => {
+      let data;
+      try {
+        data = JSON.parse(element.dataset.shareCard);
+      } catch (error) {
+        console.warn('[ZebricekShare] Invalid share card data:', error);
+        return;
+      }
+
+      const card = { element, data, image: null, previewUrl: null };
+      cards.push(card);
+
+      const shareButton = element.querySelector('.zebricek-share__button--share');
+      const downloadButton = element.querySelector('.zebricek-share__button--download');
+
+      if (shareButton && canShareFiles()) {
+        shareButton.hidden = false;
+        listen(shareButton, 'click', () => share(card));
+      }
+      if (downloadButton) {
+        listen(downloadButton, 'click', () => download(card));
+      }
+
+      // Drawn ahead: the Web Share API needs the click's user activation, which a slow render could outlast
+      prepare(card).catch(() => {});
+    });
+
+    isInitialized = cards.length > 0;
+  }
+
+  /**
+   * Add event listener and remember it for cleanup
+   * @param {EventTarget} element
+   * @param {string} event
+   * @param {Function} handler
+   */
+  function listen(element, event, handler) {
+    element.addEventListener(event, handler);
+    eventListeners.push({ element, event, handler });
+  }
+
+  /**
+   * Whether the browser can share image files
+   * @returns {boolean}
+   */
+  function canShareFiles() {
+    try {
+      return typeof navigator.canShare === 'function'
+        && navigator.canShare({ files: [new File([''], 'test.png', { type: 'image/png' })] });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Draw the card once and show its preview
+   * @param {Object} card
+   * @returns {Promise<Blob>}
+   */
+  function prepare(card) {
+    if (!card.image) {
+      setStatus(card, config.texts.preparing);
+      card.image = renderShareCard(card.data, config)
+        .then((blob) => {
+          const preview = card.element.querySelector('.zebricek-share__preview');
+          if (preview) {
+            card.previewUrl = URL.createObjectURL(blob);
+            preview.src = card.previewUrl;
+            preview.hidden = false;
+          }
+          setStatus(card, '');
+          return blob;
+        })
+        .catch((error) => {
+          console.error('[ZebricekShare] Rendering failed:', error);
+          setStatus(card, config.texts.error);
+          // Next click tries again
+          card.image = null;
+          throw error;
+        });
+    }
+    return card.image;
+  }
+
+  /**
+   * Share the card via the Web Share API, falling back to download
+   * @param {Object} card
+   */
+  async function share(card) {
+    let blob;
+    try {
+      blob = await prepare(card);
+    } catch (error) {
+      return;
+    }
+
+    const file = new File([blob], getFileName(card.data), { type: 'image/png' });
+    try {
+      await navigator.share({
+        files: [file],
+        title: describePosition(card.data),
+        text: `${describePosition(card.data)}! ${describeNextTarget(card.data)}`.trim()
+      });
+    } catch (error) {
+      // Closing the share sheet is not an error
+      if (error.name !== 'AbortError') {
+        console.warn('[ZebricekShare] Sharing failed, downloading instead:', error);
+        saveBlob(card, blob);
+      }
+    }
+  }
+
+  /**
+   * Download the card
+   * @param {Object} card
+   */
+  async function download(card) {
+    try {
+      saveBlob(card, await prepare(card));
+    } catch (error) {
+      // Status already shows the error
+    }
+  }
+
+  /**
+   * Save a blob through a temporary link
+   * @param {Object} card
+   * @param {Blob} blob
+   */
+  function saveBlob(card, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getFileName(card.data);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setStatus(card, config.texts.downloaded);
+  }
+
+  /**
+   * @param {Object} data - Share card data
+   * @returns {string}
+   */
+  function getFileName(data) {
+    return `mistr-fachman-zebricek-${data.year}-${data.position}.png`;
+  }
+
+  /**
+   * @param {Object} card
+   * @param {string} message
+   */
+  function setStatus(card, message) {
+    const status = card.element.querySelector('.zebricek-share__status');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Clean up listeners and preview URLs
+   */
+  function cleanup() {
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+    cards.forEach((card) => {
+      if (card.previewUrl) URL.revokeObjectURL(card.previewUrl);
+    });
+    cards.length = 0;
+    isInitialized = false;
+  }
+
+  init();
+
+  return {
+    cleanup,
+    isReady: () => isInitialized
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * Žebříček Virtual List
+ *
+ * Keeps every loaded leaderboard row (leaderboard-row.php markup) in memory
+ * but only the rows around the viewport in the DOM. Rows above and below the
+ * rendered slice are replaced by list padding of their measured (or
+ * estimated) height, so the page height and the pagination below the list
+ * stay where they would be with all rows rendered. Short lists are rendered
+ * whole.
+ */
+
+const VIRTUAL_CONFIG = {
+  // Lists up to this many rows are rendered whole
+  virtualizeAfter: 90,
+  // Pixels rendered above and below the viewport
+  overscan: 800,
+  estimatedRowHeight: 72
+};
+
+/**
+ * Parse rows rendered by leaderboard-row.php
+ * @param {string} html
+ * @returns {HTMLElement[]}
+ */
+export function parseRows(html) {
+  const template = document.createElement('template');
+  template.innerHTML = (html || '').trim();
+  return Array.from(template.content.querySelectorAll('.zebricek-row'));
+}
+
+/**
+ * Setup windowed rendering for one leaderboard container
+ * @param {HTMLElement} container - .mycred-zebricek-leaderboard element
+ * @param {Object} options - Configuration overrides
+ * @returns {Object|null} Handler object with methods, or null if the container has no list
+ */
+export function setupZebricekVirtualList(container, options = {}) {
+  const config = { ...VIRTUAL_CONFIG, ...options };
+  const list = container.querySelector('.zebricek-list');
+
+  if (!list) {
+    return null;
+  }
+
+  let rows = Array.from(list.querySelectorAll('.zebricek-row'));
+  let rendered = { start: 0, end: rows.length };
+  let frame = null;
+  let measuredTotal = 0;
+  let measuredCount = 0;
+  const heights = new WeakMap();
+  const eventListeners = [];
+
+  /**
+   * Bind scroll/resize rendering
+   */
+  function init() {
+    ['scroll', 'resize'].forEach((event) => {
+      window.addEventListener(event, scheduleRender, { passive: true });
+      eventListeners.push({ element: window, event, handler: scheduleRender });
+    });
+    measure();
+  }
+
+  /**
+   * Render on the next animation frame
+   */
+  function scheduleRender() {
+    if (frame || !isVirtual()) return;
+    frame = requestAnimationFrame(render);
+  }
+
+  /**
+   * Whether only a slice of the rows is in the DOM
+   * @returns {boolean}
+   */
+  function isVirtual() {
+    return rows.length > config.virtualizeAfter;
+  }
+
+  /**
+   * All loaded rows, rendered or not
+   * @returns {HTMLElement[]}
+   */
+  function getRows() {
+    return rows.slice();
+  }
+
+  /**
+   * Replace all rows (new view, live update)
+   * @param {HTMLElement[]} newRows
+   */
+  function setRows(newRows) {
+    rows = newRows.slice();
+    rendered = null;
+    list.replaceChildren();
+    render();
+  }
+
+  /**
+   * Add rows after the loaded ones ("Více", infinite scroll)
+   * @param {HTMLElement[]} newRows
+   */
+  function append(newRows) {
+    if (!newRows.length) return;
+    rows.push(...newRows);
+    render();
+  }
+
+  /**
+   * Attach the rows around the viewport and pad the rest
+   */
+  function render() {
+    if (frame) cancelAnimationFrame(frame);
+    frame = null;
+
+    const virtual = isVirtual();
+    list.classList.toggle('zebricek-list--virtual', virtual);
+
+    // An empty list keeps whatever message the caller put in it
+    if (!rows.length) {
+      list.style.paddingTop = '';
+      list.style.paddingBottom = '';
+      rendered = null;
+      return;
+    }
+
+    let range = { start: 0, end: rows.length, before: 0, after: 0 };
+    if (virtual) {
+      const listTop = list.getBoundingClientRect().top;
+      range = findRange(-listTop - config.overscan, -listTop + window.innerHeight + config.overscan);
+    }
+
+    if (rendered && rendered.start === range.start && rendered.end === range.end) return;
+
+    list.style.paddingTop = range.before ? `${range.before}px` : '';
+    list.style.paddingBottom = range.after ? `${range.after}px` : '';
+    if (rendered && range.start === rendered.start && range.end > rendered.end) {
+      // Appended rows only - keep the attached ones in place
+      list.append(...rows.slice(rendered.end, range.end));
+    } else {
+      list.replaceChildren(...rows.slice(range.start, range.end));
+    }
+    rendered = { start: range.start, end: range.end };
+    measure();
+  }
+
+  /**
+   * Find rows overlapping a vertical range
+   * @param {number} from - Top of the range relative to the list top (px)
+   * @param {number} to - Bottom of the range relative to the list top (px)
+   * @returns {{start: number, end: number, before: number, after: number}}
+   */
+  function findRange(from, to) {
+    const gap = getGap();
+    let start = -1;
+    let end = rows.length;
+    let before = 0;
+    let endOffset = null;
+    let offset = 0;
+
+    rows.forEach((row, index) => {
+      const height = getHeight(row) + gap;
+      if (start === -1 && offset + height > from) {
+        start = index;
+        before = offset;
+      } else if (start !== -1 && endOffset === null && offset >= to) {
+        end = index;
+        endOffset = offset;
+      }
+      offset += height;
+    });
+
+    // The whole list is above the range
+    if (start === -1) {
+      return { start: rows.length, end: rows.length, before: offset, after: 0 };
+    }
+
+    return { start, end, before, after: endOffset === null ? 0 : offset - endOffset };
+  }
+
+  /**
+   * Distance of a row from the list top
+   * @param {number} index
+   * @returns {number}
+   */
+  function getOffset(index) {
+    const gap = getGap();
+    let offset = 0;
+    for (let i = 0; i < index && i < rows.length; i++) {
+      offset += getHeight(rows[i]) + gap;
+    }
+    return offset;
+  }
+
+  /**
+   * Measured height of a row, or the average of measured rows
+   * @param {HTMLElement} row
+   * @returns {number}
+   */
+  function getHeight(row) {
+    return heights.get(row) ?? (measuredCount ? measuredTotal / measuredCount : config.estimatedRowHeight);
+  }
+
+  /**
+   * Grid gap between rows
+   * @returns {number}
+   */
+  function getGap() {
+    return parseFloat(window.getComputedStyle(list).rowGap) || 0;
+  }
+
+  /**
+   * Remember heights of the rendered rows
+   */
+  function measure() {
+    list.querySelectorAll('.zebricek-row').forEach((row) => {
+      const height = row.offsetHeight;
+      if (!height) return;
+
+      if (heights.has(row)) {
+        measuredTotal += height - heights.get(row);
+      } else {
+        measuredTotal += height;
+        measuredCount++;
+      }
+      heights.set(row, height);
+    });
+  }
+
+  /**
+   * First row at least partly in the viewport and its distance from the viewport top
+   * @returns {{index: number, offset: number}|null}
+   */
+  function getAnchor() {
+    const attached = rows.filter((row) => row.isConnected);
+    if (!attached.length) return null;
+
+    const row = attached.find((element) => element.getBoundingClientRect().bottom > 0) || attached[attached.length - 1];
+    return { index: rows.indexOf(row), offset: row.getBoundingClientRect().top };
+  }
+
+  /**
+   * Scroll so that a row is at the given distance from the viewport top
+   * @param {{index: number, offset: number}} anchor
+   */
+  function restoreAnchor(anchor) {
+    if (!anchor || !rows.length) return;
+    const index = Math.min(Math.max(anchor.index, 0), rows.length - 1);
+
+    const scrollToRow = () => {
+      const listTop = list.getBoundingClientRect().top + window.scrollY;
+      window.scrollTo(0, Math.max(0, listTop + getOffset(index) - anchor.offset));
+      render();
+    };
+
+    // Second pass corrects estimated heights of the rows measured by the first
+    scrollToRow();
+    scrollToRow();
+  }
+
+  /**
+   * Put all rows back and remove listeners
+   */
+  function cleanup() {
+    if (frame) cancelAnimationFrame(frame);
+    frame = null;
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    eventListeners.length = 0;
+
+    if (rows.length && isVirtual()) {
+      list.replaceChildren(...rows);
+    }
+    list.style.paddingTop = '';
+    list.style.paddingBottom = '';
+    list.classList.remove('zebricek-list--virtual');
+  }
+
+  init();
+
+  return {
+    getRows,
+    setRows,
+    append,
+    render,
+    getAnchor,
+    restoreAnchor,
+    cleanup
+  };
+}
@@ -4,7 +4,7 @@
  * Initializes Firebase app for authentication and messaging services.
  * Used for:
  * - SMS OTP authentication during user registration
- * - Future SMS notifications system
+ * - Web push notifications (messaging.js)
  * 
  * @package mistr-fachman
  * @since 1.0.0
@@ -0,0 +1,51 @@
+/**
+ * Local Cloud Messaging Stand-in
+ *
+ * Same interface as firebaseMessaging for development and automated tests
+ * (MISTR_FACHMAN_PUSH_LOCAL): no Firebase project or VAPID key is needed.
+ * The token is random and kept in localStorage; simulate() hands a message to
+ * the service worker the way a push from FCM arrives.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+const TOKEN_KEY = 'mf_push_local_token';
+
+export const localMessaging = {
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isSupported() {
+    return 'serviceWorker' in navigator && 'Notification' in window;
+  },
+
+  /**
+   * @returns {Promise<string>}
+   */
+  async getToken() {
+    let token = localStorage.getItem(TOKEN_KEY);
+    if (!token) {
+      token = `local:${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`}`;
+      localStorage.setItem(TOKEN_KEY, token);
+    }
+    return token;
+  },
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async deleteToken() {
+    localStorage.removeItem(TOKEN_KEY);
+    return true;
+  },
+
+  /**
+   * Deliver a message as if it came from FCM
+   * @param {Object} data - { title, body, url, tag }
+   */
+  async simulate(data) {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: 'local-push', payload: { data } });
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Firebase Cloud Messaging
+ *
+ * Browser push tokens for web push notifications. Messages are data-only and
+ * shown by the theme service worker (service-worker.js), so the token is bound
+ * to that registration instead of firebase-messaging-sw.js.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+import { getMessaging, getToken, deleteToken, isSupported } from 'firebase/messaging';
+import { app } from './config.js';
+
+let messaging = null;
+
+/**
+ * Messaging instance, created on first use
+ * @returns {Object}
+ */
+function getInstance() {
+  if (!messaging) {
+    messaging = getMessaging(app);
+  }
+  return messaging;
+}
+
+export const firebaseMessaging = {
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isSupported() {
+    try {
+      return await isSupported();
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * @param {ServiceWorkerRegistration} registration - Theme service worker
+   * @param {string} vapidKey - Public web push key of the Firebase project
+   * @returns {Promise<string>}
+   */
+  getToken(registration, vapidKey) {
+    return getToken(getInstance(), { vapidKey, serviceWorkerRegistration: registration });
+  },
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  deleteToken() {
+    return deleteToken(getInstance());
+  }
+};
@@ -8,9 +8,17 @@ import { setupFileUpload } from './features/file-upload/index.js';
 import { setupBusinessModal } from './features/admin/business-data-modal.js';
 import { setupAccessControl } from './features/access-control/index.js';
 import { setupZebricek } from './features/zebricek/index.js';
+import { setupZebricekShare } from './features/zebricek/share-card.js';
 import { setupLoginContentVariants } from './features/login-content-variants.js';
 import { setupLoginToggle } from './features/login-toggle.js';
 import { setupMyPostsPagination } from './features/my-posts-pagination.js';
+import { setupMyRealizaceEditor } from './features/my-realizace-editor.js';
+import { setupNotificationBell } from './features/notification-bell.js';
+import { setupPushNotifications } from './features/push-notifications.js';
+import { setupOfflineOutbox } from './features/offline-outbox/index.js';
+import { setupFormDraft } from './features/form-draft/index.js';
+import { setupLightbox } from './features/lightbox/index.js';
+import { setupPointsPreview } from './features/points-preview.js';
 import './features/acf-number-formatting.js';
 import './features/cf7-number-formatting.js';
 import { app as firebaseApp } from './firebase/config.js';
@@ -27,9 +35,17 @@ class ThemeApp {
       businessModal: null,
       accessControl: null,
       zebricek: null,
+      zebricekShare: null,
       loginContentVariants: null,
       loginToggle: null,
-      myPostsPagination: null
+      myPostsPagination: null,
+      myRealizaceEditor: null,
+      notificationBell: null,
+      pushNotifications: null,
+      offlineOutbox: null,
+      formDraft: null,
+      lightbox: null,
+      pointsPreview: null
     };
     this.firebase = firebaseApp;
     this.isInitialized = false;
@@ -139,6 +155,16 @@ class ThemeApp {
       }
     }
 
+    // Initialize žebříček position share card
+    if (document.querySelector('.zebricek-share[data-share-card]')) {
+      try {
+        this.modules.zebricekShare = setupZebricekShare();
+        console.log('Žebříček share card initialized');
+      } catch (error) {
+        console.error('Failed to initialize žebříček share card:', error);
+      }
+    }
+
     // Initialize login content variants for authentication pages
     if (document.querySelector('.lwp_forms_login')) {
       try {
@@ -169,6 +195,78 @@ class ThemeApp {
       }
     }
 
+    // Initialize inline editor for rejected realizace in my-realizace shortcode
+    if (document.querySelector('.my-realizace-editor')) {
+      try {
+        this.modules.myRealizaceEditor = setupMyRealizaceEditor();
+        console.log('My realizace editor initialized');
+      } catch (error) {
+        console.error('Failed to initialize my realizace editor:', error);
+      }
+    }
+
+    // Initialize notification bell in the user header
+    if (document.querySelector('.notification-bell')) {
+      try {
+        this.modules.notificationBell = setupNotificationBell();
+        console.log('Notification bell initialized');
+      } catch (error) {
+        console.error('Failed to initialize notification bell:', error);
+      }
+    }
+
+    // Initialize web push (dashboard opt-in and pushes received while the site is open)
+    if (window.mistrFachman?.push?.enabled && window.mistrFachman?.isLoggedIn) {
+      try {
+        this.modules.pushNotifications = setupPushNotifications();
+        console.log('Push notifications initialized');
+      } catch (error) {
+        console.error('Failed to initialize push notifications:', error);
+      }
+    }
+
+    // Initialize offline outbox for realizace/faktura forms
+    if (document.querySelector('form.wpcf7-form')) {
+      try {
+        this.modules.offlineOutbox = setupOfflineOutbox({
+          getPendingFiles: () => this.modules.fileUpload ? this.modules.fileUpload.getPendingFiles() : []
+        });
+        console.log('Offline outbox initialized');
+      } catch (error) {
+        console.error('Failed to initialize offline outbox:', error);
+      }
+    }
+
+    // Initialize draft autosave for realizace/faktura forms
+    if (document.querySelector('form.wpcf7-form')) {
+      try {
+        this.modules.formDraft = setupFormDraft();
+        console.log('Form draft autosave initialized');
+      } catch (error) {
+        console.error('Failed to initialize form draft autosave:', error);
+      }
+    }
+
+    // Initialize gallery lightbox (my-realizace photos, also on paginated pages)
+    if (document.querySelector('[data-lightbox-gallery], .my-realizace-shortcode')) {
+      try {
+        this.modules.lightbox = setupLightbox();
+        console.log('Gallery lightbox initialized');
+      } catch (error) {
+        console.error('Failed to initialize gallery lightbox:', error);
+      }
+    }
+
+    // Initialize live points preview for the faktura form (logged-in users only)
+    if (window.mistrFachman?.isLoggedIn && document.querySelector('.faktura-form input[name="invoice_value"]')) {
+      try {
+        this.modules.pointsPreview = setupPointsPreview();
+        console.log('Points preview initialized');
+      } catch (error) {
+        console.error('Failed to initialize points preview:', error);
+      }
+    }
+
     // Faktury form validation now handled by CF7 validation hook in functions.php
   }
 
@@ -213,6 +311,11 @@ class ThemeApp {
       this.modules.fileUpload.onFormSuccess();
     }
 
+    // Issue a fresh submission id for the next record
+    if (this.modules.offlineOutbox && this.modules.offlineOutbox.isReady()) {
+      this.modules.offlineOutbox.onFormSuccess(event.target);
+    }
+
     // Handle specific redirect for final registration form (ID 292)
     this.handleRegistrationFormRedirect(event);
 
@@ -268,7 +371,11 @@ class ThemeApp {
    */
   handleFormFailed(event) {
     console.log('Form mail sending failed');
-    // Add custom failure handling if needed
+
+    // Keep the submission in the offline outbox and retry later
+    if (this.modules.offlineOutbox && this.modules.offlineOutbox.isReady()) {
+      this.modules.offlineOutbox.captureFailedSubmission(event.target);
+    }
   }
 
   /**
@@ -0,0 +1,87 @@
+/**
+ * Service Worker Entry Point
+ * Served from the site root by ServiceWorkerService (?mf_service_worker=1).
+ * Replays the offline outbox on Background Sync and shows web push messages
+ * (FCM data messages from PushNotificationService, or the local stand-in).
+ */
+
+import { OUTBOX_CONFIG } from './features/offline-outbox/constants.js';
+import { replayOutbox } from './features/offline-outbox/replay.js';
+
+/**
+ * Forward replay progress to all open pages
+ * @param {Object} event - { type, entry, error }
+ */
+async function notifyClients(event) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const { entry, ...rest } = event;
+  // Blobs are not needed by the page, send only identifying data
+  const message = { ...rest, type: 'outbox-updated', status: event.type, entry: { id: entry.id, formId: entry.formId } };
+  clients.forEach(client => client.postMessage(message));
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_CONFIG.syncTag) {
+    // Rejecting lets the browser schedule another sync attempt later
+    event.waitUntil(replayOutbox(notifyClients).then((summary) => {
+      if (summary.pending > 0) {
+        throw new Error(`${summary.pending} outbox entries still pending`);
+      }
+    }));
+  }
+});
+
+/**
+ * Show a push message and tell open pages about it
+ * @param {Object} payload - { data: { title, body, url, tag, icon } }
+ * @returns {Promise}
+ */
+async function showPushNotification(payload) {
+  const data = payload?.data || payload?.notification || {};
+  if (!data.title) return;
+
+  await self.registration.showNotification(data.title, {
+    body: data.body || '',
+    tag: data.tag || undefined,
+    icon: data.icon || undefined,
+    data: { url: data.url || '/' }
+  });
+
+  // The notification bell polls right away instead of waiting for its interval
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'push-received', data }));
+}
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    console.warn('[ServiceWorker] Unreadable push payload:', error);
+  }
+  event.waitUntil(showPushNotification(payload));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+    const existing = clients.find(client => client.url === url);
+    return existing ? existing.focus() : self.clients.openWindow(url);
+  }));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'local-push') {
+    event.waitUntil(showPushNotification(event.data.payload));
+  }
+});
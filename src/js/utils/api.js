@@ -1,9 +1,366 @@
 /**
  * API utility functions
  * Modern fetch-based AJAX helpers
+ *
+ * `api.call()` is the single entry point for admin-ajax.php requests:
+ * named action descriptors, automatic nonce resolution and refresh,
+ * retries with backoff, AbortController timeouts/cancellation and
+ * `{success, data}` unwrapping into typed ApiError instances.
+ *
+ * Only reads (descriptors with `idempotent: true`) are retried by default -
+ * after a timeout or 5xx a write may still be running on the server, and
+ * sending it again would repeat it.
  */
 
+export const API_ERROR_TYPES = {
+  HTTP: 'http',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  ABORTED: 'aborted',
+  NONCE: 'nonce',
+  SERVER: 'server'
+};
+
+/**
+ * Typed API error
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} type - One of API_ERROR_TYPES
+   * @param {string} message - Technical or server-provided message
+   * @param {Object} details - { status, data, action }
+   */
+  constructor(type, message, { status = 0, data = null, action = '' } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.data = data;
+    this.action = action;
+  }
+
+  /**
+   * Whether repeating the same request may succeed
+   * @returns {boolean}
+   */
+  isRetryable() {
+    return this.type === API_ERROR_TYPES.NETWORK ||
+           this.type === API_ERROR_TYPES.TIMEOUT ||
+           (this.type === API_ERROR_TYPES.HTTP && this.status >= 500);
+  }
+}
+
+/**
+ * Nonce sources - where each nonce is localized and which WP action it belongs to
+ */
+const NONCE_SOURCES = {
+  accessControl: {
+    action: 'mistr_fachman_access_control',
+    resolve: () => window.mistrFachman?.nonce || window.realizaceAjax?.nonce
+  },
+  icoValidation: {
+    action: 'mistr_fachman_ico_validation_nonce',
+    resolve: () => window.mistrFachmanAjax?.ico_validation_nonce
+  },
+  businessData: {
+    action: 'mistr_fachman_business_data',
+    resolve: () => window.mistrFachmanAjax?.business_data_nonce || window.mistrFachmanAjax?.nonce
+  },
+  zebricek: {
+    action: 'zebricek_ajax_nonce',
+    resolve: () => window.zebricekAjax?.nonce
+  },
+  myRealizace: {
+    action: 'my_realizace_nonce',
+    resolve: () => document.querySelector('.my-realizace-shortcode[data-nonce]')?.dataset.nonce
+  },
+  myFaktury: {
+    action: 'my_faktury_nonce',
+    resolve: () => document.querySelector('.my-faktury-shortcode[data-nonce]')?.dataset.nonce
+  }
+};
+
+/**
+ * Named action descriptors
+ * nonce: key of NONCE_SOURCES, or { action, value } for dynamic nonces
+ * idempotent: read-only action, safe to retry automatically
+ */
+const ACTIONS = {
+  validateIco: { action: 'mistr_fachman_validate_ico', nonce: 'icoValidation', idempotent: true },
+  aresSearch: { action: 'mistr_fachman_ares_search', nonce: 'icoValidation', idempotent: true },
+  getBusinessData: { action: 'mistr_fachman_get_business_data', nonce: 'businessData', idempotent: true },
+  compareBusinessDataAres: { action: 'mistr_fachman_compare_business_data_ares', nonce: 'businessData', idempotent: true },
+  applyBusinessDataAres: { action: 'mistr_fachman_apply_business_data_ares', nonce: 'businessData' },
+  getAllowedMaterials: { action: 'get_allowed_materials', nonce: 'accessControl', idempotent: true },
+  pointsPreview: { action: 'mistr_fachman_points_preview', nonce: 'accessControl', idempotent: true },
+  notifications: { action: 'mistr_fachman_notifications', nonce: 'accessControl', idempotent: true },
+  notificationsRead: { action: 'mistr_fachman_notifications_read', nonce: 'accessControl' },
+  pushRegister: { action: 'mistr_fachman_push_register', nonce: 'accessControl' },
+  pushUnregister: { action: 'mistr_fachman_push_unregister', nonce: 'accessControl' },
+  zebricekLoadMore: { action: 'zebricek_load_more', nonce: 'zebricek', idempotent: true },
+  zebricekChangesSince: { action: 'zebricek_changes_since', nonce: 'zebricek', idempotent: true },
+  zebricekSearch: { action: 'zebricek_search', nonce: 'zebricek', idempotent: true },
+  zebricekWindow: { action: 'zebricek_window', nonce: 'zebricek', idempotent: true },
+  myRealizaceLoadPage: { action: 'my_realizace_load_page', nonce: 'myRealizace', idempotent: true },
+  myRealizaceEditData: { action: 'my_realizace_edit_data', nonce: 'myRealizace', idempotent: true },
+  myFakturyLoadPage: { action: 'my_faktury_load_page', nonce: 'myFaktury', idempotent: true }
+};
+
+const FRESH_NONCE_ACTION = 'mistr_fachman_get_fresh_nonce';
+const DEFAULT_CALL_OPTIONS = {
+  timeout: 15000,
+  retries: 0,
+  retryDelay: 500
+};
+// Default retries of idempotent descriptors
+const READ_RETRIES = 2;
+
+// Nonces obtained through refresh take precedence over localized ones
+const refreshedNonces = new Map();
+
+/**
+ * Resolve admin-ajax.php URL from localized data
+ * @returns {string}
+ */
+function getAjaxUrl() {
+  return window.mistrFachman?.ajaxUrl ||
+         window.mistrFachmanAjax?.ajax_url ||
+         window.ajaxurl ||
+         '/wp-admin/admin-ajax.php';
+}
+
+/**
+ * Normalize descriptor name/object into a descriptor
+ * @param {string|Object} descriptor
+ * @returns {Object}
+ */
+function resolveDescriptor(descriptor) {
+  if (typeof descriptor === 'string') {
+    if (ACTIONS[descriptor]) return ACTIONS[descriptor];
+    // Unknown names are treated as raw WP actions without nonce
+    return { action: descriptor };
+  }
+  return descriptor;
+}
+
+/**
+ * Resolve nonce source for a descriptor
+ * @param {Object} descriptor
+ * @returns {{action: string, value: string}|null}
+ */
+function resolveNonce(descriptor) {
+  const { nonce } = descriptor;
+  if (!nonce) return null;
+
+  const source = typeof nonce === 'string' ? NONCE_SOURCES[nonce] : nonce;
+  if (!source) {
+    console.warn('[API] Unknown nonce source:', nonce);
+    return null;
+  }
+
+  const value = refreshedNonces.get(source.action) ||
+                (typeof source.resolve === 'function' ? source.resolve() : source.value) ||
+                '';
+  return { action: source.action, value };
+}
+
+/**
+ * Append a value to FormData (arrays as key[])
+ * @param {FormData} formData
+ * @param {string} key
+ * @param {any} value
+ */
+function appendValue(formData, key, value) {
+  if (value === undefined || value === null) return;
+
+  if (Array.isArray(value)) {
+    value.forEach(item => appendValue(formData, `${key}[]`, item));
+  } else if (value instanceof Blob) {
+    formData.append(key, value);
+  } else if (typeof value === 'object') {
+    formData.append(key, JSON.stringify(value));
+  } else {
+    formData.append(key, String(value));
+  }
+}
+
+/**
+ * Detect nonce failures across the different server-side conventions
+ * (check_ajax_referer dies with "-1"/403, others send success:false)
+ * @param {number} status
+ * @param {string} text
+ * @param {string} message
+ * @returns {boolean}
+ */
+function isNonceFailure(status, text, message) {
+  return status === 403 || text.trim() === '-1' || /nonce|security/i.test(message || '');
+}
+
+/**
+ * Wait for backoff delay, aborting early when the signal fires
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new ApiError(API_ERROR_TYPES.ABORTED, 'Request aborted'));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Perform a single admin-ajax request
+ * @param {Object} descriptor
+ * @param {Object|FormData} data
+ * @param {Object} nonce - Resolved nonce or null
+ * @param {Object} options
+ * @returns {Promise<any>} Unwrapped response data
+ */
+async function sendOnce(descriptor, data, nonce, options) {
+  const formData = data instanceof FormData ? data : new FormData();
+  formData.set('action', descriptor.action);
+  if (nonce) formData.set(descriptor.nonceField || 'nonce', nonce.value);
+  if (!(data instanceof FormData)) {
+    Object.entries(data || {}).forEach(([key, value]) => appendValue(formData, key, value));
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, options.timeout);
+  const abortFromCaller = () => controller.abort();
+  if (options.signal) {
+    if (options.signal.aborted) controller.abort();
+    options.signal.addEventListener('abort', abortFromCaller, { once: true });
+  }
+
+  const details = { action: descriptor.action };
+  let response;
+  let text;
+
+  try {
+    response = await fetch(options.url || getAjaxUrl(), {
+      method: 'POST',
+      body: formData,
+      credentials: 'same-origin',
+      // Survives page unload (admin actions flushed on pagehide)
+      keepalive: Boolean(options.keepalive),
+      signal: controller.signal
+    });
+    text = await response.text();
+  } catch (error) {
+    if (timedOut) throw new ApiError(API_ERROR_TYPES.TIMEOUT, 'Request timeout', details);
+    if (controller.signal.aborted) throw new ApiError(API_ERROR_TYPES.ABORTED, 'Request aborted', details);
+    throw new ApiError(API_ERROR_TYPES.NETWORK, error.message, details);
+  } finally {
+    clearTimeout(timer);
+    if (options.signal) options.signal.removeEventListener('abort', abortFromCaller);
+  }
+
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    // Non-JSON body (e.g. "-1" from check_ajax_referer or a PHP notice)
+  }
+
+  const payload = json && typeof json === 'object' && 'success' in json ? json.data : json;
+  const message = typeof payload === 'string' ? payload : (payload?.message || '');
+
+  if (!response.ok || (json && json.success === false) || text.trim() === '-1') {
+    const errorDetails = { ...details, status: response.status, data: payload };
+    if (nonce && isNonceFailure(response.status, text, message)) {
+      throw new ApiError(API_ERROR_TYPES.NONCE, message || 'Invalid nonce', errorDetails);
+    }
+    // wp_send_json_error() - a deliberate answer from the handler, whatever the status code
+    if (json && json.success === false) {
+      throw new ApiError(API_ERROR_TYPES.SERVER, message, errorDetails);
+    }
+    throw new ApiError(API_ERROR_TYPES.HTTP, `HTTP ${response.status}: ${response.statusText}`, errorDetails);
+  }
+
+  return payload;
+}
+
 export const api = {
+  /**
+   * Call a WordPress AJAX action
+   * @param {string|Object} descriptor - Registered action name or { action, nonce, nonceField, idempotent }
+   * @param {Object|FormData} data - Request payload
+   * @param {Object} options - { signal, timeout, retries, retryDelay, url, keepalive }
+   * @returns {Promise<any>} Unwrapped `data` of a successful response
+   * @throws {ApiError}
+   */
+  async call(descriptor, data = {}, options = {}) {
+    const resolved = resolveDescriptor(descriptor);
+    const config = {
+      ...DEFAULT_CALL_OPTIONS,
+      ...(resolved.idempotent ? { retries: READ_RETRIES } : {}),
+      ...options
+    };
+    let nonceRefreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const nonce = resolveNonce(resolved);
+
+      try {
+        return await sendOnce(resolved, data, nonce, config);
+      } catch (error) {
+        if (error.type === API_ERROR_TYPES.NONCE && nonce && !nonceRefreshed) {
+          nonceRefreshed = true;
+          if (await this.refreshNonce(nonce.action)) {
+            attempt--;
+            continue;
+          }
+        }
+
+        if (!(error instanceof ApiError) || !error.isRetryable() || attempt >= config.retries) {
+          throw error;
+        }
+
+        const backoff = config.retryDelay * Math.pow(2, attempt) + Math.random() * 100;
+        console.warn(`[API] ${resolved.action} failed (${error.type}), retrying in ${Math.round(backoff)}ms`);
+        await delay(backoff, config.signal);
+      }
+    }
+  },
+
+  /**
+   * Request a fresh nonce from the server and cache it
+   * @param {string} nonceAction - WordPress nonce action
+   * @returns {Promise<string|null>} New nonce or null when refresh is not possible
+   */
+  async refreshNonce(nonceAction) {
+    try {
+      const result = await this.call({ action: FRESH_NONCE_ACTION, idempotent: true }, { action_name: nonceAction });
+      if (result?.nonce) {
+        refreshedNonces.set(nonceAction, result.nonce);
+        console.log('[API] Nonce refreshed for action:', nonceAction);
+        return result.nonce;
+      }
+    } catch (error) {
+      console.warn('[API] Nonce refresh failed:', nonceAction, error);
+    }
+    return null;
+  },
+
+  /**
+   * Register an additional named action
+   * @param {string} name
+   * @param {Object} descriptor - { action, nonce, nonceField, idempotent }
+   */
+  register(name, descriptor) {
+    ACTIONS[name] = descriptor;
+  },
+
   /**
    * Make GET request
    * @param {string} url - Request URL
@@ -48,12 +405,12 @@ export const api = {
     };
 
     const config = { ...defaults, ...options };
-    
+
     try {
       const response = await fetch(url, config);
-      
+
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw new ApiError(API_ERROR_TYPES.HTTP, `HTTP ${response.status}: ${response.statusText}`, { status: response.status });
       }
 
       const contentType = response.headers.get('content-type');
@@ -79,15 +436,37 @@ export const api = {
     const defaultMessages = {
       404: 'Požadovaný zdroj nebyl nalezen',
       400: 'Chybný formát požadavku',
+      403: 'Nemáte oprávnění k této akci',
       500: 'Chyba serveru',
       503: 'Služba je dočasně nedostupná',
       network: 'Chyba připojení k internetu',
       timeout: 'Požadavek vypršel',
+      aborted: 'Požadavek byl zrušen',
+      nonce: 'Platnost stránky vypršela. Obnovte ji prosím a zkuste to znovu.',
+      server: '',
       default: 'Nastala neočekávaná chyba'
     };
 
     const errorMessages = { ...defaultMessages, ...messages };
 
+    if (error instanceof ApiError) {
+      switch (error.type) {
+        case API_ERROR_TYPES.NETWORK:
+          return errorMessages.network;
+        case API_ERROR_TYPES.TIMEOUT:
+          return errorMessages.timeout;
+        case API_ERROR_TYPES.ABORTED:
+          return errorMessages.aborted;
+        case API_ERROR_TYPES.NONCE:
+          return errorMessages.nonce;
+        case API_ERROR_TYPES.SERVER:
+          // Server messages are already localized by the PHP handlers
+          return errorMessages.server || error.message || errorMessages.default;
+        case API_ERROR_TYPES.HTTP:
+          return errorMessages[error.status] || errorMessages.default;
+      }
+    }
+
     if (error.message.includes('HTTP 404')) {
       return errorMessages[404];
     } else if (error.message.includes('HTTP 400')) {
@@ -114,8 +493,8 @@ export const api = {
   withTimeout(request, timeout = 10000) {
     return Promise.race([
       request,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Request timeout')), timeout)
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new ApiError(API_ERROR_TYPES.TIMEOUT, 'Request timeout')), timeout)
       )
     ]);
   }
@@ -123,17 +502,17 @@ export const api = {
 
 /**
  * WordPress-specific AJAX helper with nonce support
- * @param {string} url - Request URL 
+ * @param {string} url - Request URL
  * @param {Object} options - Fetch options
  * @param {string} action - WordPress action for nonce
  * @returns {Promise} JSON response
  */
 export async function fetchWithNonce(url, options = {}, action = '') {
   // Get nonce from WordPress localized data or generate it
-  const nonce = window.wpApiSettings?.nonce || 
-                window.mistrFachmanAjax?.nonce || 
+  const nonce = window.wpApiSettings?.nonce ||
+                window.mistrFachmanAjax?.nonce ||
                 await generateNonce(action);
-  
+
   // Add nonce to FormData if it exists
   if (options.body instanceof FormData) {
     options.body.append('nonce', nonce);
@@ -168,8 +547,8 @@ async function generateNonce(action) {
   if (nonceMeta) {
     return nonceMeta.getAttribute('content');
   }
-  
+
   // Fallback - this would need to be provided by PHP
   console.warn('No nonce found for action:', action);
   return '';
-}
\ No newline at end of file
+}
@@ -0,0 +1,34 @@
+/**
+ * CF7 Form Helpers
+ *
+ * Shared lookup of the realizace/faktura Contact Form 7 forms.
+ *
+ * @package mistr-fachman
+ * @since 1.0.0
+ */
+
+// Keep in sync with getFormId() in NewRealizaceFormHandler / NewFakturyFormHandler
+export const SUBMISSION_FORMS = {
+  realizace: '320',
+  faktura: '554'
+};
+
+/**
+ * Get the CF7 form ID of a form element
+ * @param {HTMLFormElement} form
+ * @returns {string|null}
+ */
+export function getCf7FormId(form) {
+  const idInput = form ? form.querySelector('input[name="_wpcf7"]') : null;
+  return idInput ? idInput.value : null;
+}
+
+/**
+ * Find realizace/faktura forms on the current page
+ * @param {string[]} [formIds] - Restrict to these CF7 form IDs
+ * @returns {HTMLFormElement[]}
+ */
+export function findSubmissionForms(formIds = Object.values(SUBMISSION_FORMS)) {
+  return Array.from(document.querySelectorAll('form.wpcf7-form'))
+    .filter(form => formIds.includes(getCf7FormId(form)));
+}
@@ -0,0 +1,14 @@
+/**
+ * Display Formatting
+ *
+ * Number formatting shared by the points preview and the žebříček modules.
+ */
+
+/**
+ * Format number the Czech way (1 234 567)
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatNumber(value) {
+  return Number(value).toLocaleString('cs-CZ').replace(/,/g, ' ');
+}
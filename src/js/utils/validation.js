@@ -3,6 +3,49 @@
  * Czech-specific validation rules
  */
 
+/**
+ * Czech IČO checksum (weights 8..2, mod 11)
+ * @param {string} digits - Exactly 8 digits
+ * @returns {boolean}
+ */
+function hasValidIcoChecksum(digits) {
+  const numbers = digits.split('').map(Number);
+  const weights = [8, 7, 6, 5, 4, 3, 2];
+  const sum = numbers.slice(0, 7).reduce((acc, digit, index) => acc + digit * weights[index], 0);
+  const remainder = sum % 11;
+  const checksum = remainder === 0 ? 1 : (remainder === 1 ? 0 : 11 - remainder);
+
+  return numbers[7] === checksum;
+}
+
+/**
+ * Czech birth number (rodné číslo) used as DIČ of natural persons
+ * 9 digits = born before 1954 (no check digit), 10 digits = divisible by 11
+ * (or remainder 10 with check digit 0). Month is +50 for women and +20/+70
+ * for numbers issued after the monthly series ran out.
+ * @param {string} digits - 9 or 10 digits
+ * @returns {boolean}
+ */
+function isValidBirthNumber(digits) {
+  const year = Number(digits.slice(0, 2));
+  const month = Number(digits.slice(2, 4)) % 50;
+  const day = Number(digits.slice(4, 6));
+  const baseMonth = month > 20 ? month - 20 : month;
+
+  if (baseMonth < 1 || baseMonth > 12 || day < 1 || day > 31) {
+    return false;
+  }
+
+  if (digits.length === 9) {
+    return year < 54;
+  }
+
+  const remainder = Number(digits.slice(0, 9)) % 11;
+  const checkDigit = remainder === 10 ? 0 : remainder;
+
+  return Number(digits[9]) === checkDigit;
+}
+
 export const validation = {
   /**
    * Validate Czech IČO (company registration number)
@@ -19,14 +62,7 @@ export const validation = {
       };
     }
 
-    // Czech IČO checksum validation
-    const digits = cleaned.split('').map(Number);
-    const weights = [8, 7, 6, 5, 4, 3, 2];
-    const sum = digits.slice(0, 7).reduce((acc, digit, index) => acc + digit * weights[index], 0);
-    const remainder = sum % 11;
-    const checksum = remainder === 0 ? 1 : (remainder === 1 ? 0 : 11 - remainder);
-
-    if (digits[7] !== checksum) {
+    if (!hasValidIcoChecksum(cleaned)) {
       return {
         valid: false,
         error: 'I mistr se někdy utne. Zadané IČO je neplatné.'
@@ -36,6 +72,40 @@ export const validation = {
     return { valid: true };
   },
 
+  /**
+   * Validate Czech DIČ (VAT identification number)
+   * CZ + 8 digits (IČO of a legal entity), 9-10 digits (birth number
+   * of a natural person) or 9 digits starting with 6 (number assigned
+   * by the tax office to persons without a birth number)
+   * @param {string} dic - DIČ to validate
+   * @returns {Object} Validation result
+   */
+  dic(dic) {
+    const cleaned = dic.replace(/\s/g, '').toUpperCase();
+    const invalid = {
+      valid: false,
+      error: 'Zadané DIČ je neplatné. Zadejte ho ve tvaru CZ12345678.'
+    };
+
+    const match = cleaned.match(/^CZ(\d{8,10})$/);
+    if (!match) {
+      return invalid;
+    }
+
+    const digits = match[1];
+    let valid;
+
+    if (digits.length === 8) {
+      valid = hasValidIcoChecksum(digits);
+    } else if (digits.length === 9 && digits[0] === '6') {
+      valid = true;
+    } else {
+      valid = isValidBirthNumber(digits);
+    }
+
+    return valid ? { valid: true } : invalid;
+  },
+
   /**
    * Validate email address
    * @param {string} email - Email to validate
@@ -18,9 +18,18 @@ if (!defined('ABSPATH')) {
 }
 ?>
 
-<div class="management-card <?php echo esc_attr($post_type); ?>-dashboard">
+<div class="management-card <?php echo esc_attr($post_type); ?>-dashboard" data-user-id="<?php echo esc_attr((string)$user->ID); ?>">
     <div class="card-header">
-        <h4 class="card-title">Správa <?php echo esc_html($domain_name); ?></h4>
+        <h4 class="card-title">
+            Správa <?php echo esc_html($domain_name); ?>
+            <?php if ($stats['pending'] > 0): ?>
+                <button type="button"
+                        class="button button-small review-mode-toggle"
+                        title="Klávesové zkratky: J/K pohyb, A schválit, R odmítnout, G galerie, ? nápověda">
+                    Režim kontroly
+                </button>
+            <?php endif; ?>
+        </h4>
 
         <?php 
         // Include stats header template
@@ -0,0 +1,78 @@
+<?php
+/**
+ * Realizace Duplicate Photos Template
+ * 
+ * Warning listing other realizace with near-identical photos,
+ * each matched photo pair shown side by side (opens in the lightbox)
+ * 
+ * @var \WP_Post $post Current realizace
+ * @var array $duplicates Matches from PhotoDuplicateService::findDuplicates()
+ * @var object $renderer The renderer instance for helper methods
+ */
+
+use MistrFachman\Services\GalleryDataService;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$photo_count = array_sum(array_map(static fn(array $duplicate): int => count($duplicate['pairs']), $duplicates));
+?>
+
+<div class="photo-duplicates-warning" role="alert">
+    <div class="photo-duplicates-header">
+        <strong>Možné znovupoužité fotky</strong>
+        <span class="photo-duplicates-summary">
+            <?php echo esc_html(sprintf('%d shod v %d jiných realizacích', $photo_count, count($duplicates))); ?>
+        </span>
+    </div>
+
+    <ul class="photo-duplicates-list">
+        <?php foreach ($duplicates as $duplicate): ?>
+            <?php $status_config = $renderer->get_status_config($duplicate['status']); ?>
+            <li class="photo-duplicate">
+                <div class="photo-duplicate-meta">
+                    <?php if ($duplicate['edit_link']): ?>
+                        <a href="<?php echo esc_url($duplicate['edit_link']); ?>" target="_blank" rel="noopener"><?php echo esc_html($duplicate['title']); ?></a>
+                    <?php else: ?>
+                        <span><?php echo esc_html($duplicate['title']); ?></span>
+                    <?php endif; ?>
+                    <span class="status-badge status-<?php echo esc_attr($duplicate['status']); ?>"><?php echo esc_html($status_config['label']); ?></span>
+                    <span class="photo-duplicate-author<?php echo $duplicate['same_author'] ? '' : ' is-other-user'; ?>">
+                        <?php echo esc_html($duplicate['same_author'] ? 'stejný uživatel' : 'jiný uživatel: ' . $duplicate['author']); ?>
+                    </span>
+                    <span class="post-date"><?php echo esc_html(mysql2date('j.n.Y', $duplicate['date'])); ?></span>
+                </div>
+
+                <div class="photo-duplicate-pairs">
+                    <?php foreach (array_slice($duplicate['pairs'], 0, 3) as $pair): ?>
+                        <?php
+                        $items = GalleryDataService::getLightboxItems([$pair['photo_id'], $pair['match_id']]);
+                        if (count($items) !== 2) {
+                            continue;
+                        }
+
+                        $items[0]['title'] = 'Tato realizace: ' . $post->post_title;
+                        $items[1]['title'] = 'Realizace: ' . $duplicate['title'];
+                        $similarity = (int)round((64 - $pair['distance']) / 64 * 100);
+                        ?>
+                        <div class="photo-duplicate-pair" data-lightbox-gallery="<?php echo esc_attr(wp_json_encode($items)); ?>">
+                            <figure>
+                                <img src="<?php echo esc_url($items[0]['thumb']); ?>" alt="" data-lightbox-id="<?php echo esc_attr((string)$items[0]['id']); ?>" class="gallery-thumb">
+                                <figcaption>Tato</figcaption>
+                            </figure>
+                            <figure>
+                                <img src="<?php echo esc_url($items[1]['thumb']); ?>" alt="" data-lightbox-id="<?php echo esc_attr((string)$items[1]['id']); ?>" class="gallery-thumb">
+                                <figcaption>Shoda <?php echo esc_html((string)$similarity); ?> %</figcaption>
+                            </figure>
+                        </div>
+                    <?php endforeach; ?>
+                    <?php if (count($duplicate['pairs']) > 3): ?>
+                        <span class="photo-duplicate-more">+<?php echo count($duplicate['pairs']) - 3; ?> dalších</span>
+                    <?php endif; ?>
+                </div>
+            </li>
+        <?php endforeach; ?>
+    </ul>
+</div>
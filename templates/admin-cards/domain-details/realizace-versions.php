@@ -0,0 +1,80 @@
+<?php
+/**
+ * Realizace Versions Template
+ * 
+ * Earlier rejected versions of a realizace the author edited and sent
+ * again, newest first, with the rejection reason each one got
+ * 
+ * @var array $versions Versions from ResubmissionService::getVersions(), newest first
+ */
+
+use MistrFachman\Services\GalleryDataService;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$version_count = count($versions);
+$version_count_label = $version_count < 5
+    ? "{$version_count} předchozí verze"
+    : "{$version_count} předchozích verzí";
+?>
+
+<details class="realizace-versions">
+    <summary>
+        <strong>Znovu odesláno po odmítnutí</strong>
+        <span class="realizace-versions-summary"><?php echo esc_html($version_count_label); ?></span>
+    </summary>
+
+    <ol class="realizace-versions-list">
+        <?php foreach ($versions as $version): ?>
+            <?php $lightbox_items = GalleryDataService::getLightboxItems($version['gallery'] ?? []); ?>
+            <li class="realizace-version">
+                <div class="realizace-version-meta">
+                    <strong>Verze <?php echo esc_html((string)$version['version']); ?></strong>
+                    <span class="post-date">
+                        <?php echo esc_html(mysql2date('j.n.Y H:i', $version['submitted_at'])); ?>
+                        –
+                        <?php echo esc_html(mysql2date('j.n.Y H:i', $version['resubmitted_at'])); ?>
+                    </span>
+                </div>
+
+                <?php if (!empty($version['rejection_reason'])): ?>
+                    <div class="realizace-version-reason">
+                        <strong>Důvod odmítnutí:</strong> <?php echo esc_html($version['rejection_reason']); ?>
+                    </div>
+                <?php endif; ?>
+
+                <dl class="realizace-version-fields">
+                    <dt>Název:</dt>
+                    <dd><?php echo esc_html($version['title']); ?></dd>
+                    <?php if (!empty($version['area'])): ?>
+                        <dt>Plocha:</dt>
+                        <dd><?php echo esc_html((string)$version['area']); ?> m²</dd>
+                    <?php endif; ?>
+                    <?php if (!empty($version['construction_type'])): ?>
+                        <dt>Konstrukce:</dt>
+                        <dd><?php echo esc_html($version['construction_type']); ?></dd>
+                    <?php endif; ?>
+                    <?php if (!empty($version['materials'])): ?>
+                        <dt>Materiály:</dt>
+                        <dd><?php echo esc_html($version['materials']); ?></dd>
+                    <?php endif; ?>
+                    <?php if (!empty($version['content'])): ?>
+                        <dt>Popis:</dt>
+                        <dd><?php echo esc_html(wp_trim_words($version['content'], 30, '...')); ?></dd>
+                    <?php endif; ?>
+                </dl>
+
+                <?php if (!empty($lightbox_items)): ?>
+                    <div class="realizace-version-gallery" data-lightbox-gallery="<?php echo esc_attr(wp_json_encode($lightbox_items)); ?>">
+                        <?php foreach ($lightbox_items as $item): ?>
+                            <img src="<?php echo esc_url($item['thumb']); ?>" alt="<?php echo esc_attr($item['alt']); ?>" data-lightbox-id="<?php echo esc_attr((string)$item['id']); ?>" class="gallery-thumb">
+                        <?php endforeach; ?>
+                    </div>
+                <?php endif; ?>
+            </li>
+        <?php endforeach; ?>
+    </ol>
+</details>
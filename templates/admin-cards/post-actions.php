@@ -8,6 +8,7 @@
  * @var string $post_type Post type slug
  * @var int $assigned_points Assigned points
  * @var string $rejection_reason Current rejection reason
+ * @var object $renderer The renderer instance for helper methods
  */
 
 // Prevent direct access
@@ -47,6 +48,7 @@ if (!defined('ABSPATH')) {
             <?php endif; ?>
         </div>
         <div class="rejection-input">
+            <?php $renderer->load_template('rejection-templates.php', compact('post', 'post_type')); ?>
             <textarea class="rejection-reason-input"
                       data-post-id="<?php echo esc_attr((string)$post->ID); ?>"
                       placeholder="Důvod zamítnutí..."
@@ -88,6 +90,7 @@ if (!defined('ABSPATH')) {
                 data-action="approve">Schválit</button>
 
         <div class="rejection-input-wrapper">
+            <?php $renderer->load_template('rejection-templates.php', compact('post', 'post_type')); ?>
             <textarea class="rejection-reason-input"
                       data-post-id="<?php echo esc_attr((string)$post->ID); ?>"
                       placeholder="Upravit důvod odmítnutí..."
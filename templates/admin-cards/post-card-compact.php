@@ -19,6 +19,9 @@ $awarded_points = (int)get_post_meta($post->ID, "_{$post_type}_points_awarded",
 <div class="<?php echo esc_attr($post_type); ?>-item-compact" data-post-id="<?php echo esc_attr((string)$post->ID); ?>">
     <div class="compact-content">
         <div class="compact-title">
+            <label class="card-select" title="Vybrat pro hromadnou akci">
+                <input type="checkbox" class="card-select-checkbox" value="<?php echo esc_attr((string)$post->ID); ?>" aria-label="Vybrat <?php echo esc_attr($post->post_title); ?>">
+            </label>
             <a href="<?php echo esc_url(get_edit_post_link($post->ID)); ?>"><?php echo esc_html($post->post_title); ?></a>
         </div>
         <div class="compact-meta">
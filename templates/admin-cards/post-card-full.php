@@ -26,6 +26,9 @@ $status_config = $renderer->get_status_config($post->post_status);
 <div class="<?php echo esc_attr($post_type); ?>-item" data-post-id="<?php echo esc_attr((string)$post->ID); ?>" data-status="<?php echo esc_attr($post->post_status); ?>">
     <div class="<?php echo esc_attr($post_type); ?>-header">
         <div class="<?php echo esc_attr($post_type); ?>-title">
+            <label class="card-select" title="Vybrat pro hromadnou akci">
+                <input type="checkbox" class="card-select-checkbox" value="<?php echo esc_attr((string)$post->ID); ?>" aria-label="Vybrat <?php echo esc_attr($post->post_title); ?>">
+            </label>
             <strong><a href="<?php echo esc_url(get_edit_post_link($post->ID)); ?>"><?php echo esc_html($post->post_title); ?></a></strong>
             <span class="status-badge status-<?php echo esc_attr($post->post_status); ?>"><?php echo esc_html($status_config['label']); ?></span>
         </div>
@@ -54,6 +57,9 @@ $status_config = $renderer->get_status_config($post->post_status);
         <?php $renderer->load_template('post-gallery.php', compact('gallery_images', 'post_type')); ?>
     <?php endif; ?>
 
+    <!-- Domain-specific warnings (e.g. reused photos) -->
+    <?php $renderer->renderDomainWarnings($post); ?>
+
     <!-- Rejection reason section -->
     <?php if ($post->post_status === 'rejected' && $rejection_reason): ?>
         <div class="rejection-reason">
@@ -61,6 +67,9 @@ $status_config = $renderer->get_status_config($post->post_status);
         </div>
     <?php endif; ?>
 
+    <!-- Previous versions (resubmitted after rejection) -->
+    <?php $renderer->renderDomainHistory($post); ?>
+
     <!-- Action buttons section -->
-    <?php $renderer->load_template('post-actions.php', compact('post', 'post_type', 'assigned_points', 'rejection_reason')); ?>
+    <?php $renderer->load_template('post-actions.php', compact('post', 'post_type', 'assigned_points', 'rejection_reason', 'renderer')); ?>
 </div>
\ No newline at end of file
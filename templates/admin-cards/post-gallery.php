@@ -12,32 +12,41 @@
 if (!defined('ABSPATH')) {
     exit;
 }
+
+// Full image list for the lightbox (thumbnails below show only the first three)
+$lightbox_items = \MistrFachman\Services\GalleryDataService::getLightboxItems($gallery_images);
 ?>
 
-<div class="<?php echo esc_attr($post_type); ?>-gallery">
+<div class="<?php echo esc_attr($post_type); ?>-gallery"<?php if (!empty($lightbox_items)): ?> data-lightbox-gallery="<?php echo esc_attr(wp_json_encode($lightbox_items)); ?>"<?php endif; ?>>
     <?php foreach (array_slice($gallery_images, 0, 3) as $image): ?>
         <?php
         $image_url = '';
         $image_alt = '';
+        $full_url = '';
+        $image_id = is_array($image) ? (int)($image['ID'] ?? $image['id'] ?? 0) : (int)$image;
 
         if (is_array($image) && isset($image['sizes']['thumbnail'])) {
             // ACF image array format
             $image_url = $image['sizes']['thumbnail'];
             $image_alt = $image['alt'] ?? '';
+            $full_url = $image['url'] ?? '';
         } elseif (is_numeric($image)) {
             // Image ID format
             $image_url = wp_get_attachment_image_url($image, 'thumbnail');
             $image_alt = get_post_meta($image, '_wp_attachment_image_alt', true);
+            $full_url = wp_get_attachment_image_url($image, 'full');
         }
 
         if ($image_url):
         ?>
             <img src="<?php echo esc_url($image_url); ?>"
                  alt="<?php echo esc_attr($image_alt); ?>"
+                 data-full-src="<?php echo esc_url($full_url ?: $image_url); ?>"
+                 data-lightbox-id="<?php echo esc_attr((string)$image_id); ?>"
                  class="gallery-thumb">
         <?php endif; ?>
     <?php endforeach; ?>
     <?php if (count($gallery_images) > 3): ?>
-        <span class="gallery-more">+<?php echo count($gallery_images) - 3; ?> dalších</span>
+        <span class="gallery-more" data-lightbox-index="3">+<?php echo count($gallery_images) - 3; ?> dalších</span>
     <?php endif; ?>
 </div>
\ No newline at end of file
@@ -0,0 +1,51 @@
+<?php
+/**
+ * Rejection Templates Template
+ * 
+ * Template picker and category select shown above the rejection reason textarea.
+ * Template texts are rendered with placeholders already resolved for the post.
+ * 
+ * @var \WP_Post $post Post object
+ * @var string $post_type Post type slug
+ */
+
+use MistrFachman\Services\RejectionReasonService;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$categories = RejectionReasonService::getCategories();
+$current_category = RejectionReasonService::getPostCategory($post->ID);
+
+$templates_by_category = [];
+foreach (RejectionReasonService::getTemplatesForPostType($post_type) as $template) {
+    $templates_by_category[$template['category']][] = $template;
+}
+?>
+
+<div class="rejection-templates">
+    <?php if (!empty($templates_by_category)): ?>
+        <select class="rejection-template-select" data-post-id="<?php echo esc_attr((string)$post->ID); ?>" aria-label="Šablona důvodu">
+            <option value="">Vložit šablonu…</option>
+            <?php foreach ($templates_by_category as $category => $templates): ?>
+                <optgroup label="<?php echo esc_attr($categories[$category] ?? $category); ?>">
+                    <?php foreach ($templates as $template): ?>
+                        <option value="<?php echo esc_attr($template['id']); ?>"
+                                data-category="<?php echo esc_attr($template['category']); ?>"
+                                data-text="<?php echo esc_attr(RejectionReasonService::resolvePlaceholders($template['text'], $post)); ?>">
+                            <?php echo esc_html($template['label']); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </optgroup>
+            <?php endforeach; ?>
+        </select>
+    <?php endif; ?>
+    <select class="rejection-category-select" data-post-id="<?php echo esc_attr((string)$post->ID); ?>" aria-label="Kategorie odmítnutí">
+        <option value="">Kategorie…</option>
+        <?php foreach ($categories as $slug => $label): ?>
+            <option value="<?php echo esc_attr($slug); ?>" <?php selected($current_category, $slug); ?>><?php echo esc_html($label); ?></option>
+        <?php endforeach; ?>
+    </select>
+</div>
@@ -44,6 +44,12 @@ if (!defined('ABSPATH')) {
             <span class="stat-label">Body celkem:</span>
             <span class="stat-value"><?php echo esc_html((string)$stats['total_points']); ?></span>
         </div>
+        <?php if (isset($stats['balance'])): ?>
+            <div class="stat-item stat-balance">
+                <span class="stat-label">Zůstatek:</span>
+                <span class="stat-value"><?php echo esc_html((string)$stats['balance']); ?></span>
+            </div>
+        <?php endif; ?>
     </div>
 
     <?php if ($stats['total'] > 0): ?>
@@ -34,6 +34,9 @@ $section_status = $status_map[$status] ?? $status;
             <span class="status-indicator <?php echo esc_attr($section_status); ?>">●</span>
             <?php echo esc_html($title); ?> (<?php echo esc_html((string)count($posts)); ?>)
         </h5>
+        <?php if ($status === 'pending'): ?>
+            <button type="button" class="button-link select-all-pending">Vybrat všechny čekající</button>
+        <?php endif; ?>
         <?php if ($collapsible): ?>
             <button type="button" class="section-toggle" data-target="section-<?php echo esc_attr($section_status); ?>">
                 <span class="toggle-icon"><?php echo $collapsed ? '▶' : '▼'; ?></span>
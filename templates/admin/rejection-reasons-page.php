@@ -0,0 +1,133 @@
+<?php
+/**
+ * Rejection Reasons Admin Page Template
+ * 
+ * Template library editor and per-category rejection statistics
+ * 
+ * @var array $templates Saved templates
+ * @var array $categories Category slug => label
+ * @var array $placeholders Placeholder => description
+ * @var array $post_types Post type slug => label
+ * @var array $stats_all Categorized rejections (all time)
+ * @var array $stats_recent Categorized rejections (last 30 days)
+ * @var array $uncategorized Currently rejected posts without category
+ * @var bool $saved Whether the library was just saved
+ */
+
+use MistrFachman\Services\RejectionReasonService;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// One empty row for adding a new template
+$rows = array_merge($templates, [['id' => '', 'category' => '', 'label' => '', 'text' => '', 'post_types' => array_keys($post_types)]]);
+?>
+
+<div class="wrap rejection-reasons-page">
+    <h1>Důvody odmítnutí</h1>
+
+    <?php if ($saved): ?>
+        <div class="notice notice-success is-dismissible"><p>Šablony byly uloženy.</p></div>
+    <?php endif; ?>
+
+    <h2>Statistika podle kategorií</h2>
+    <table class="widefat striped rejection-stats">
+        <thead>
+            <tr>
+                <th>Kategorie</th>
+                <?php foreach ($post_types as $label): ?>
+                    <th><?php echo esc_html(ucfirst($label)); ?> – 30 dní</th>
+                    <th><?php echo esc_html(ucfirst($label)); ?> – celkem</th>
+                <?php endforeach; ?>
+            </tr>
+        </thead>
+        <tbody>
+            <?php
+            // Most frequent categories first
+            $totals = [];
+            foreach ($categories as $slug => $label) {
+                $totals[$slug] = array_sum(array_map(static fn(array $counts): int => $counts[$slug] ?? 0, $stats_all));
+            }
+            arsort($totals);
+            ?>
+            <?php foreach (array_keys($totals) as $slug): ?>
+                <tr>
+                    <td><?php echo esc_html($categories[$slug]); ?></td>
+                    <?php foreach (array_keys($post_types) as $post_type): ?>
+                        <td><?php echo esc_html((string)($stats_recent[$post_type][$slug] ?? 0)); ?></td>
+                        <td><strong><?php echo esc_html((string)($stats_all[$post_type][$slug] ?? 0)); ?></strong></td>
+                    <?php endforeach; ?>
+                </tr>
+            <?php endforeach; ?>
+            <tr class="rejection-stats-uncategorized">
+                <td><em>Odmítnuté bez kategorie (aktuálně)</em></td>
+                <?php foreach (array_keys($post_types) as $post_type): ?>
+                    <td colspan="2"><?php echo esc_html((string)($uncategorized[$post_type] ?? 0)); ?></td>
+                <?php endforeach; ?>
+            </tr>
+        </tbody>
+    </table>
+
+    <h2>Šablony</h2>
+    <p>
+        Zástupné symboly:
+        <?php foreach ($placeholders as $placeholder => $description): ?>
+            <code title="<?php echo esc_attr($description); ?>"><?php echo esc_html($placeholder); ?></code>
+        <?php endforeach; ?>
+    </p>
+
+    <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+        <input type="hidden" name="action" value="<?php echo esc_attr(RejectionReasonService::SAVE_ACTION); ?>">
+        <?php wp_nonce_field(RejectionReasonService::SAVE_ACTION); ?>
+
+        <table class="widefat rejection-templates-table">
+            <thead>
+                <tr>
+                    <th>Kategorie</th>
+                    <th>Název</th>
+                    <th>Text</th>
+                    <th>Použít pro</th>
+                    <th>Smazat</th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($rows as $index => $template): ?>
+                    <?php $name = "templates[{$index}]"; ?>
+                    <tr>
+                        <td>
+                            <input type="hidden" name="<?php echo esc_attr($name); ?>[id]" value="<?php echo esc_attr($template['id']); ?>">
+                            <select name="<?php echo esc_attr($name); ?>[category]">
+                                <?php foreach ($categories as $slug => $label): ?>
+                                    <option value="<?php echo esc_attr($slug); ?>" <?php selected($template['category'], $slug); ?>><?php echo esc_html($label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </td>
+                        <td>
+                            <input type="text" class="regular-text" name="<?php echo esc_attr($name); ?>[label]" value="<?php echo esc_attr($template['label']); ?>" placeholder="<?php echo $template['id'] ? '' : 'Nová šablona'; ?>">
+                        </td>
+                        <td>
+                            <textarea name="<?php echo esc_attr($name); ?>[text]" rows="3" class="large-text"><?php echo esc_textarea($template['text']); ?></textarea>
+                        </td>
+                        <td>
+                            <?php foreach ($post_types as $post_type => $label): ?>
+                                <label>
+                                    <input type="checkbox" name="<?php echo esc_attr($name); ?>[post_types][]" value="<?php echo esc_attr($post_type); ?>" <?php checked(in_array($post_type, $template['post_types'] ?? [], true)); ?>>
+                                    <?php echo esc_html($label); ?>
+                                </label><br>
+                            <?php endforeach; ?>
+                        </td>
+                        <td>
+                            <?php if ($template['id']): ?>
+                                <input type="checkbox" name="<?php echo esc_attr($name); ?>[delete]" value="1" aria-label="Smazat šablonu">
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+
+        <?php submit_button('Uložit šablony'); ?>
+    </form>
+</div>
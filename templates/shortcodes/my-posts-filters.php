@@ -0,0 +1,89 @@
+<?php
+/**
+ * My Posts Filters Template
+ *
+ * Status tabs, date range, search and sort for [my_realizace] and [my_faktury].
+ * Works as a plain GET form; my-posts-pagination.js takes it over and loads
+ * the results via AJAX.
+ *
+ * @var string $param_prefix URL parameter prefix ('realizace_', 'faktury_')
+ * @var array $filters Sanitized filters from MyPostsFilterService
+ * @var array $status_counts Post counts keyed by status ('' = all)
+ * @var int $found_posts Number of posts matching the filters
+ */
+
+use MistrFachman\Services\MyPostsFilterService;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$param_names = array_map(
+    fn($key) => $param_prefix . $key,
+    ['status', 'from', 'to', 'search', 'sort', 'page', 'post']
+);
+$reset_url = remove_query_arg($param_names);
+?>
+
+<form class="my-posts-filters mb-6" method="get" role="search" data-param-prefix="<?= esc_attr($param_prefix) ?>">
+    <div class="my-posts-filters__tabs flex flex-wrap gap-2 mb-4">
+        <?php foreach (MyPostsFilterService::STATUS_TABS as $status): ?>
+            <button type="submit"
+                    name="<?= esc_attr($param_prefix . 'status') ?>"
+                    value="<?= esc_attr($status) ?>"
+                    class="my-posts-filters__tab px-3 py-2 text-sm<?= $filters['status'] === $status ? ' is-active' : '' ?>"
+                    aria-pressed="<?= $filters['status'] === $status ? 'true' : 'false' ?>">
+                <?= esc_html(MyPostsFilterService::getTabLabel($status)) ?>
+                <span class="my-posts-filters__count"><?= esc_html((string) ($status_counts[$status] ?? 0)) ?></span>
+            </button>
+        <?php endforeach; ?>
+    </div>
+
+    <div class="my-posts-filters__fields flex flex-wrap items-end gap-4">
+        <label class="my-posts-filters__field flex-1">
+            <span class="text-sm"><?= esc_html__('Hledat', 'mistr-fachman') ?></span>
+            <input type="search"
+                   name="<?= esc_attr($param_prefix . 'search') ?>"
+                   value="<?= esc_attr($filters['search']) ?>"
+                   placeholder="<?= esc_attr__('Název nebo popis', 'mistr-fachman') ?>"
+                   autocomplete="off">
+        </label>
+
+        <label class="my-posts-filters__field">
+            <span class="text-sm"><?= esc_html__('Od', 'mistr-fachman') ?></span>
+            <input type="date" name="<?= esc_attr($param_prefix . 'from') ?>" value="<?= esc_attr($filters['from']) ?>">
+        </label>
+
+        <label class="my-posts-filters__field">
+            <span class="text-sm"><?= esc_html__('Do', 'mistr-fachman') ?></span>
+            <input type="date" name="<?= esc_attr($param_prefix . 'to') ?>" value="<?= esc_attr($filters['to']) ?>">
+        </label>
+
+        <label class="my-posts-filters__field">
+            <span class="text-sm"><?= esc_html__('Řadit', 'mistr-fachman') ?></span>
+            <select name="<?= esc_attr($param_prefix . 'sort') ?>">
+                <?php foreach (MyPostsFilterService::SORT_OPTIONS as $value => $label): ?>
+                    <option value="<?= esc_attr($value) ?>" <?php selected($value, $filters['sort']); ?>><?= esc_html($label) ?></option>
+                <?php endforeach; ?>
+            </select>
+        </label>
+
+        <noscript>
+            <button type="submit" name="<?= esc_attr($param_prefix . 'status') ?>" value="<?= esc_attr($filters['status']) ?>" class="px-4 py-2 text-sm">
+                <?= esc_html__('Filtrovat', 'mistr-fachman') ?>
+            </button>
+        </noscript>
+    </div>
+
+    <div class="my-posts-filters__summary flex items-center gap-4 mt-3 text-sm" aria-live="polite">
+        <span class="my-posts-filters__found">
+            <?= esc_html(sprintf(__('Nalezeno: %d', 'mistr-fachman'), $found_posts)) ?>
+        </span>
+        <a href="<?= esc_url($reset_url) ?>"
+           class="my-posts-filters__reset"
+           <?= MyPostsFilterService::hasActiveFilters($filters) ? '' : 'hidden' ?>>
+            <?= esc_html__('Zrušit filtry', 'mistr-fachman') ?>
+        </a>
+    </div>
+</form>
@@ -0,0 +1,37 @@
+<?php
+/**
+ * My Realizace Editor Template
+ *
+ * Inline editor for rejected realizace: the regular "Přidat realizaci" form
+ * (construction/material selectors, photo upload, points summary) moved
+ * under the edited card by my-realizace-editor.js and pre-filled there.
+ *
+ * @var int $form_id CF7 form ID of the realizace form
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<div class="my-realizace-editor md:col-span-2" data-no-draft hidden>
+    <div class="my-realizace-editor__header flex items-center justify-between gap-4 mb-4">
+        <h3 class="text-lg font-semibold"><?= esc_html__('Úprava zamítnuté realizace', 'mistr-fachman') ?></h3>
+        <button type="button" class="my-realizace-editor__close px-3 py-2 text-sm">
+            <?= esc_html__('Zrušit úpravy', 'mistr-fachman') ?>
+        </button>
+    </div>
+
+    <div class="my-realizace-editor__reason bg-red-50 border border-red-200 p-3 text-sm mb-4" hidden>
+        <strong class="text-red-800"><?= esc_html__('Důvod zamítnutí:', 'mistr-fachman') ?></strong>
+        <span class="my-realizace-editor__reason-text text-red-700"></span>
+    </div>
+
+    <div class="my-realizace-editor__photos mb-4" hidden>
+        <p class="text-sm mb-2"><?= esc_html__('Současné fotky – kliknutím fotku odeberete nebo vrátíte:', 'mistr-fachman') ?></p>
+        <div class="my-realizace-editor__photo-list flex flex-wrap gap-2"></div>
+    </div>
+
+    <?= do_shortcode(sprintf('[contact-form-7 id="%d"]', $form_id)) ?>
+</div>
@@ -0,0 +1,34 @@
+<?php
+/**
+ * Notification Bell Template
+ *
+ * Header bell of the notification centre. The list is filled and kept up to
+ * date by notification-bell.js from NotificationService.
+ */
+
+use MistrFachman\Services\IconHelper;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<div class="notification-bell">
+    <button type="button"
+            class="notification-bell__toggle"
+            aria-expanded="false"
+            aria-controls="notification-bell-panel"
+            aria-label="<?= esc_attr__('Oznámení', 'mistr-fachman') ?>">
+        <?= IconHelper::get_icon('bell') ?>
+        <span class="notification-bell__badge" hidden></span>
+    </button>
+
+    <div id="notification-bell-panel" class="notification-bell__panel" role="region" aria-label="<?= esc_attr__('Oznámení', 'mistr-fachman') ?>" hidden>
+        <div class="notification-bell__header">
+            <strong><?= esc_html__('Oznámení', 'mistr-fachman') ?></strong>
+        </div>
+        <ul class="notification-bell__list"></ul>
+        <p class="notification-bell__empty"><?= esc_html__('Zatím žádná oznámení.', 'mistr-fachman') ?></p>
+    </div>
+</div>
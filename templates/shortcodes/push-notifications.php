@@ -0,0 +1,38 @@
+<?php
+/**
+ * Push Notifications Opt-in Template
+ *
+ * Account dashboard switch for browser push. Rendered hidden; push-notifications.js
+ * shows it once it knows whether this browser supports push and sets the state.
+ */
+
+use MistrFachman\Services\IconHelper;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<div class="push-optin" data-state="disabled" hidden>
+    <div class="push-optin__icon" aria-hidden="true">
+        <?= IconHelper::get_icon('bell') ?>
+    </div>
+
+    <div class="push-optin__content">
+        <h3 class="push-optin__title"><?= esc_html__('Oznámení v prohlížeči', 'mistr-fachman') ?></h3>
+        <p class="push-optin__description">
+            <?= esc_html__('Dáme vám vědět, když schválíme nebo zamítneme realizaci či fakturu a když vám připíšeme body.', 'mistr-fachman') ?>
+        </p>
+        <p class="push-optin__status" role="status" aria-live="polite"></p>
+    </div>
+
+    <div class="push-optin__actions">
+        <button type="button" class="push-optin__enable w-btn us-btn-style_1">
+            <?= esc_html__('Zapnout oznámení', 'mistr-fachman') ?>
+        </button>
+        <button type="button" class="push-optin__disable w-btn us-btn-style_2" hidden>
+            <?= esc_html__('Vypnout oznámení', 'mistr-fachman') ?>
+        </button>
+    </div>
+</div>
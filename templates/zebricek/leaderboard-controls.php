@@ -0,0 +1,48 @@
+<?php
+/**
+ * Žebříček Leaderboard Controls Template
+ *
+ * Year switch, search and "Moje pozice" button
+ *
+ * @var array $years Available years, newest first
+ * @var string $current_year Year shown on load
+ * @var bool $is_full_member Whether current user is full member (companies are searchable)
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$search_placeholder = $is_full_member
+    ? __('Hledat jméno nebo firmu', 'mistr-fachman')
+    : __('Hledat jméno', 'mistr-fachman');
+?>
+
+<div class="zebricek-controls flex flex-wrap items-center gap-4">
+    <?php if (count($years) > 1): ?>
+        <label class="zebricek-year flex items-center gap-2 text-sm">
+            <span><?= esc_html__('Rok', 'mistr-fachman') ?></span>
+            <select class="zebricek-year-select">
+                <?php foreach ($years as $year): ?>
+                    <option value="<?= esc_attr($year) ?>" <?php selected($year, $current_year); ?>><?= esc_html($year) ?></option>
+                <?php endforeach; ?>
+            </select>
+        </label>
+    <?php endif; ?>
+
+    <div class="zebricek-search flex-1">
+        <input type="search"
+               class="zebricek-search-input"
+               placeholder="<?= esc_attr($search_placeholder) ?>"
+               aria-label="<?= esc_attr($search_placeholder) ?>"
+               autocomplete="off">
+        <ul class="zebricek-search-results" role="listbox" hidden></ul>
+    </div>
+
+    <?php if (is_user_logged_in()): ?>
+        <button type="button" class="zebricek-my-position-btn px-4 py-2 text-sm font-medium">
+            <?= esc_html__('Moje pozice', 'mistr-fachman') ?>
+        </button>
+    <?php endif; ?>
+</div>
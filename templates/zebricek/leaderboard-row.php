@@ -31,9 +31,13 @@ if ($position <= 10) {
 if ($position > 20) {
     $row_classes .= ' zebricek-row--bottom';
 }
+$row_user_id = (int)($user_data['user_id'] ?? 0);
+if ($row_user_id > 0 && $row_user_id === get_current_user_id()) {
+    $row_classes .= ' zebricek-row--current-user';
+}
 ?>
 
-<div class="<?= esc_attr($row_classes) ?>">
+<div class="<?= esc_attr($row_classes) ?>" data-user-id="<?= esc_attr((string)$row_user_id) ?>" data-position="<?= esc_attr((string)$position) ?>">
     <div class="zebricek-user-info flex-1">
         <h4 class="zebricek-user-name font-medium">
             <?= esc_html($user_name) ?>
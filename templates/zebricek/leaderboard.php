@@ -8,6 +8,9 @@
  * @var array $attributes Shortcode attributes
  * @var bool $is_full_member Whether current user is full member
  * @var string $wrapper_classes CSS classes for wrapper
+ * @var int $live_cursor Newest points log entry ID the live updates start from (live="true" only)
+ * @var string $current_year Year shown on load
+ * @var array $years Years available in the year switch (show_controls="true" only)
  */
 
 // Prevent direct access
@@ -16,7 +19,17 @@ if (!defined('ABSPATH')) {
 }
 ?>
 
-<div class="<?= esc_attr($wrapper_classes) ?> space-y-6">
+<div class="<?= esc_attr($wrapper_classes) ?> space-y-6"
+     data-show-numbers="<?= esc_attr($attributes['show_numbers']) ?>"
+     data-show-pagination="<?= esc_attr($attributes['show_pagination']) ?>"
+     data-class="<?= esc_attr($attributes['class']) ?>"
+     data-limit="<?= esc_attr((string)$attributes['limit']) ?>"
+     data-year="<?= esc_attr($current_year) ?>"
+     data-current-year="<?= esc_attr($current_year) ?>"
+     <?php if ($attributes['live'] === 'true'): ?>
+     data-live="true"
+     data-live-cursor="<?= esc_attr((string)$live_cursor) ?>"
+     <?php endif; ?>>
 
     <?php if ($attributes['show_numbers'] === 'true'): ?>
         <?php echo $renderer->load_template('zebricek/leaderboard-numbers.php', compact('attributes')); ?>
@@ -24,6 +37,10 @@ if (!defined('ABSPATH')) {
 
     <div class="zebricek-leaderboard space-y-4">
 
+        <?php if ($attributes['show_controls'] === 'true'): ?>
+            <?php echo $renderer->load_template('zebricek/leaderboard-controls.php', compact('years', 'current_year', 'is_full_member')); ?>
+        <?php endif; ?>
+
         <?php echo $renderer->load_template('zebricek/leaderboard-header.php', compact('is_full_member')); ?>
 
         <div class="zebricek-list grid gap-10">
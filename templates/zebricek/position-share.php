@@ -0,0 +1,29 @@
+<?php
+/**
+ * Žebříček Position Share Template
+ *
+ * Share card actions - the PNG is drawn in the browser from data-share-card
+ *
+ * @var array $share_data Position, points, year, name, next target, logo URL and site host
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<div class="zebricek-share" data-share-card="<?= esc_attr(wp_json_encode($share_data)) ?>">
+    <img class="zebricek-share__preview"
+         alt="<?= esc_attr(sprintf(__('Jsem %1$s. v žebříčku Mistr Fachman %2$s', 'mistr-fachman'), $share_data['position'], $share_data['year'])) ?>"
+         hidden>
+    <div class="zebricek-share__actions">
+        <button type="button" class="zebricek-share__button zebricek-share__button--share" hidden>
+            <?= esc_html__('Sdílet pozici', 'mistr-fachman') ?>
+        </button>
+        <button type="button" class="zebricek-share__button zebricek-share__button--download">
+            <?= esc_html__('Stáhnout obrázek', 'mistr-fachman') ?>
+        </button>
+    </div>
+    <p class="zebricek-share__status text-sm" aria-live="polite"></p>
+</div>
@@ -8,6 +8,7 @@
  * @var array $attributes Shortcode attributes
  * @var string $wrapper_classes CSS classes for wrapper
  * @var string $user_status User registration status
+ * @var array|null $share_data Share card data (show_share="true" and ranked users only)
  */
 
 // Prevent direct access
@@ -47,6 +48,10 @@ if (!defined('ABSPATH')) {
                 echo $renderer->load_template('zebricek/position-stats.php', $stats_data);
                 ?>
             <?php endif; ?>
+
+            <?php if (!empty($share_data)): ?>
+                <?php echo $renderer->load_template('zebricek/position-share.php', compact('share_data')); ?>
+            <?php endif; ?>
             
         </div>
     <?php endif; ?>
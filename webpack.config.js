@@ -5,7 +5,8 @@ module.exports = {
   entry: {
     main: './src/js/main.js',
     admin: './src/js/admin.js',
-    'cf7-components': './src/js/cf7-alpine-components.js'
+    'cf7-components': './src/js/cf7-alpine-components.js',
+    'service-worker': './src/js/service-worker.js'
   },
   output: {
     ...defaultConfig.output,